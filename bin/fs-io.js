@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+const CLI = require('../src/CLI');
+
+CLI.run(process.argv.slice(2)).then(exitCode => {
+	process.exitCode = exitCode;
+});
\ No newline at end of file
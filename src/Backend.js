@@ -0,0 +1,582 @@
+/**
+ * @typedef {Object} Watcher
+ * @property {() => void} close stop watching
+ * @property {(event: 'error', listener: (error: Error) => void) => Watcher} on
+ */
+
+class Backend {
+	/**
+	 * Base Class of all Storage Backends
+	 * A Backend performs the actual Storage Operations for IO, ReadOnly and ReadWrite.
+	 * All Paths passed to a Backend are absolute and already checked to be inside the Data Directory.
+	 * Errors have to carry the same code Property Node's fs Module would use (e.g. ENOENT, EEXIST, ENOTDIR, EISDIR, ENOTEMPTY).
+	 * Stats and Dirents have to be shaped like fs.Stats and fs.Dirent.
+	 * Every Method that is not overridden throws an Error.
+	 * @public
+	 */
+	constructor() {
+		if (new.target === Backend)
+			throw new TypeError('Expected Backend to be extended instead of instantiated directly');
+	}
+
+	/**
+	 * Read the Content and the Stats of the File pathname in one Step
+	 * @param {string} pathname
+	 * @returns {Promise<{data: Buffer, stats: fs.Stats}>}
+	 * @public
+	 * @async
+	 */
+	async readFile(pathname) {
+		throw Backend.#notImplemented('readFile');
+	}
+
+	/**
+	 * Read length Bytes of the File pathname starting at offset
+	 * Resolves to a shorter Buffer if the End of the File is reached
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 */
+	async readRange(pathname, offset, length) {
+		throw Backend.#notImplemented('readRange');
+	}
+
+	/**
+	 * Create or overwrite the File pathname with data
+	 * Resolves to the Stats of the written File
+	 * With options.fsync, the Data is flushed to the Storage before resolving.
+	 * With options.exclusive, the Write fails with EEXIST if the File already exists.
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean, exclusive?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 */
+	async writeFile(pathname, data, options = {}) {
+		throw Backend.#notImplemented('writeFile');
+	}
+
+	/**
+	 * Append data to the File pathname, creating it if it does not exist
+	 * Resolves to the Stats of the File after the Write
+	 * With options.fsync, the Data is flushed to the Storage before resolving.
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 */
+	async appendFile(pathname, data, options = {}) {
+		throw Backend.#notImplemented('appendFile');
+	}
+
+	/**
+	 * Write data into the File pathname at offset without truncating it, creating the File if it does not exist
+	 * A Gap between the End of the File and offset is filled with Zeros
+	 * Resolves to the Stats of the File after the Write
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 */
+	async writeAt(pathname, offset, data, options = {}) {
+		throw Backend.#notImplemented('writeAt');
+	}
+
+	/**
+	 * Shorten or extend the existing File pathname to length Bytes, extending it with Zeros
+	 * Resolves to the Stats of the File after the Change
+	 * @param {string} pathname
+	 * @param {number} length
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 */
+	async truncate(pathname, length, options = {}) {
+		throw Backend.#notImplemented('truncate');
+	}
+
+	/**
+	 * Get the Stats of the Entry pathname, following Symbolic Links
+	 * @param {string} pathname
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 */
+	async stat(pathname) {
+		throw Backend.#notImplemented('stat');
+	}
+
+	/**
+	 * Get the Stats of the Entry pathname without following Symbolic Links
+	 * @param {string} pathname
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 */
+	async lstat(pathname) {
+		throw Backend.#notImplemented('lstat');
+	}
+
+	/**
+	 * Read the Entries of the Directory pathname
+	 * @param {string} pathname
+	 * @returns {Promise<fs.Dirent[]>}
+	 * @public
+	 * @async
+	 */
+	async readdir(pathname) {
+		throw Backend.#notImplemented('readdir');
+	}
+
+	/**
+	 * Create the Directory pathname
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async mkdir(pathname, options = {}) {
+		throw Backend.#notImplemented('mkdir');
+	}
+
+	/**
+	 * Remove the empty Directory pathname
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async rmdir(pathname) {
+		throw Backend.#notImplemented('rmdir');
+	}
+
+	/**
+	 * Remove the File or Symbolic Link pathname
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async unlink(pathname) {
+		throw Backend.#notImplemented('unlink');
+	}
+
+	/**
+	 * Remove the Entry pathname, like fs.rm
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean, force?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async rm(pathname, options = {}) {
+		throw Backend.#notImplemented('rm');
+	}
+
+	/**
+	 * Rename the Entry oldPathname to newPathname, replacing an existing File
+	 * @param {string} oldPathname
+	 * @param {string} newPathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async rename(oldPathname, newPathname) {
+		throw Backend.#notImplemented('rename');
+	}
+
+	/**
+	 * Copy the File sourcePathname to destinationPathname
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @param {number} [mode] fs.constants.COPYFILE_* Flags
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async copyFile(sourcePathname, destinationPathname, mode = 0) {
+		throw Backend.#notImplemented('copyFile');
+	}
+
+	/**
+	 * Create the Symbolic Link pathname pointing to target
+	 * @param {string} target
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async symlink(target, pathname) {
+		throw Backend.#notImplemented('symlink');
+	}
+
+	/**
+	 * Create the Hard Link destinationPathname to the File sourcePathname
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async link(sourcePathname, destinationPathname) {
+		throw Backend.#notImplemented('link');
+	}
+
+	/**
+	 * Read the Target of the Symbolic Link pathname
+	 * @param {string} pathname
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 */
+	async readlink(pathname) {
+		throw Backend.#notImplemented('readlink');
+	}
+
+	/**
+	 * Resolve pathname with all Symbolic Links resolved
+	 * @param {string} pathname
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 */
+	async realpath(pathname) {
+		throw Backend.#notImplemented('realpath');
+	}
+
+	/**
+	 * Flush the Entries of the Directory pathname to the Storage
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async fsyncDir(pathname) {
+		throw Backend.#notImplemented('fsyncDir');
+	}
+
+	/**
+	 * Change the Permission Bits of the Entry pathname to mode, following Symbolic Links
+	 * @param {string} pathname
+	 * @param {number} mode
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async chmod(pathname, mode) {
+		throw Backend.#notImplemented('chmod');
+	}
+
+	/**
+	 * Change the Access and Modification Time of the Entry pathname, following Symbolic Links
+	 * @param {string} pathname
+	 * @param {Date} atime
+	 * @param {Date} mtime
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async utimes(pathname, atime, mtime) {
+		throw Backend.#notImplemented('utimes');
+	}
+
+	/**
+	 * Synchronous Version of readFile
+	 * @param {string} pathname
+	 * @returns {{data: Buffer, stats: fs.Stats}}
+	 * @public
+	 */
+	readFileSync(pathname) {
+		throw Backend.#notImplemented('readFileSync');
+	}
+
+	/**
+	 * Synchronous Version of readRange
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Buffer}
+	 * @public
+	 */
+	readRangeSync(pathname, offset, length) {
+		throw Backend.#notImplemented('readRangeSync');
+	}
+
+	/**
+	 * Synchronous Version of writeFile
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean, exclusive?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 */
+	writeFileSync(pathname, data, options = {}) {
+		throw Backend.#notImplemented('writeFileSync');
+	}
+
+	/**
+	 * Synchronous Version of appendFile
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 */
+	appendFileSync(pathname, data, options = {}) {
+		throw Backend.#notImplemented('appendFileSync');
+	}
+
+	/**
+	 * Synchronous Version of writeAt
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 */
+	writeAtSync(pathname, offset, data, options = {}) {
+		throw Backend.#notImplemented('writeAtSync');
+	}
+
+	/**
+	 * Synchronous Version of truncate
+	 * @param {string} pathname
+	 * @param {number} length
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 */
+	truncateSync(pathname, length, options = {}) {
+		throw Backend.#notImplemented('truncateSync');
+	}
+
+	/**
+	 * Synchronous Version of stat
+	 * @param {string} pathname
+	 * @returns {fs.Stats}
+	 * @public
+	 */
+	statSync(pathname) {
+		throw Backend.#notImplemented('statSync');
+	}
+
+	/**
+	 * Synchronous Version of lstat
+	 * @param {string} pathname
+	 * @returns {fs.Stats}
+	 * @public
+	 */
+	lstatSync(pathname) {
+		throw Backend.#notImplemented('lstatSync');
+	}
+
+	/**
+	 * Synchronous Version of readdir
+	 * @param {string} pathname
+	 * @returns {fs.Dirent[]}
+	 * @public
+	 */
+	readdirSync(pathname) {
+		throw Backend.#notImplemented('readdirSync');
+	}
+
+	/**
+	 * Synchronous Version of mkdir
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean}} [options]
+	 * @returns {void}
+	 * @public
+	 */
+	mkdirSync(pathname, options = {}) {
+		throw Backend.#notImplemented('mkdirSync');
+	}
+
+	/**
+	 * Synchronous Version of rmdir
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 */
+	rmdirSync(pathname) {
+		throw Backend.#notImplemented('rmdirSync');
+	}
+
+	/**
+	 * Synchronous Version of unlink
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 */
+	unlinkSync(pathname) {
+		throw Backend.#notImplemented('unlinkSync');
+	}
+
+	/**
+	 * Synchronous Version of rm
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean, force?: boolean}} [options]
+	 * @returns {void}
+	 * @public
+	 */
+	rmSync(pathname, options = {}) {
+		throw Backend.#notImplemented('rmSync');
+	}
+
+	/**
+	 * Synchronous Version of rename
+	 * @param {string} oldPathname
+	 * @param {string} newPathname
+	 * @returns {void}
+	 * @public
+	 */
+	renameSync(oldPathname, newPathname) {
+		throw Backend.#notImplemented('renameSync');
+	}
+
+	/**
+	 * Synchronous Version of copyFile
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @param {number} [mode]
+	 * @returns {void}
+	 * @public
+	 */
+	copyFileSync(sourcePathname, destinationPathname, mode = 0) {
+		throw Backend.#notImplemented('copyFileSync');
+	}
+
+	/**
+	 * Synchronous Version of symlink
+	 * @param {string} target
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 */
+	symlinkSync(target, pathname) {
+		throw Backend.#notImplemented('symlinkSync');
+	}
+
+	/**
+	 * Synchronous Version of link
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @returns {void}
+	 * @public
+	 */
+	linkSync(sourcePathname, destinationPathname) {
+		throw Backend.#notImplemented('linkSync');
+	}
+
+	/**
+	 * Synchronous Version of readlink
+	 * @param {string} pathname
+	 * @returns {string}
+	 * @public
+	 */
+	readlinkSync(pathname) {
+		throw Backend.#notImplemented('readlinkSync');
+	}
+
+	/**
+	 * Synchronous Version of realpath
+	 * @param {string} pathname
+	 * @returns {string}
+	 * @public
+	 */
+	realpathSync(pathname) {
+		throw Backend.#notImplemented('realpathSync');
+	}
+
+	/**
+	 * Synchronous Version of fsyncDir
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 */
+	fsyncDirSync(pathname) {
+		throw Backend.#notImplemented('fsyncDirSync');
+	}
+
+	/**
+	 * Synchronous Version of chmod
+	 * @param {string} pathname
+	 * @param {number} mode
+	 * @returns {void}
+	 * @public
+	 */
+	chmodSync(pathname, mode) {
+		throw Backend.#notImplemented('chmodSync');
+	}
+
+	/**
+	 * Synchronous Version of utimes
+	 * @param {string} pathname
+	 * @param {Date} atime
+	 * @param {Date} mtime
+	 * @returns {void}
+	 * @public
+	 */
+	utimesSync(pathname, atime, mtime) {
+		throw Backend.#notImplemented('utimesSync');
+	}
+
+	/**
+	 * Create a Readable Stream for the File pathname
+	 * start and end are inclusive Byte Offsets
+	 * @param {string} pathname
+	 * @param {{start?: number, end?: number}} [options]
+	 * @returns {stream.Readable}
+	 * @public
+	 */
+	createReadStream(pathname, options = {}) {
+		throw Backend.#notImplemented('createReadStream');
+	}
+
+	/**
+	 * Create a Writable Stream for the File pathname
+	 * The Stream has to emit 'close' once the Data is stored
+	 * @param {string} pathname
+	 * @param {{flags?: string}} [options]
+	 * @returns {stream.Writable}
+	 * @public
+	 */
+	createWriteStream(pathname, options = {}) {
+		throw Backend.#notImplemented('createWriteStream');
+	}
+
+	/**
+	 * Recursively watch the Directory pathname for Changes
+	 * listener is called with the Event Type and the Path of the changed Entry relative to pathname
+	 * @param {string} pathname
+	 * @param {(eventType: string, filename: string | null) => void} listener
+	 * @returns {Watcher}
+	 * @public
+	 */
+	watch(pathname, listener) {
+		throw Backend.#notImplemented('watch');
+	}
+
+	/**
+	 * Create the Error thrown by Methods that are not implemented
+	 * @param {string} method
+	 * @returns {Error}
+	 * @private
+	 */
+	static #notImplemented(method) {
+		return new Error(`Expected the Backend to implement ${method}`);
+	}
+}
+
+module.exports = Backend;
\ No newline at end of file
@@ -0,0 +1,390 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const Backend = require('./Backend');
+
+class BlobStore {
+	/**
+	 * @type {Backend}
+	 */
+	#backend;
+
+	/**
+	 * @type {string}
+	 */
+	#dirname;
+
+	/**
+	 * @type {string}
+	 */
+	#tempDir;
+
+	/**
+	 * @type {string}
+	 */
+	#internalDir;
+
+	/**
+	 * Create a new BlobStore Instance
+	 * A BlobStore keeps every distinct Content once as a Blob in dirname, named by the SHA-256 Hash of its Bytes (dirname/ab/abcdef...).
+	 * Files are Hard Links to their Blob, so the Link Count of a Blob is its Reference Count: a Blob is removed once no File links to it anymore.
+	 * Blobs are never modified, Files have to be detached from their Blob before they are changed in Place.
+	 * @param {Backend} backend 
+	 * @param {string} dirname absolute Path of the Blob Directory
+	 * @param {string} tempDir absolute Path of the Directory for Temp Files
+	 * @param {string} internalDir absolute Path of the internal Directory, which is skipped when searching a Tree for Blobs
+	 * @public
+	 */
+	constructor(backend, dirname, tempDir, internalDir) {
+		this.#backend = backend;
+		this.#dirname = dirname;
+		this.#tempDir = tempDir;
+		this.#internalDir = internalDir;
+	}
+
+	/**
+	 * Store data as a Blob unless an identical Blob exists, and replace resolvedFilename atomically with a Link to it
+	 * Resolves to the Stats of the written File
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 */
+	async write(resolvedFilename, data, fsync) {
+		const blobname = this.#blobnameOf(data);
+
+		if (!(await this.#exists(blobname))) {
+			const tempFilename = this.#createTempFilename();
+
+			await this.#backend.mkdir(path.dirname(blobname), { recursive: true });
+
+			try {
+				await this.#backend.writeFile(tempFilename, data, { fsync });
+				// Linking fails if a concurrent Write stored the same Blob first, which leaves the existing Blob untouched
+				await this.#backend.link(tempFilename, blobname);
+			}
+			catch (error) {
+				if (error.code !== 'EEXIST')
+					throw error;
+			}
+			finally {
+				await this.#backend.rm(tempFilename, { force: true });
+			}
+		}
+
+		const tempFilename = this.#createTempFilename();
+
+		try {
+			await this.#backend.link(blobname, tempFilename);
+			await this.#backend.rename(tempFilename, resolvedFilename);
+		}
+		catch (error) {
+			await this.#backend.rm(tempFilename, { force: true });
+			throw error;
+		}
+
+		if (fsync)
+			await this.#backend.fsyncDir(path.dirname(resolvedFilename));
+
+		return await this.#backend.stat(resolvedFilename);
+	}
+
+	/**
+	 * Find the Blobs the File resolvedPathname or the Files below it link to
+	 * A File is only considered linked to a Blob if it has the Content and the Inode of the Blob, other Hard Links are ignored
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<string[]>}
+	 * @public
+	 * @async
+	 */
+	async find(resolvedPathname) {
+		let stats;
+
+		try {
+			stats = await this.#backend.lstat(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return [];
+
+			throw error;
+		}
+
+		if (stats.isDirectory()) {
+			const blobnames = [];
+
+			for (const { name } of await this.#backend.readdir(resolvedPathname)) {
+				if (path.join(resolvedPathname, name) !== this.#internalDir)
+					blobnames.push(...await this.find(path.join(resolvedPathname, name)));
+			}
+
+			return blobnames;
+		}
+
+		if (!stats.isFile() || stats.nlink < 2)
+			return [];
+
+		const blobname = this.#blobnameOf((await this.#backend.readFile(resolvedPathname)).data);
+
+		try {
+			return (await this.#backend.lstat(blobname)).ino === stats.ino ? [blobname] : [];
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return [];
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Remove the Blobs blobnames that no File links to anymore
+	 * @param {string[]} blobnames 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async release(blobnames) {
+		for (const blobname of new Set(blobnames)) {
+			try {
+				if ((await this.#backend.lstat(blobname)).nlink <= 1)
+					await this.#backend.unlink(blobname);
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+		}
+	}
+
+	/**
+	 * Replace the File resolvedFilename with a Copy of itself if it links to a Blob, so it can be changed in Place
+	 * The Blob is removed if no other File links to it
+	 * @param {string} resolvedFilename 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async detach(resolvedFilename) {
+		const blobnames = await this.find(resolvedFilename);
+
+		if (blobnames.length === 0)
+			return;
+
+		const tempFilename = this.#createTempFilename();
+
+		try {
+			await this.#backend.copyFile(resolvedFilename, tempFilename);
+			await this.#backend.rename(tempFilename, resolvedFilename);
+		}
+		catch (error) {
+			await this.#backend.rm(tempFilename, { force: true });
+			throw error;
+		}
+
+		await this.release(blobnames);
+	}
+
+	/**
+	 * Synchronous Version of write
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {fs.Stats}
+	 * @public
+	 */
+	writeSync(resolvedFilename, data, fsync) {
+		const blobname = this.#blobnameOf(data);
+
+		if (!this.#existsSync(blobname)) {
+			const tempFilename = this.#createTempFilename();
+
+			this.#backend.mkdirSync(path.dirname(blobname), { recursive: true });
+
+			try {
+				this.#backend.writeFileSync(tempFilename, data, { fsync });
+				this.#backend.linkSync(tempFilename, blobname);
+			}
+			catch (error) {
+				if (error.code !== 'EEXIST')
+					throw error;
+			}
+			finally {
+				this.#backend.rmSync(tempFilename, { force: true });
+			}
+		}
+
+		const tempFilename = this.#createTempFilename();
+
+		try {
+			this.#backend.linkSync(blobname, tempFilename);
+			this.#backend.renameSync(tempFilename, resolvedFilename);
+		}
+		catch (error) {
+			this.#backend.rmSync(tempFilename, { force: true });
+			throw error;
+		}
+
+		if (fsync)
+			this.#backend.fsyncDirSync(path.dirname(resolvedFilename));
+
+		return this.#backend.statSync(resolvedFilename);
+	}
+
+	/**
+	 * Synchronous Version of find
+	 * @param {string} resolvedPathname 
+	 * @returns {string[]}
+	 * @public
+	 */
+	findSync(resolvedPathname) {
+		let stats;
+
+		try {
+			stats = this.#backend.lstatSync(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return [];
+
+			throw error;
+		}
+
+		if (stats.isDirectory()) {
+			const blobnames = [];
+
+			for (const { name } of this.#backend.readdirSync(resolvedPathname)) {
+				if (path.join(resolvedPathname, name) !== this.#internalDir)
+					blobnames.push(...this.findSync(path.join(resolvedPathname, name)));
+			}
+
+			return blobnames;
+		}
+
+		if (!stats.isFile() || stats.nlink < 2)
+			return [];
+
+		const blobname = this.#blobnameOf(this.#backend.readFileSync(resolvedPathname).data);
+
+		try {
+			return this.#backend.lstatSync(blobname).ino === stats.ino ? [blobname] : [];
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return [];
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of release
+	 * @param {string[]} blobnames 
+	 * @returns {void}
+	 * @public
+	 */
+	releaseSync(blobnames) {
+		for (const blobname of new Set(blobnames)) {
+			try {
+				if (this.#backend.lstatSync(blobname).nlink <= 1)
+					this.#backend.unlinkSync(blobname);
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+		}
+	}
+
+	/**
+	 * Synchronous Version of detach
+	 * @param {string} resolvedFilename 
+	 * @returns {void}
+	 * @public
+	 */
+	detachSync(resolvedFilename) {
+		const blobnames = this.findSync(resolvedFilename);
+
+		if (blobnames.length === 0)
+			return;
+
+		const tempFilename = this.#createTempFilename();
+
+		try {
+			this.#backend.copyFileSync(resolvedFilename, tempFilename);
+			this.#backend.renameSync(tempFilename, resolvedFilename);
+		}
+		catch (error) {
+			this.#backend.rmSync(tempFilename, { force: true });
+			throw error;
+		}
+
+		this.releaseSync(blobnames);
+	}
+
+	/**
+	 * Get the absolute Path of the Blob holding data
+	 * @param {Buffer} data 
+	 * @returns {string}
+	 * @private
+	 */
+	#blobnameOf(data) {
+		const hash = crypto.createHash('sha256').update(data).digest('hex');
+
+		return path.join(this.#dirname, hash.slice(0, 2), hash);
+	}
+
+	/**
+	 * Create the absolute Path of a new Temp File
+	 * The Process ID and the Hostname are part of the Name, so Temp Files of crashed Processes can be told apart
+	 * @returns {string}
+	 * @private
+	 */
+	#createTempFilename() {
+		return path.join(this.#tempDir, `${process.pid}-${crypto.randomBytes(8).toString('hex')}-${os.hostname()}.tmp`);
+	}
+
+	/**
+	 * Check whether an Entry exists at the absolute Path resolvedPathname
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<boolean>}
+	 * @private
+	 * @async
+	 */
+	async #exists(resolvedPathname) {
+		try {
+			await this.#backend.lstat(resolvedPathname);
+			return true;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return false;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #exists
+	 * @param {string} resolvedPathname 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#existsSync(resolvedPathname) {
+		try {
+			this.#backend.lstatSync(resolvedPathname);
+			return true;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return false;
+
+			throw error;
+		}
+	}
+}
+
+module.exports = BlobStore;
\ No newline at end of file
@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const ReadOnly = require('./ReadOnly');
+const ReadWrite = require('./ReadWrite');
+const CompressionCodec = require('./CompressionCodec');
+const EncryptionCodec = require('./EncryptionCodec');
+const PathError = require('./PathError');
+
+/**
+ * @typedef {Object} Command
+ * @property {string} usage the Arguments of the Command, shown in the Usage Text
+ * @property {number} min minimum Number of Arguments
+ * @property {number} max maximum Number of Arguments
+ * @property {boolean} write whether the Command needs a ReadWrite Instance
+ * @property {(io: ReadOnly | ReadWrite, args: string[], options: Options) => Promise<any>} run resolves to the Result of the Command
+ * @property {(result: any) => string | Buffer} format formats the Result for the Text Output
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {string} [data-dir]
+ * @property {boolean} [read-only]
+ * @property {boolean} [dedupe]
+ * @property {string} [compress]
+ * @property {string[]} [key]
+ * @property {boolean} [json]
+ * @property {boolean} [recursive]
+ * @property {boolean} [symbolic]
+ * @property {boolean} [help]
+ */
+
+/**
+ * @typedef {Object} Streams
+ * @property {NodeJS.ReadableStream} [stdin]
+ * @property {NodeJS.WritableStream} [stdout]
+ * @property {NodeJS.WritableStream} [stderr]
+ */
+
+class CLI {
+	/**
+	 * Exit Code of a successful Command
+	 * @type {number}
+	 */
+	static EXIT_SUCCESS = 0;
+
+	/**
+	 * Exit Code of a Command that failed
+	 * @type {number}
+	 */
+	static EXIT_FAILURE = 1;
+
+	/**
+	 * Exit Code of invalid Arguments
+	 * @type {number}
+	 */
+	static EXIT_USAGE = 2;
+
+	/**
+	 * The Options accepted by every Command, in the Format of util.parseArgs
+	 * @type {Object}
+	 */
+	static #OPTIONS = {
+		'data-dir': { type: 'string', short: 'd' },
+		'read-only': { type: 'boolean' },
+		dedupe: { type: 'boolean' },
+		compress: { type: 'string' },
+		key: { type: 'string', multiple: true },
+		json: { type: 'boolean' },
+		recursive: { type: 'boolean', short: 'r' },
+		symbolic: { type: 'boolean', short: 's' },
+		help: { type: 'boolean', short: 'h' }
+	};
+
+	/**
+	 * The Commands by their Name
+	 * @type {Object<string, Command>}
+	 */
+	static #COMMANDS = {
+		ls: {
+			usage: '[dirname]', min: 0, max: 1, write: false,
+			run: async (io, [dirname = '.']) => (await io.readDir(dirname))
+				.map(dirent => ({ name: dirent.name, type: CLI.#typeOf(dirent) }))
+				.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0),
+			format: entries => entries.map(({ name, type }) => type === 'directory' ? `${name}/\n` : `${name}\n`).join('')
+		},
+		cat: {
+			usage: '<filename>', min: 1, max: 1, write: false,
+			run: async (io, [filename]) => await io.readFile(filename),
+			format: data => data
+		},
+		stat: {
+			usage: '<pathname>', min: 1, max: 1, write: false,
+			run: async (io, [pathname]) => CLI.#describe(pathname, await io.info(pathname)),
+			format: stats => Object.entries(stats).map(([key, value]) => `${key}: ${key === 'mode' ? value.toString(8).padStart(4, '0') : value}\n`).join('')
+		},
+		realpath: {
+			usage: '<pathname>', min: 1, max: 1, write: false,
+			run: async (io, [pathname]) => path.relative(io.realDataDir, await io.resolvePath(pathname)).split(path.sep).join('/') || '.',
+			format: pathname => `${pathname}\n`
+		},
+		put: {
+			usage: '<filename> [source]', min: 1, max: 2, write: true,
+			run: async (io, [filename, source], options, streams) => {
+				const data = source === undefined ? await CLI.#readAll(streams.stdin) : await fs.promises.readFile(source);
+
+				await io.writeFile(filename, data);
+
+				return { pathname: filename, size: data.length };
+			},
+			format: () => ''
+		},
+		mkdir: {
+			usage: '<dirname>', min: 1, max: 1, write: true,
+			run: async (io, [dirname]) => await io.createDir(dirname),
+			format: () => ''
+		},
+		ln: {
+			usage: '[-s] <target> <linkname>', min: 2, max: 2, write: true,
+			run: async (io, [target, linkname], options) => options.symbolic ? await io.createSymLink(target, linkname) : await io.createHardLink(target, linkname),
+			format: () => ''
+		},
+		mv: {
+			usage: '<source> <destination>', min: 2, max: 2, write: true,
+			run: async (io, [source, destination]) => await io.rename(source, destination),
+			format: () => ''
+		},
+		cp: {
+			usage: '[-r] <source> <destination>', min: 2, max: 2, write: true,
+			run: async (io, [source, destination], options) => options.recursive ? await io.copyTree(source, destination) : await io.copyFile(source, destination),
+			format: () => ''
+		},
+		rm: {
+			usage: '[-r] <pathname>', min: 1, max: 1, write: true,
+			run: async (io, [pathname], options) => {
+				// Like DELETE of IO.Server, the Data Directory itself is never deleted, so a mistyped Path cannot wipe it
+				if (path.resolve(io.dataDir, pathname) === io.dataDir)
+					throw new PathError('Expected pathname not to be the Data Directory', pathname);
+
+				return options.recursive ? await io.deleteTree(pathname) : await io.delete(pathname);
+			},
+			format: () => ''
+		}
+	};
+
+	/**
+	 * Get the Usage Text
+	 * @returns {string}
+	 * @public
+	 */
+	static get usage() {
+		const commands = Object.entries(CLI.#COMMANDS).map(([name, { usage, write }]) => `  ${`${name} ${usage}`.padEnd(30)}${write ? '' : ' (read-only)'}\n`);
+
+		return 'Usage: fs-io --data-dir <dir> [--read-only] [--dedupe] [--compress <algorithm>] [--key <id>=<file>] [--json] <command> [arguments]\n\n'
+			+ `Commands:\n${commands.join('')}\n`
+			+ 'Options:\n'
+			+ '  -d, --data-dir <dir>  the Data Directory, every Path is relative to it and has to stay inside of it\n'
+			+ '      --read-only       open the Data Directory read-only, only read-only Commands are available\n'
+			+ '      --dedupe          write Files into the Blob Store of a deduplicated Data Directory (the dedupe Option)\n'
+			+ '      --compress <alg>  compress and decompress Files with gzip, deflate or brotli\n'
+			+ '      --key <id>=<file> encrypt and decrypt Files with the 32 Byte Key in file (raw or hex), can be repeated, the last Key encrypts\n'
+			+ '      --json            print the Result or the Error as JSON ({"ok": true, "result": ...} or {"ok": false, "error": ...})\n'
+			+ '  -r, --recursive       cp and rm whole Directory Trees\n'
+			+ '  -s, --symbolic        ln creates a Symbolic Link instead of a Hard Link\n'
+			+ '  -h, --help            print this Text\n';
+	}
+
+	/**
+	 * Run the Command given by the Command Line Arguments argv (without the node Executable and the Script)
+	 * The Result is written to streams.stdout, Errors to streams.stderr (or as JSON to streams.stdout with --json)
+	 * put reads the Content from streams.stdin if no source File is given
+	 * Resolves to the Exit Code: EXIT_SUCCESS, EXIT_FAILURE if the Command failed, or EXIT_USAGE for invalid Arguments
+	 * @param {string[]} argv 
+	 * @param {Streams} [streams]
+	 * @returns {Promise<number>}
+	 * @public
+	 * @async
+	 */
+	static async run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+		const streams = { stdin, stdout, stderr };
+		let options;
+		let positionals;
+
+		try {
+			({ values: options, positionals } = parseArgs({ args: argv, options: CLI.#OPTIONS, allowPositionals: true }));
+		}
+		catch (error) {
+			return await CLI.#fail(streams, argv.includes('--json'), error, CLI.EXIT_USAGE);
+		}
+
+		if (options.help) {
+			await CLI.#write(stdout, CLI.usage);
+			return CLI.EXIT_SUCCESS;
+		}
+
+		const [name, ...args] = positionals;
+		const command = Object.hasOwn(CLI.#COMMANDS, name ?? '') ? CLI.#COMMANDS[name] : null;
+
+		try {
+			if (command === null)
+				throw new TypeError(name === undefined ? 'Expected a Command' : `Expected a known Command (got "${name}")`);
+
+			if (typeof options['data-dir'] !== 'string')
+				throw new TypeError('Expected --data-dir to be set');
+
+			if (args.length < command.min || args.length > command.max)
+				throw new TypeError(`Expected the Arguments ${command.usage} for ${name}`);
+
+			if (command.write && options['read-only'])
+				throw new TypeError(`Expected a writable Data Directory for ${name}, but --read-only is set`);
+
+			if (options.compress !== undefined && !['gzip', 'deflate', 'brotli'].includes(options.compress))
+				throw new TypeError(`Expected --compress to be gzip, deflate or brotli (got "${options.compress}")`);
+
+			if (options.key !== undefined && !options.key.every(key => /^[^=]+=.+$/.test(key)))
+				throw new TypeError('Expected --key to be <id>=<file>');
+		}
+		catch (error) {
+			return await CLI.#fail(streams, options.json, error, CLI.EXIT_USAGE);
+		}
+
+		try {
+			const ioOptions = await CLI.#ioOptions(options);
+			const io = options['read-only'] ? new ReadOnly(options['data-dir'], null, ioOptions) : new ReadWrite(options['data-dir'], null, ioOptions);
+			const result = await command.run(io, args, options, streams);
+
+			if (options.json)
+				await CLI.#write(stdout, `${JSON.stringify({ ok: true, result: CLI.#toJSON(result) })}\n`);
+			else
+				await CLI.#write(stdout, command.format(result));
+
+			return CLI.EXIT_SUCCESS;
+		}
+		catch (error) {
+			return await CLI.#fail(streams, options.json, error, CLI.EXIT_FAILURE);
+		}
+	}
+
+	/**
+	 * Get the Options of the IO Instance from the Command Line Options
+	 * The Codecs are applied in the Order Compression, then Encryption, as encrypted Data does not compress
+	 * Rejects with a TypeError if a Key File does not hold a 32 Byte Key
+	 * Rejects with an Error if a Key File cannot be read
+	 * @param {Options} options 
+	 * @returns {Promise<{dedupe: boolean, codecs: import('./Codec')[]}>}
+	 * @private
+	 * @async
+	 */
+	static async #ioOptions(options) {
+		const codecs = [];
+
+		if (options.compress !== undefined)
+			codecs.push(new CompressionCodec(options.compress));
+
+		if (options.key !== undefined) {
+			const keys = {};
+
+			for (const key of options.key) {
+				const [, keyId, filename] = /^([^=]+)=(.+)$/.exec(key);
+				const data = await fs.promises.readFile(filename);
+				const hex = data.toString('latin1').trim();
+
+				keys[keyId] = /^[0-9a-fA-F]{64}$/.test(hex) ? Buffer.from(hex, 'hex') : data;
+			}
+
+			codecs.push(new EncryptionCodec(keys));
+		}
+
+		return { dedupe: options.dedupe ?? false, codecs };
+	}
+
+	/**
+	 * Report error and resolve to exitCode
+	 * @param {Streams} streams 
+	 * @param {boolean} json 
+	 * @param {Error} error 
+	 * @param {number} exitCode 
+	 * @returns {Promise<number>}
+	 * @private
+	 * @async
+	 */
+	static async #fail(streams, json, error, exitCode) {
+		if (json)
+			await CLI.#write(streams.stdout, `${JSON.stringify({ ok: false, error: { name: error.name, code: error.code ?? null, message: error.message } })}\n`);
+		else
+			await CLI.#write(streams.stderr, `fs-io: ${error.message}\n${exitCode === CLI.EXIT_USAGE ? 'See fs-io --help\n' : ''}`);
+
+		return exitCode;
+	}
+
+	/**
+	 * Write data to writable and wait until it is flushed
+	 * @param {NodeJS.WritableStream} writable 
+	 * @param {string | Buffer} data 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #write(writable, data) {
+		if (data.length === 0)
+			return;
+
+		await new Promise((resolve, reject) => writable.write(data, error => error ? reject(error) : resolve()));
+	}
+
+	/**
+	 * Read readable until it ends
+	 * @param {NodeJS.ReadableStream} readable 
+	 * @returns {Promise<Buffer>}
+	 * @private
+	 * @async
+	 */
+	static async #readAll(readable) {
+		const chunks = [];
+
+		for await (const chunk of readable)
+			chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+
+		return Buffer.concat(chunks);
+	}
+
+	/**
+	 * Convert the Result of a Command into a Value for JSON.stringify
+	 * Buffers are converted into their Base64 Encoding
+	 * @param {any} result 
+	 * @returns {any}
+	 * @private
+	 */
+	static #toJSON(result) {
+		if (Buffer.isBuffer(result))
+			return { encoding: 'base64', data: result.toString('base64') };
+
+		return result ?? null;
+	}
+
+	/**
+	 * Get the Type of the Entry described by dirent or stats
+	 * @param {fs.Dirent | fs.Stats} entry 
+	 * @returns {'file' | 'directory' | 'symlink' | 'other'}
+	 * @private
+	 */
+	static #typeOf(entry) {
+		if (entry.isFile())
+			return 'file';
+
+		if (entry.isDirectory())
+			return 'directory';
+
+		if (entry.isSymbolicLink())
+			return 'symlink';
+
+		return 'other';
+	}
+
+	/**
+	 * Describe the Entry at pathname with its fs.Stats
+	 * @param {string} pathname 
+	 * @param {fs.Stats} stats 
+	 * @returns {{pathname: string, type: string, size: number, mode: number, nlink: number, mtime: string, ctime: string, atime: string}}
+	 * @private
+	 */
+	static #describe(pathname, stats) {
+		return {
+			pathname,
+			type: CLI.#typeOf(stats),
+			size: stats.size,
+			mode: stats.mode & 0o7777,
+			nlink: stats.nlink,
+			mtime: stats.mtime.toISOString(),
+			ctime: stats.ctime.toISOString(),
+			atime: stats.atime.toISOString()
+		};
+	}
+}
+
+module.exports = CLI;
\ No newline at end of file
@@ -0,0 +1,133 @@
+class Codec {
+	/**
+	 * Marks the Start of an encoded File: a NUL Byte, 'FSIO' and the Version of the Header
+	 * @type {Buffer}
+	 */
+	static #MAGIC = Buffer.from([0x00, 0x46, 0x53, 0x49, 0x4f, 0x01]);
+
+	/**
+	 * Base Class of all Codecs
+	 * A Codec transforms the Content of a File when it is written (encode) and restores it when it is read (decode), e.g. to compress or encrypt it.
+	 * Codecs are identified by their Name, which is recorded in the Header of every encoded File, so it can be decoded again later.
+	 * Every Method that is not overridden throws an Error.
+	 * @public
+	 */
+	constructor() {
+		if (new.target === Codec)
+			throw new TypeError('Expected Codec to be extended instead of instantiated directly');
+	}
+
+	/**
+	 * Get the Name recorded in the Header of the Files encoded by this Codec
+	 * The Name has to consist of 1 to 255 printable ASCII Characters
+	 * @returns {string}
+	 * @public
+	 */
+	get name() {
+		throw Codec.#notImplemented('name');
+	}
+
+	/**
+	 * Encode data
+	 * @param {Buffer} data
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 */
+	async encode(data) {
+		throw Codec.#notImplemented('encode');
+	}
+
+	/**
+	 * Decode data that was encoded by a Codec with the same Name
+	 * Rejects with an Error if data is corrupted or cannot be decoded
+	 * @param {Buffer} data
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 */
+	async decode(data) {
+		throw Codec.#notImplemented('decode');
+	}
+
+	/**
+	 * Synchronous Version of encode
+	 * @param {Buffer} data
+	 * @returns {Buffer}
+	 * @public
+	 */
+	encodeSync(data) {
+		throw Codec.#notImplemented('encodeSync');
+	}
+
+	/**
+	 * Synchronous Version of decode
+	 * @param {Buffer} data
+	 * @returns {Buffer}
+	 * @public
+	 */
+	decodeSync(data) {
+		throw Codec.#notImplemented('decodeSync');
+	}
+
+	/**
+	 * Prepend the Header that records the Names of the Codecs that encoded payload, in the Order they were applied
+	 * @param {string[]} names
+	 * @param {Buffer} payload
+	 * @returns {Buffer}
+	 * @throws {TypeError} if a Name is not 1 to 255 printable ASCII Characters
+	 * @public
+	 */
+	static writeHeader(names, payload) {
+		const parts = [Codec.#MAGIC, Buffer.from([names.length])];
+
+		for (const name of names) {
+			if (typeof name !== 'string' || !/^[\x21-\x7e]{1,255}$/.test(name))
+				throw new TypeError('Expected the Name of a Codec to be 1 to 255 printable ASCII Characters');
+
+			parts.push(Buffer.from([name.length]), Buffer.from(name, 'ascii'));
+		}
+
+		parts.push(payload);
+
+		return Buffer.concat(parts);
+	}
+
+	/**
+	 * Split data into the Names of the Codecs recorded in its Header and the encoded Payload
+	 * Returns null if data does not start with a Header, i.e. it was not encoded
+	 * @param {Buffer} data
+	 * @returns {{names: string[], payload: Buffer} | null}
+	 * @throws {Error} if the Header is truncated
+	 * @public
+	 */
+	static readHeader(data) {
+		if (data.length <= Codec.#MAGIC.length || !data.subarray(0, Codec.#MAGIC.length).equals(Codec.#MAGIC))
+			return null;
+
+		const names = [];
+		let offset = Codec.#MAGIC.length + 1;
+
+		for (let i = 0; i < data[Codec.#MAGIC.length]; i++) {
+			if (offset >= data.length || offset + 1 + data[offset] > data.length)
+				throw new Error('Expected the Codec Header to be complete');
+
+			names.push(data.toString('ascii', offset + 1, offset + 1 + data[offset]));
+			offset += 1 + data[offset];
+		}
+
+		return { names, payload: data.subarray(offset) };
+	}
+
+	/**
+	 * Create the Error thrown by Methods that are not implemented
+	 * @param {string} method
+	 * @returns {Error}
+	 * @private
+	 */
+	static #notImplemented(method) {
+		return new Error(`Expected the Codec to implement ${method}`);
+	}
+}
+
+module.exports = Codec;
\ No newline at end of file
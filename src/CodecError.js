@@ -0,0 +1,35 @@
+class CodecError extends Error {
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * Create a new CodecError Instance
+	 * Thrown if an encoded File cannot be decoded (e.g. its Codec is not configured, the Key is unknown or the Data is corrupted),
+	 * or if an Operation cannot be applied to a File whose Content is encoded
+	 * The code Property is 'ECODEC', so it can be handled like File System Errors
+	 * @param {string} message 
+	 * @param {string} pathname the Path of the File
+	 * @param {{cause?: Error}} [options]
+	 * @public
+	 */
+	constructor(message, pathname, options = {}) {
+		super(`${message} (got ${JSON.stringify(pathname)})`, options);
+
+		this.name = 'CodecError';
+		this.code = 'ECODEC';
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Get the Path of the File
+	 * @returns {string}
+	 * @public
+	 */
+	get pathname() {
+		return this.#pathname;
+	}
+}
+
+module.exports = CodecError;
\ No newline at end of file
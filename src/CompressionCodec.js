@@ -0,0 +1,136 @@
+const zlib = require('zlib');
+const util = require('util');
+
+const Codec = require('./Codec');
+
+class CompressionCodec extends Codec {
+	/**
+	 * The zlib Functions of every supported Algorithm
+	 * @type {Record<string, {compress: Function, decompress: Function, compressSync: Function, decompressSync: Function}>}
+	 */
+	static #ALGORITHMS = {
+		gzip: {
+			compress: util.promisify(zlib.gzip),
+			decompress: util.promisify(zlib.gunzip),
+			compressSync: zlib.gzipSync,
+			decompressSync: zlib.gunzipSync
+		},
+		deflate: {
+			compress: util.promisify(zlib.deflate),
+			decompress: util.promisify(zlib.inflate),
+			compressSync: zlib.deflateSync,
+			decompressSync: zlib.inflateSync
+		},
+		brotli: {
+			compress: util.promisify(zlib.brotliCompress),
+			decompress: util.promisify(zlib.brotliDecompress),
+			compressSync: zlib.brotliCompressSync,
+			decompressSync: zlib.brotliDecompressSync
+		}
+	};
+
+	/**
+	 * @type {'gzip' | 'deflate' | 'brotli'}
+	 */
+	#algorithm;
+
+	/**
+	 * @type {zlib.ZlibOptions | zlib.BrotliOptions}
+	 */
+	#options;
+
+	/**
+	 * Create a new CompressionCodec Instance
+	 * Compresses Files with gzip, deflate or brotli from Node's zlib Module. The Name of the Codec is the Name of the Algorithm.
+	 * options.level selects the Compression Level (0 to 9 for gzip and deflate, 0 to 11 for brotli), the Default of zlib is used otherwise
+	 * @param {'gzip' | 'deflate' | 'brotli'} [algorithm]
+	 * @param {{level?: number}} [options]
+	 * @throws {TypeError} if algorithm is not 'gzip', 'deflate' or 'brotli'
+	 * @throws {TypeError} if options.level is not an Integer in the Range of the Algorithm
+	 * @public
+	 */
+	constructor(algorithm = 'gzip', { level } = {}) {
+		super();
+
+		if (!Object.hasOwn(CompressionCodec.#ALGORITHMS, algorithm))
+			throw new TypeError('Expected algorithm to be \'gzip\', \'deflate\' or \'brotli\'');
+
+		const maxLevel = algorithm === 'brotli' ? 11 : 9;
+
+		if (level !== undefined && (!Number.isSafeInteger(level) || level < 0 || level > maxLevel))
+			throw new TypeError(`Expected options.level to be an Integer between 0 and ${maxLevel}`);
+
+		this.#algorithm = algorithm;
+
+		if (level === undefined)
+			this.#options = {};
+		else if (algorithm === 'brotli')
+			this.#options = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } };
+		else
+			this.#options = { level };
+	}
+
+	/**
+	 * @returns {string}
+	 * @public
+	 * @override
+	 */
+	get name() {
+		return this.#algorithm;
+	}
+
+	/**
+	 * @param {Buffer} data
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async encode(data) {
+		return await CompressionCodec.#ALGORITHMS[this.#algorithm].compress(data, this.#options);
+	}
+
+	/**
+	 * @param {Buffer} data
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async decode(data) {
+		return await CompressionCodec.#ALGORITHMS[this.#algorithm].decompress(data);
+	}
+
+	/**
+	 * @param {Buffer} data
+	 * @returns {Buffer}
+	 * @public
+	 * @override
+	 */
+	encodeSync(data) {
+		return CompressionCodec.#ALGORITHMS[this.#algorithm].compressSync(data, this.#options);
+	}
+
+	/**
+	 * @param {Buffer} data
+	 * @returns {Buffer}
+	 * @public
+	 * @override
+	 */
+	decodeSync(data) {
+		return CompressionCodec.#ALGORITHMS[this.#algorithm].decompressSync(data);
+	}
+
+	/**
+	 * Check whether name is the Name of a supported Algorithm
+	 * Files compressed by a CompressionCodec can be decoded without configuring it, as the Algorithm is all that is needed
+	 * @param {string} name
+	 * @returns {boolean}
+	 * @public
+	 */
+	static isAlgorithm(name) {
+		return Object.hasOwn(CompressionCodec.#ALGORITHMS, name);
+	}
+}
+
+module.exports = CompressionCodec;
\ No newline at end of file
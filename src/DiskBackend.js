@@ -0,0 +1,734 @@
+const fs = require('fs');
+
+const Backend = require('./Backend');
+
+class DiskBackend extends Backend {
+	/**
+	 * Create a new DiskBackend Instance
+	 * Stores everything on the local File System through Node's fs Module
+	 * This is the default Backend of IO
+	 * @public
+	 */
+	constructor() {
+		super();
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<{data: Buffer, stats: fs.Stats}>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readFile(pathname) {
+		const handle = await fs.promises.open(pathname, 'r');
+
+		try {
+			const stats = await handle.stat();
+			const data = await handle.readFile();
+
+			return { data, stats };
+		}
+		finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readRange(pathname, offset, length) {
+		const handle = await fs.promises.open(pathname, 'r');
+
+		try {
+			const buffer = Buffer.alloc(length);
+			const { bytesRead } = await handle.read(buffer, 0, length, offset);
+
+			return buffer.subarray(0, bytesRead);
+		}
+		finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean, exclusive?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async writeFile(pathname, data, { fsync = false, exclusive = false } = {}) {
+		const handle = await fs.promises.open(pathname, exclusive ? 'wx' : 'w');
+
+		try {
+			await handle.writeFile(data);
+
+			if (fsync)
+				await handle.sync();
+
+			return await handle.stat();
+		}
+		finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async appendFile(pathname, data, { fsync = false } = {}) {
+		const handle = await fs.promises.open(pathname, 'a');
+
+		try {
+			await handle.writeFile(data);
+
+			if (fsync)
+				await handle.sync();
+
+			return await handle.stat();
+		}
+		finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async writeAt(pathname, offset, data, { fsync = false } = {}) {
+		const handle = await fs.promises.open(pathname, fs.constants.O_WRONLY | fs.constants.O_CREAT);
+
+		try {
+			let written = 0;
+
+			while (written < data.length)
+				written += (await handle.write(data, written, data.length - written, offset + written)).bytesWritten;
+
+			if (fsync)
+				await handle.sync();
+
+			return await handle.stat();
+		}
+		finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} length
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async truncate(pathname, length, { fsync = false } = {}) {
+		const handle = await fs.promises.open(pathname, 'r+');
+
+		try {
+			await handle.truncate(length);
+
+			if (fsync)
+				await handle.sync();
+
+			return await handle.stat();
+		}
+		finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async stat(pathname) {
+		return await fs.promises.stat(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<fs.Stats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async lstat(pathname) {
+		return await fs.promises.lstat(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<fs.Dirent[]>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readdir(pathname) {
+		return await fs.promises.readdir(pathname, { withFileTypes: true });
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async mkdir(pathname, { recursive = false } = {}) {
+		await fs.promises.mkdir(pathname, { recursive });
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async rmdir(pathname) {
+		await fs.promises.rmdir(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async unlink(pathname) {
+		await fs.promises.unlink(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean, force?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async rm(pathname, { recursive = false, force = false } = {}) {
+		await fs.promises.rm(pathname, { recursive, force });
+	}
+
+	/**
+	 * @param {string} oldPathname
+	 * @param {string} newPathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async rename(oldPathname, newPathname) {
+		await fs.promises.rename(oldPathname, newPathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @param {number} [mode]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async copyFile(sourcePathname, destinationPathname, mode = 0) {
+		await fs.promises.copyFile(sourcePathname, destinationPathname, mode);
+	}
+
+	/**
+	 * @param {string} target
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async symlink(target, pathname) {
+		await fs.promises.symlink(target, pathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async link(sourcePathname, destinationPathname) {
+		await fs.promises.link(sourcePathname, destinationPathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readlink(pathname) {
+		return await fs.promises.readlink(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async realpath(pathname) {
+		return await fs.promises.realpath(pathname);
+	}
+
+	/**
+	 * Platforms that cannot open Directories (e.g. Windows) are silently skipped
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async fsyncDir(pathname) {
+		let handle;
+
+		try {
+			handle = await fs.promises.open(pathname, 'r');
+		}
+		catch (error) {
+			if (['EISDIR', 'EPERM', 'EACCES'].includes(error.code))
+				return;
+
+			throw error;
+		}
+
+		try {
+			await handle.sync();
+		}
+		finally {
+			await handle.close();
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} mode
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async chmod(pathname, mode) {
+		await fs.promises.chmod(pathname, mode);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Date} atime
+	 * @param {Date} mtime
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async utimes(pathname, atime, mtime) {
+		await fs.promises.utimes(pathname, atime, mtime);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {{data: Buffer, stats: fs.Stats}}
+	 * @public
+	 * @override
+	 */
+	readFileSync(pathname) {
+		const fd = fs.openSync(pathname, 'r');
+
+		try {
+			const stats = fs.fstatSync(fd);
+			const data = fs.readFileSync(fd);
+
+			return { data, stats };
+		}
+		finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Buffer}
+	 * @public
+	 * @override
+	 */
+	readRangeSync(pathname, offset, length) {
+		const fd = fs.openSync(pathname, 'r');
+
+		try {
+			const buffer = Buffer.alloc(length);
+			const bytesRead = fs.readSync(fd, buffer, 0, length, offset);
+
+			return buffer.subarray(0, bytesRead);
+		}
+		finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean, exclusive?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 * @override
+	 */
+	writeFileSync(pathname, data, { fsync = false, exclusive = false } = {}) {
+		const fd = fs.openSync(pathname, exclusive ? 'wx' : 'w');
+
+		try {
+			fs.writeFileSync(fd, data);
+
+			if (fsync)
+				fs.fsyncSync(fd);
+
+			return fs.fstatSync(fd);
+		}
+		finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 * @override
+	 */
+	appendFileSync(pathname, data, { fsync = false } = {}) {
+		const fd = fs.openSync(pathname, 'a');
+
+		try {
+			fs.writeFileSync(fd, data);
+
+			if (fsync)
+				fs.fsyncSync(fd);
+
+			return fs.fstatSync(fd);
+		}
+		finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 * @override
+	 */
+	writeAtSync(pathname, offset, data, { fsync = false } = {}) {
+		const fd = fs.openSync(pathname, fs.constants.O_WRONLY | fs.constants.O_CREAT);
+
+		try {
+			let written = 0;
+
+			while (written < data.length)
+				written += fs.writeSync(fd, data, written, data.length - written, offset + written);
+
+			if (fsync)
+				fs.fsyncSync(fd);
+
+			return fs.fstatSync(fd);
+		}
+		finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} length
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {fs.Stats}
+	 * @public
+	 * @override
+	 */
+	truncateSync(pathname, length, { fsync = false } = {}) {
+		const fd = fs.openSync(pathname, 'r+');
+
+		try {
+			fs.ftruncateSync(fd, length);
+
+			if (fsync)
+				fs.fsyncSync(fd);
+
+			return fs.fstatSync(fd);
+		}
+		finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {fs.Stats}
+	 * @public
+	 * @override
+	 */
+	statSync(pathname) {
+		return fs.statSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {fs.Stats}
+	 * @public
+	 * @override
+	 */
+	lstatSync(pathname) {
+		return fs.lstatSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {fs.Dirent[]}
+	 * @public
+	 * @override
+	 */
+	readdirSync(pathname) {
+		return fs.readdirSync(pathname, { withFileTypes: true });
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean}} [options]
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	mkdirSync(pathname, { recursive = false } = {}) {
+		fs.mkdirSync(pathname, { recursive });
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	rmdirSync(pathname) {
+		fs.rmdirSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	unlinkSync(pathname) {
+		fs.unlinkSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean, force?: boolean}} [options]
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	rmSync(pathname, { recursive = false, force = false } = {}) {
+		fs.rmSync(pathname, { recursive, force });
+	}
+
+	/**
+	 * @param {string} oldPathname
+	 * @param {string} newPathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	renameSync(oldPathname, newPathname) {
+		fs.renameSync(oldPathname, newPathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @param {number} [mode]
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	copyFileSync(sourcePathname, destinationPathname, mode = 0) {
+		fs.copyFileSync(sourcePathname, destinationPathname, mode);
+	}
+
+	/**
+	 * @param {string} target
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	symlinkSync(target, pathname) {
+		fs.symlinkSync(target, pathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	linkSync(sourcePathname, destinationPathname) {
+		fs.linkSync(sourcePathname, destinationPathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {string}
+	 * @public
+	 * @override
+	 */
+	readlinkSync(pathname) {
+		return fs.readlinkSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {string}
+	 * @public
+	 * @override
+	 */
+	realpathSync(pathname) {
+		return fs.realpathSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	fsyncDirSync(pathname) {
+		let fd;
+
+		try {
+			fd = fs.openSync(pathname, 'r');
+		}
+		catch (error) {
+			if (['EISDIR', 'EPERM', 'EACCES'].includes(error.code))
+				return;
+
+			throw error;
+		}
+
+		try {
+			fs.fsyncSync(fd);
+		}
+		finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} mode
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	chmodSync(pathname, mode) {
+		fs.chmodSync(pathname, mode);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Date} atime
+	 * @param {Date} mtime
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	utimesSync(pathname, atime, mtime) {
+		fs.utimesSync(pathname, atime, mtime);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{start?: number, end?: number}} [options]
+	 * @returns {fs.ReadStream}
+	 * @public
+	 * @override
+	 */
+	createReadStream(pathname, { start = 0, end = Infinity } = {}) {
+		return fs.createReadStream(pathname, { start, end });
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{flags?: string}} [options]
+	 * @returns {fs.WriteStream}
+	 * @public
+	 * @override
+	 */
+	createWriteStream(pathname, { flags = 'w' } = {}) {
+		return fs.createWriteStream(pathname, { flags });
+	}
+
+	/**
+	 * The Watcher does not keep the Process alive
+	 * @param {string} pathname
+	 * @param {(eventType: string, filename: string | null) => void} listener
+	 * @returns {fs.FSWatcher}
+	 * @public
+	 * @override
+	 */
+	watch(pathname, listener) {
+		return fs.watch(pathname, { recursive: true, persistent: false }, (eventType, filename) => {
+			listener(eventType, filename === null ? null : filename.toString());
+		});
+	}
+}
+
+module.exports = DiskBackend;
\ No newline at end of file
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+const Codec = require('./Codec');
+
+class EncryptionCodec extends Codec {
+	/**
+	 * @type {number}
+	 */
+	static #IV_LENGTH = 12;
+
+	/**
+	 * @type {number}
+	 */
+	static #TAG_LENGTH = 16;
+
+	/**
+	 * The Keys by their ID
+	 * @type {Map<string, Buffer>}
+	 */
+	#keys = new Map();
+
+	/**
+	 * @type {string}
+	 */
+	#current;
+
+	/**
+	 * Create a new EncryptionCodec Instance
+	 * Encrypts and authenticates Files with AES-256-GCM from Node's crypto Module. The Name of the Codec is 'aes-256-gcm'.
+	 * keys maps Key IDs (1 to 255 printable ASCII Characters) to 32 Byte Keys. New Data is encrypted with the Key options.current (defaults to the last Key),
+	 * the ID of the Key is stored with the encrypted Data, so Files encrypted with older Keys can still be decrypted while they are in keys.
+	 * @param {Record<string, Buffer>} keys
+	 * @param {{current?: string}} [options]
+	 * @throws {TypeError} if keys is not an Object with at least one Key
+	 * @throws {TypeError} if a Key ID is not 1 to 255 printable ASCII Characters or a Key is not a Buffer of 32 Bytes
+	 * @throws {TypeError} if options.current is not the ID of a Key in keys
+	 * @public
+	 */
+	constructor(keys, { current } = {}) {
+		super();
+
+		if (typeof keys !== 'object' || keys === null || Object.keys(keys).length === 0)
+			throw new TypeError('Expected keys to be an Object with at least one Key');
+
+		for (const [keyId, key] of Object.entries(keys))
+			this.#addKey(keyId, key);
+
+		current ??= [...this.#keys.keys()].pop();
+
+		if (!this.#keys.has(current))
+			throw new TypeError('Expected options.current to be the ID of a Key');
+
+		this.#current = current;
+	}
+
+	/**
+	 * @returns {string}
+	 * @public
+	 * @override
+	 */
+	get name() {
+		return 'aes-256-gcm';
+	}
+
+	/**
+	 * Get the ID of the Key new Data is encrypted with
+	 * @returns {string}
+	 * @public
+	 */
+	get current() {
+		return this.#current;
+	}
+
+	/**
+	 * Add key with the ID keyId and encrypt new Data with it
+	 * Files encrypted with the previous Keys stay readable, they are encrypted with key the next Time they are written
+	 * @param {string} keyId
+	 * @param {Buffer} key
+	 * @returns {void}
+	 * @throws {TypeError} if keyId is not 1 to 255 printable ASCII Characters or key is not a Buffer of 32 Bytes
+	 * @throws {Error} if another Key with the ID keyId exists
+	 * @public
+	 */
+	rotate(keyId, key) {
+		if (this.#keys.has(keyId) && !this.#keys.get(keyId).equals(key))
+			throw new Error(`Expected no other Key with the ID ${JSON.stringify(keyId)} to exist`);
+
+		this.#addKey(keyId, key);
+		this.#current = keyId;
+	}
+
+	/**
+	 * @param {Buffer} data
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async encode(data) {
+		return this.encodeSync(data);
+	}
+
+	/**
+	 * @param {Buffer} data
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async decode(data) {
+		return this.decodeSync(data);
+	}
+
+	/**
+	 * The encrypted Data consists of the Length and the ID of the Key, the IV, the Authentication Tag and the Ciphertext
+	 * The Key ID is authenticated as well
+	 * @param {Buffer} data
+	 * @returns {Buffer}
+	 * @public
+	 * @override
+	 */
+	encodeSync(data) {
+		const keyId = Buffer.from(this.#current, 'ascii');
+		const iv = crypto.randomBytes(EncryptionCodec.#IV_LENGTH);
+		const cipher = crypto.createCipheriv('aes-256-gcm', this.#keys.get(this.#current), iv, { authTagLength: EncryptionCodec.#TAG_LENGTH });
+
+		cipher.setAAD(keyId);
+
+		const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+		return Buffer.concat([Buffer.from([keyId.length]), keyId, iv, cipher.getAuthTag(), ciphertext]);
+	}
+
+	/**
+	 * @param {Buffer} data
+	 * @returns {Buffer}
+	 * @throws {Error} if the Key is unknown, data is truncated or its Authentication fails
+	 * @public
+	 * @override
+	 */
+	decodeSync(data) {
+		const headerLength = data.length > 0 ? 1 + data[0] + EncryptionCodec.#IV_LENGTH + EncryptionCodec.#TAG_LENGTH : 1;
+
+		if (data.length < headerLength)
+			throw new Error('Expected the encrypted Data to be complete');
+
+		const keyId = data.subarray(1, 1 + data[0]);
+		const key = this.#keys.get(keyId.toString('ascii'));
+
+		if (key === undefined)
+			throw new Error(`Expected the Key ${JSON.stringify(keyId.toString('ascii'))} to be configured`);
+
+		const ivStart = 1 + keyId.length;
+		const tagStart = ivStart + EncryptionCodec.#IV_LENGTH;
+		const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(ivStart, tagStart), { authTagLength: EncryptionCodec.#TAG_LENGTH });
+
+		decipher.setAAD(keyId);
+		decipher.setAuthTag(data.subarray(tagStart, headerLength));
+
+		return Buffer.concat([decipher.update(data.subarray(headerLength)), decipher.final()]);
+	}
+
+	/**
+	 * Validate and store key under keyId
+	 * @param {string} keyId
+	 * @param {Buffer} key
+	 * @returns {void}
+	 * @private
+	 */
+	#addKey(keyId, key) {
+		if (typeof keyId !== 'string' || !/^[\x21-\x7e]{1,255}$/.test(keyId))
+			throw new TypeError('Expected the Key ID to be 1 to 255 printable ASCII Characters');
+
+		if (!(key instanceof Buffer) || key.length !== 32)
+			throw new TypeError('Expected the Key to be a Buffer of 32 Bytes');
+
+		this.#keys.set(keyId, Buffer.from(key));
+	}
+}
+
+module.exports = EncryptionCodec;
\ No newline at end of file
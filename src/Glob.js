@@ -0,0 +1,200 @@
+class Glob {
+	/**
+	 * @type {string}
+	 */
+	#pattern;
+
+	/**
+	 * @type {boolean}
+	 */
+	#negated;
+
+	/**
+	 * @type {RegExp}
+	 */
+	#regExp;
+
+	/**
+	 * Create a new Glob Instance
+	 * Supported Syntax: ** (any Number of Path Segments), * (any Characters except /), ? (one Character except /),
+	 * [abc], [a-z] and [!abc] (Character Classes), \ (escape the next Character) and a leading ! to negate the whole Pattern
+	 * Patterns are matched against Paths with / as Separator
+	 * @param {string} pattern
+	 * @throws {TypeError} if pattern is not a String
+	 * @public
+	 */
+	constructor(pattern) {
+		if (typeof pattern !== 'string')
+			throw new TypeError('Expected pattern to be a String');
+
+		this.#negated = pattern.startsWith('!');
+		this.#pattern = Glob.#normalize(this.#negated ? pattern.slice(1) : pattern);
+		this.#regExp = new RegExp(`^${Glob.#compile(this.#pattern)}$`);
+	}
+
+	/**
+	 * Get the Pattern without the leading !
+	 * @returns {string}
+	 * @public
+	 */
+	get pattern() {
+		return this.#pattern;
+	}
+
+	/**
+	 * Check whether the Pattern is negated
+	 * @returns {boolean}
+	 * @public
+	 */
+	get negated() {
+		return this.#negated;
+	}
+
+	/**
+	 * Get the leading Path Segments of the Pattern that contain no special Characters
+	 * A Directory Walk for this Pattern can start there
+	 * @returns {string}
+	 * @public
+	 */
+	get base() {
+		const segments = this.#pattern.split('/');
+		const base = [];
+
+		for (const segment of segments.slice(0, -1)) {
+			if (/[*?[\\]/.test(segment))
+				break;
+
+			base.push(segment);
+		}
+
+		return base.join('/');
+	}
+
+	/**
+	 * Check whether pathname matches the Pattern (ignoring the Negation)
+	 * @param {string} pathname
+	 * @returns {boolean}
+	 * @public
+	 */
+	matches(pathname) {
+		return this.#regExp.test(pathname);
+	}
+
+	/**
+	 * Check whether pathname is selected by a List of Patterns
+	 * pathname is selected if it matches any non-negated Pattern and no negated Pattern.
+	 * If the List only contains negated Patterns, every pathname not matching them is selected.
+	 * @param {Glob[]} globs
+	 * @param {string} pathname
+	 * @returns {boolean}
+	 * @public
+	 */
+	static test(globs, pathname) {
+		const positive = globs.filter(glob => !glob.negated);
+
+		if (positive.length > 0 && !positive.some(glob => glob.matches(pathname)))
+			return false;
+
+		return !globs.some(glob => glob.negated && glob.matches(pathname));
+	}
+
+	/**
+	 * Normalize a Pattern to / Separators without leading ./ or trailing /
+	 * @param {string} pattern
+	 * @returns {string}
+	 * @private
+	 */
+	static #normalize(pattern) {
+		return pattern.replace(/^(\.\/)+/, '').replace(/\/+/g, '/').replace(/\/$/, '');
+	}
+
+	/**
+	 * Compile a Pattern to the Source of a Regular Expression
+	 * @param {string} pattern
+	 * @returns {string}
+	 * @private
+	 */
+	static #compile(pattern) {
+		const segments = pattern.split('/');
+		let source = '';
+		let needsSeparator = false;
+
+		segments.forEach((segment, index) => {
+			if (segment === '**') {
+				if (index === segments.length - 1)
+					source += needsSeparator ? '(?:/.*)?' : '.*';
+				else
+					source += needsSeparator ? '(?:/.*)?/' : '(?:.*/)?';
+
+				needsSeparator = false;
+				return;
+			}
+
+			if (needsSeparator)
+				source += '/';
+
+			source += Glob.#compileSegment(segment);
+			needsSeparator = true;
+		});
+
+		return source;
+	}
+
+	/**
+	 * Compile a single Path Segment to the Source of a Regular Expression
+	 * @param {string} segment
+	 * @returns {string}
+	 * @private
+	 */
+	static #compileSegment(segment) {
+		let source = '';
+
+		for (let i = 0; i < segment.length; i++) {
+			const char = segment[i];
+
+			if (char === '*') {
+				source += '[^/]*';
+			}
+			else if (char === '?') {
+				source += '[^/]';
+			}
+			else if (char === '\\' && i + 1 < segment.length) {
+				source += Glob.#escape(segment[++i]);
+			}
+			else if (char === '[') {
+				const end = segment.indexOf(']', segment[i + 1] === '!' || segment[i + 1] === '^' ? i + 3 : i + 2);
+
+				if (end === -1) {
+					source += '\\[';
+					continue;
+				}
+
+				let content = segment.slice(i + 1, end);
+				const negated = content.startsWith('!') || content.startsWith('^');
+
+				if (negated)
+					content = content.slice(1);
+
+				source += `[${negated ? '^/' : ''}${content.replace(/[\\\]^]/g, '\\$&')}]`;
+				i = end;
+			}
+			else {
+				source += Glob.#escape(char);
+			}
+		}
+
+		return source;
+	}
+
+	/**
+	 * Escape a Character for the use in a Regular Expression
+	 * @param {string} char
+	 * @returns {string}
+	 * @private
+	 */
+	static #escape(char) {
+		return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+	}
+}
+
+module.exports = Glob;
\ No newline at end of file
@@ -1,33 +1,449 @@
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const Cache = require('@serum-enterprises/cache');
+const Backend = require('./Backend');
+const DiskBackend = require('./DiskBackend');
+const LockTable = require('./LockTable');
+const ParsedCache = require('./ParsedCache');
+const Glob = require('./Glob');
+const Codec = require('./Codec');
+const CompressionCodec = require('./CompressionCodec');
+const CodecError = require('./CodecError');
+const PathError = require('./PathError');
+const VetoError = require('./VetoError');
+const ValidationError = require('./ValidationError');
+const IntegrityError = require('./IntegrityError');
+const Manifest = require('./Manifest');
+const Quotas = require('./Quotas');
+const BlobStore = require('./BlobStore');
+const Metrics = require('./Metrics');
+
+/**
+ * @typedef {Object} IOOptions
+ * @property {'none' | 'stat' | 'watch'} [coherence]
+ * @property {boolean} [noSymlinkEscape]
+ * @property {Backend} [backend]
+ * @property {number} [parsedCacheSize]
+ * @property {Codec | Codec[]} [codecs]
+ * @property {boolean} [cacheEncoded]
+ * @property {number} [versions]
+ * @property {boolean} [trash]
+ * @property {Quota | null} [quota]
+ * @property {string | null} [checksums]
+ * @property {boolean} [dedupe]
+ * @property {boolean} [persistCache]
+ * @property {number} [readAhead]
+ */
+
+/**
+ * @typedef {'write' | 'mkdir' | 'symlink' | 'link' | 'rename' | 'copy' | 'delete'} ChangeType
+ */
+
+/**
+ * @typedef {'append' | 'writeAt' | 'truncate'} PartialWrite
+ */
+
+/**
+ * @typedef {Object} BeforeChangeEvent
+ * @property {ChangeType} type
+ * @property {string} pathname Path of the created, changed or deleted Entry relative to the Data Directory, with / as Separator
+ * @property {string} resolvedPathname absolute Path of the created, changed or deleted Entry
+ * @property {string | null} sourcePathname Path of the Source relative to the Data Directory (for symlink, link, rename and copy), otherwise null
+ * @property {string | null} resolvedSourcePathname absolute Path of the Source, otherwise null
+ * @property {Buffer} [data] the Data of a write, a Hook can replace it with another Buffer
+ * @property {PartialWrite | null} partial how a write changes only a Part of the File, null if it replaces the whole File
+ * @property {number | null} offset the Byte Offset of a writeAt or the new Length of a truncate, otherwise null
+ * @property {boolean} sync whether the synchronous Variant of the Method was called
+ */
+
+/**
+ * @typedef {Object} ChangeEvent
+ * @property {ChangeType} type
+ * @property {string} pathname
+ * @property {string} resolvedPathname
+ * @property {string | null} sourcePathname
+ * @property {string | null} resolvedSourcePathname
+ * @property {PartialWrite | null} partial
+ * @property {number | null} offset
+ * @property {number} bytes Number of Bytes written or copied
+ * @property {number} duration Duration of the Operation in Milliseconds
+ * @property {boolean} sync
+ */
+
+/**
+ * @typedef {Object} Change
+ * @property {ChangeType} type
+ * @property {string} resolvedPathname
+ * @property {string | null} [resolvedSourcePathname]
+ * @property {Buffer} [data]
+ * @property {PartialWrite} [partial]
+ * @property {number} [offset]
+ * @property {number} [size] Size of a write whose Data is streamed instead of passed as data, used to check it against the Quotas
+ * @property {number} [retained] Bytes the Mutation is expected to keep in the internal Directory on behalf of resolvedPathname (Revisions and Trash), counted against the Quotas like Data in the Data Directory
+ */
+
+/**
+ * @typedef {(event: BeforeChangeEvent) => boolean | void | Promise<boolean | void>} BeforeHook
+ */
+
+/**
+ * @typedef {(value: any, pathname: string) => boolean | void} Validator
+ */
+
+/**
+ * @typedef {Object} Usage
+ * @property {number} bytes the Size of all Files in Bytes
+ * @property {number} files the Number of all Entries except Directories
+ */
+
+/**
+ * @typedef {Object} Quota
+ * @property {number | null} [bytes] the Maximum of Usage.bytes, null for no Limit
+ * @property {number | null} [files] the Maximum of Usage.files, null for no Limit
+ */
+
+/**
+ * @typedef {Usage & {quota: Required<Quota>}} UsageInfo
+ */
+
+/**
+ * @typedef {Object} CachePolicy
+ * @property {boolean} [cache] whether the Files are cached at all
+ * @property {number} [maxEntrySize] Files larger than this (in Bytes) are not cached
+ * @property {number} [ttl] Milliseconds after which a cached File is read from the Backend again
+ * @property {boolean} [pinned] keep the Files cached outside of the Cache Budget, so the Cache never evicts them
+ */
+
+/**
+ * @typedef {Object} WarmResult
+ * @property {number} files the Number of Files that were read into the Cache
+ * @property {number} bytes the Size of their cached Content in Bytes
+ */
+
+/**
+ * @typedef {Object} Stats
+ * @property {import('./Metrics').CacheStats & {entries: number, pinned: number, pinnedBytes: number}} cache
+ * @property {Object<string, import('./Metrics').OperationStats>} operations the Stats of every ReadOnly and ReadWrite Method called so far, by its Name
+ */
+
+class IO extends EventEmitter {
+	/**
+	 * Name of the Directory inside the Data Directory that holds internal Data (e.g. Temp Files)
+	 * @type {string}
+	 */
+	static INTERNAL_DIRNAME = '.fs-io';
+
+	/**
+	 * Name Prefix of the Temp Files atomic Writes create next to the File they replace, they are internal like the internal Directory
+	 * @type {string}
+	 */
+	static TEMP_PREFIX = '.fs-io-tmp-';
+
+	/**
+	 * Maximum Number of dangling Symbolic Links followed while resolving a Path
+	 * @type {number}
+	 */
+	static #MAX_SYMLINKS = 40;
+
+	/**
+	 * Option Key used by createScope to pass the Parent Instance to the Constructor
+	 * @type {symbol}
+	 */
+	static #PARENT = Symbol('parent');
+
+	/**
+	 * @type {ChangeType[]}
+	 */
+	static #CHANGE_TYPES = ['write', 'mkdir', 'symlink', 'link', 'rename', 'copy', 'delete'];
+
+	/**
+	 * The instrumented Call that is currently running, so Calls made inside of it are not recorded again (see instrument)
+	 * A Call is active until it returned, settled or its Generator finished
+	 * @type {AsyncLocalStorage<{active: boolean}>}
+	 */
+	static #CALLS = new AsyncLocalStorage();
 
-class IO {
 	/**
 	 * @type {string}
 	 */
 	#dataDir;
 
+	/**
+	 * @type {string}
+	 */
+	#realDataDir;
+
+	/**
+	 * @type {string}
+	 */
+	#internalDir;
+
+	/**
+	 * @type {boolean}
+	 */
+	#noSymlinkEscape;
+
+	/**
+	 * @type {Backend}
+	 */
+	#backend;
+
 	/**
 	 * @type {Cache}
 	 */
 	#cache;
 
+	/**
+	 * The Coherence Mode of a Root Instance, Scopes use the one of their Root Instance
+	 * @type {'none' | 'stat' | 'watch'}
+	 */
+	#coherence;
+
+	/**
+	 * mtime, size and inode of every cached File at the time it was cached, the Key and Size of its cached Content, when it expires and how often it was read from the Cache
+	 * @type {Map<string, {mtimeMs: number, size: number, ino: number, key: string, bytes: number, expires: number, hits: number}>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * Number of cached Files sharing the Content cached under a Content Key (see options.dedupe)
+	 * @type {Map<string, number>}
+	 */
+	#keyRefs = new Map();
+
+	/**
+	 * @type {import('./Backend').Watcher | null}
+	 */
+	#watcher = null;
+
+	/**
+	 * Whether the Watcher is about to be recreated (see #rewatch)
+	 * @type {boolean}
+	 */
+	#rewatchPending = false;
+
+	/**
+	 * The Instance this Instance was scoped from
+	 * @type {IO | null}
+	 */
+	#parent = null;
+
+	/**
+	 * @type {Map<ChangeType, Set<BeforeHook>>}
+	 */
+	#hooks = new Map();
+
+	/**
+	 * Per-Path Mutexes that serialize Mutations, keyed by absolute Path
+	 * @type {LockTable}
+	 */
+	#locks = new LockTable();
+
+	/**
+	 * Reads in Flight whose Result is about to be cached, keyed by absolute Path
+	 * A Mutation of the Path marks them as stale, so they do not cache outdated Data
+	 * @type {Map<string, Set<{stale: boolean}>>}
+	 */
+	#reads = new Map();
+
+	/**
+	 * Parsed Values of cached Files, e.g. for readJSON
+	 * @type {ParsedCache}
+	 */
+	#parsedCache;
+
+	/**
+	 * @type {Set<{globs: Glob[], validator: Validator}>}
+	 */
+	#validators = new Set();
+
+	/**
+	 * The Codecs applied to Files no Codec Rule matches
+	 * @type {Codec[]}
+	 */
+	#codecs;
+
+	/**
+	 * @type {boolean}
+	 */
+	#cacheEncoded;
+
+	/**
+	 * Number of previous Revisions kept per File
+	 * @type {number}
+	 */
+	#versions;
+
+	/**
+	 * Whether ReadWrite.delete moves Entries into the Trash by default
+	 * @type {boolean}
+	 */
+	#trash;
+
+	/**
+	 * The Quotas and the Usage of tracked Directories, shared with Scopes
+	 * @type {Quotas}
+	 */
+	#quotas;
+
+	/**
+	 * The Hash Algorithm of the Checksums recorded for written Files, or null if none are recorded
+	 * @type {string | null}
+	 */
+	#checksums;
+
+	/**
+	 * @type {Manifest}
+	 */
+	#manifest;
+
+	/**
+	 * Whether written Files are stored once per distinct Content in the Blob Store
+	 * @type {boolean}
+	 */
+	#dedupe;
+
+	/**
+	 * @type {BlobStore}
+	 */
+	#blobs;
+
+	/**
+	 * Codecs registered for Files matching a Pattern, in the Order they were added
+	 * @type {Set<{globs: Glob[], codecs: Codec[]}>}
+	 */
+	#codecRules = new Set();
+
+	/**
+	 * Cache Policies registered for Files matching a Pattern, in the Order they were added
+	 * @type {Set<{globs: Glob[], policy: CachePolicy}>}
+	 */
+	#cacheRules = new Set();
+
+	/**
+	 * The Content of pinned Files, kept outside of the Cache by its Cache Key
+	 * @type {Map<string, Buffer>}
+	 */
+	#pinned = new Map();
+
+	/**
+	 * @type {Metrics}
+	 */
+	#metrics;
+
+	/**
+	 * Maximum Size of the Cache in Bytes, Infinity if a preexisting Cache was passed
+	 * @type {number}
+	 */
+	#cacheBudget;
+
+	/**
+	 * Whether the cached Entries are saved on close and restored by the Constructor
+	 * @type {boolean}
+	 */
+	#persistCache;
+
+	/**
+	 * Number of following Files in the same Directory that are read into the Cache when a File is read from the Backend
+	 * @type {number}
+	 */
+	#readAhead;
+
+	/**
+	 * Files that are currently read ahead, so concurrent Reads do not read them twice
+	 * @type {Set<string>}
+	 */
+	#prefetches = new Set();
+
 	/**
 	 * Create a new IO Instance
 	 * If the Data Directory does not exist, it will be created
+	 * options.coherence selects how cached Files are kept in sync with the Disk:
+	 * - 'none' (default): cached Files are served until they are evicted
+	 * - 'stat': every cached read validates mtime, size and inode of the File with a stat call
+	 * - 'watch': the Data Directory is watched through the Backend and changed or deleted Files are evicted. If the Watcher fails, the Instance falls back to 'stat'
+	 * With options.noSymlinkEscape, every Path is additionally checked to not leave the Data Directory through Symbolic Links
+	 * options.backend performs the actual Storage Operations (defaults to a DiskBackend on the local File System)
+	 * options.parsedCacheSize is the Maximum estimated Size (in Bytes) of parsed Values, e.g. of readJSON, that are cached next to the cached Bytes (defaults to 0, which disables it)
+	 * options.codecs are applied in Order to every written File no Pattern of addCodec matches (defaults to none)
+	 * With options.cacheEncoded, the Cache holds the encoded Bytes of Files instead of the decoded ones, so they are decoded on every Read
+	 * options.versions is the Number of previous Revisions ReadWrite keeps of every overwritten or deleted File (defaults to 0, which disables Versioning)
+	 * With options.trash, ReadWrite.delete moves Entries into the Trash instead of removing them (see ReadWrite.listTrash)
+	 * options.quota limits the Usage of the Data Directory and replaces its persisted Quota (see setQuota). Like every Quota, it is counted when a Mutation first needs it, not by the Constructor
+	 * With options.checksums, e.g. 'sha256', the Checksum of every written File is recorded in the Manifest (see ReadOnly.verify)
+	 * With options.dedupe, written Files are Hard Links to Blobs named by their Content, so identical Files are stored and cached once
+	 * With options.persistCache, close saves which Files are cached and how often they were read (see saveCache). The Constructor does not read them, so it stays free of bulk I/O; call restoreCache once the Instance is created
+	 * options.readAhead is the Number of following Files in the same Directory that are read into the Cache in the Background whenever a File is read from the Backend (defaults to 0, which disables it)
 	 * @param {string} dataDir 
 	 * @param {Cache | number | null} cache
+	 * @param {IOOptions} [options]
 	 * @throws {TypeError} if dataDir is not a String
 	 * @throws {TypeError} if cache is not an instance of Cache, a positive Integer indicating the maximum size of the Cache (in Bytes), or null
+	 * @throws {TypeError} if options.coherence is not 'none', 'stat' or 'watch'
+	 * @throws {TypeError} if options.noSymlinkEscape is not a Boolean
+	 * @throws {TypeError} if options.backend is not an instance of Backend
+	 * @throws {TypeError} if options.parsedCacheSize is not a positive Integer or 0
+	 * @throws {TypeError} if options.codecs is not a Codec or an Array of Codecs
+	 * @throws {TypeError} if options.cacheEncoded is not a Boolean
+	 * @throws {TypeError} if options.versions is not a positive Integer or 0
+	 * @throws {TypeError} if options.trash is not a Boolean
+	 * @throws {TypeError} if options.quota is not a Quota or null
+	 * @throws {TypeError} if options.checksums is not a supported Hash Algorithm or null
+	 * @throws {TypeError} if options.dedupe is not a Boolean
+	 * @throws {TypeError} if options.persistCache is not a Boolean
+	 * @throws {TypeError} if options.readAhead is not a positive Integer or 0
 	 * @throws {Error} on a File System Error
 	 * @public
 	 */
-	constructor(dataDir, cache = null) {
+	constructor(dataDir, cache = null, { coherence = 'none', noSymlinkEscape = false, backend = new DiskBackend(), parsedCacheSize = 0, codecs = [], cacheEncoded = false, versions = 0, trash = false, quota = null, checksums = null, dedupe = false, persistCache = false, readAhead = 0, [IO.#PARENT]: parent = null } = {}) {
+		super();
+
 		if (typeof dataDir !== 'string')
 			throw new TypeError('Expected dataDir to be a String');
 
+		if (!['none', 'stat', 'watch'].includes(coherence))
+			throw new TypeError('Expected options.coherence to be \'none\', \'stat\' or \'watch\'');
+
+		if (typeof noSymlinkEscape !== 'boolean')
+			throw new TypeError('Expected options.noSymlinkEscape to be a Boolean');
+
+		if (!(backend instanceof Backend))
+			throw new TypeError('Expected options.backend to be an instance of Backend');
+
+		if (!Number.isSafeInteger(parsedCacheSize) || parsedCacheSize < 0)
+			throw new TypeError('Expected options.parsedCacheSize to be a positive Integer or 0');
+
+		if (typeof cacheEncoded !== 'boolean')
+			throw new TypeError('Expected options.cacheEncoded to be a Boolean');
+
+		if (!Number.isSafeInteger(versions) || versions < 0)
+			throw new TypeError('Expected options.versions to be a positive Integer or 0');
+
+		if (typeof trash !== 'boolean')
+			throw new TypeError('Expected options.trash to be a Boolean');
+
+		const dataDirQuota = Quotas.prepare(quota, 'options.quota');
+
+		if (checksums !== null && (typeof checksums !== 'string' || !crypto.getHashes().includes(checksums)))
+			throw new TypeError('Expected options.checksums to be a supported Hash Algorithm or null');
+
+		if (typeof dedupe !== 'boolean')
+			throw new TypeError('Expected options.dedupe to be a Boolean');
+
+		if (typeof persistCache !== 'boolean')
+			throw new TypeError('Expected options.persistCache to be a Boolean');
+
+		if (!Number.isSafeInteger(readAhead) || readAhead < 0)
+			throw new TypeError('Expected options.readAhead to be a positive Integer or 0');
+
+		if (parent !== null) {
+			this.#initScope(dataDir, parent, noSymlinkEscape);
+			return;
+		}
+
 		if (cache === null)
 			this.#cache = new Cache(0);
 		else if (Number.isSafeInteger(cache) && cache >= 0)
@@ -37,9 +453,32 @@ class IO {
 		else
 			throw new TypeError('Expected cache to be an instance of Cache, a positive Integer indicating the maximum size of the Cache (in Bytes), or null');
 
+		this.#cacheBudget = cache instanceof Cache ? Infinity : cache ?? 0;
+		this.#parsedCache = new ParsedCache(parsedCacheSize);
+		this.#metrics = new Metrics();
+		this.#persistCache = persistCache;
+		this.#readAhead = readAhead;
+		this.#codecs = IO.#prepareCodecs(codecs, 'options.codecs');
+		this.#cacheEncoded = cacheEncoded;
+		this.#versions = versions;
+		this.#trash = trash;
+		this.#checksums = checksums;
+		this.#dedupe = dedupe;
 		this.#dataDir = path.resolve(dataDir);
+		this.#backend = backend;
+
+		this.#backend.mkdirSync(this.#dataDir, { recursive: true });
+
+		this.#realDataDir = this.#backend.realpathSync(this.#dataDir);
+		this.#internalDir = path.join(this.#dataDir, IO.INTERNAL_DIRNAME);
+		this.#manifest = new Manifest(this.#backend, this.manifestFile, this.#dataDir);
+		this.#blobs = new BlobStore(this.#backend, this.blobDir, this.tempDir, this.#internalDir);
+		this.#quotas = new Quotas(this.#backend, this.quotaFile, this.#dataDir, { versionDir: this.versionDir, trashDir: this.trashDir, isInternal: resolvedPathname => this.isInternal(resolvedPathname), quota: dataDirQuota });
+		this.#noSymlinkEscape = noSymlinkEscape;
+		this.#coherence = coherence;
 
-		fs.mkdirSync(this.#dataDir, { recursive: true });
+		if (this.#coherence === 'watch')
+			this.#watch();
 	}
 
 	/**
@@ -51,6 +490,33 @@ class IO {
 		return this.#dataDir;
 	}
 
+	/**
+	 * Get the Data Directory with all Symbolic Links resolved
+	 * @returns {string}
+	 * @public
+	 */
+	get realDataDir() {
+		return this.#realDataDir;
+	}
+
+	/**
+	 * Check whether Paths are prevented from leaving the Data Directory through Symbolic Links
+	 * @returns {boolean}
+	 * @public
+	 */
+	get noSymlinkEscape() {
+		return this.#noSymlinkEscape;
+	}
+
+	/**
+	 * Get the Backend that performs the Storage Operations
+	 * @returns {Backend}
+	 * @public
+	 */
+	get backend() {
+		return this.#backend;
+	}
+
 	/**
 	 * Get the Cache Instance
 	 * @returns {Cache}
@@ -59,6 +525,2760 @@ class IO {
 	get cache() {
 		return this.#cache;
 	}
+
+	/**
+	 * Get the Maximum Size of the Cache in Bytes, which warm and Read-Ahead do not exceed
+	 * Infinity if a preexisting Cache was passed to the Constructor, as its Size is not known
+	 * @returns {number}
+	 * @public
+	 */
+	get cacheBudget() {
+		return this.#cacheBudget;
+	}
+
+	/**
+	 * Check whether the cached Entries are saved on close and restored when an Instance is created
+	 * @returns {boolean}
+	 * @public
+	 */
+	get persistCache() {
+		return this.#persistCache;
+	}
+
+	/**
+	 * Get the Number of following Files in the same Directory that are read ahead, 0 if Read-Ahead is disabled
+	 * @returns {number}
+	 * @public
+	 */
+	get readAhead() {
+		return this.#readAhead;
+	}
+
+	/**
+	 * Check whether the Cache holds the encoded Bytes of Files instead of the decoded ones
+	 * @returns {boolean}
+	 * @public
+	 */
+	get cacheEncoded() {
+		return this.#cacheEncoded;
+	}
+
+	/**
+	 * Get the Number of previous Revisions kept per File, 0 if Versioning is disabled
+	 * @returns {number}
+	 * @public
+	 */
+	get versions() {
+		return this.#versions;
+	}
+
+	/**
+	 * Check whether ReadWrite.delete moves Entries into the Trash by default
+	 * @returns {boolean}
+	 * @public
+	 */
+	get trash() {
+		return this.#trash;
+	}
+
+	/**
+	 * Get the Hash Algorithm of the Checksums recorded for written Files, null if none are recorded
+	 * @returns {string | null}
+	 * @public
+	 */
+	get checksums() {
+		return this.#checksums;
+	}
+
+	/**
+	 * Check whether written Files are stored once per distinct Content
+	 * @returns {boolean}
+	 * @public
+	 */
+	get dedupe() {
+		return this.#dedupe;
+	}
+
+	/**
+	 * Get the Directory that holds internal Data
+	 * Scoped Instances use the internal Directory of their Root Instance, which is outside of their Data Directory
+	 * @returns {string}
+	 * @public
+	 */
+	get internalDir() {
+		return this.#internalDir;
+	}
+
+	/**
+	 * Get the Directory that holds Temp Files of pending atomic Writes
+	 * @returns {string}
+	 * @public
+	 */
+	get tempDir() {
+		return path.join(this.internalDir, 'tmp');
+	}
+
+	/**
+	 * Get the Directory that holds the Lock Files of advisory Locks
+	 * @returns {string}
+	 * @public
+	 */
+	get lockDir() {
+		return path.join(this.internalDir, 'locks');
+	}
+
+	/**
+	 * Get the Directory that holds the Journals of pending Transactions
+	 * @returns {string}
+	 * @public
+	 */
+	get journalDir() {
+		return path.join(this.internalDir, 'journal');
+	}
+
+	/**
+	 * Get the Directory that holds the previous Revisions of Files
+	 * @returns {string}
+	 * @public
+	 */
+	get versionDir() {
+		return path.join(this.internalDir, 'versions');
+	}
+
+	/**
+	 * Get the Directory that holds the Snapshots of Data Directories
+	 * @returns {string}
+	 * @public
+	 */
+	get snapshotDir() {
+		return path.join(this.internalDir, 'snapshots');
+	}
+
+	/**
+	 * Get the Directory that holds the Entries moved into the Trash
+	 * @returns {string}
+	 * @public
+	 */
+	get trashDir() {
+		return path.join(this.internalDir, 'trash');
+	}
+
+	/**
+	 * Get the Manifest File that holds the Checksums of Files
+	 * @returns {string}
+	 * @public
+	 */
+	get manifestFile() {
+		return path.join(this.internalDir, 'manifest.ndjson');
+	}
+
+	/**
+	 * Get the File that holds the Quotas of Directories set with setQuota
+	 * @returns {string}
+	 * @public
+	 */
+	get quotaFile() {
+		return path.join(this.internalDir, 'quotas.json');
+	}
+
+	/**
+	 * Get the Directory that holds the Blobs of deduplicated Files
+	 * @returns {string}
+	 * @public
+	 */
+	get blobDir() {
+		return path.join(this.internalDir, 'blobs');
+	}
+
+	/**
+	 * Get the File that holds the cached Entries saved by saveCache
+	 * @returns {string}
+	 * @public
+	 */
+	get cacheIndexFile() {
+		return path.join(this.internalDir, 'cache.ndjson');
+	}
+
+	/**
+	 * Get the Directory that holds the Checkpoints of interrupted Syncs into this Data Directory
+	 * @returns {string}
+	 * @public
+	 */
+	get syncDir() {
+		return path.join(this.internalDir, 'sync');
+	}
+
+	/**
+	 * Get a Name that identifies the absolute Path resolvedPathname inside the internal Directory
+	 * The Name is the SHA-256 Hash of the Path relative to the Root Data Directory, so Scopes use the same Name as their Root
+	 * @param {string} resolvedPathname 
+	 * @returns {string}
+	 * @public
+	 */
+	internalName(resolvedPathname) {
+		const relativePathname = path.relative(path.dirname(this.internalDir), resolvedPathname).split(path.sep).join('/');
+
+		return crypto.createHash('sha256').update(relativePathname).digest('hex');
+	}
+
+	/**
+	 * Check whether the absolute Path resolvedPathname is the internal Directory or inside of it, or a Temp File of an atomic Write (see TEMP_PREFIX)
+	 * @param {string} resolvedPathname 
+	 * @returns {boolean}
+	 * @public
+	 */
+	isInternal(resolvedPathname) {
+		return IO.isInside(this.internalDir, resolvedPathname) || path.basename(resolvedPathname).startsWith(IO.TEMP_PREFIX);
+	}
+
+	/**
+	 * Get the Cache Coherence Mode
+	 * @returns {'none' | 'stat' | 'watch'}
+	 * @public
+	 */
+	get coherence() {
+		return this.#parent === null ? this.#coherence : this.#parent.coherence;
+	}
+
+	/**
+	 * Stop watching the Data Directory (only relevant for the 'watch' Coherence Mode)
+	 * With options.persistCache, the cached Entries are saved (see saveCache)
+	 * Scoped Instances share the Watcher and the Cache of their Root Instance, so only closing the Root Instance stops it or saves them
+	 * @returns {void}
+	 * @throws {Error} on a File System Error while saving the cached Entries
+	 * @public
+	 */
+	close() {
+		if (this.#watcher !== null) {
+			this.#watcher.close();
+			this.#watcher = null;
+		}
+
+		if (this.#persistCache && this.#parent === null)
+			this.saveCacheSync();
+	}
+
+	/**
+	 * Save which Files are cached and how often they were read from the Cache to the cacheIndexFile
+	 * Only the List of Files is saved, not their Content. Scopes share the Cache of their Root Instance, so every cached File is saved.
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async saveCache() {
+		const tempFilename = `${this.cacheIndexFile}.tmp`;
+
+		await this.#backend.mkdir(this.internalDir, { recursive: true });
+		await this.#backend.writeFile(tempFilename, this.#cacheIndex(), { fsync: true });
+		await this.#backend.rename(tempFilename, this.cacheIndexFile);
+	}
+
+	/**
+	 * Read the Files saved by saveCache into the Cache again, the most frequently read ones first
+	 * Files that changed or were deleted since they were saved are skipped, as well as Files outside of the Data Directory of a Scope.
+	 * Like warm, restoring stops once the cacheBudget is used up and the Cache Policies (see addCachePolicy) apply. Restored Files keep how often they were read.
+	 * Resolves to the Number of restored Files and their Size
+	 * Rejects with a CodecError if a saved File cannot be decoded
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<WarmResult>}
+	 * @public
+	 * @async
+	 */
+	async restoreCache() {
+		let data;
+
+		try {
+			data = (await this.#backend.readFile(this.cacheIndexFile)).data;
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+
+			return { files: 0, bytes: 0 };
+		}
+
+		const result = { files: 0, bytes: 0 };
+		let budget = this.#cacheBudget - this.#cachedBytes();
+
+		for (const { resolvedFilename, hits, ...stats } of this.#parseCacheIndex(data)) {
+			const bytes = await this.#warmFile(resolvedFilename, budget, stats);
+
+			if (bytes !== null)
+				budget -= this.#countWarmed(result, resolvedFilename, bytes, hits);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Synchronously save which Files are cached. See saveCache
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	saveCacheSync() {
+		const tempFilename = `${this.cacheIndexFile}.tmp`;
+
+		this.#backend.mkdirSync(this.internalDir, { recursive: true });
+		this.#backend.writeFileSync(tempFilename, this.#cacheIndex(), { fsync: true });
+		this.#backend.renameSync(tempFilename, this.cacheIndexFile);
+	}
+
+	/**
+	 * Synchronously read the Files saved by saveCache into the Cache again. See restoreCache
+	 * @returns {WarmResult}
+	 * @throws {CodecError} if a saved File cannot be decoded
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	restoreCacheSync() {
+		let data;
+
+		try {
+			data = this.#backend.readFileSync(this.cacheIndexFile).data;
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+
+			return { files: 0, bytes: 0 };
+		}
+
+		const result = { files: 0, bytes: 0 };
+		let budget = this.#cacheBudget - this.#cachedBytes();
+
+		for (const { resolvedFilename, hits, ...stats } of this.#parseCacheIndex(data)) {
+			const bytes = this.#warmFileSync(resolvedFilename, budget, stats);
+
+			if (bytes !== null)
+				budget -= this.#countWarmed(result, resolvedFilename, bytes, hits);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Get the Cache and Operation Stats collected since the Instance was created or resetStats was called
+	 * Scopes share the Stats of their Root Instance
+	 * @returns {Stats}
+	 * @public
+	 */
+	stats() {
+		const { cache, operations } = this.#metrics.snapshot();
+		let entries = 0;
+		let pinnedBytes = 0;
+
+		for (const { key } of this.#entries.values())
+			entries += this.#hasContent(key) ? 1 : 0;
+
+		for (const data of this.#pinned.values())
+			pinnedBytes += data.length;
+
+		return { cache: { ...cache, entries, pinned: this.#pinned.size, pinnedBytes }, operations };
+	}
+
+	/**
+	 * Reset the Stats returned by stats
+	 * @returns {void}
+	 * @public
+	 */
+	resetStats() {
+		this.#metrics.reset();
+	}
+
+	/**
+	 * Register a Cache Policy for the Files matching pattern
+	 * pattern is matched against the Path relative to the Data Directory, it can be a List of Patterns. See Glob for the supported Syntax and Negation
+	 * If several Patterns match a File, every Property of the Policy is taken from the last added Policy that sets it. Policies of a Scope take Precedence over the Policies of its Parents.
+	 * Policies apply whenever a File is cached, Files that are already cached keep their previous Policy until they are cached again.
+	 * Returns a Function that removes the Policy again
+	 * @param {string | string[]} pattern 
+	 * @param {CachePolicy} policy 
+	 * @returns {() => void}
+	 * @throws {TypeError} if pattern is not a String or an Array of Strings
+	 * @throws {TypeError} if policy.cache or policy.pinned is not a Boolean
+	 * @throws {TypeError} if policy.maxEntrySize is not a positive Integer, 0 or Infinity
+	 * @throws {TypeError} if policy.ttl is not a positive Integer or Infinity
+	 * @public
+	 */
+	addCachePolicy(pattern, { cache, maxEntrySize, ttl, pinned } = {}) {
+		const patterns = Array.isArray(pattern) ? pattern : [pattern];
+
+		if (patterns.length === 0 || !patterns.every(pattern => typeof pattern === 'string'))
+			throw new TypeError('Expected pattern to be a String or an Array of Strings');
+
+		if (cache !== undefined && typeof cache !== 'boolean')
+			throw new TypeError('Expected policy.cache to be a Boolean');
+
+		if (maxEntrySize !== undefined && maxEntrySize !== Infinity && (!Number.isSafeInteger(maxEntrySize) || maxEntrySize < 0))
+			throw new TypeError('Expected policy.maxEntrySize to be a positive Integer, 0 or Infinity');
+
+		if (ttl !== undefined && ttl !== Infinity && (!Number.isSafeInteger(ttl) || ttl <= 0))
+			throw new TypeError('Expected policy.ttl to be a positive Integer or Infinity');
+
+		if (pinned !== undefined && typeof pinned !== 'boolean')
+			throw new TypeError('Expected policy.pinned to be a Boolean');
+
+		const policy = Object.fromEntries(Object.entries({ cache, maxEntrySize, ttl, pinned }).filter(([, value]) => value !== undefined));
+		const entry = { globs: patterns.map(pattern => new Glob(pattern)), policy };
+
+		this.#cacheRules.add(entry);
+
+		return () => this.#cacheRules.delete(entry);
+	}
+
+	/**
+	 * Get the Cache Policy of the File resolvedFilename, with every Property set
+	 * @param {string} resolvedFilename 
+	 * @returns {Required<CachePolicy>}
+	 * @protected
+	 */
+	cachePolicyFor(resolvedFilename) {
+		const policy = {};
+
+		for (let io = this; io !== null; io = io.#parent) {
+			const pathname = IO.#toRelative(io.#dataDir, resolvedFilename);
+
+			for (const { globs, policy: rule } of [...io.#cacheRules].reverse()) {
+				if (Glob.test(globs, pathname))
+					Object.entries(rule).forEach(([name, value]) => policy[name] ??= value);
+			}
+		}
+
+		return { cache: true, maxEntrySize: Infinity, ttl: Infinity, pinned: false, ...policy };
+	}
+
+	/**
+	 * Register a Hook that is called before every Operation of the given Type, for the synchronous and the asynchronous Methods
+	 * A Hook can veto the Operation by throwing an Error or by returning false, which makes the Method throw (or reject with) a VetoError.
+	 * Hooks of write Operations can transform the written Data by replacing event.data with another Buffer.
+	 * Hooks may be async, but the synchronous Methods throw a TypeError if a Hook returns a Promise.
+	 * Hooks of a Parent are also called for Operations of its Scopes.
+	 * Returns a Function that removes the Hook again
+	 * @param {ChangeType} type 
+	 * @param {BeforeHook} hook 
+	 * @returns {() => void}
+	 * @throws {TypeError} if type is not a valid Change Type
+	 * @throws {TypeError} if hook is not a Function
+	 * @public
+	 */
+	before(type, hook) {
+		if (!IO.#CHANGE_TYPES.includes(type))
+			throw new TypeError(`Expected type to be one of ${IO.#CHANGE_TYPES.map(changeType => `'${changeType}'`).join(', ')}`);
+
+		if (typeof hook !== 'function')
+			throw new TypeError('Expected hook to be a Function');
+
+		if (!this.#hooks.has(type))
+			this.#hooks.set(type, new Set());
+
+		const hooks = this.#hooks.get(type);
+
+		hooks.add(hook);
+
+		return () => hooks.delete(hook);
+	}
+
+	/**
+	 * Register a Validator for the structured Values written to Files matching pattern (e.g. by writeJSON and appendLines)
+	 * pattern is matched against the Path relative to the Data Directory, it can be a List of Patterns. See Glob for the supported Syntax and Negation
+	 * A Validator rejects a Value by throwing an Error or by returning false, which makes the Method throw (or reject with) a ValidationError.
+	 * Validators are synchronous, so they can be used by the synchronous and the asynchronous Methods.
+	 * Validators of a Parent are also called for Values written through its Scopes.
+	 * Returns a Function that removes the Validator again
+	 * @param {string | string[]} pattern 
+	 * @param {Validator} validator 
+	 * @returns {() => void}
+	 * @throws {TypeError} if pattern is not a String or an Array of Strings
+	 * @throws {TypeError} if validator is not a Function
+	 * @public
+	 */
+	addValidator(pattern, validator) {
+		const patterns = Array.isArray(pattern) ? pattern : [pattern];
+
+		if (patterns.length === 0 || !patterns.every(pattern => typeof pattern === 'string'))
+			throw new TypeError('Expected pattern to be a String or an Array of Strings');
+
+		if (typeof validator !== 'function')
+			throw new TypeError('Expected validator to be a Function');
+
+		const entry = { globs: patterns.map(pattern => new Glob(pattern)), validator };
+
+		this.#validators.add(entry);
+
+		return () => this.#validators.delete(entry);
+	}
+
+	/**
+	 * Run the Validators of this Instance and its Parents that match the File resolvedFilename for value
+	 * @param {string} resolvedFilename 
+	 * @param {any} value 
+	 * @returns {void}
+	 * @throws {ValidationError} if a Validator returned false
+	 * @throws {TypeError} if a Validator returned a Promise
+	 * @throws {Error} any Error thrown by a Validator
+	 * @protected
+	 */
+	validate(resolvedFilename, value) {
+		for (let io = this; io !== null; io = io.#parent) {
+			const pathname = IO.#toRelative(io.#dataDir, resolvedFilename);
+
+			for (const { globs, validator } of io.#validators) {
+				if (!Glob.test(globs, pathname))
+					continue;
+
+				const result = validator(value, pathname);
+
+				if (result instanceof Promise)
+					throw new TypeError('Expected the Validator not to return a Promise');
+
+				if (result === false)
+					throw new ValidationError(IO.#toRelative(this.#dataDir, resolvedFilename));
+			}
+		}
+	}
+
+	/**
+	 * Register codecs for the Files matching pattern, instead of options.codecs
+	 * pattern is matched against the Path relative to the Data Directory, it can be a List of Patterns. See Glob for the supported Syntax and Negation
+	 * codecs are applied in Order when a File is written, e.g. a CompressionCodec before an EncryptionCodec. An empty List stores the Files unencoded.
+	 * If several Patterns match a File, the Codecs added last win. Codecs of a Scope take Precedence over the Codecs of its Parents.
+	 * Returns a Function that removes the Codecs again
+	 * @param {string | string[]} pattern 
+	 * @param {Codec | Codec[]} codecs 
+	 * @returns {() => void}
+	 * @throws {TypeError} if pattern is not a String or an Array of Strings
+	 * @throws {TypeError} if codecs is not a Codec or an Array of Codecs
+	 * @public
+	 */
+	addCodec(pattern, codecs) {
+		const patterns = Array.isArray(pattern) ? pattern : [pattern];
+
+		if (patterns.length === 0 || !patterns.every(pattern => typeof pattern === 'string'))
+			throw new TypeError('Expected pattern to be a String or an Array of Strings');
+
+		const entry = { globs: patterns.map(pattern => new Glob(pattern)), codecs: IO.#prepareCodecs(codecs, 'codecs') };
+
+		this.#codecRules.add(entry);
+
+		return () => this.#codecRules.delete(entry);
+	}
+
+	/**
+	 * Get the Codecs that are applied when the File resolvedFilename is written
+	 * @param {string} resolvedFilename 
+	 * @returns {Codec[]}
+	 * @protected
+	 */
+	codecsFor(resolvedFilename) {
+		for (let io = this; io !== null; io = io.#parent) {
+			const pathname = IO.#toRelative(io.#dataDir, resolvedFilename);
+
+			for (const { globs, codecs } of [...io.#codecRules].reverse()) {
+				if (Glob.test(globs, pathname))
+					return codecs;
+			}
+		}
+
+		return this.#codecs;
+	}
+
+	/**
+	 * Encode data, the new Content of the File resolvedFilename, with its Codecs and prepend the Header that records them
+	 * Resolves to data itself if no Codecs apply to the File
+	 * Rejects with any Error thrown by a Codec
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @returns {Promise<Buffer>}
+	 * @protected
+	 * @async
+	 */
+	async encode(resolvedFilename, data) {
+		const codecs = this.codecsFor(resolvedFilename);
+
+		if (codecs.length === 0)
+			return data;
+
+		for (const codec of codecs)
+			data = await codec.encode(data);
+
+		return Codec.writeHeader(codecs.map(codec => codec.name), data);
+	}
+
+	/**
+	 * Synchronous Version of encode
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @returns {Buffer}
+	 * @throws {Error} any Error thrown by a Codec
+	 * @protected
+	 */
+	encodeSync(resolvedFilename, data) {
+		const codecs = this.codecsFor(resolvedFilename);
+
+		if (codecs.length === 0)
+			return data;
+
+		for (const codec of codecs)
+			data = codec.encodeSync(data);
+
+		return Codec.writeHeader(codecs.map(codec => codec.name), data);
+	}
+
+	/**
+	 * Decode data, the stored Content of the File resolvedFilename, with the Codecs recorded in its Header
+	 * Only Files that Codecs apply to (see codecsFor) are decoded, every other File is stored as it is and may start with anything, including a Header.
+	 * Resolves to data itself if no Codecs apply to the File or it has no Header. The Codecs are looked up by Name, so Files stay readable after their Codecs changed
+	 * Rejects with a CodecError if a recorded Codec is not configured or cannot decode the Data
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @returns {Promise<Buffer>}
+	 * @protected
+	 * @async
+	 */
+	async decode(resolvedFilename, data) {
+		if (this.codecsFor(resolvedFilename).length === 0)
+			return data;
+
+		const header = this.#readHeader(resolvedFilename, data);
+
+		if (header === null)
+			return data;
+
+		let decoded = header.payload;
+
+		for (const name of [...header.names].reverse()) {
+			const codec = this.#findCodec(resolvedFilename, name);
+
+			try {
+				decoded = await codec.decode(decoded);
+			}
+			catch (error) {
+				throw new CodecError(`Expected the ${name} Codec to decode the File`, IO.#toRelative(this.#dataDir, resolvedFilename), { cause: error });
+			}
+		}
+
+		return decoded;
+	}
+
+	/**
+	 * Synchronous Version of decode
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @returns {Buffer}
+	 * @throws {CodecError} if a recorded Codec is not configured or cannot decode the Data
+	 * @protected
+	 */
+	decodeSync(resolvedFilename, data) {
+		if (this.codecsFor(resolvedFilename).length === 0)
+			return data;
+
+		const header = this.#readHeader(resolvedFilename, data);
+
+		if (header === null)
+			return data;
+
+		let decoded = header.payload;
+
+		for (const name of [...header.names].reverse()) {
+			const codec = this.#findCodec(resolvedFilename, name);
+
+			try {
+				decoded = codec.decodeSync(decoded);
+			}
+			catch (error) {
+				throw new CodecError(`Expected the ${name} Codec to decode the File`, IO.#toRelative(this.#dataDir, resolvedFilename), { cause: error });
+			}
+		}
+
+		return decoded;
+	}
+
+	/**
+	 * Set the Quota of the Directory specified by dirname, or remove it with null
+	 * Mutations that would make the Usage of the Directory exceed quota.bytes or quota.files are rejected with a QuotaError before anything is changed.
+	 * Quotas are shared with Scopes and Parents and persisted in the Quota File (see quotaFile), so the Quota of a Directory applies to every Instance that can access it, also in other Processes
+	 * Rejects with a TypeError if dirname is not a String
+	 * Rejects with a TypeError if quota is not a Quota or null
+	 * Rejects with a PathError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error
+	 * @param {string} dirname 
+	 * @param {Quota | null} quota 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async setQuota(dirname, quota) {
+		const preparedQuota = Quotas.prepare(quota, 'quota');
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
+
+		this.#quotas.set(resolvedDirname, preparedQuota);
+	}
+
+	/**
+	 * Get the Usage and the Quota of the Directory specified by dirname
+	 * The Usage of a Directory is counted once, when its Usage is requested or a Mutation below it is checked against its Quota for the first Time, and then kept up to date by every Mutation.
+	 * Changes made outside of this Instance, its Scopes and its Parents (e.g. by another Process) are not noticed until rescanUsage is called
+	 * Rejects with a TypeError if dirname is not a String
+	 * Rejects with a PathError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error
+	 * @param {string} dirname 
+	 * @returns {Promise<UsageInfo>}
+	 * @public
+	 * @async
+	 */
+	async usage(dirname) {
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
+
+		return await this.#quotas.get(resolvedDirname);
+	}
+
+	/**
+	 * Count the Usage of the Directory specified by dirname again, together with every tracked Directory inside of it or containing it
+	 * Resolves to the new Usage and the Quota of the Directory
+	 * Rejects with a TypeError if dirname is not a String
+	 * Rejects with a PathError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error
+	 * @param {string} dirname 
+	 * @returns {Promise<UsageInfo>}
+	 * @public
+	 * @async
+	 */
+	async rescanUsage(dirname) {
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
+
+		return await this.#quotas.rescan(resolvedDirname);
+	}
+
+	/**
+	 * Synchronously set the Quota of the Directory specified by dirname, or remove it with null. See setQuota
+	 * @param {string} dirname 
+	 * @param {Quota | null} quota 
+	 * @returns {void}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {TypeError} if quota is not a Quota or null
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	setQuotaSync(dirname, quota) {
+		const preparedQuota = Quotas.prepare(quota, 'quota');
+		const resolvedDirname = this.resolveEntrySync(dirname, 'dirname');
+
+		this.#quotas.set(resolvedDirname, preparedQuota);
+	}
+
+	/**
+	 * Synchronously get the Usage and the Quota of the Directory specified by dirname. See usage
+	 * @param {string} dirname 
+	 * @returns {UsageInfo}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	usageSync(dirname) {
+		const resolvedDirname = this.resolveEntrySync(dirname, 'dirname');
+
+		return this.#quotas.getSync(resolvedDirname);
+	}
+
+	/**
+	 * Synchronously count the Usage of the Directory specified by dirname again. See rescanUsage
+	 * @param {string} dirname 
+	 * @returns {UsageInfo}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	rescanUsageSync(dirname) {
+		const resolvedDirname = this.resolveEntrySync(dirname, 'dirname');
+
+		return this.#quotas.rescanSync(resolvedDirname);
+	}
+
+	/**
+	 * Lock the Paths of change, run the before Hooks, then perform operation and emit the Change Event
+	 * Mutations of the same Path are serialized, so the Cache always ends up with the Data of the last Mutation
+	 * operation is called with the (possibly transformed) Data and resolves to the Number of Bytes written or copied
+	 * The Usage of tracked Directories is accounted like in accountUsage
+	 * Rejects with a VetoError if a Hook returned false
+	 * Rejects with a QuotaError if the Mutation would exceed a Quota
+	 * Rejects with a TypeError if a Hook replaced event.data with something that is not a Buffer
+	 * Rejects with any Error thrown by a Hook or by operation
+	 * @param {Change} change 
+	 * @param {(data: Buffer | undefined) => Promise<number | void>} operation 
+	 * @returns {Promise<void>}
+	 * @protected
+	 * @async
+	 */
+	async mutate(change, operation) {
+		await this.#locks.run(IO.#lockKeys(change), async () => {
+			const data = await this.#runHooks(change);
+			const start = performance.now();
+
+			this.#invalidateReads(change);
+
+			try {
+				const bytes = await this.withBlobs([change.resolvedPathname], async () => {
+					if (change.partial !== undefined)
+						await this.#blobs.detach(change.resolvedPathname);
+
+					return await this.accountUsage(change, data, async () => await operation(data));
+				});
+
+				await this.#updateChecksums(change, data);
+				this.#emitChange(change, bytes ?? 0, performance.now() - start, false);
+			}
+			finally {
+				this.#invalidateReads(change);
+			}
+		});
+	}
+
+	/**
+	 * Synchronously lock the Paths of change, run the before Hooks, then perform operation and emit the Change Event
+	 * See mutate
+	 * @param {Change} change 
+	 * @param {(data: Buffer | undefined) => number | void} operation 
+	 * @returns {void}
+	 * @throws {LockError} if a Path of change is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a Hook returned false
+	 * @throws {QuotaError} if the Mutation would exceed a Quota
+	 * @throws {TypeError} if a Hook returned a Promise or replaced event.data with something that is not a Buffer
+	 * @throws {Error} if a Hook or operation throws
+	 * @protected
+	 */
+	mutateSync(change, operation) {
+		this.#locks.runSync(IO.#lockKeys(change), () => {
+			const data = this.#runHooksSync(change, true);
+			const start = performance.now();
+
+			this.#invalidateReads(change);
+
+			const bytes = this.withBlobsSync([change.resolvedPathname], () => {
+				if (change.partial !== undefined)
+					this.#blobs.detachSync(change.resolvedPathname);
+
+				return this.accountUsageSync(change, data, () => operation(data));
+			});
+
+			this.#updateChecksumsSync(change, data);
+			this.#emitChange(change, bytes ?? 0, performance.now() - start, true);
+		}, key => this.#describeKey(key));
+	}
+
+	/**
+	 * Lock the Paths of change and run the before Hooks for an Operation that completes asynchronously, but has to be started synchronously (e.g. a Stream)
+	 * Returns reserve and done. The Size of the Operation is not known up Front, so the Operation calls reserve(size) before the Entry of change grows to size Bytes,
+	 * which checks the Growth against the Quotas (see accountUsage) and throws a QuotaError if it would exceed one.
+	 * done releases the Locks once the Operation is done, accounts its actual Usage and emits the Change Event, unless it is called with null because the Operation failed
+	 * @param {Change} change 
+	 * @returns {{reserve: (size: number) => void, done: (bytes: number | null) => void}}
+	 * @throws {LockError} if a Path of change is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a Hook returned false
+	 * @throws {TypeError} if a Hook returned a Promise
+	 * @throws {Error} if a Hook throws
+	 * @protected
+	 */
+	startMutation(change) {
+		const release = this.#locks.acquireSync(IO.#lockKeys(change), key => this.#describeKey(key));
+
+		try {
+			this.#runHooksSync(change, false);
+		}
+		catch (error) {
+			release();
+			throw error;
+		}
+
+		const start = performance.now();
+		let usage;
+
+		try {
+			// The Operation writes to the File in Place, which must not change the Blob it links to, even if this Instance does not use options.dedupe
+			this.#blobs.detachSync(change.resolvedPathname);
+			usage = this.#quotas.begin(IO.#lockKeys(change), key => this.#describeKey(key));
+		}
+		catch (error) {
+			release();
+			throw error;
+		}
+
+		this.#invalidateReads(change);
+
+		const done = (bytes) => {
+			this.#invalidateReads(change);
+			usage.settle();
+
+			try {
+				if (bytes !== null)
+					this.#updateChecksumsSync(change, undefined);
+			}
+			finally {
+				release();
+			}
+
+			if (bytes !== null)
+				this.#emitChange(change, bytes, performance.now() - start, false);
+		};
+
+		return { reserve: usage.reserve, done };
+	}
+
+	/**
+	 * Wait until the absolute Paths resolvedPathnames are not locked by other Operations, lock them and run fn
+	 * Mutations of the locked Paths made by fn do not wait for the Lock
+	 * Resolves to the Result of fn
+	 * @template T
+	 * @param {string[]} resolvedPathnames 
+	 * @param {() => Promise<T> | T} fn 
+	 * @returns {Promise<T>}
+	 * @protected
+	 * @async
+	 */
+	async runLocked(resolvedPathnames, fn) {
+		return await this.#locks.run(resolvedPathnames, fn);
+	}
+
+	/**
+	 * Synchronously lock the absolute Paths resolvedPathnames and run fn
+	 * @template T
+	 * @param {string[]} resolvedPathnames 
+	 * @param {() => T} fn 
+	 * @returns {T}
+	 * @throws {LockError} if one of the Paths is locked by a pending asynchronous Operation
+	 * @protected
+	 */
+	runLockedSync(resolvedPathnames, fn) {
+		return this.#locks.runSync(resolvedPathnames, fn, key => this.#describeKey(key));
+	}
+
+	/**
+	 * Account the Usage of the tracked Directories for the Mutation change, which is performed by operation
+	 * The Entries of change are measured, the Change of their Usage is estimated from change and data, checked against the Quotas and reserved.
+	 * Once operation settled, the Entries are measured again and the Reservation is replaced by the actual Change
+	 * Resolves to the Result of operation
+	 * Rejects with a QuotaError if the Mutation would exceed a Quota
+	 * Rejects with any Error thrown by operation
+	 * @template T
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @param {() => Promise<T>} operation 
+	 * @returns {Promise<T>}
+	 * @protected
+	 * @async
+	 */
+	async accountUsage(change, data, operation) {
+		return await this.#quotas.account(IO.#lockKeys(change), change, data, operation, key => this.#describeKey(key));
+	}
+
+	/**
+	 * Synchronously account the Usage of the tracked Directories for the Mutation change, which is performed by operation. See accountUsage
+	 * @template T
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @param {() => T} operation 
+	 * @returns {T}
+	 * @throws {QuotaError} if the Mutation would exceed a Quota
+	 * @throws {Error} if operation throws
+	 * @protected
+	 */
+	accountUsageSync(change, data, operation) {
+		return this.#quotas.accountSync(IO.#lockKeys(change), change, data, operation, key => this.#describeKey(key));
+	}
+
+	/**
+	 * Check whether a tracked Directory contains one of the absolute Paths resolvedPathnames, or is inside of one of them
+	 * Operations can skip estimating their Usage if it returns false
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {boolean}
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	tracksUsage(resolvedPathnames) {
+		return this.#quotas.tracks(resolvedPathnames);
+	}
+
+	/**
+	 * Check whether growing the Entry resolvedPathname by growth would exceed a Quota, without reserving anything
+	 * Operations made of many Mutations, e.g. copying a Tree, call it with their estimated Growth before the first Mutation, so they are not rejected halfway through
+	 * Rejects with a QuotaError if growth would exceed a Quota
+	 * @param {string} resolvedPathname 
+	 * @param {Usage} growth 
+	 * @returns {Promise<void>}
+	 * @protected
+	 * @async
+	 */
+	async checkUsage(resolvedPathname, growth) {
+		await this.#quotas.check(resolvedPathname, growth, key => this.#describeKey(key));
+	}
+
+	/**
+	 * Synchronously check whether growing the Entry resolvedPathname by growth would exceed a Quota. See checkUsage
+	 * @param {string} resolvedPathname 
+	 * @param {Usage} growth 
+	 * @returns {void}
+	 * @throws {QuotaError} if growth would exceed a Quota
+	 * @protected
+	 */
+	checkUsageSync(resolvedPathname, growth) {
+		this.#quotas.checkSync(resolvedPathname, growth, key => this.#describeKey(key));
+	}
+
+	/**
+	 * Count the Usage of every tracked Directory inside of or containing one of the absolute Paths resolvedPathnames again
+	 * Used after Changes that are not made through mutate, e.g. restoring a Snapshot
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {Promise<void>}
+	 * @protected
+	 * @async
+	 */
+	async updateUsage(resolvedPathnames) {
+		await this.#quotas.update(resolvedPathnames);
+	}
+
+	/**
+	 * Synchronously count the Usage of every tracked Directory inside of or containing one of the absolute Paths resolvedPathnames again. See updateUsage
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {void}
+	 * @protected
+	 */
+	updateUsageSync(resolvedPathnames) {
+		this.#quotas.updateSync(resolvedPathnames);
+	}
+
+	/**
+	 * Charge bytes that are kept in the internal Directory on behalf of the Entry resolvedPathname (a Revision or a Trash Entry) to the tracked Directories containing it
+	 * Negative bytes release them again. bytes are not checked against the Quotas, Mutations reserve them up Front with change.retained
+	 * @param {string} resolvedPathname 
+	 * @param {number} bytes 
+	 * @returns {void}
+	 * @protected
+	 */
+	chargeUsage(resolvedPathname, bytes) {
+		this.#quotas.charge(resolvedPathname, bytes);
+	}
+
+	/**
+	 * Store data, the encoded Content of the File resolvedFilename, in the Blob Store and replace the File atomically with a Link to its Blob
+	 * Resolves to the Stats of the written File
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {Promise<fs.Stats>}
+	 * @protected
+	 * @async
+	 */
+	async writeBlob(resolvedFilename, data, fsync) {
+		return await this.#blobs.write(resolvedFilename, data, fsync);
+	}
+
+	/**
+	 * Synchronously store data in the Blob Store and replace the File resolvedFilename with a Link to its Blob. See writeBlob
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {fs.Stats}
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	writeBlobSync(resolvedFilename, data, fsync) {
+		return this.#blobs.writeSync(resolvedFilename, data, fsync);
+	}
+
+	/**
+	 * Check whether the File resolvedFilename links to a Blob of the Blob Store (see options.dedupe)
+	 * Files of a Blob Store are found even if this Instance does not use options.dedupe, so they are never changed in Place
+	 * Rejects with an Error on a File System Error
+	 * @param {string} resolvedFilename 
+	 * @returns {Promise<boolean>}
+	 * @protected
+	 * @async
+	 */
+	async linksToBlob(resolvedFilename) {
+		return (await this.#blobs.find(resolvedFilename)).length > 0;
+	}
+
+	/**
+	 * Synchronously check whether the File resolvedFilename links to a Blob. See linksToBlob
+	 * @param {string} resolvedFilename 
+	 * @returns {boolean}
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	linksToBlobSync(resolvedFilename) {
+		return this.#blobs.findSync(resolvedFilename).length > 0;
+	}
+
+	/**
+	 * Replace the File resolvedFilename with a Copy of itself if it links to a Blob, so it can be changed in Place without changing the Blob
+	 * Rejects with an Error on a File System Error
+	 * @param {string} resolvedFilename 
+	 * @returns {Promise<void>}
+	 * @protected
+	 * @async
+	 */
+	async detachBlob(resolvedFilename) {
+		await this.#blobs.detach(resolvedFilename);
+	}
+
+	/**
+	 * Synchronously detach the File resolvedFilename from its Blob. See detachBlob
+	 * @param {string} resolvedFilename 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	detachBlobSync(resolvedFilename) {
+		this.#blobs.detachSync(resolvedFilename);
+	}
+
+	/**
+	 * Run operation, which removes or replaces the Entries resolvedPathnames, and remove the Blobs no File links to afterwards
+	 * Without options.dedupe, operation is just run
+	 * Resolves to the Result of operation
+	 * Rejects with any Error thrown by operation
+	 * @template T
+	 * @param {string[]} resolvedPathnames 
+	 * @param {() => Promise<T>} operation 
+	 * @returns {Promise<T>}
+	 * @protected
+	 * @async
+	 */
+	async withBlobs(resolvedPathnames, operation) {
+		if (!this.#dedupe)
+			return await operation();
+
+		const blobnames = [];
+
+		for (const resolvedPathname of resolvedPathnames)
+			blobnames.push(...await this.#blobs.find(resolvedPathname));
+
+		try {
+			return await operation();
+		}
+		finally {
+			await this.#blobs.release(blobnames);
+		}
+	}
+
+	/**
+	 * Synchronously run operation and remove the Blobs no File links to afterwards. See withBlobs
+	 * @template T
+	 * @param {string[]} resolvedPathnames 
+	 * @param {() => T} operation 
+	 * @returns {T}
+	 * @throws {Error} if operation throws
+	 * @protected
+	 */
+	withBlobsSync(resolvedPathnames, operation) {
+		if (!this.#dedupe)
+			return operation();
+
+		const blobnames = resolvedPathnames.flatMap(resolvedPathname => this.#blobs.findSync(resolvedPathname));
+
+		try {
+			return operation();
+		}
+		finally {
+			this.#blobs.releaseSync(blobnames);
+		}
+	}
+
+	/**
+	 * Record the Checksum of data, the stored Bytes of the File resolvedFilename, in the Manifest
+	 * Nothing is recorded without options.checksums
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	setChecksum(resolvedFilename, data) {
+		if (this.#checksums !== null)
+			this.#manifest.set(resolvedFilename, { algorithm: this.#checksums, hash: IO.#digest(data, this.#checksums), size: data.length });
+	}
+
+	/**
+	 * Check data, the stored Bytes of the File resolvedFilename, against its Checksum in the Manifest
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @returns {void}
+	 * @throws {IntegrityError} if the Manifest has no Checksum for the File or data does not match it
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	verifyChecksum(resolvedFilename, data) {
+		const checksum = this.#manifest.get(resolvedFilename);
+
+		if (checksum === undefined)
+			throw new IntegrityError('Expected the File to have a Checksum in the Manifest', IO.#toRelative(this.#dataDir, resolvedFilename));
+
+		if (data.length !== checksum.size || IO.#digest(data, checksum.algorithm) !== checksum.hash)
+			throw new IntegrityError('Expected the File to match its Checksum in the Manifest', IO.#toRelative(this.#dataDir, resolvedFilename));
+	}
+
+	/**
+	 * Get the Checksums of every File inside the Directory resolvedDirname from the Manifest, keyed by absolute Path
+	 * @param {string} resolvedDirname 
+	 * @returns {Map<string, import('./Manifest').Checksum>}
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	checksumsOf(resolvedDirname) {
+		return this.#manifest.list(resolvedDirname);
+	}
+
+	/**
+	 * Record the Checksums of the Entry resolvedPathname and of every File below it again, from their current Content
+	 * Used after Changes whose Data is not known, e.g. partial Writes or restoring a Snapshot. Nothing is recorded without options.checksums
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<void>}
+	 * @protected
+	 * @async
+	 */
+	async rehash(resolvedPathname) {
+		if (this.#checksums === null)
+			return;
+
+		this.#manifest.delete(resolvedPathname);
+
+		let stats;
+
+		try {
+			stats = await this.#backend.lstat(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return;
+
+			throw error;
+		}
+
+		if (stats.isFile())
+			return this.setChecksum(resolvedPathname, (await this.#backend.readFile(resolvedPathname)).data);
+
+		if (!stats.isDirectory())
+			return;
+
+		for (const { name } of await this.#backend.readdir(resolvedPathname)) {
+			if (path.join(resolvedPathname, name) !== this.#internalDir)
+				await this.rehash(path.join(resolvedPathname, name));
+		}
+	}
+
+	/**
+	 * Synchronously record the Checksums of the Entry resolvedPathname and of every File below it again. See rehash
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	rehashSync(resolvedPathname) {
+		if (this.#checksums === null)
+			return;
+
+		this.#manifest.delete(resolvedPathname);
+
+		let stats;
+
+		try {
+			stats = this.#backend.lstatSync(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return;
+
+			throw error;
+		}
+
+		if (stats.isFile())
+			return this.setChecksum(resolvedPathname, this.#backend.readFileSync(resolvedPathname).data);
+
+		if (!stats.isDirectory())
+			return;
+
+		for (const { name } of this.#backend.readdirSync(resolvedPathname)) {
+			if (path.join(resolvedPathname, name) !== this.#internalDir)
+				this.rehashSync(path.join(resolvedPathname, name));
+		}
+	}
+
+	/**
+	 * Read the File resolvedFilename with read and cache the Result
+	 * The Result is not cached if the File is mutated while it is read, so the Cache never holds outdated Data
+	 * Resolves to the Content of the File
+	 * @param {string} resolvedFilename 
+	 * @param {() => Promise<{data: Buffer, stats: fs.Stats}>} read 
+	 * @returns {Promise<Buffer>}
+	 * @protected
+	 * @async
+	 */
+	async cacheRead(resolvedFilename, read) {
+		const token = { stale: false };
+
+		if (!this.#reads.has(resolvedFilename))
+			this.#reads.set(resolvedFilename, new Set());
+
+		this.#reads.get(resolvedFilename).add(token);
+
+		try {
+			const { data, stats } = await read();
+
+			this.#metrics.count('bytesFromBackend', data.length);
+
+			if (!token.stale && !this.#locks.isLocked(resolvedFilename))
+				this.setCached(resolvedFilename, data, stats);
+
+			return data;
+		}
+		finally {
+			const tokens = this.#reads.get(resolvedFilename);
+
+			tokens.delete(token);
+
+			if (tokens.size === 0)
+				this.#reads.delete(resolvedFilename);
+		}
+	}
+
+	/**
+	 * Synchronously read the File resolvedFilename with read and cache the Result
+	 * The Result is not cached while an asynchronous Mutation of the File is pending
+	 * @param {string} resolvedFilename 
+	 * @param {() => {data: Buffer, stats: fs.Stats}} read 
+	 * @returns {Buffer}
+	 * @protected
+	 */
+	cacheReadSync(resolvedFilename, read) {
+		const { data, stats } = read();
+
+		this.#metrics.count('bytesFromBackend', data.length);
+
+		if (!this.#locks.isLocked(resolvedFilename))
+			this.setCached(resolvedFilename, data, stats);
+
+		return data;
+	}
+
+	/**
+	 * Resolve pathname relative to the Data Directory
+	 * Resolves to the absolute Path
+	 * With the noSymlinkEscape Option, the Real Path of the Entry (or of its closest existing Parent Directory) has to be inside the Data Directory as well.
+	 * If options.followSymlinks is false, only the Parent Directories are checked, for Operations that act on a Symbolic Link itself (e.g. lstat or unlink).
+	 * Rejects with a TypeError if pathname is not a String
+	 * Rejects with a PathError if pathname does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error
+	 * @param {string} pathname 
+	 * @param {string} [name] the Name of the Argument used in Error Messages
+	 * @param {{followSymlinks?: boolean}} [options]
+	 * @returns {Promise<string>}
+	 * @protected
+	 * @async
+	 */
+	async resolveEntry(pathname, name = 'pathname', { followSymlinks = true } = {}) {
+		const resolvedPathname = this.#resolveLexically(pathname, name);
+
+		if (!this.#noSymlinkEscape)
+			return resolvedPathname;
+
+		let current = followSymlinks || resolvedPathname === this.#dataDir ? resolvedPathname : path.dirname(resolvedPathname);
+
+		for (let links = 0; ; ) {
+			try {
+				if (!IO.isInside(this.#realDataDir, await this.#backend.realpath(current)))
+					throw new PathError(`Expected ${name} not to leave the Data Directory through a Symbolic Link`, pathname);
+
+				return resolvedPathname;
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+
+			const target = await this.#readDanglingLink(current);
+
+			if (target !== null && ++links <= IO.#MAX_SYMLINKS)
+				current = path.resolve(path.dirname(current), target);
+			else
+				current = path.dirname(current);
+		}
+	}
+
+	/**
+	 * Synchronously resolve pathname relative to the Data Directory
+	 * See resolveEntry
+	 * @param {string} pathname 
+	 * @param {string} [name] the Name of the Argument used in Error Messages
+	 * @param {{followSymlinks?: boolean}} [options]
+	 * @returns {string}
+	 * @throws {TypeError} if pathname is not a String
+	 * @throws {PathError} if pathname does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	resolveEntrySync(pathname, name = 'pathname', { followSymlinks = true } = {}) {
+		const resolvedPathname = this.#resolveLexically(pathname, name);
+
+		if (!this.#noSymlinkEscape)
+			return resolvedPathname;
+
+		let current = followSymlinks || resolvedPathname === this.#dataDir ? resolvedPathname : path.dirname(resolvedPathname);
+
+		for (let links = 0; ; ) {
+			try {
+				if (!IO.isInside(this.#realDataDir, this.#backend.realpathSync(current)))
+					throw new PathError(`Expected ${name} not to leave the Data Directory through a Symbolic Link`, pathname);
+
+				return resolvedPathname;
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+
+			const target = this.#readDanglingLinkSync(current);
+
+			if (target !== null && ++links <= IO.#MAX_SYMLINKS)
+				current = path.resolve(path.dirname(current), target);
+			else
+				current = path.dirname(current);
+		}
+	}
+
+	/**
+	 * Create a new Instance of ScopeClass whose Data Directory is the Directory specified by dirname
+	 * The Scope shares the Backend, the Cache (and with it the Cache Budget), the Coherence Mode and the internal Directory with this Instance,
+	 * but cannot access anything outside of dirname. The Directory is created if it does not exist.
+	 * noSymlinkEscape can only be enabled for the Scope, not disabled. options.quota sets the Quota of dirname (see setQuota)
+	 * @template {IO} T
+	 * @param {new (dataDir: string, cache: null, options: Object) => T} ScopeClass 
+	 * @param {string} dirname 
+	 * @param {{noSymlinkEscape?: boolean, quota?: Quota | null}} [options]
+	 * @returns {T}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {TypeError} if options.noSymlinkEscape is not a Boolean
+	 * @throws {TypeError} if options.quota is not a Quota or null
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if dirname is inside the internal Directory
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	createScope(ScopeClass, dirname, { noSymlinkEscape = this.#noSymlinkEscape, quota = null } = {}) {
+		if (typeof noSymlinkEscape !== 'boolean')
+			throw new TypeError('Expected options.noSymlinkEscape to be a Boolean');
+
+		const scopeQuota = Quotas.prepare(quota, 'options.quota');
+		const resolvedDirname = this.resolveEntrySync(dirname, 'dirname');
+
+		if (this.isInternal(resolvedDirname))
+			throw new PathError('Expected dirname not to be inside the internal Directory', dirname);
+
+		const scope = new ScopeClass(resolvedDirname, null, { noSymlinkEscape, [IO.#PARENT]: this });
+
+		if (scopeQuota !== null)
+			scope.setQuotaSync('.', scopeQuota);
+
+		return scope;
+	}
+
+	/**
+	 * Check whether the absolute Path pathname is dirname or inside of it
+	 * Unlike a plain startsWith Check, /srv/data2 is not inside /srv/data
+	 * @param {string} dirname 
+	 * @param {string} pathname 
+	 * @returns {boolean}
+	 * @public
+	 */
+	static isInside(dirname, pathname) {
+		const relativePathname = path.relative(dirname, pathname);
+
+		return relativePathname === '' || (relativePathname !== '..' && !relativePathname.startsWith('..' + path.sep) && !path.isAbsolute(relativePathname));
+	}
+
+	/**
+	 * Record the Duration of every Call of the Methods of Class in the Stats of the calling Instance (see stats)
+	 * Only the outermost Call is recorded: Calls that a Method makes while it runs (e.g. writeText calling writeFile) are not recorded again
+	 * Generator Methods are recorded from the first next() until the Generator finished or was returned
+	 * @param {typeof IO} Class 
+	 * @returns {void}
+	 * @protected
+	 */
+	static instrument(Class) {
+		for (const [name, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(Class.prototype))) {
+			const method = descriptor.value;
+
+			if (name === 'constructor' || typeof method !== 'function')
+				continue;
+
+			let instrumented;
+
+			if (method.constructor.name === 'AsyncGeneratorFunction') {
+				instrumented = {
+					async *[name](...args) {
+						if (IO.#CALLS.getStore()?.active)
+							return yield* method.apply(this, args);
+
+						const call = { active: true };
+						const iterator = method.apply(this, args);
+						const start = performance.now();
+						let done = false;
+						let failed = false;
+
+						try {
+							let result = await IO.#CALLS.run(call, () => iterator.next());
+
+							while (!result.done) {
+								const value = yield result.value;
+
+								result = await IO.#CALLS.run(call, () => iterator.next(value));
+							}
+
+							done = true;
+							return result.value;
+						}
+						catch (error) {
+							failed = true;
+							throw error;
+						}
+						finally {
+							if (!done && !failed)
+								await IO.#CALLS.run(call, () => iterator.return());
+
+							call.active = false;
+							this.#metrics.record(name, performance.now() - start, failed);
+						}
+					}
+				}[name];
+			}
+			else if (method.constructor.name === 'GeneratorFunction') {
+				instrumented = {
+					*[name](...args) {
+						if (IO.#CALLS.getStore()?.active)
+							return yield* method.apply(this, args);
+
+						const call = { active: true };
+						const iterator = method.apply(this, args);
+						const start = performance.now();
+						let done = false;
+						let failed = false;
+
+						try {
+							let result = IO.#CALLS.run(call, () => iterator.next());
+
+							while (!result.done) {
+								const value = yield result.value;
+
+								result = IO.#CALLS.run(call, () => iterator.next(value));
+							}
+
+							done = true;
+							return result.value;
+						}
+						catch (error) {
+							failed = true;
+							throw error;
+						}
+						finally {
+							if (!done && !failed)
+								IO.#CALLS.run(call, () => iterator.return());
+
+							call.active = false;
+							this.#metrics.record(name, performance.now() - start, failed);
+						}
+					}
+				}[name];
+			}
+			else {
+				instrumented = {
+					[name](...args) {
+						if (IO.#CALLS.getStore()?.active)
+							return method.apply(this, args);
+
+						const call = { active: true };
+						const start = performance.now();
+						let result;
+
+						try {
+							result = IO.#CALLS.run(call, () => method.apply(this, args));
+						}
+						catch (error) {
+							call.active = false;
+							this.#metrics.record(name, performance.now() - start, true);
+							throw error;
+						}
+
+						if (!(result instanceof Promise)) {
+							call.active = false;
+							this.#metrics.record(name, performance.now() - start, false);
+							return result;
+						}
+
+						return result.then(value => {
+							call.active = false;
+							this.#metrics.record(name, performance.now() - start, false);
+							return value;
+						}, error => {
+							call.active = false;
+							this.#metrics.record(name, performance.now() - start, true);
+							throw error;
+						});
+					}
+				}[name];
+			}
+
+			Object.defineProperty(Class.prototype, name, { ...descriptor, value: instrumented });
+		}
+	}
+
+	/**
+	 * Read the Files resolvedFilenames into the Cache in Order, until the cacheBudget is used up
+	 * Files that are already cached, Directories and Files that do not exist are skipped, the Cache Policies (see addCachePolicy) apply and pinned Files do not count towards the Budget
+	 * Resolves to the Number of Files that were read into the Cache and their Size
+	 * Rejects with a CodecError if a File cannot be decoded
+	 * Rejects with an Error on a File System Error
+	 * @param {string[]} resolvedFilenames 
+	 * @returns {Promise<WarmResult>}
+	 * @protected
+	 * @async
+	 */
+	async warmResolved(resolvedFilenames) {
+		const result = { files: 0, bytes: 0 };
+		let budget = this.#cacheBudget - this.#cachedBytes();
+
+		for (const resolvedFilename of resolvedFilenames) {
+			const bytes = await this.#warmFile(resolvedFilename, budget);
+
+			if (bytes !== null)
+				budget -= this.#countWarmed(result, resolvedFilename, bytes);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Synchronously read the Files resolvedFilenames into the Cache. See warmResolved
+	 * @param {string[]} resolvedFilenames 
+	 * @returns {WarmResult}
+	 * @throws {CodecError} if a File cannot be decoded
+	 * @throws {Error} on a File System Error
+	 * @protected
+	 */
+	warmResolvedSync(resolvedFilenames) {
+		const result = { files: 0, bytes: 0 };
+		let budget = this.#cacheBudget - this.#cachedBytes();
+
+		for (const resolvedFilename of resolvedFilenames) {
+			const bytes = this.#warmFileSync(resolvedFilename, budget);
+
+			if (bytes !== null)
+				budget -= this.#countWarmed(result, resolvedFilename, bytes);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Read the Files following resolvedFilename in its Directory into the Cache in the Background (see options.readAhead)
+	 * Files are read ahead in the Order of their Names, only regular Files that are not cached yet are considered. Errors are ignored, as Read-Ahead is only a Hint.
+	 * @param {string} resolvedFilename 
+	 * @returns {void}
+	 * @protected
+	 */
+	readAheadOf(resolvedFilename) {
+		if (this.#readAhead === 0 || this.#cacheBudget === 0)
+			return;
+
+		const resolvedDirname = path.dirname(resolvedFilename);
+		const name = path.basename(resolvedFilename);
+
+		this.#backend.readdir(resolvedDirname).then(dirents => {
+			const siblings = dirents
+				.filter(dirent => dirent.isFile() && dirent.name > name)
+				.map(dirent => path.join(resolvedDirname, dirent.name))
+				.filter(sibling => !this.isInternal(sibling) && !this.#prefetches.has(sibling) && this.getCachedInfo(sibling) === undefined)
+				.sort()
+				.slice(0, this.#readAhead);
+
+			for (const sibling of siblings)
+				this.#prefetches.add(sibling);
+
+			return this.warmResolved(siblings).finally(() => {
+				for (const sibling of siblings)
+					this.#prefetches.delete(sibling);
+			});
+		}).catch(() => {});
+	}
+
+	/**
+	 * Get the cached Content of the File specified by the absolute Path resolvedFilename
+	 * Resolves to undefined if the File is not cached or the cached Entry is stale
+	 * @param {string} resolvedFilename 
+	 * @returns {Promise<Buffer | undefined>}
+	 * @protected
+	 * @async
+	 */
+	async getCached(resolvedFilename) {
+		const key = this.#findCached(resolvedFilename);
+
+		if (key === null)
+			return undefined;
+
+		if (this.coherence === 'stat') {
+			let stats = null;
+
+			try {
+				stats = await this.#backend.stat(resolvedFilename);
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+
+			if (!this.#isFresh(resolvedFilename, stats)) {
+				this.deleteCached(resolvedFilename);
+				this.#metrics.count('invalidations');
+				this.#metrics.count('misses');
+				return undefined;
+			}
+		}
+
+		return this.#hitCached(resolvedFilename, key);
+	}
+
+	/**
+	 * Synchronously get the cached Content of the File specified by the absolute Path resolvedFilename
+	 * Returns undefined if the File is not cached or the cached Entry is stale
+	 * @param {string} resolvedFilename 
+	 * @returns {Buffer | undefined}
+	 * @protected
+	 */
+	getCachedSync(resolvedFilename) {
+		const key = this.#findCached(resolvedFilename);
+
+		if (key === null)
+			return undefined;
+
+		if (this.coherence === 'stat') {
+			let stats = null;
+
+			try {
+				stats = this.#backend.statSync(resolvedFilename);
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+
+			if (!this.#isFresh(resolvedFilename, stats)) {
+				this.deleteCached(resolvedFilename);
+				this.#metrics.count('invalidations');
+				this.#metrics.count('misses');
+				return undefined;
+			}
+		}
+
+		return this.#hitCached(resolvedFilename, key);
+	}
+
+	/**
+	 * Get the Modification Time, Size and Inode the File specified by the absolute Path resolvedFilename had when it was cached, without accessing the Backend
+	 * Returns undefined if the File is not cached. The Entry is not checked for Staleness, see getCached
+	 * @param {string} resolvedFilename 
+	 * @returns {{mtimeMs: number, size: number, ino: number} | undefined}
+	 * @protected
+	 */
+	getCachedInfo(resolvedFilename) {
+		const entry = this.#entries.get(resolvedFilename);
+
+		if (entry === undefined || !this.#hasContent(entry.key))
+			return undefined;
+
+		return { mtimeMs: entry.mtimeMs, size: entry.size, ino: entry.ino };
+	}
+
+	/**
+	 * Cache data as the Content of the File specified by the absolute Path resolvedFilename
+	 * stats has to describe the stored File right after data was read or written
+	 * With options.dedupe, the Content is cached under the Hash of data, so Files with identical Content share one Cache Entry
+	 * The Cache Policy of the File (see addCachePolicy) decides whether and how long it is cached and whether it is pinned
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {fs.Stats} stats 
+	 * @returns {void}
+	 * @protected
+	 */
+	setCached(resolvedFilename, data, stats) {
+		const policy = this.cachePolicyFor(resolvedFilename);
+
+		if (!policy.cache || data.length > policy.maxEntrySize) {
+			this.deleteCached(resolvedFilename);
+			this.#metrics.count('rejected');
+			return;
+		}
+
+		const key = this.#dedupe ? `sha256:${IO.#digest(data, 'sha256')}` : resolvedFilename;
+		const hits = this.#entries.get(resolvedFilename)?.hits ?? 0;
+
+		this.#releaseEntry(resolvedFilename);
+
+		if (key === resolvedFilename || !this.#hasContent(key))
+			this.#setContent(key, data, policy.pinned);
+		else if (policy.pinned)
+			this.#setContent(key, this.#getContent(key), true);
+
+		if (key !== resolvedFilename)
+			this.#keyRefs.set(key, (this.#keyRefs.get(key) ?? 0) + 1);
+
+		this.#entries.set(resolvedFilename, { mtimeMs: stats.mtimeMs, size: stats.size, ino: stats.ino, key, bytes: data.length, expires: Date.now() + policy.ttl, hits });
+	}
+
+	/**
+	 * Evict the File specified by the absolute Path resolvedFilename from the Cache
+	 * Content shared with other Files (see options.dedupe) stays cached until no cached File refers to it anymore
+	 * @param {string} resolvedFilename 
+	 * @returns {void}
+	 * @protected
+	 */
+	deleteCached(resolvedFilename) {
+		this.#releaseEntry(resolvedFilename);
+		this.#parsedCache.delete(resolvedFilename);
+	}
+
+	/**
+	 * Evict the Entry specified by the absolute Path resolvedPathname and every Entry below it from the Cache
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @protected
+	 */
+	deleteCachedTree(resolvedPathname) {
+		this.deleteCached(resolvedPathname);
+
+		for (const key of [...this.#entries.keys()]) {
+			if (IO.isInside(resolvedPathname, key))
+				this.deleteCached(key);
+		}
+	}
+
+	/**
+	 * Move the cached Entry of the absolute Path oldPathname to newPathname
+	 * @param {string} oldPathname 
+	 * @param {string} newPathname 
+	 * @returns {void}
+	 * @protected
+	 */
+	renameCached(oldPathname, newPathname) {
+		const entry = this.#entries.get(oldPathname);
+
+		if (!this.#hasContent(this.#cacheKeyOf(oldPathname))) {
+			this.#releaseEntry(oldPathname);
+			this.#parsedCache.delete(oldPathname);
+			return;
+		}
+
+		if (oldPathname === newPathname)
+			return;
+
+		this.#releaseEntry(newPathname);
+		this.#entries.delete(oldPathname);
+
+		if (entry === undefined || entry.key === oldPathname) {
+			this.#renameContent(oldPathname, newPathname);
+
+			if (entry !== undefined)
+				this.#entries.set(newPathname, { ...entry, key: newPathname });
+		}
+		else
+			this.#entries.set(newPathname, entry);
+
+		this.#parsedCache.rename(oldPathname, newPathname);
+	}
+
+	/**
+	 * Update the cached Content of the File resolvedFilename after only a Part of it was written
+	 * patch is called with the cached Content and returns the new Content, which is cached with stats if its Length matches the written File
+	 * Otherwise the cached Content did not match the File before the Write and is evicted
+	 * The cached Buffer is never modified, Readers that got it earlier keep the old Content
+	 * @param {string} resolvedFilename 
+	 * @param {fs.Stats} stats 
+	 * @param {(cached: Buffer) => Buffer} patch 
+	 * @returns {void}
+	 * @protected
+	 */
+	patchCached(resolvedFilename, stats, patch) {
+		const entry = this.#entries.get(resolvedFilename);
+
+		if (entry === undefined || !this.#hasContent(entry.key) || entry.ino !== stats.ino)
+			return this.deleteCached(resolvedFilename);
+
+		const data = patch(this.#getContent(entry.key));
+
+		if (data.length !== stats.size)
+			return this.deleteCached(resolvedFilename);
+
+		this.#parsedCache.delete(resolvedFilename);
+		this.setCached(resolvedFilename, data, stats);
+	}
+
+	/**
+	 * Get the Value that was parsed in format from data, the cached Content of the File resolvedFilename
+	 * Returns a Copy of the cached Value, so the Caller can modify it without changing what later Reads return
+	 * Returns undefined if no Value is cached for exactly this Buffer
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {string} format 
+	 * @returns {any}
+	 * @protected
+	 */
+	getParsed(resolvedFilename, data, format) {
+		const value = this.#parsedCache.get(resolvedFilename, data, format);
+
+		return value === undefined ? undefined : structuredClone(value);
+	}
+
+	/**
+	 * Cache value as parsed in format from data, the Content of the File resolvedFilename
+	 * Nothing is cached if data is not the cached Content of the File, so the Value is never newer or older than the cached Bytes.
+	 * A Copy of value is cached, so the Caller can keep modifying value
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {string} format 
+	 * @param {any} value 
+	 * @returns {void}
+	 * @protected
+	 */
+	setParsed(resolvedFilename, data, format, value) {
+		const key = this.#cacheKeyOf(resolvedFilename);
+
+		if (this.#parsedCache.limit === 0 || !this.#hasContent(key) || this.#getContent(key) !== data)
+			return;
+
+		this.#parsedCache.set(resolvedFilename, data, format, structuredClone(value));
+	}
+
+	/**
+	 * Initialize this Instance as a Scope of parent rooted at the absolute Path resolvedDirname
+	 * The Cache Entries are shared as well, so Writes through the Scope keep the Cache of parent coherent and vice versa.
+	 * The Watcher stays owned by parent, its Data Directory contains resolvedDirname.
+	 * @param {string} resolvedDirname 
+	 * @param {IO} parent 
+	 * @param {boolean} noSymlinkEscape 
+	 * @returns {void}
+	 * @private
+	 */
+	#initScope(resolvedDirname, parent, noSymlinkEscape) {
+		this.#dataDir = resolvedDirname;
+		this.#backend = parent.#backend;
+		this.#cache = parent.#cache;
+		this.#entries = parent.#entries;
+		this.#keyRefs = parent.#keyRefs;
+		this.#locks = parent.#locks;
+		this.#reads = parent.#reads;
+		this.#parsedCache = parent.#parsedCache;
+		this.#pinned = parent.#pinned;
+		this.#metrics = parent.#metrics;
+		this.#cacheBudget = parent.#cacheBudget;
+		this.#persistCache = parent.#persistCache;
+		this.#readAhead = parent.#readAhead;
+		this.#prefetches = parent.#prefetches;
+		this.#codecs = parent.#codecs;
+		this.#cacheEncoded = parent.#cacheEncoded;
+		this.#versions = parent.#versions;
+		this.#trash = parent.#trash;
+		this.#quotas = parent.#quotas;
+		this.#checksums = parent.#checksums;
+		this.#manifest = parent.#manifest;
+		this.#dedupe = parent.#dedupe;
+		this.#blobs = parent.#blobs;
+		this.#internalDir = parent.#internalDir;
+		this.#noSymlinkEscape = noSymlinkEscape || parent.#noSymlinkEscape;
+		this.#parent = parent;
+
+		this.#backend.mkdirSync(this.#dataDir, { recursive: true });
+
+		this.#realDataDir = this.#backend.realpathSync(this.#dataDir);
+	}
+
+	/**
+	 * Split data, the stored Content of the File resolvedFilename, into its recorded Codecs and the encoded Payload
+	 * Returns null if data has no Header
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @returns {{names: string[], payload: Buffer} | null}
+	 * @throws {CodecError} if the Header is truncated
+	 * @private
+	 */
+	#readHeader(resolvedFilename, data) {
+		try {
+			return Codec.readHeader(data);
+		}
+		catch (error) {
+			throw new CodecError('Expected the File to have a valid Codec Header', IO.#toRelative(this.#dataDir, resolvedFilename), { cause: error });
+		}
+	}
+
+	/**
+	 * Find the Codec named name to decode the File resolvedFilename
+	 * The Codecs of the File are preferred, then all Codecs configured on this Instance and its Parents. Compression Algorithms need no Configuration
+	 * @param {string} resolvedFilename 
+	 * @param {string} name 
+	 * @returns {Codec}
+	 * @throws {CodecError} if no Codec named name is configured
+	 * @private
+	 */
+	#findCodec(resolvedFilename, name) {
+		const candidates = [...this.codecsFor(resolvedFilename)];
+
+		for (let io = this; io !== null; io = io.#parent) {
+			for (const { codecs } of [...io.#codecRules].reverse())
+				candidates.push(...codecs);
+		}
+
+		candidates.push(...this.#codecs);
+
+		const codec = candidates.find(codec => codec.name === name);
+
+		if (codec !== undefined)
+			return codec;
+
+		if (CompressionCodec.isAlgorithm(name))
+			return new CompressionCodec(name);
+
+		throw new CodecError(`Expected a Codec named ${name} to be configured`, IO.#toRelative(this.#dataDir, resolvedFilename));
+	}
+
+	/**
+	 * Check the Codecs passed to the Constructor or to addCodec
+	 * @param {Codec | Codec[]} codecs 
+	 * @param {string} name the Name of the Argument for the Error Message
+	 * @returns {Codec[]}
+	 * @private
+	 */
+	static #prepareCodecs(codecs, name) {
+		const list = Array.isArray(codecs) ? codecs : [codecs];
+
+		if (!list.every(codec => codec instanceof Codec))
+			throw new TypeError(`Expected ${name} to be a Codec or an Array of Codecs`);
+
+		return [...list];
+	}
+
+	/**
+	 * Get the Paths a Mutation has to lock
+	 * @param {Change} change 
+	 * @returns {string[]}
+	 * @private
+	 */
+	static #lockKeys(change) {
+		return change.resolvedSourcePathname ? [change.resolvedPathname, change.resolvedSourcePathname] : [change.resolvedPathname];
+	}
+
+	/**
+	 * Describe a locked absolute Path for a LockError
+	 * @param {string} key 
+	 * @returns {string}
+	 * @private
+	 */
+	#describeKey(key) {
+		return IO.#toRelative(this.#dataDir, key);
+	}
+
+	/**
+	 * Update the Manifest after the Mutation change succeeded
+	 * Whole Files written with data record their Checksum themselves (see setChecksum), partially written Files and Streams are hashed again
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #updateChecksums(change, data) {
+		if (this.#checksums === null)
+			return;
+
+		if (change.type === 'write' && (change.partial !== undefined || data === undefined))
+			return await this.rehash(change.resolvedPathname);
+
+		this.#moveChecksums(change);
+	}
+
+	/**
+	 * Synchronous Version of #updateChecksums
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @returns {void}
+	 * @private
+	 */
+	#updateChecksumsSync(change, data) {
+		if (this.#checksums === null)
+			return;
+
+		if (change.type === 'write' && (change.partial !== undefined || data === undefined))
+			return this.rehashSync(change.resolvedPathname);
+
+		this.#moveChecksums(change);
+	}
+
+	/**
+	 * Move, copy or remove the Checksums of the Entries of a rename, copy, link or delete
+	 * @param {Change} change 
+	 * @returns {void}
+	 * @private
+	 */
+	#moveChecksums({ type, resolvedPathname, resolvedSourcePathname }) {
+		if (type === 'rename')
+			this.#manifest.move(resolvedSourcePathname, resolvedPathname);
+		else if (type === 'copy' || type === 'link')
+			this.#manifest.copy(resolvedSourcePathname, resolvedPathname);
+		else if (type === 'delete')
+			this.#manifest.delete(resolvedPathname);
+	}
+
+	/**
+	 * Get the Hex Digest of data with algorithm
+	 * @param {Buffer} data 
+	 * @param {string} algorithm 
+	 * @returns {string}
+	 * @private
+	 */
+	static #digest(data, algorithm) {
+		return crypto.createHash(algorithm).update(data).digest('hex');
+	}
+
+	/**
+	 * Mark all Reads in Flight of the Paths of change, and of every Path below them, as stale
+	 * @param {Change} change 
+	 * @returns {void}
+	 * @private
+	 */
+	#invalidateReads(change) {
+		for (const [resolvedFilename, tokens] of this.#reads) {
+			if (IO.#lockKeys(change).some(key => IO.isInside(key, resolvedFilename)))
+				tokens.forEach(token => token.stale = true);
+		}
+	}
+
+	/**
+	 * Run the before Hooks of this Instance and its Parents for change
+	 * Resolves to the Data of the Change after all Hooks transformed it
+	 * @param {Change} change 
+	 * @returns {Promise<Buffer | undefined>}
+	 * @private
+	 * @async
+	 */
+	async #runHooks(change) {
+		let data = change.data;
+
+		for (let io = this; io !== null; io = io.#parent) {
+			for (const hook of io.#hooks.get(change.type) ?? []) {
+				const event = io.#describe(change, data, false);
+
+				data = IO.#applyHookResult(event, await hook(event), data);
+			}
+		}
+
+		return data;
+	}
+
+	/**
+	 * Synchronously run the before Hooks of this Instance and its Parents for change
+	 * @param {Change} change 
+	 * @param {boolean} sync whether the Change is made by a synchronous Method
+	 * @returns {Buffer | undefined}
+	 * @private
+	 */
+	#runHooksSync(change, sync) {
+		let data = change.data;
+
+		for (let io = this; io !== null; io = io.#parent) {
+			for (const hook of io.#hooks.get(change.type) ?? []) {
+				const event = io.#describe(change, data, sync);
+				const result = hook(event);
+
+				if (typeof result?.then === 'function')
+					throw new TypeError('Expected before Hooks of synchronous Methods not to return a Promise');
+
+				data = IO.#applyHookResult(event, result, data);
+			}
+		}
+
+		return data;
+	}
+
+	/**
+	 * Check the Result of a before Hook
+	 * Returns the Data to continue with
+	 * @param {BeforeChangeEvent} event 
+	 * @param {boolean | void} result 
+	 * @param {Buffer | undefined} data 
+	 * @returns {Buffer | undefined}
+	 * @private
+	 */
+	static #applyHookResult(event, result, data) {
+		if (result === false)
+			throw new VetoError(event.type, event.pathname);
+
+		if (data !== undefined && !(event.data instanceof Buffer))
+			throw new TypeError('Expected event.data to be an instance of Buffer');
+
+		return event.data;
+	}
+
+	/**
+	 * Emit the Change Event on this Instance and its Parents, both under its Type and as 'change'
+	 * @param {Change} change 
+	 * @param {number} bytes 
+	 * @param {number} duration 
+	 * @param {boolean} sync 
+	 * @returns {void}
+	 * @private
+	 */
+	#emitChange(change, bytes, duration, sync) {
+		for (let io = this; io !== null; io = io.#parent) {
+			const event = { ...io.#describe(change, undefined, sync), bytes, duration };
+
+			io.emit(change.type, event);
+			io.emit('change', event);
+		}
+	}
+
+	/**
+	 * Describe change with Paths relative to the Data Directory of this Instance
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @param {boolean} sync 
+	 * @returns {BeforeChangeEvent}
+	 * @private
+	 */
+	#describe(change, data, sync) {
+		const resolvedSourcePathname = change.resolvedSourcePathname ?? null;
+		const event = {
+			type: change.type,
+			pathname: IO.#toRelative(this.#dataDir, change.resolvedPathname),
+			resolvedPathname: change.resolvedPathname,
+			sourcePathname: resolvedSourcePathname === null ? null : IO.#toRelative(this.#dataDir, resolvedSourcePathname),
+			resolvedSourcePathname,
+			partial: change.partial ?? null,
+			offset: change.offset ?? null,
+			sync
+		};
+
+		if (data !== undefined)
+			event.data = data;
+
+		return event;
+	}
+
+	/**
+	 * Get the Path of resolvedPathname relative to dirname, with / as Separator
+	 * @param {string} dirname 
+	 * @param {string} resolvedPathname 
+	 * @returns {string}
+	 * @private
+	 */
+	static #toRelative(dirname, resolvedPathname) {
+		return path.relative(dirname, resolvedPathname).split(path.sep).join('/');
+	}
+
+	/**
+	 * Type-check pathname and resolve it relative to the Data Directory without touching the File System
+	 * @param {string} pathname 
+	 * @param {string} name 
+	 * @returns {string}
+	 * @private
+	 */
+	#resolveLexically(pathname, name) {
+		if (typeof pathname !== 'string')
+			throw new TypeError(`Expected ${name} to be a String`);
+
+		const resolvedPathname = path.resolve(this.#dataDir, pathname);
+
+		if (!IO.isInside(this.#dataDir, resolvedPathname))
+			throw new PathError(`Expected ${name} to be inside the Data Directory`, pathname);
+
+		return resolvedPathname;
+	}
+
+	/**
+	 * Read the Target of the Symbolic Link resolvedPathname
+	 * Resolves to null if resolvedPathname does not exist or is not a Symbolic Link
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<string | null>}
+	 * @private
+	 * @async
+	 */
+	async #readDanglingLink(resolvedPathname) {
+		try {
+			return await this.#backend.readlink(resolvedPathname);
+		}
+		catch (error) {
+			if (['ENOENT', 'EINVAL', 'ENOTDIR'].includes(error.code))
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronously read the Target of the Symbolic Link resolvedPathname
+	 * Returns null if resolvedPathname does not exist or is not a Symbolic Link
+	 * @param {string} resolvedPathname 
+	 * @returns {string | null}
+	 * @private
+	 */
+	#readDanglingLinkSync(resolvedPathname) {
+		try {
+			return this.#backend.readlinkSync(resolvedPathname);
+		}
+		catch (error) {
+			if (['ENOENT', 'EINVAL', 'ENOTDIR'].includes(error.code))
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Start watching the Data Directory for the 'watch' Coherence Mode
+	 * If the Watcher fails, the Instance falls back to the 'stat' Coherence Mode, as no Change can be noticed anymore
+	 * @returns {void}
+	 * @private
+	 */
+	#watch() {
+		const watcher = this.#backend.watch(this.#dataDir, (eventType, filename) => {
+			if (filename)
+				this.#onWatchEvent(eventType, path.resolve(this.#dataDir, filename));
+			else
+				this.deleteCachedTree(this.#dataDir);
+		});
+
+		watcher.on('error', () => {
+			watcher.close();
+
+			if (this.#watcher !== watcher)
+				return;
+
+			this.#watcher = null;
+			this.#coherence = 'stat';
+		});
+
+		this.#watcher = watcher;
+	}
+
+	/**
+	 * Recreate the Watcher and validate every cached Entry afterwards
+	 * Recursive Watchers keep watching a Directory after it was renamed and miss Directories created in its Place,
+	 * so every Directory that appears (or is renamed) has to be watched again. Changes made while no Watcher was active are caught by the Validation.
+	 * Several Directory Events in a Row recreate the Watcher once
+	 * @returns {void}
+	 * @private
+	 */
+	#rewatch() {
+		if (this.#rewatchPending)
+			return;
+
+		this.#rewatchPending = true;
+
+		setImmediate(() => {
+			this.#rewatchPending = false;
+
+			if (this.#watcher === null)
+				return;
+
+			this.#watcher.close();
+			this.#watch();
+
+			for (const resolvedFilename of [...this.#entries.keys()])
+				this.#validateEntry(resolvedFilename);
+		});
+	}
+
+	/**
+	 * Handle a Watch Event of the Backend for resolvedPathname
+	 * Cached Files are evicted unless they still match the File on Disk, and Entries below a removed Path are evicted
+	 * A Directory that appeared or was renamed is not watched yet, so the Watcher is recreated (see #rewatch)
+	 * @param {string} eventType 'rename' if resolvedPathname was created, deleted or renamed, 'change' if it was modified
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @private
+	 */
+	#onWatchEvent(eventType, resolvedPathname) {
+		if (this.#entries.has(resolvedPathname))
+			return this.#validateEntry(resolvedPathname);
+
+		if (eventType !== 'rename')
+			return this.deleteCachedTree(resolvedPathname);
+
+		this.#backend.stat(resolvedPathname).then(stats => stats.isDirectory(), () => false).then(isDirectory => {
+			if (isDirectory)
+				this.#rewatch();
+			else
+				this.deleteCachedTree(resolvedPathname);
+		});
+	}
+
+	/**
+	 * Evict the cached File resolvedPathname unless it still matches the File on Disk
+	 * Changes made through this Instance also trigger Watch Events, so matching Entries are kept
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @private
+	 */
+	#validateEntry(resolvedPathname) {
+		this.#backend.stat(resolvedPathname).then(
+			stats => this.#isFresh(resolvedPathname, stats),
+			() => false
+		).then(fresh => {
+			if (fresh || !this.#entries.has(resolvedPathname))
+				return;
+
+			this.deleteCached(resolvedPathname);
+			this.#metrics.count('invalidations');
+		});
+	}
+
+	/**
+	 * Move the cached Entries of the absolute Path oldPathname and every Entry below it to newPathname
+	 * @param {string} oldPathname 
+	 * @param {string} newPathname 
+	 * @returns {void}
+	 * @protected
+	 */
+	renameCachedTree(oldPathname, newPathname) {
+		this.renameCached(oldPathname, newPathname);
+
+		for (const key of [...this.#entries.keys()]) {
+			if (key !== oldPathname && IO.isInside(oldPathname, key))
+				this.renameCached(key, path.join(newPathname, path.relative(oldPathname, key)));
+		}
+	}
+
+	/**
+	 * Get the Key the Content of the File resolvedFilename is cached under
+	 * @param {string} resolvedFilename 
+	 * @returns {string}
+	 * @private
+	 */
+	#cacheKeyOf(resolvedFilename) {
+		return this.#entries.get(resolvedFilename)?.key ?? resolvedFilename;
+	}
+
+	/**
+	 * Forget the cached Entry of the File resolvedFilename and evict its Content unless other cached Files share it
+	 * @param {string} resolvedFilename 
+	 * @returns {void}
+	 * @private
+	 */
+	#releaseEntry(resolvedFilename) {
+		const entry = this.#entries.get(resolvedFilename);
+
+		this.#entries.delete(resolvedFilename);
+
+		if (entry === undefined || entry.key === resolvedFilename)
+			return this.#deleteContent(resolvedFilename);
+
+		const refs = this.#keyRefs.get(entry.key) - 1;
+
+		if (refs > 0)
+			return this.#keyRefs.set(entry.key, refs);
+
+		this.#keyRefs.delete(entry.key);
+		this.#deleteContent(entry.key);
+	}
+
+	/**
+	 * Get the Cache Key of the File resolvedFilename if its Content can be served from the Cache, otherwise null
+	 * Entries whose Content the Cache evicted or whose TTL expired are forgotten, and the Miss is counted
+	 * @param {string} resolvedFilename 
+	 * @returns {string | null}
+	 * @private
+	 */
+	#findCached(resolvedFilename) {
+		const key = this.#cacheKeyOf(resolvedFilename);
+		const entry = this.#entries.get(resolvedFilename);
+
+		if (this.#hasContent(key) && (entry === undefined || entry.expires > Date.now()))
+			return key;
+
+		if (entry !== undefined)
+			this.#metrics.count(this.#hasContent(key) ? 'expirations' : 'evictions');
+
+		this.deleteCached(resolvedFilename);
+		this.#metrics.count('misses');
+
+		return null;
+	}
+
+	/**
+	 * Get the cached Content under key and count the Hit, for the Stats and for the File resolvedFilename (see saveCache)
+	 * @param {string} resolvedFilename 
+	 * @param {string} key 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	#hitCached(resolvedFilename, key) {
+		const data = this.#getContent(key);
+		const entry = this.#entries.get(resolvedFilename);
+
+		if (entry !== undefined)
+			entry.hits++;
+
+		this.#metrics.count('hits');
+		this.#metrics.count('bytesFromCache', data.length);
+
+		return data;
+	}
+
+	/**
+	 * Check whether Content is cached or pinned under key
+	 * @param {string} key 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#hasContent(key) {
+		return this.#pinned.has(key) || this.#cache.has(key);
+	}
+
+	/**
+	 * Get the Content cached or pinned under key
+	 * @param {string} key 
+	 * @returns {Buffer | undefined}
+	 * @private
+	 */
+	#getContent(key) {
+		return this.#pinned.get(key) ?? this.#cache.get(key);
+	}
+
+	/**
+	 * Store data under key, pinned outside of the Cache or in the Cache
+	 * @param {string} key 
+	 * @param {Buffer} data 
+	 * @param {boolean} pinned 
+	 * @returns {void}
+	 * @private
+	 */
+	#setContent(key, data, pinned) {
+		if (pinned) {
+			this.#cache.delete(key);
+			this.#pinned.set(key, data);
+		}
+		else {
+			this.#pinned.delete(key);
+			this.#cache.set(key, data);
+		}
+	}
+
+	/**
+	 * Remove the Content under key from the Cache and the pinned Files
+	 * @param {string} key 
+	 * @returns {void}
+	 * @private
+	 */
+	#deleteContent(key) {
+		this.#pinned.delete(key);
+		this.#cache.delete(key);
+	}
+
+	/**
+	 * Move the Content under oldKey to newKey
+	 * @param {string} oldKey 
+	 * @param {string} newKey 
+	 * @returns {void}
+	 * @private
+	 */
+	#renameContent(oldKey, newKey) {
+		if (!this.#pinned.has(oldKey))
+			return this.#cache.rename(oldKey, newKey);
+
+		this.#pinned.set(newKey, this.#pinned.get(oldKey));
+		this.#pinned.delete(oldKey);
+	}
+
+	/**
+	 * Get the Size of the Content held by the Cache in Bytes, without pinned Content
+	 * @returns {number}
+	 * @private
+	 */
+	#cachedBytes() {
+		const sizes = new Map();
+
+		for (const { key, bytes } of this.#entries.values()) {
+			if (!this.#pinned.has(key) && this.#cache.has(key))
+				sizes.set(key, bytes);
+		}
+
+		return [...sizes.values()].reduce((sum, bytes) => sum + bytes, 0);
+	}
+
+	/**
+	 * Read the File resolvedFilename into the Cache if it fits into budget
+	 * With expected, the File is only read if its mtime, size and inode still match
+	 * Resolves to the Size of the cached Content, or null if the File was skipped or its Content was not cached
+	 * @param {string} resolvedFilename 
+	 * @param {number} budget the remaining Budget in Bytes
+	 * @param {{mtimeMs: number, size: number, ino: number} | null} [expected]
+	 * @returns {Promise<number | null>}
+	 * @private
+	 * @async
+	 */
+	async #warmFile(resolvedFilename, budget, expected = null) {
+		const policy = this.cachePolicyFor(resolvedFilename);
+
+		if (!policy.cache || (!policy.pinned && budget <= 0) || this.getCachedInfo(resolvedFilename) !== undefined)
+			return null;
+
+		try {
+			const stats = await this.#backend.stat(resolvedFilename);
+
+			if (!IO.#fitsWarm(stats, policy, budget, expected))
+				return null;
+
+			const data = await this.cacheRead(resolvedFilename, async () => {
+				const result = await this.#backend.readFile(resolvedFilename);
+
+				return this.#cacheEncoded ? result : { data: await this.decode(resolvedFilename, result.data), stats: result.stats };
+			});
+
+			return this.getCachedInfo(resolvedFilename) === undefined ? null : data.length;
+		}
+		catch (error) {
+			if (!['ENOENT', 'ENOTDIR', 'EISDIR'].includes(error.code))
+				throw error;
+
+			return null;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #warmFile
+	 * @param {string} resolvedFilename 
+	 * @param {number} budget 
+	 * @param {{mtimeMs: number, size: number, ino: number} | null} [expected]
+	 * @returns {number | null}
+	 * @private
+	 */
+	#warmFileSync(resolvedFilename, budget, expected = null) {
+		const policy = this.cachePolicyFor(resolvedFilename);
+
+		if (!policy.cache || (!policy.pinned && budget <= 0) || this.getCachedInfo(resolvedFilename) !== undefined)
+			return null;
+
+		try {
+			const stats = this.#backend.statSync(resolvedFilename);
+
+			if (!IO.#fitsWarm(stats, policy, budget, expected))
+				return null;
+
+			const data = this.cacheReadSync(resolvedFilename, () => {
+				const result = this.#backend.readFileSync(resolvedFilename);
+
+				return this.#cacheEncoded ? result : { data: this.decodeSync(resolvedFilename, result.data), stats: result.stats };
+			});
+
+			return this.getCachedInfo(resolvedFilename) === undefined ? null : data.length;
+		}
+		catch (error) {
+			if (!['ENOENT', 'ENOTDIR', 'EISDIR'].includes(error.code))
+				throw error;
+
+			return null;
+		}
+	}
+
+	/**
+	 * Check whether a File with stats should be read into the Cache by #warmFile
+	 * @param {fs.Stats} stats 
+	 * @param {Required<CachePolicy>} policy 
+	 * @param {number} budget 
+	 * @param {{mtimeMs: number, size: number, ino: number} | null} expected 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #fitsWarm(stats, policy, budget, expected) {
+		if (!stats.isFile() || stats.size > policy.maxEntrySize || (!policy.pinned && stats.size > budget))
+			return false;
+
+		return expected === null || (expected.mtimeMs === stats.mtimeMs && expected.size === stats.size && expected.ino === stats.ino);
+	}
+
+	/**
+	 * Add a File warmed with bytes to result and restore how often it was read
+	 * Returns the Number of Bytes it uses of the Budget, 0 if it is pinned
+	 * @param {WarmResult} result 
+	 * @param {string} resolvedFilename 
+	 * @param {number} bytes 
+	 * @param {number} [hits]
+	 * @returns {number}
+	 * @private
+	 */
+	#countWarmed(result, resolvedFilename, bytes, hits = 0) {
+		const entry = this.#entries.get(resolvedFilename);
+
+		result.files++;
+		result.bytes += bytes;
+		entry.hits += hits;
+
+		return this.#pinned.has(entry.key) ? 0 : bytes;
+	}
+
+	/**
+	 * Serialize every cached File as a Line of the cacheIndexFile, the most frequently read ones first
+	 * Every Line is {"pathname", "hits", "mtimeMs", "size", "ino"}, with pathname relative to the Root Data Directory and / as Separator
+	 * @returns {Buffer}
+	 * @private
+	 */
+	#cacheIndex() {
+		const rootDir = path.dirname(this.internalDir);
+
+		return Buffer.from([...this.#entries]
+			.filter(([, { key }]) => this.#hasContent(key))
+			.sort(([, a], [, b]) => b.hits - a.hits)
+			.map(([resolvedFilename, { hits, mtimeMs, size, ino }]) => JSON.stringify({ pathname: path.relative(rootDir, resolvedFilename).split(path.sep).join('/'), hits, mtimeMs, size, ino }) + '\n')
+			.join(''));
+	}
+
+	/**
+	 * Parse the Content of the cacheIndexFile, skipping malformed Lines and Files outside of the Data Directory
+	 * @param {Buffer} data 
+	 * @returns {{resolvedFilename: string, hits: number, mtimeMs: number, size: number, ino: number}[]}
+	 * @private
+	 */
+	#parseCacheIndex(data) {
+		const rootDir = path.dirname(this.internalDir);
+		const entries = [];
+
+		for (const line of data.toString('utf8').split('\n')) {
+			try {
+				const { pathname, hits, mtimeMs, size, ino } = JSON.parse(line);
+				const resolvedFilename = path.resolve(rootDir, pathname);
+
+				if (IO.isInside(this.#dataDir, resolvedFilename) && !this.isInternal(resolvedFilename) && Number.isSafeInteger(hits))
+					entries.push({ resolvedFilename, hits, mtimeMs, size, ino });
+			}
+			catch {
+				continue;
+			}
+		}
+
+		return entries.sort((a, b) => b.hits - a.hits);
+	}
+
+	/**
+	 * Check whether the recorded Stats of a cached File still match stats
+	 * @param {string} resolvedFilename 
+	 * @param {fs.Stats | null} stats 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#isFresh(resolvedFilename, stats) {
+		const entry = this.#entries.get(resolvedFilename);
+
+		return stats !== null && entry !== undefined &&
+			entry.mtimeMs === stats.mtimeMs && entry.size === stats.size && entry.ino === stats.ino;
+	}
 }
 
 module.exports = IO;
\ No newline at end of file
@@ -0,0 +1,33 @@
+class IntegrityError extends Error {
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * Create a new IntegrityError Instance
+	 * Thrown if the stored Bytes of a File do not match its Checksum in the Manifest, or the File has no Checksum to verify
+	 * The code Property is 'EINTEGRITY', so it can be handled like File System Errors
+	 * @param {string} message 
+	 * @param {string} pathname the Path of the File
+	 * @public
+	 */
+	constructor(message, pathname) {
+		super(`${message} (got ${JSON.stringify(pathname)})`);
+
+		this.name = 'IntegrityError';
+		this.code = 'EINTEGRITY';
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Get the Path of the File
+	 * @returns {string}
+	 * @public
+	 */
+	get pathname() {
+		return this.#pathname;
+	}
+}
+
+module.exports = IntegrityError;
\ No newline at end of file
@@ -0,0 +1,442 @@
+const path = require('path');
+
+const Backend = require('./Backend');
+
+/**
+ * The State of an Entry before a Transaction was applied
+ * @typedef {{type: 'absent'} | {type: 'file', backup: string} | {type: 'symlink', target: string} | {type: 'directory', entries: Object<string, Snapshot>}} Snapshot
+ */
+
+class Journal {
+	/**
+	 * Name of the File that holds the Snapshots of a committing Transaction
+	 * @type {string}
+	 */
+	static #FILENAME = 'journal.json';
+
+	/**
+	 * @type {Backend}
+	 */
+	#backend;
+
+	/**
+	 * @type {string}
+	 */
+	#dirname;
+
+	/**
+	 * @type {string}
+	 */
+	#rootDir;
+
+	/**
+	 * Counter for the Names of staged and backed up Files
+	 * @type {number}
+	 */
+	#counter = 0;
+
+	/**
+	 * Create a new Journal Instance
+	 * A Journal is the Directory dirname, which holds the staged Data of a Transaction and, while it is committed,
+	 * a Snapshot of every affected Entry in journal.json. A Journal without journal.json was never applied and can be discarded,
+	 * a Journal with journal.json was interrupted while committing and is rolled back to the Snapshots.
+	 * @param {Backend} backend 
+	 * @param {string} dirname absolute Path of the Journal Directory
+	 * @param {string} rootDir absolute Path the Paths in journal.json are relative to
+	 * @public
+	 */
+	constructor(backend, dirname, rootDir) {
+		this.#backend = backend;
+		this.#dirname = dirname;
+		this.#rootDir = rootDir;
+	}
+
+	/**
+	 * Create the Journal Directory
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async create() {
+		await this.#backend.mkdir(path.join(this.#dirname, 'staged'), { recursive: true });
+		await this.#backend.mkdir(path.join(this.#dirname, 'backup'), { recursive: true });
+	}
+
+	/**
+	 * Store data in the Journal
+	 * Resolves to the absolute Path of the staged File
+	 * Rejects with an Error on a File System Error
+	 * @param {Buffer} data 
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 */
+	async stage(data) {
+		const filename = path.join(this.#dirname, 'staged', String(this.#counter++));
+
+		await this.#backend.writeFile(filename, data);
+
+		return filename;
+	}
+
+	/**
+	 * Snapshot the Entries resolvedPathnames and persist the Snapshots in journal.json
+	 * Once this resolved, the Journal is rolled back if it is recovered
+	 * Rejects with an Error on a File System Error
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async prepare(resolvedPathnames) {
+		const snapshots = [];
+
+		for (const resolvedPathname of new Set(resolvedPathnames))
+			snapshots.push({ pathname: this.#toRelative(resolvedPathname), entry: await this.#snapshot(resolvedPathname) });
+
+		await this.#backend.writeFile(path.join(this.#dirname, Journal.#FILENAME), Journal.#serialize(snapshots), { fsync: true });
+		await this.#backend.fsyncDir(this.#dirname);
+	}
+
+	/**
+	 * Restore the Entries in journal.json to their Snapshots and remove the Journal
+	 * A Journal without journal.json is removed without restoring anything
+	 * Resolves to the absolute Paths of the restored Entries
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<string[]>}
+	 * @public
+	 * @async
+	 */
+	async rollback() {
+		let content;
+
+		try {
+			content = (await this.#backend.readFile(path.join(this.#dirname, Journal.#FILENAME))).data;
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+
+			await this.discard();
+
+			return [];
+		}
+
+		const restored = [];
+
+		// Parents have shorter Paths than their Children, so they are restored first
+		for (const { pathname, entry } of Journal.#parse(content)) {
+			const resolvedPathname = path.resolve(this.#rootDir, pathname);
+
+			await this.#remove(resolvedPathname);
+			await this.#restore(resolvedPathname, entry);
+
+			restored.push(resolvedPathname);
+		}
+
+		await this.discard();
+
+		return restored;
+	}
+
+	/**
+	 * Remove the Journal
+	 * journal.json is removed first, so an interrupted Removal never causes a Rollback
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async discard() {
+		await this.#backend.rm(path.join(this.#dirname, Journal.#FILENAME), { force: true });
+		await this.#backend.rm(this.#dirname, { recursive: true, force: true });
+	}
+
+	/**
+	 * Synchronous Version of create
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	createSync() {
+		this.#backend.mkdirSync(path.join(this.#dirname, 'staged'), { recursive: true });
+		this.#backend.mkdirSync(path.join(this.#dirname, 'backup'), { recursive: true });
+	}
+
+	/**
+	 * Synchronous Version of stage
+	 * @param {Buffer} data 
+	 * @returns {string}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	stageSync(data) {
+		const filename = path.join(this.#dirname, 'staged', String(this.#counter++));
+
+		this.#backend.writeFileSync(filename, data);
+
+		return filename;
+	}
+
+	/**
+	 * Synchronous Version of prepare
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	prepareSync(resolvedPathnames) {
+		const snapshots = [];
+
+		for (const resolvedPathname of new Set(resolvedPathnames))
+			snapshots.push({ pathname: this.#toRelative(resolvedPathname), entry: this.#snapshotSync(resolvedPathname) });
+
+		this.#backend.writeFileSync(path.join(this.#dirname, Journal.#FILENAME), Journal.#serialize(snapshots), { fsync: true });
+		this.#backend.fsyncDirSync(this.#dirname);
+	}
+
+	/**
+	 * Synchronous Version of rollback
+	 * @returns {string[]}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	rollbackSync() {
+		let content;
+
+		try {
+			content = this.#backend.readFileSync(path.join(this.#dirname, Journal.#FILENAME)).data;
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+
+			this.discardSync();
+
+			return [];
+		}
+
+		const restored = [];
+
+		for (const { pathname, entry } of Journal.#parse(content)) {
+			const resolvedPathname = path.resolve(this.#rootDir, pathname);
+
+			this.#removeSync(resolvedPathname);
+			this.#restoreSync(resolvedPathname, entry);
+
+			restored.push(resolvedPathname);
+		}
+
+		this.discardSync();
+
+		return restored;
+	}
+
+	/**
+	 * Synchronous Version of discard
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	discardSync() {
+		this.#backend.rmSync(path.join(this.#dirname, Journal.#FILENAME), { force: true });
+		this.#backend.rmSync(this.#dirname, { recursive: true, force: true });
+	}
+
+	/**
+	 * Snapshot the Entry resolvedPathname, copying the Content of Files into the Journal
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<Snapshot>}
+	 * @private
+	 * @async
+	 */
+	async #snapshot(resolvedPathname) {
+		let stats;
+
+		try {
+			stats = await this.#backend.lstat(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return { type: 'absent' };
+
+			throw error;
+		}
+
+		if (stats.isSymbolicLink())
+			return { type: 'symlink', target: await this.#backend.readlink(resolvedPathname) };
+
+		if (stats.isDirectory()) {
+			const entries = {};
+
+			for (const { name } of await this.#backend.readdir(resolvedPathname))
+				entries[name] = await this.#snapshot(path.join(resolvedPathname, name));
+
+			return { type: 'directory', entries };
+		}
+
+		const backup = String(this.#counter++);
+		const { data } = await this.#backend.readFile(resolvedPathname);
+
+		await this.#backend.writeFile(path.join(this.#dirname, 'backup', backup), data, { fsync: true });
+
+		return { type: 'file', backup };
+	}
+
+	/**
+	 * Synchronous Version of #snapshot
+	 * @param {string} resolvedPathname 
+	 * @returns {Snapshot}
+	 * @private
+	 */
+	#snapshotSync(resolvedPathname) {
+		let stats;
+
+		try {
+			stats = this.#backend.lstatSync(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return { type: 'absent' };
+
+			throw error;
+		}
+
+		if (stats.isSymbolicLink())
+			return { type: 'symlink', target: this.#backend.readlinkSync(resolvedPathname) };
+
+		if (stats.isDirectory()) {
+			const entries = {};
+
+			for (const { name } of this.#backend.readdirSync(resolvedPathname))
+				entries[name] = this.#snapshotSync(path.join(resolvedPathname, name));
+
+			return { type: 'directory', entries };
+		}
+
+		const backup = String(this.#counter++);
+		const { data } = this.#backend.readFileSync(resolvedPathname);
+
+		this.#backend.writeFileSync(path.join(this.#dirname, 'backup', backup), data, { fsync: true });
+
+		return { type: 'file', backup };
+	}
+
+	/**
+	 * Recreate the Entry resolvedPathname from entry
+	 * Backups are copied instead of moved, so an interrupted Rollback can be repeated
+	 * @param {string} resolvedPathname 
+	 * @param {Snapshot} entry 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #restore(resolvedPathname, entry) {
+		switch (entry.type) {
+			case 'file':
+				await this.#backend.copyFile(path.join(this.#dirname, 'backup', entry.backup), resolvedPathname);
+				break;
+			case 'symlink':
+				await this.#backend.symlink(entry.target, resolvedPathname);
+				break;
+			case 'directory':
+				await this.#backend.mkdir(resolvedPathname);
+
+				for (const [name, child] of Object.entries(entry.entries))
+					await this.#restore(path.join(resolvedPathname, name), child);
+
+				break;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #restore
+	 * @param {string} resolvedPathname 
+	 * @param {Snapshot} entry 
+	 * @returns {void}
+	 * @private
+	 */
+	#restoreSync(resolvedPathname, entry) {
+		switch (entry.type) {
+			case 'file':
+				this.#backend.copyFileSync(path.join(this.#dirname, 'backup', entry.backup), resolvedPathname);
+				break;
+			case 'symlink':
+				this.#backend.symlinkSync(entry.target, resolvedPathname);
+				break;
+			case 'directory':
+				this.#backend.mkdirSync(resolvedPathname);
+
+				for (const [name, child] of Object.entries(entry.entries))
+					this.#restoreSync(path.join(resolvedPathname, name), child);
+
+				break;
+		}
+	}
+
+	/**
+	 * Remove whatever Entry currently exists at resolvedPathname
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #remove(resolvedPathname) {
+		try {
+			await this.#backend.rm(resolvedPathname, { recursive: true, force: true });
+		}
+		catch (error) {
+			if (error.code !== 'ENOTDIR')
+				throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #remove
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @private
+	 */
+	#removeSync(resolvedPathname) {
+		try {
+			this.#backend.rmSync(resolvedPathname, { recursive: true, force: true });
+		}
+		catch (error) {
+			if (error.code !== 'ENOTDIR')
+				throw error;
+		}
+	}
+
+	/**
+	 * Get the Path of resolvedPathname relative to the Root Directory, with / as Separator
+	 * @param {string} resolvedPathname 
+	 * @returns {string}
+	 * @private
+	 */
+	#toRelative(resolvedPathname) {
+		return path.relative(this.#rootDir, resolvedPathname).split(path.sep).join('/');
+	}
+
+	/**
+	 * Serialize the Snapshots for journal.json
+	 * @param {{pathname: string, entry: Snapshot}[]} snapshots
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #serialize(snapshots) {
+		return Buffer.from(JSON.stringify({ pid: process.pid, snapshots }));
+	}
+
+	/**
+	 * Parse journal.json and sort the Snapshots so Parents come before their Children
+	 * @param {Buffer} content 
+	 * @returns {{pathname: string, entry: Snapshot}[]}
+	 * @private
+	 */
+	static #parse(content) {
+		return JSON.parse(content.toString()).snapshots.sort((a, b) => a.pathname.length - b.pathname.length);
+	}
+}
+
+module.exports = Journal;
\ No newline at end of file
@@ -0,0 +1,33 @@
+class LockError extends Error {
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * Create a new LockError Instance
+	 * Thrown if a Lock could not be acquired, e.g. because a synchronous Method cannot wait for it or the Timeout expired
+	 * The code Property is 'ELOCKED', so it can be handled like File System Errors
+	 * @param {string} message 
+	 * @param {string} pathname the locked Path
+	 * @public
+	 */
+	constructor(message, pathname) {
+		super(`${message} (got ${JSON.stringify(pathname)})`);
+
+		this.name = 'LockError';
+		this.code = 'ELOCKED';
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Get the locked Path
+	 * @returns {string}
+	 * @public
+	 */
+	get pathname() {
+		return this.#pathname;
+	}
+}
+
+module.exports = LockError;
\ No newline at end of file
@@ -0,0 +1,471 @@
+const os = require('os');
+const crypto = require('crypto');
+
+const Backend = require('./Backend');
+const LockError = require('./LockError');
+
+/**
+ * @typedef {Object} LockFileOptions
+ * @property {number} [timeout] Milliseconds to wait for the Lock before giving up (defaults to 10000)
+ * @property {number} [stale] Milliseconds after which a Lock that was not refreshed is considered abandoned (defaults to 30000)
+ */
+
+/**
+ * @typedef {Object} LockFileContent
+ * @property {string} token
+ * @property {number} pid
+ * @property {string} hostname
+ * @property {number} updatedAt the Time the Lock was created or last refreshed, which is the Modification Time of the Lock File
+ */
+
+class LockFile {
+	/**
+	 * Suffix of a Lock File that is being taken over because it is stale
+	 * It only remains if the Process taking it over crashed, and is ignored otherwise
+	 * @type {string}
+	 */
+	static TAKEN_SUFFIX = '.taken';
+
+	/**
+	 * Delay between two Attempts to acquire a Lock in Milliseconds
+	 * @type {number}
+	 */
+	static #RETRY_DELAY = 25;
+
+	/**
+	 * Time this Process started, in Milliseconds since the Epoch
+	 * @type {number}
+	 */
+	static #PROCESS_START = Date.now() - process.uptime() * 1000;
+
+	/**
+	 * @type {Backend}
+	 */
+	#backend;
+
+	/**
+	 * @type {string}
+	 */
+	#filename;
+
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * @type {string}
+	 */
+	#token = crypto.randomBytes(16).toString('hex');
+
+	/**
+	 * @type {NodeJS.Timeout | null}
+	 */
+	#refreshTimer = null;
+
+	/**
+	 * Create a new LockFile Instance
+	 * An advisory Lock shared between Processes, represented by the File filename.
+	 * The File holds a Token and the Process ID and Hostname of the Owner, its Modification Time tells when it was last refreshed.
+	 * A Lock is stale if its Owner is gone (see isStale), or if it was not refreshed within options.stale.
+	 * Stale Locks are taken over atomically: they are renamed away and only removed if they are still the Lock that was found stale, so two Waiters never both remove a Lock.
+	 * @param {Backend} backend 
+	 * @param {string} filename absolute Path of the Lock File
+	 * @param {string} pathname the locked Path, used in Error Messages
+	 * @public
+	 */
+	constructor(backend, filename, pathname) {
+		this.#backend = backend;
+		this.#filename = filename;
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Acquire the Lock, waiting up to options.timeout Milliseconds for another Owner to release it
+	 * While held, the Lock is refreshed every options.stale / 2 Milliseconds
+	 * Rejects with a LockError if the Timeout expired
+	 * Rejects with an Error on a File System Error
+	 * @param {LockFileOptions} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async acquire({ timeout = 10000, stale = 30000 } = {}) {
+		const deadline = Date.now() + timeout;
+
+		while (!(await this.#tryCreate())) {
+			if (await this.#removeIfStale(stale))
+				continue;
+
+			if (Date.now() >= deadline)
+				throw new LockError(`Expected the Lock File to be released within ${timeout}ms`, this.#pathname);
+
+			await new Promise(resolve => setTimeout(resolve, LockFile.#RETRY_DELAY));
+		}
+
+		this.#refreshTimer = setInterval(() => this.#refresh().catch(() => {}), Math.max(stale / 2, LockFile.#RETRY_DELAY));
+		this.#refreshTimer.unref();
+	}
+
+	/**
+	 * Release the Lock if it is still owned by this Instance
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async release() {
+		this.#stopRefreshing();
+
+		if ((await this.#read())?.token === this.#token)
+			await this.#backend.rm(this.#filename, { force: true });
+	}
+
+	/**
+	 * Synchronously acquire the Lock, blocking up to options.timeout Milliseconds
+	 * The Lock is not refreshed while held, so it should be released within options.stale
+	 * @param {LockFileOptions} [options]
+	 * @returns {void}
+	 * @throws {LockError} if the Timeout expired
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	acquireSync({ timeout = 10000, stale = 30000 } = {}) {
+		const deadline = Date.now() + timeout;
+
+		while (!this.#tryCreateSync()) {
+			if (this.#removeIfStaleSync(stale))
+				continue;
+
+			if (Date.now() >= deadline)
+				throw new LockError(`Expected the Lock File to be released within ${timeout}ms`, this.#pathname);
+
+			Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LockFile.#RETRY_DELAY);
+		}
+	}
+
+	/**
+	 * Synchronously release the Lock if it is still owned by this Instance
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	releaseSync() {
+		this.#stopRefreshing();
+
+		if (this.#readSync()?.token === this.#token)
+			this.#backend.rmSync(this.#filename, { force: true });
+	}
+
+	/**
+	 * Check whether a Process with the given pid exists on this Host
+	 * @param {number} pid 
+	 * @returns {boolean}
+	 * @public
+	 */
+	static isProcessAlive(pid) {
+		if (!Number.isSafeInteger(pid) || pid <= 0)
+			return false;
+
+		try {
+			process.kill(pid, 0);
+			return true;
+		}
+		catch (error) {
+			return error.code === 'EPERM';
+		}
+	}
+
+	/**
+	 * Check whether owner abandoned what it owns, e.g. a Lock File or a Temp File
+	 * The Owner is gone if it ran on this Host and its Process no longer exists, or if it has this Process ID but is older than this Process (the Process ID was reused after a Restart).
+	 * Owners on other Hosts cannot be checked, they are considered gone once they were not updated within stale Milliseconds.
+	 * @param {{pid: number, hostname: string, updatedAt: number}} owner updatedAt is the Time the Owner was last seen, in Milliseconds since the Epoch
+	 * @param {number} stale 
+	 * @returns {boolean}
+	 * @public
+	 */
+	static isStale({ pid, hostname, updatedAt }, stale) {
+		if (hostname === os.hostname() && pid !== 0) {
+			if (pid === process.pid ? updatedAt < LockFile.#PROCESS_START : !LockFile.isProcessAlive(pid))
+				return true;
+		}
+
+		return Date.now() - updatedAt > stale;
+	}
+
+	/**
+	 * Try to create the Lock File
+	 * Resolves to false if it already exists
+	 * @returns {Promise<boolean>}
+	 * @private
+	 * @async
+	 */
+	async #tryCreate() {
+		try {
+			await this.#backend.writeFile(this.#filename, this.#serialize(), { exclusive: true });
+			return true;
+		}
+		catch (error) {
+			if (error.code === 'EEXIST')
+				return false;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronously try to create the Lock File
+	 * @returns {boolean}
+	 * @private
+	 */
+	#tryCreateSync() {
+		try {
+			this.#backend.writeFileSync(this.#filename, this.#serialize(), { exclusive: true });
+			return true;
+		}
+		catch (error) {
+			if (error.code === 'EEXIST')
+				return false;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Remove the Lock File if it is stale
+	 * Another Waiter may have replaced the stale Lock with its own since it was read, so the Lock File is first renamed to a Name only this Instance uses.
+	 * The renamed File is removed if it is still the stale Lock (same Token and not refreshed since), otherwise it is linked back, which fails if yet another Lock was created meanwhile
+	 * Resolves to true if the Lock File is gone
+	 * @param {number} stale 
+	 * @returns {Promise<boolean>}
+	 * @private
+	 * @async
+	 */
+	async #removeIfStale(stale) {
+		const content = await this.#read();
+
+		if (content === null)
+			return true;
+
+		if (!LockFile.isStale(content, stale))
+			return false;
+
+		const takenFilename = `${this.#filename}.${this.#token}${LockFile.TAKEN_SUFFIX}`;
+
+		try {
+			await this.#backend.rename(this.#filename, takenFilename);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return true;
+
+			throw error;
+		}
+
+		try {
+			const taken = await LockFile.#readFile(this.#backend, takenFilename);
+
+			if (taken === null || LockFile.#isSameLock(taken, content))
+				return true;
+
+			await this.#backend.link(takenFilename, this.#filename);
+
+			return false;
+		}
+		catch (error) {
+			if (error.code === 'EEXIST')
+				return false;
+
+			throw error;
+		}
+		finally {
+			await this.#backend.rm(takenFilename, { force: true });
+		}
+	}
+
+	/**
+	 * Synchronously remove the Lock File if it is stale. See #removeIfStale
+	 * @param {number} stale 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#removeIfStaleSync(stale) {
+		const content = this.#readSync();
+
+		if (content === null)
+			return true;
+
+		if (!LockFile.isStale(content, stale))
+			return false;
+
+		const takenFilename = `${this.#filename}.${this.#token}${LockFile.TAKEN_SUFFIX}`;
+
+		try {
+			this.#backend.renameSync(this.#filename, takenFilename);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return true;
+
+			throw error;
+		}
+
+		try {
+			const taken = LockFile.#readFileSync(this.#backend, takenFilename);
+
+			if (taken === null || LockFile.#isSameLock(taken, content))
+				return true;
+
+			this.#backend.linkSync(takenFilename, this.#filename);
+
+			return false;
+		}
+		catch (error) {
+			if (error.code === 'EEXIST')
+				return false;
+
+			throw error;
+		}
+		finally {
+			this.#backend.rmSync(takenFilename, { force: true });
+		}
+	}
+
+	/**
+	 * Check whether the Lock File content and the Lock File found stale are the same Lock, which was not refreshed since
+	 * @param {LockFileContent} content 
+	 * @param {LockFileContent} stale 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isSameLock(content, stale) {
+		return content.token === stale.token && content.updatedAt === stale.updatedAt;
+	}
+
+	/**
+	 * Refresh the Modification Time of the Lock File, if it is still owned by this Instance
+	 * The Content is not rewritten: if the Lock was taken over since it was read, touching the new Lock only delays its Staleness, but never replaces it
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #refresh() {
+		if ((await this.#read())?.token !== this.#token)
+			return;
+
+		const now = new Date();
+
+		try {
+			await this.#backend.utimes(this.#filename, now, now);
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+		}
+	}
+
+	/**
+	 * @returns {void}
+	 * @private
+	 */
+	#stopRefreshing() {
+		if (this.#refreshTimer !== null) {
+			clearInterval(this.#refreshTimer);
+			this.#refreshTimer = null;
+		}
+	}
+
+	/**
+	 * Read the Lock File
+	 * Resolves to null if it does not exist
+	 * @returns {Promise<LockFileContent | null>}
+	 * @private
+	 * @async
+	 */
+	async #read() {
+		return await LockFile.#readFile(this.#backend, this.#filename);
+	}
+
+	/**
+	 * Synchronously read the Lock File
+	 * @returns {LockFileContent | null}
+	 * @private
+	 */
+	#readSync() {
+		return LockFile.#readFileSync(this.#backend, this.#filename);
+	}
+
+	/**
+	 * Read the Lock File filename
+	 * Resolves to null if it does not exist
+	 * @param {Backend} backend 
+	 * @param {string} filename 
+	 * @returns {Promise<LockFileContent | null>}
+	 * @private
+	 * @async
+	 */
+	static async #readFile(backend, filename) {
+		try {
+			const { data, stats } = await backend.readFile(filename);
+
+			return LockFile.#parse(data, stats);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #readFile
+	 * @param {Backend} backend 
+	 * @param {string} filename 
+	 * @returns {LockFileContent | null}
+	 * @private
+	 */
+	static #readFileSync(backend, filename) {
+		try {
+			const { data, stats } = backend.readFileSync(filename);
+
+			return LockFile.#parse(data, stats);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * @returns {Buffer}
+	 * @private
+	 */
+	#serialize() {
+		return Buffer.from(JSON.stringify({ token: this.#token, pid: process.pid, hostname: os.hostname() }));
+	}
+
+	/**
+	 * Parse the Content of a Lock File
+	 * A Lock File that is still being written by its Owner has no Token or Owner yet
+	 * @param {Buffer} data 
+	 * @param {fs.Stats} stats 
+	 * @returns {LockFileContent}
+	 * @private
+	 */
+	static #parse(data, stats) {
+		try {
+			const { token, pid, hostname } = JSON.parse(data.toString());
+
+			return { token, pid, hostname, updatedAt: stats.mtimeMs };
+		}
+		catch {
+			return { token: '', pid: 0, hostname: '', updatedAt: stats.mtimeMs };
+		}
+	}
+}
+
+module.exports = LockFile;
\ No newline at end of file
@@ -0,0 +1,194 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LockError = require('./LockError');
+
+class LockTable {
+	/**
+	 * The Keys held by the current asynchronous Context, per LockTable
+	 * @type {AsyncLocalStorage<Map<LockTable, Set<string>>>}
+	 */
+	static #context = new AsyncLocalStorage();
+
+	/**
+	 * The last Promise in the Queue of every locked Key
+	 * @type {Map<string, Promise<void>>}
+	 */
+	#tails = new Map();
+
+	/**
+	 * Create a new LockTable Instance
+	 * A LockTable holds in-process Mutexes for arbitrary Keys (e.g. absolute Paths).
+	 * Locks are reentrant: Code running inside run or runSync can lock the same Keys again without waiting for itself.
+	 * @public
+	 */
+	constructor() {}
+
+	/**
+	 * Check whether key is currently locked or waited for
+	 * @param {string} key 
+	 * @returns {boolean}
+	 * @public
+	 */
+	isLocked(key) {
+		return this.#tails.has(key);
+	}
+
+	/**
+	 * Wait until all keys are free, lock them and run fn
+	 * The Keys are locked in sorted Order, so two Callers locking the same Keys cannot deadlock
+	 * Resolves to the Result of fn
+	 * @template T
+	 * @param {string[]} keys 
+	 * @param {() => Promise<T> | T} fn 
+	 * @returns {Promise<T>}
+	 * @public
+	 * @async
+	 */
+	async run(keys, fn) {
+		const held = this.#held();
+		const releases = [];
+
+		try {
+			for (const key of LockTable.#normalize(keys)) {
+				if (!held.has(key))
+					releases.push(await this.#lock(key));
+			}
+
+			return await LockTable.#context.run(this.#extend(held, keys), fn);
+		}
+		finally {
+			for (const release of releases.reverse())
+				release();
+		}
+	}
+
+	/**
+	 * Lock all keys and run fn synchronously
+	 * Synchronous Code cannot wait, so a LockError is thrown if one of the keys is locked by another Context
+	 * @template T
+	 * @param {string[]} keys 
+	 * @param {() => T} fn 
+	 * @param {(key: string) => string} [describe] maps a Key to the Path used in the LockError
+	 * @returns {T}
+	 * @throws {LockError} if one of the keys is locked by another Context
+	 * @public
+	 */
+	runSync(keys, fn, describe = key => key) {
+		const release = this.acquireSync(keys, describe);
+
+		try {
+			return LockTable.#context.run(this.#extend(this.#held(), keys), fn);
+		}
+		finally {
+			release();
+		}
+	}
+
+	/**
+	 * Lock all keys without running a Function in their Context, e.g. for the Lifetime of a Stream
+	 * Returns a Function that releases the Locks again
+	 * @param {string[]} keys 
+	 * @param {(key: string) => string} [describe] maps a Key to the Path used in the LockError
+	 * @returns {() => void}
+	 * @throws {LockError} if one of the keys is locked by another Context
+	 * @public
+	 */
+	acquireSync(keys, describe = key => key) {
+		const held = this.#held();
+		const needed = LockTable.#normalize(keys).filter(key => !held.has(key));
+		const locked = needed.find(key => this.#tails.has(key));
+
+		if (locked !== undefined)
+			throw new LockError('Expected the Path not to be locked by a pending Operation', describe(locked));
+
+		const releases = needed.map(key => {
+			let release;
+
+			this.#tails.set(key, new Promise(resolve => release = resolve));
+
+			return this.#releaser(key, this.#tails.get(key), release);
+		});
+
+		return () => releases.reverse().forEach(release => release());
+	}
+
+	/**
+	 * Append a Waiter to the Queue of key
+	 * Resolves to a Function that releases the Lock once it is acquired
+	 * @param {string} key 
+	 * @returns {Promise<() => void>}
+	 * @private
+	 * @async
+	 */
+	async #lock(key) {
+		const previous = this.#tails.get(key) ?? Promise.resolve();
+		let release;
+		const current = new Promise(resolve => release = resolve);
+		const tail = previous.then(() => current);
+
+		this.#tails.set(key, tail);
+
+		await previous;
+
+		return this.#releaser(key, tail, release);
+	}
+
+	/**
+	 * Create a Function that releases the Lock on key once
+	 * @param {string} key 
+	 * @param {Promise<void>} tail the Tail of the Queue when the Lock was requested
+	 * @param {() => void} release 
+	 * @returns {() => void}
+	 * @private
+	 */
+	#releaser(key, tail, release) {
+		let released = false;
+
+		return () => {
+			if (released)
+				return;
+
+			released = true;
+			release();
+
+			if (this.#tails.get(key) === tail)
+				this.#tails.delete(key);
+		};
+	}
+
+	/**
+	 * Get the Keys of this LockTable held by the current Context
+	 * @returns {Set<string>}
+	 * @private
+	 */
+	#held() {
+		return LockTable.#context.getStore()?.get(this) ?? new Set();
+	}
+
+	/**
+	 * Create the Context Store for Code that holds keys in addition to held
+	 * @param {Set<string>} held 
+	 * @param {string[]} keys 
+	 * @returns {Map<LockTable, Set<string>>}
+	 * @private
+	 */
+	#extend(held, keys) {
+		const store = new Map(LockTable.#context.getStore() ?? []);
+
+		store.set(this, new Set([...held, ...keys]));
+
+		return store;
+	}
+
+	/**
+	 * Remove duplicate Keys and sort them
+	 * @param {string[]} keys 
+	 * @returns {string[]}
+	 * @private
+	 */
+	static #normalize(keys) {
+		return [...new Set(keys)].sort();
+	}
+}
+
+module.exports = LockTable;
\ No newline at end of file
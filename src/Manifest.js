@@ -0,0 +1,268 @@
+const path = require('path');
+
+const Backend = require('./Backend');
+
+/**
+ * @typedef {Object} Checksum
+ * @property {string} algorithm the Hash Algorithm, e.g. 'sha256'
+ * @property {string} hash the Hex Digest of the stored Bytes of the File
+ * @property {number} size the stored Size of the File in Bytes
+ */
+
+class Manifest {
+	/**
+	 * Minimum Number of Lines before the Manifest File is compacted
+	 * @type {number}
+	 */
+	static #COMPACT_LINES = 1000;
+
+	/**
+	 * @type {Backend}
+	 */
+	#backend;
+
+	/**
+	 * @type {string}
+	 */
+	#filename;
+
+	/**
+	 * @type {string}
+	 */
+	#rootDir;
+
+	/**
+	 * The current Checksums, keyed by absolute Path, or null until the Manifest File was read
+	 * @type {Map<string, Checksum> | null}
+	 */
+	#checksums = null;
+
+	/**
+	 * Number of Lines in the Manifest File
+	 * @type {number}
+	 */
+	#lines = 0;
+
+	/**
+	 * Create a new Manifest Instance
+	 * A Manifest records the Checksums of Files in the NDJSON File filename. Every Line is {"pathname", "algorithm", "hash", "size"},
+	 * or {"pathname", "hash": null} for a removed Checksum, with pathname relative to rootDir and / as Separator. Later Lines override earlier ones.
+	 * Changes are appended as new Lines, and the File is rewritten with only the current Checksums once most of its Lines are outdated.
+	 * The Manifest File is read and written synchronously, so the Changes of concurrent Mutations never interleave.
+	 * @param {Backend} backend 
+	 * @param {string} filename absolute Path of the Manifest File
+	 * @param {string} rootDir absolute Path the Paths in the Manifest File are relative to
+	 * @public
+	 */
+	constructor(backend, filename, rootDir) {
+		this.#backend = backend;
+		this.#filename = filename;
+		this.#rootDir = rootDir;
+	}
+
+	/**
+	 * Get the Checksum of the File resolvedFilename
+	 * Returns undefined if the Manifest has no Checksum for the File
+	 * @param {string} resolvedFilename 
+	 * @returns {Checksum | undefined}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	get(resolvedFilename) {
+		return this.#load().get(resolvedFilename);
+	}
+
+	/**
+	 * Get the Checksums of every File inside the Directory resolvedDirname
+	 * @param {string} resolvedDirname 
+	 * @returns {Map<string, Checksum>}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	list(resolvedDirname) {
+		return new Map([...this.#load()].filter(([resolvedFilename]) => Manifest.#isInside(resolvedDirname, resolvedFilename)));
+	}
+
+	/**
+	 * Record checksum for the File resolvedFilename
+	 * @param {string} resolvedFilename 
+	 * @param {Checksum} checksum 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	set(resolvedFilename, checksum) {
+		this.#load().set(resolvedFilename, checksum);
+		this.#append([[resolvedFilename, checksum]]);
+	}
+
+	/**
+	 * Remove the Checksums of resolvedPathname and of every File below it
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	delete(resolvedPathname) {
+		const removed = [...this.list(resolvedPathname).keys()];
+
+		removed.forEach(resolvedFilename => this.#checksums.delete(resolvedFilename));
+		this.#append(removed.map(resolvedFilename => [resolvedFilename, null]));
+	}
+
+	/**
+	 * Move the Checksums of oldPathname and of every File below it to newPathname, replacing the Checksums there
+	 * @param {string} oldPathname 
+	 * @param {string} newPathname 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	move(oldPathname, newPathname) {
+		const moved = this.list(oldPathname);
+		const changes = [];
+
+		for (const resolvedFilename of [...this.list(newPathname).keys(), ...moved.keys()]) {
+			this.#checksums.delete(resolvedFilename);
+			changes.push([resolvedFilename, null]);
+		}
+
+		for (const [resolvedFilename, checksum] of moved) {
+			const destination = path.join(newPathname, path.relative(oldPathname, resolvedFilename));
+
+			this.#checksums.set(destination, checksum);
+			changes.push([destination, checksum]);
+		}
+
+		this.#append(changes);
+	}
+
+	/**
+	 * Copy the Checksum of the File sourceFilename to destinationFilename
+	 * The Checksum of destinationFilename is removed if sourceFilename has none
+	 * @param {string} sourceFilename 
+	 * @param {string} destinationFilename 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	copy(sourceFilename, destinationFilename) {
+		const checksum = this.get(sourceFilename);
+
+		if (checksum !== undefined)
+			return this.set(destinationFilename, checksum);
+
+		if (this.#checksums.delete(destinationFilename))
+			this.#append([[destinationFilename, null]]);
+	}
+
+	/**
+	 * Read the Manifest File, unless it was read already
+	 * A torn last Line (e.g. after a Crash) is ignored, and the File is compacted so the next Line starts cleanly
+	 * @returns {Map<string, Checksum>}
+	 * @private
+	 */
+	#load() {
+		if (this.#checksums !== null)
+			return this.#checksums;
+
+		const checksums = new Map();
+		let content = '';
+
+		try {
+			content = this.#backend.readFileSync(this.#filename).data.toString('utf8');
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+		}
+
+		const lines = content.split('\n').filter(line => line !== '');
+
+		for (const line of lines) {
+			let entry;
+
+			try {
+				entry = JSON.parse(line);
+			}
+			catch {
+				continue;
+			}
+
+			const resolvedFilename = path.join(this.#rootDir, entry.pathname);
+
+			if (entry.hash === null)
+				checksums.delete(resolvedFilename);
+			else
+				checksums.set(resolvedFilename, { algorithm: entry.algorithm, hash: entry.hash, size: entry.size });
+		}
+
+		this.#checksums = checksums;
+		this.#lines = lines.length;
+
+		if (content !== '' && !content.endsWith('\n'))
+			this.#compact();
+
+		return checksums;
+	}
+
+	/**
+	 * Append changes to the Manifest File and compact it once most of its Lines are outdated
+	 * @param {[string, Checksum | null][]} changes 
+	 * @returns {void}
+	 * @private
+	 */
+	#append(changes) {
+		if (changes.length === 0)
+			return;
+
+		this.#backend.mkdirSync(path.dirname(this.#filename), { recursive: true });
+		this.#backend.appendFileSync(this.#filename, Buffer.from(changes.map(([resolvedFilename, checksum]) => this.#toLine(resolvedFilename, checksum)).join('')), { fsync: false });
+		this.#lines += changes.length;
+
+		if (this.#lines > Manifest.#COMPACT_LINES && this.#lines > 2 * this.#checksums.size)
+			this.#compact();
+	}
+
+	/**
+	 * Atomically rewrite the Manifest File with only the current Checksums
+	 * @returns {void}
+	 * @private
+	 */
+	#compact() {
+		const tempFilename = `${this.#filename}.tmp`;
+
+		this.#backend.mkdirSync(path.dirname(this.#filename), { recursive: true });
+		this.#backend.writeFileSync(tempFilename, Buffer.from([...this.#checksums].map(([resolvedFilename, checksum]) => this.#toLine(resolvedFilename, checksum)).join('')), { fsync: true });
+		this.#backend.renameSync(tempFilename, this.#filename);
+		this.#lines = this.#checksums.size;
+	}
+
+	/**
+	 * Serialize the Checksum of resolvedFilename as a Line of the Manifest File
+	 * @param {string} resolvedFilename 
+	 * @param {Checksum | null} checksum 
+	 * @returns {string}
+	 * @private
+	 */
+	#toLine(resolvedFilename, checksum) {
+		const pathname = path.relative(this.#rootDir, resolvedFilename).split(path.sep).join('/');
+
+		return JSON.stringify(checksum === null ? { pathname, hash: null } : { pathname, ...checksum }) + '\n';
+	}
+
+	/**
+	 * Check whether the absolute Path pathname is dirname or inside of it
+	 * @param {string} dirname 
+	 * @param {string} pathname 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isInside(dirname, pathname) {
+		const relativePathname = path.relative(dirname, pathname);
+
+		return relativePathname === '' || (relativePathname !== '..' && !relativePathname.startsWith('..' + path.sep) && !path.isAbsolute(relativePathname));
+	}
+}
+
+module.exports = Manifest;
\ No newline at end of file
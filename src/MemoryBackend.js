@@ -0,0 +1,1299 @@
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { Readable, Writable } = require('stream');
+
+const Backend = require('./Backend');
+
+/**
+ * @typedef {Object} MemoryNode
+ * @property {'file' | 'directory' | 'symlink'} type
+ * @property {number} ino
+ * @property {number} mode
+ * @property {number} nlink
+ * @property {number} atimeMs
+ * @property {number} mtimeMs
+ * @property {number} ctimeMs
+ * @property {number} birthtimeMs
+ * @property {Buffer} [data] Content of a File
+ * @property {Map<string, MemoryNode>} [entries] Entries of a Directory
+ * @property {string} [target] Target of a Symbolic Link
+ */
+
+/**
+ * @typedef {Object} MemoryLookup
+ * @property {MemoryNode | undefined} node the Node or undefined if the last Path Segment does not exist
+ * @property {MemoryNode} parent the Directory containing the last Path Segment
+ * @property {string} name the last Path Segment
+ * @property {string} realPathname the Path with all Symbolic Links resolved
+ */
+
+class MemoryStats {
+	/**
+	 * Create a new MemoryStats Instance shaped like fs.Stats
+	 * @param {MemoryNode} node
+	 * @public
+	 */
+	constructor(node) {
+		this.dev = 0;
+		this.ino = node.ino;
+		this.mode = node.mode;
+		this.nlink = node.nlink;
+		this.uid = 0;
+		this.gid = 0;
+		this.rdev = 0;
+		this.size = MemoryStats.#sizeOf(node);
+		this.blksize = 4096;
+		this.blocks = Math.ceil(this.size / 512);
+		this.atimeMs = node.atimeMs;
+		this.mtimeMs = node.mtimeMs;
+		this.ctimeMs = node.ctimeMs;
+		this.birthtimeMs = node.birthtimeMs;
+		this.atime = new Date(node.atimeMs);
+		this.mtime = new Date(node.mtimeMs);
+		this.ctime = new Date(node.ctimeMs);
+		this.birthtime = new Date(node.birthtimeMs);
+	}
+
+	isFile() {
+		return (this.mode & fs.constants.S_IFMT) === fs.constants.S_IFREG;
+	}
+
+	isDirectory() {
+		return (this.mode & fs.constants.S_IFMT) === fs.constants.S_IFDIR;
+	}
+
+	isSymbolicLink() {
+		return (this.mode & fs.constants.S_IFMT) === fs.constants.S_IFLNK;
+	}
+
+	isBlockDevice() {
+		return false;
+	}
+
+	isCharacterDevice() {
+		return false;
+	}
+
+	isFIFO() {
+		return false;
+	}
+
+	isSocket() {
+		return false;
+	}
+
+	/**
+	 * @param {MemoryNode} node
+	 * @returns {number}
+	 * @private
+	 */
+	static #sizeOf(node) {
+		if (node.type === 'file')
+			return node.data.length;
+
+		if (node.type === 'symlink')
+			return Buffer.byteLength(node.target);
+
+		return 4096;
+	}
+}
+
+class MemoryDirent {
+	/**
+	 * Create a new MemoryDirent Instance shaped like fs.Dirent
+	 * @param {string} name
+	 * @param {string} parentPath
+	 * @param {MemoryNode} node
+	 * @public
+	 */
+	constructor(name, parentPath, node) {
+		this.name = name;
+		this.parentPath = parentPath;
+		this.path = parentPath;
+		this.type = node.type;
+	}
+
+	isFile() {
+		return this.type === 'file';
+	}
+
+	isDirectory() {
+		return this.type === 'directory';
+	}
+
+	isSymbolicLink() {
+		return this.type === 'symlink';
+	}
+
+	isBlockDevice() {
+		return false;
+	}
+
+	isCharacterDevice() {
+		return false;
+	}
+
+	isFIFO() {
+		return false;
+	}
+
+	isSocket() {
+		return false;
+	}
+}
+
+class MemoryWatcher extends EventEmitter {
+	/**
+	 * @type {() => void}
+	 */
+	#onClose;
+
+	/**
+	 * Create a new MemoryWatcher Instance shaped like fs.FSWatcher
+	 * @param {() => void} onClose
+	 * @public
+	 */
+	constructor(onClose) {
+		super();
+
+		this.#onClose = onClose;
+	}
+
+	/**
+	 * Stop watching
+	 * @returns {void}
+	 * @public
+	 */
+	close() {
+		this.#onClose();
+		this.emit('close');
+	}
+}
+
+class MemoryBackend extends Backend {
+	/**
+	 * Maximum Number of Symbolic Links followed while resolving a Path
+	 * @type {number}
+	 */
+	static #MAX_SYMLINKS = 40;
+
+	/**
+	 * @type {MemoryNode}
+	 */
+	#root;
+
+	/**
+	 * @type {number}
+	 */
+	#nextIno = 1;
+
+	/**
+	 * @type {Set<{pathname: string, listener: (eventType: string, filename: string | null) => void}>}
+	 */
+	#watchers = new Set();
+
+	/**
+	 * Create a new MemoryBackend Instance
+	 * Keeps Files, Directories, Symbolic Links and Hard Links in Memory, nothing is written to the Disk
+	 * Useful for Tests and for temporary Data
+	 * @public
+	 */
+	constructor() {
+		super();
+
+		this.#root = this.#createNode('directory');
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<{data: Buffer, stats: MemoryStats}>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readFile(pathname) {
+		return this.readFileSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readRange(pathname, offset, length) {
+		return this.readRangeSync(pathname, offset, length);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean, exclusive?: boolean}} [options]
+	 * @returns {Promise<MemoryStats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async writeFile(pathname, data, options = {}) {
+		return this.writeFileSync(pathname, data, options);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<MemoryStats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async appendFile(pathname, data, options = {}) {
+		return this.appendFileSync(pathname, data, options);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<MemoryStats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async writeAt(pathname, offset, data, options = {}) {
+		return this.writeAtSync(pathname, offset, data, options);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} length
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<MemoryStats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async truncate(pathname, length, options = {}) {
+		return this.truncateSync(pathname, length, options);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<MemoryStats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async stat(pathname) {
+		return this.statSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<MemoryStats>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async lstat(pathname) {
+		return this.lstatSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<MemoryDirent[]>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readdir(pathname) {
+		return this.readdirSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async mkdir(pathname, options = {}) {
+		this.mkdirSync(pathname, options);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async rmdir(pathname) {
+		this.rmdirSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async unlink(pathname) {
+		this.unlinkSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean, force?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async rm(pathname, options = {}) {
+		this.rmSync(pathname, options);
+	}
+
+	/**
+	 * @param {string} oldPathname
+	 * @param {string} newPathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async rename(oldPathname, newPathname) {
+		this.renameSync(oldPathname, newPathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @param {number} [mode]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async copyFile(sourcePathname, destinationPathname, mode = 0) {
+		this.copyFileSync(sourcePathname, destinationPathname, mode);
+	}
+
+	/**
+	 * @param {string} target
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async symlink(target, pathname) {
+		this.symlinkSync(target, pathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async link(sourcePathname, destinationPathname) {
+		this.linkSync(sourcePathname, destinationPathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async readlink(pathname) {
+		return this.readlinkSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async realpath(pathname) {
+		return this.realpathSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async fsyncDir(pathname) {
+		this.fsyncDirSync(pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} mode
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async chmod(pathname, mode) {
+		this.chmodSync(pathname, mode);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Date} atime
+	 * @param {Date} mtime
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 * @override
+	 */
+	async utimes(pathname, atime, mtime) {
+		this.utimesSync(pathname, atime, mtime);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {{data: Buffer, stats: MemoryStats}}
+	 * @public
+	 * @override
+	 */
+	readFileSync(pathname) {
+		const node = this.#getFile(pathname, 'open');
+
+		node.atimeMs = Date.now();
+
+		return { data: Buffer.from(node.data), stats: new MemoryStats(node) };
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Buffer}
+	 * @public
+	 * @override
+	 */
+	readRangeSync(pathname, offset, length) {
+		const node = this.#getFile(pathname, 'open');
+
+		node.atimeMs = Date.now();
+
+		return Buffer.from(node.data.subarray(offset, offset + length));
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean, exclusive?: boolean}} [options]
+	 * @returns {MemoryStats}
+	 * @public
+	 * @override
+	 */
+	writeFileSync(pathname, data, { exclusive = false } = {}) {
+		const node = this.#openFile(pathname, exclusive ? 'wx' : 'w');
+
+		node.data = Buffer.from(data);
+
+		this.#touch(node);
+		this.#notify('change', pathname);
+
+		return new MemoryStats(node);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {MemoryStats}
+	 * @public
+	 * @override
+	 */
+	appendFileSync(pathname, data, options = {}) {
+		const node = this.#openFile(pathname, 'a');
+
+		node.data = Buffer.concat([node.data, data]);
+
+		this.#touch(node);
+		this.#notify('change', pathname);
+
+		return new MemoryStats(node);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} offset
+	 * @param {Buffer} data
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {MemoryStats}
+	 * @public
+	 * @override
+	 */
+	writeAtSync(pathname, offset, data, options = {}) {
+		const node = this.#openFile(pathname, 'w');
+		const content = Buffer.alloc(Math.max(node.data.length, offset + data.length));
+
+		node.data.copy(content);
+		data.copy(content, offset);
+		node.data = content;
+
+		this.#touch(node);
+		this.#notify('change', pathname);
+
+		return new MemoryStats(node);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {number} length
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {MemoryStats}
+	 * @public
+	 * @override
+	 */
+	truncateSync(pathname, length, options = {}) {
+		const node = this.#getFile(pathname, 'open');
+		const content = Buffer.alloc(length);
+
+		node.data.copy(content, 0, 0, Math.min(length, node.data.length));
+		node.data = content;
+
+		this.#touch(node);
+		this.#notify('change', pathname);
+
+		return new MemoryStats(node);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {MemoryStats}
+	 * @public
+	 * @override
+	 */
+	statSync(pathname) {
+		return new MemoryStats(this.#getNode(pathname, 'stat', true));
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {MemoryStats}
+	 * @public
+	 * @override
+	 */
+	lstatSync(pathname) {
+		return new MemoryStats(this.#getNode(pathname, 'lstat', false));
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {MemoryDirent[]}
+	 * @public
+	 * @override
+	 */
+	readdirSync(pathname) {
+		const node = this.#getNode(pathname, 'scandir', true);
+
+		if (node.type !== 'directory')
+			throw MemoryBackend.#error('ENOTDIR', 'scandir', pathname);
+
+		return [...node.entries].map(([name, child]) => new MemoryDirent(name, path.resolve(pathname), child));
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean}} [options]
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	mkdirSync(pathname, { recursive = false } = {}) {
+		if (!recursive) {
+			const { node, parent, name } = this.#lookup(pathname, 'mkdir', false);
+
+			if (node !== undefined)
+				throw MemoryBackend.#error('EEXIST', 'mkdir', pathname);
+
+			this.#addEntry(parent, name, this.#createNode('directory'));
+			this.#notify('rename', pathname);
+
+			return;
+		}
+
+		const segments = MemoryBackend.#split(pathname);
+
+		for (let i = 1; i <= segments.length; i++) {
+			const current = MemoryBackend.#join(segments.slice(0, i));
+			const { node, parent, name } = this.#lookup(current, 'mkdir', true);
+
+			if (node === undefined) {
+				this.#addEntry(parent, name, this.#createNode('directory'));
+				this.#notify('rename', current);
+			}
+			else if (node.type !== 'directory') {
+				throw MemoryBackend.#error(i === segments.length ? 'EEXIST' : 'ENOTDIR', 'mkdir', pathname);
+			}
+		}
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	rmdirSync(pathname) {
+		const { node, parent, name } = this.#lookup(pathname, 'rmdir', false);
+
+		if (node === undefined)
+			throw MemoryBackend.#error('ENOENT', 'rmdir', pathname);
+
+		if (node.type !== 'directory')
+			throw MemoryBackend.#error('ENOTDIR', 'rmdir', pathname);
+
+		if (node === this.#root)
+			throw MemoryBackend.#error('EBUSY', 'rmdir', pathname);
+
+		if (node.entries.size > 0)
+			throw MemoryBackend.#error('ENOTEMPTY', 'rmdir', pathname);
+
+		this.#removeEntry(parent, name);
+		this.#notify('rename', pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	unlinkSync(pathname) {
+		const { node, parent, name } = this.#lookup(pathname, 'unlink', false);
+
+		if (node === undefined)
+			throw MemoryBackend.#error('ENOENT', 'unlink', pathname);
+
+		if (node.type === 'directory')
+			throw MemoryBackend.#error('EISDIR', 'unlink', pathname);
+
+		this.#removeEntry(parent, name);
+		this.#notify('rename', pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {{recursive?: boolean, force?: boolean}} [options]
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	rmSync(pathname, { recursive = false, force = false } = {}) {
+		let lookup;
+
+		try {
+			lookup = this.#lookup(pathname, 'rm', false);
+		}
+		catch (error) {
+			if (force && (error.code === 'ENOENT' || error.code === 'ENOTDIR'))
+				return;
+
+			throw error;
+		}
+
+		const { node, parent, name } = lookup;
+
+		if (node === undefined) {
+			if (force)
+				return;
+
+			throw MemoryBackend.#error('ENOENT', 'rm', pathname);
+		}
+
+		if (node.type === 'directory' && !recursive)
+			throw MemoryBackend.#error('ERR_FS_EISDIR', 'rm', pathname);
+
+		if (node === this.#root)
+			throw MemoryBackend.#error('EBUSY', 'rm', pathname);
+
+		this.#removeTree(parent, name);
+		this.#notify('rename', pathname);
+	}
+
+	/**
+	 * @param {string} oldPathname
+	 * @param {string} newPathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	renameSync(oldPathname, newPathname) {
+		const source = this.#lookup(oldPathname, 'rename', false);
+		const destination = this.#lookup(newPathname, 'rename', false);
+
+		if (source.node === undefined)
+			throw MemoryBackend.#error('ENOENT', 'rename', oldPathname);
+
+		if (source.node === destination.node)
+			return;
+
+		if (source.node.type === 'directory' && MemoryBackend.#isInside(source.realPathname, destination.realPathname))
+			throw MemoryBackend.#error('EINVAL', 'rename', oldPathname);
+
+		if (destination.node !== undefined) {
+			if (source.node.type === 'directory' && destination.node.type !== 'directory')
+				throw MemoryBackend.#error('ENOTDIR', 'rename', newPathname);
+
+			if (source.node.type !== 'directory' && destination.node.type === 'directory')
+				throw MemoryBackend.#error('EISDIR', 'rename', newPathname);
+
+			if (destination.node.type === 'directory' && destination.node.entries.size > 0)
+				throw MemoryBackend.#error('ENOTEMPTY', 'rename', newPathname);
+
+			this.#removeEntry(destination.parent, destination.name);
+		}
+
+		source.parent.entries.delete(source.name);
+		destination.parent.entries.set(destination.name, source.node);
+		source.node.ctimeMs = Date.now();
+		this.#touch(source.parent);
+		this.#touch(destination.parent);
+
+		this.#notify('rename', oldPathname);
+		this.#notify('rename', newPathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @param {number} [mode]
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	copyFileSync(sourcePathname, destinationPathname, mode = 0) {
+		const source = this.#getFile(sourcePathname, 'copyfile');
+		const destination = this.#openFile(destinationPathname, (mode & fs.constants.COPYFILE_EXCL) ? 'wx' : 'w');
+
+		destination.data = Buffer.from(source.data);
+		destination.mode = source.mode;
+
+		this.#touch(destination);
+		this.#notify('change', destinationPathname);
+	}
+
+	/**
+	 * @param {string} target
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	symlinkSync(target, pathname) {
+		const { node, parent, name } = this.#lookup(pathname, 'symlink', false);
+
+		if (node !== undefined)
+			throw MemoryBackend.#error('EEXIST', 'symlink', pathname);
+
+		const link = this.#createNode('symlink');
+
+		link.target = target;
+
+		this.#addEntry(parent, name, link);
+		this.#notify('rename', pathname);
+	}
+
+	/**
+	 * @param {string} sourcePathname
+	 * @param {string} destinationPathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	linkSync(sourcePathname, destinationPathname) {
+		const source = this.#getNode(sourcePathname, 'link', false);
+		const { node, parent, name } = this.#lookup(destinationPathname, 'link', false);
+
+		if (source.type === 'directory')
+			throw MemoryBackend.#error('EPERM', 'link', sourcePathname);
+
+		if (node !== undefined)
+			throw MemoryBackend.#error('EEXIST', 'link', destinationPathname);
+
+		this.#addEntry(parent, name, source);
+		source.ctimeMs = Date.now();
+
+		this.#notify('rename', destinationPathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {string}
+	 * @public
+	 * @override
+	 */
+	readlinkSync(pathname) {
+		const node = this.#getNode(pathname, 'readlink', false);
+
+		if (node.type !== 'symlink')
+			throw MemoryBackend.#error('EINVAL', 'readlink', pathname);
+
+		return node.target;
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @returns {string}
+	 * @public
+	 * @override
+	 */
+	realpathSync(pathname) {
+		const { node, realPathname } = this.#lookup(pathname, 'realpath', true);
+
+		if (node === undefined)
+			throw MemoryBackend.#error('ENOENT', 'realpath', pathname);
+
+		return realPathname;
+	}
+
+	/**
+	 * Nothing to flush, only checks that the Directory exists
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	fsyncDirSync(pathname) {
+		this.#getNode(pathname, 'fsync', true);
+	}
+
+	/**
+	 * Only the Permission Bits of mode are applied, the Type of the Entry is kept
+	 * @param {string} pathname
+	 * @param {number} mode
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	chmodSync(pathname, mode) {
+		const node = this.#getNode(pathname, 'chmod', true);
+
+		node.mode = (node.mode & fs.constants.S_IFMT) | (mode & 0o7777);
+		node.ctimeMs = Date.now();
+		this.#notify('change', pathname);
+	}
+
+	/**
+	 * @param {string} pathname
+	 * @param {Date} atime
+	 * @param {Date} mtime
+	 * @returns {void}
+	 * @public
+	 * @override
+	 */
+	utimesSync(pathname, atime, mtime) {
+		const node = this.#getNode(pathname, 'utime', true);
+
+		node.atimeMs = atime.getTime();
+		node.mtimeMs = mtime.getTime();
+		node.ctimeMs = Date.now();
+		this.#notify('change', pathname);
+	}
+
+	/**
+	 * The File is read when the Stream is first read from, Errors are emitted on the Stream
+	 * @param {string} pathname
+	 * @param {{start?: number, end?: number}} [options]
+	 * @returns {Readable}
+	 * @public
+	 * @override
+	 */
+	createReadStream(pathname, { start = 0, end = Infinity } = {}) {
+		const backend = this;
+		let done = false;
+
+		return new Readable({
+			read() {
+				if (done)
+					return;
+
+				done = true;
+
+				try {
+					this.push(backend.readRangeSync(pathname, start, end - start + 1));
+					this.push(null);
+				}
+				catch (error) {
+					this.destroy(error);
+				}
+			}
+		});
+	}
+
+	/**
+	 * The File is created (or truncated for the Flag 'w') when the Stream is constructed, Errors are emitted on the Stream
+	 * @param {string} pathname
+	 * @param {{flags?: string}} [options]
+	 * @returns {Writable}
+	 * @public
+	 * @override
+	 */
+	createWriteStream(pathname, { flags = 'w' } = {}) {
+		const backend = this;
+		let node;
+
+		const stream = new Writable({
+			construct(callback) {
+				try {
+					node = backend.#openFile(pathname, flags);
+
+					if (!flags.startsWith('a') && !flags.startsWith('r'))
+						node.data = Buffer.alloc(0);
+
+					backend.#touch(node);
+					callback();
+				}
+				catch (error) {
+					callback(error);
+				}
+			},
+			write(chunk, encoding, callback) {
+				node.data = Buffer.concat([node.data, chunk]);
+				stream.bytesWritten += chunk.length;
+
+				backend.#touch(node);
+				backend.#notify('change', pathname);
+				callback();
+			}
+		});
+
+		// Mirrors fs.WriteStream
+		stream.bytesWritten = 0;
+
+		return stream;
+	}
+
+	/**
+	 * Listeners are called asynchronously for every Change made through this Backend
+	 * @param {string} pathname
+	 * @param {(eventType: string, filename: string | null) => void} listener
+	 * @returns {MemoryWatcher}
+	 * @public
+	 * @override
+	 */
+	watch(pathname, listener) {
+		const registration = { pathname: path.resolve(pathname), listener };
+
+		this.#getNode(pathname, 'watch', true);
+		this.#watchers.add(registration);
+
+		return new MemoryWatcher(() => this.#watchers.delete(registration));
+	}
+
+	/**
+	 * Create a new Node of the given Type
+	 * @param {'file' | 'directory' | 'symlink'} type
+	 * @returns {MemoryNode}
+	 * @private
+	 */
+	#createNode(type) {
+		const now = Date.now();
+		const node = {
+			type,
+			ino: this.#nextIno++,
+			mode: type === 'file' ? fs.constants.S_IFREG | 0o644 : type === 'directory' ? fs.constants.S_IFDIR | 0o755 : fs.constants.S_IFLNK | 0o777,
+			nlink: 0,
+			atimeMs: now,
+			mtimeMs: now,
+			ctimeMs: now,
+			birthtimeMs: now
+		};
+
+		if (type === 'file')
+			node.data = Buffer.alloc(0);
+		else if (type === 'directory')
+			node.entries = new Map();
+
+		return node;
+	}
+
+	/**
+	 * Update the Modification Time of node
+	 * @param {MemoryNode} node
+	 * @returns {void}
+	 * @private
+	 */
+	#touch(node) {
+		node.mtimeMs = node.ctimeMs = Math.max(Date.now(), node.mtimeMs + 1);
+	}
+
+	/**
+	 * Add node to the Directory parent
+	 * @param {MemoryNode} parent
+	 * @param {string} name
+	 * @param {MemoryNode} node
+	 * @returns {void}
+	 * @private
+	 */
+	#addEntry(parent, name, node) {
+		parent.entries.set(name, node);
+		node.nlink++;
+
+		this.#touch(parent);
+	}
+
+	/**
+	 * Remove the Entry name from the Directory parent
+	 * @param {MemoryNode} parent
+	 * @param {string} name
+	 * @returns {void}
+	 * @private
+	 */
+	#removeEntry(parent, name) {
+		const node = parent.entries.get(name);
+
+		parent.entries.delete(name);
+		node.nlink--;
+		node.ctimeMs = Date.now();
+
+		this.#touch(parent);
+	}
+
+	/**
+	 * Remove the Entry name from the Directory parent together with everything below it
+	 * Every removed Entry is unlinked on its own, so Hard Links outside of the Tree keep a correct Link Count
+	 * @param {MemoryNode} parent
+	 * @param {string} name
+	 * @returns {void}
+	 * @private
+	 */
+	#removeTree(parent, name) {
+		const node = parent.entries.get(name);
+
+		if (node.type === 'directory') {
+			for (const childName of [...node.entries.keys()])
+				this.#removeTree(node, childName);
+		}
+
+		this.#removeEntry(parent, name);
+	}
+
+	/**
+	 * Resolve pathname to its Node
+	 * Symbolic Links are followed in every Path Segment but the last one, which is only followed if followLast is true
+	 * The last Path Segment may not exist, every other Segment has to
+	 * @param {string} pathname
+	 * @param {string} syscall used in Error Messages
+	 * @param {boolean} followLast
+	 * @returns {MemoryLookup}
+	 * @private
+	 */
+	#lookup(pathname, syscall, followLast) {
+		let segments = MemoryBackend.#split(pathname);
+		let links = 0;
+
+		for (;;) {
+			let parent = this.#root;
+			let node = this.#root;
+			let restarted = false;
+
+			for (let i = 0; i < segments.length; i++) {
+				if (node.type !== 'directory')
+					throw MemoryBackend.#error('ENOTDIR', syscall, pathname);
+
+				const isLast = i === segments.length - 1;
+
+				parent = node;
+				node = node.entries.get(segments[i]);
+
+				if (node === undefined) {
+					if (isLast)
+						return { node, parent, name: segments[i], realPathname: MemoryBackend.#join(segments) };
+
+					throw MemoryBackend.#error('ENOENT', syscall, pathname);
+				}
+
+				if (node.type === 'symlink' && (!isLast || followLast)) {
+					if (++links > MemoryBackend.#MAX_SYMLINKS)
+						throw MemoryBackend.#error('ELOOP', syscall, pathname);
+
+					const target = path.resolve(MemoryBackend.#join(segments.slice(0, i)), node.target);
+
+					segments = [...MemoryBackend.#split(target), ...segments.slice(i + 1)];
+					restarted = true;
+
+					break;
+				}
+			}
+
+			if (!restarted)
+				return { node, parent, name: segments[segments.length - 1] ?? '', realPathname: MemoryBackend.#join(segments) };
+		}
+	}
+
+	/**
+	 * Resolve pathname to an existing Node
+	 * @param {string} pathname
+	 * @param {string} syscall
+	 * @param {boolean} followLast
+	 * @returns {MemoryNode}
+	 * @private
+	 */
+	#getNode(pathname, syscall, followLast) {
+		const { node } = this.#lookup(pathname, syscall, followLast);
+
+		if (node === undefined)
+			throw MemoryBackend.#error('ENOENT', syscall, pathname);
+
+		return node;
+	}
+
+	/**
+	 * Resolve pathname to an existing File
+	 * @param {string} pathname
+	 * @param {string} syscall
+	 * @returns {MemoryNode}
+	 * @private
+	 */
+	#getFile(pathname, syscall) {
+		const node = this.#getNode(pathname, syscall, true);
+
+		if (node.type === 'directory')
+			throw MemoryBackend.#error('EISDIR', syscall, pathname);
+
+		return node;
+	}
+
+	/**
+	 * Open the File pathname for Writing like fs.open with the given Flags, creating it if necessary
+	 * The Content is not truncated, that is up to the Caller
+	 * @param {string} pathname
+	 * @param {string} flags
+	 * @returns {MemoryNode}
+	 * @private
+	 */
+	#openFile(pathname, flags) {
+		const { node, parent, name } = this.#lookup(pathname, 'open', true);
+
+		if (node !== undefined) {
+			if (flags.includes('x'))
+				throw MemoryBackend.#error('EEXIST', 'open', pathname);
+
+			if (node.type === 'directory')
+				throw MemoryBackend.#error('EISDIR', 'open', pathname);
+
+			return node;
+		}
+
+		if (flags.startsWith('r'))
+			throw MemoryBackend.#error('ENOENT', 'open', pathname);
+
+		const file = this.#createNode('file');
+
+		this.#addEntry(parent, name, file);
+		this.#notify('rename', pathname);
+
+		return file;
+	}
+
+	/**
+	 * Inform all Watchers of pathname about a Change
+	 * @param {string} eventType
+	 * @param {string} pathname
+	 * @returns {void}
+	 * @private
+	 */
+	#notify(eventType, pathname) {
+		const resolvedPathname = path.resolve(pathname);
+
+		for (const { pathname: watched, listener } of this.#watchers) {
+			if (resolvedPathname !== watched && MemoryBackend.#isInside(watched, resolvedPathname))
+				setImmediate(listener, eventType, path.relative(watched, resolvedPathname));
+		}
+	}
+
+	/**
+	 * Split an absolute Path into its Segments
+	 * @param {string} pathname
+	 * @returns {string[]}
+	 * @private
+	 */
+	static #split(pathname) {
+		const resolvedPathname = path.resolve(pathname);
+
+		return resolvedPathname.slice(path.parse(resolvedPathname).root.length).split(path.sep).filter(segment => segment !== '');
+	}
+
+	/**
+	 * Join Path Segments to an absolute Path
+	 * @param {string[]} segments
+	 * @returns {string}
+	 * @private
+	 */
+	static #join(segments) {
+		return path.resolve(path.parse(process.cwd()).root, ...segments);
+	}
+
+	/**
+	 * Check whether the absolute Path pathname is dirname or inside of it
+	 * @param {string} dirname
+	 * @param {string} pathname
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isInside(dirname, pathname) {
+		const relativePathname = path.relative(dirname, pathname);
+
+		return relativePathname === '' || (relativePathname !== '..' && !relativePathname.startsWith('..' + path.sep) && !path.isAbsolute(relativePathname));
+	}
+
+	/**
+	 * Create an Error like the ones fs throws
+	 * @param {string} code
+	 * @param {string} syscall
+	 * @param {string} pathname
+	 * @returns {Error}
+	 * @private
+	 */
+	static #error(code, syscall, pathname) {
+		const error = new Error(`${code}: ${MemoryBackend.#DESCRIPTIONS[code] ?? 'operation failed'}, ${syscall} '${pathname}'`);
+
+		error.code = code;
+		error.syscall = syscall;
+		error.path = pathname;
+
+		return error;
+	}
+
+	/**
+	 * @type {Object<string, string>}
+	 */
+	static #DESCRIPTIONS = {
+		ENOENT: 'no such file or directory',
+		EEXIST: 'file already exists',
+		ENOTDIR: 'not a directory',
+		EISDIR: 'illegal operation on a directory',
+		ERR_FS_EISDIR: 'path is a directory',
+		ENOTEMPTY: 'directory not empty',
+		ELOOP: 'too many symbolic links encountered',
+		EINVAL: 'invalid argument',
+		EPERM: 'operation not permitted',
+		EBUSY: 'resource busy or locked'
+	};
+}
+
+module.exports = MemoryBackend
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * @typedef {Object} CacheStats
+ * @property {number} hits Reads served from the Cache
+ * @property {number} misses Reads that had to go to the Backend
+ * @property {number} bytesFromCache Bytes served from the Cache
+ * @property {number} bytesFromBackend Bytes read from the Backend on Cache Misses
+ * @property {number} evictions cached Files the Cache evicted to stay within its Budget, counted once they are read again
+ * @property {number} expirations cached Files whose TTL expired
+ * @property {number} invalidations cached Files evicted because they changed outside of the Instance (see options.coherence)
+ * @property {number} rejected Files not cached because of their Cache Policy
+ */
+
+/**
+ * @typedef {Object} OperationStats
+ * @property {number} count Number of Calls
+ * @property {number} errors Number of Calls that threw or rejected
+ * @property {number} totalMs Sum of the Durations in Milliseconds
+ * @property {number} maxMs longest Duration in Milliseconds
+ * @property {{le: number, count: number}[]} histogram Number of Calls by Duration, every Bucket counts the Calls that took at most le Milliseconds and longer than the previous Bucket
+ */
+
+class Metrics {
+	/**
+	 * Upper Bounds of the Histogram Buckets in Milliseconds
+	 * @type {number[]}
+	 */
+	static BUCKETS = [0.1, 0.5, 1, 5, 10, 50, 100, 500, 1000, 5000, Infinity];
+
+	/**
+	 * @type {CacheStats}
+	 */
+	#cache = Metrics.#emptyCache();
+
+	/**
+	 * The Stats of every Operation that was called at least once, by its Name
+	 * @type {Map<string, {count: number, errors: number, totalMs: number, maxMs: number, buckets: number[]}>}
+	 */
+	#operations = new Map();
+
+	/**
+	 * Add amount to the Cache Counter name
+	 * @param {keyof CacheStats} name 
+	 * @param {number} [amount]
+	 * @returns {void}
+	 * @public
+	 */
+	count(name, amount = 1) {
+		this.#cache[name] += amount;
+	}
+
+	/**
+	 * Record a Call of the Operation name that took duration Milliseconds
+	 * @param {string} name 
+	 * @param {number} duration 
+	 * @param {boolean} failed whether the Call threw or rejected
+	 * @returns {void}
+	 * @public
+	 */
+	record(name, duration, failed) {
+		if (!this.#operations.has(name))
+			this.#operations.set(name, { count: 0, errors: 0, totalMs: 0, maxMs: 0, buckets: Metrics.BUCKETS.map(() => 0) });
+
+		const operation = this.#operations.get(name);
+
+		operation.count++;
+		operation.errors += failed ? 1 : 0;
+		operation.totalMs += duration;
+		operation.maxMs = Math.max(operation.maxMs, duration);
+		operation.buckets[Metrics.BUCKETS.findIndex(bound => duration <= bound)]++;
+	}
+
+	/**
+	 * Get a Copy of the current Stats
+	 * @returns {{cache: CacheStats, operations: Object<string, OperationStats>}}
+	 * @public
+	 */
+	snapshot() {
+		const operations = {};
+
+		for (const [name, { buckets, ...operation }] of [...this.#operations].sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0))
+			operations[name] = { ...operation, histogram: buckets.map((count, index) => ({ le: Metrics.BUCKETS[index], count })) };
+
+		return { cache: { ...this.#cache }, operations };
+	}
+
+	/**
+	 * Reset every Counter and Histogram to 0
+	 * @returns {void}
+	 * @public
+	 */
+	reset() {
+		this.#cache = Metrics.#emptyCache();
+		this.#operations.clear();
+	}
+
+	/**
+	 * Create Cache Stats with every Counter at 0
+	 * @returns {CacheStats}
+	 * @private
+	 */
+	static #emptyCache() {
+		return { hits: 0, misses: 0, bytesFromCache: 0, bytesFromBackend: 0, evictions: 0, expirations: 0, invalidations: 0, rejected: 0 };
+	}
+}
+
+module.exports = Metrics;
\ No newline at end of file
@@ -0,0 +1,171 @@
+class ParsedCache {
+	/**
+	 * @type {number}
+	 */
+	#limit;
+
+	/**
+	 * @type {number}
+	 */
+	#size = 0;
+
+	/**
+	 * The parsed Values in least recently used Order, keyed by absolute Path
+	 * @type {Map<string, {data: Buffer, format: string, value: any, size: number}>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * Create a new ParsedCache Instance
+	 * A ParsedCache keeps the parsed Value of cached Files next to their Bytes, so repeated Reads do not parse them again.
+	 * A Value belongs to the exact Buffer it was parsed from: once the Bytes of the File are replaced or evicted, the Value is stale.
+	 * The estimated Size of all Values is limited to limit Bytes, the least recently used Values are evicted first.
+	 * @param {number} limit 
+	 * @public
+	 */
+	constructor(limit) {
+		this.#limit = limit;
+	}
+
+	/**
+	 * Get the Maximum estimated Size of all Values in Bytes
+	 * @returns {number}
+	 * @public
+	 */
+	get limit() {
+		return this.#limit;
+	}
+
+	/**
+	 * Get the estimated Size of all Values in Bytes
+	 * @returns {number}
+	 * @public
+	 */
+	get size() {
+		return this.#size;
+	}
+
+	/**
+	 * Get the Value parsed from data in format for the File key
+	 * Returns undefined if no such Value is cached
+	 * @param {string} key 
+	 * @param {Buffer} data 
+	 * @param {string} format 
+	 * @returns {any}
+	 * @public
+	 */
+	get(key, data, format) {
+		const entry = this.#entries.get(key);
+
+		if (entry === undefined || entry.data !== data || entry.format !== format)
+			return undefined;
+
+		this.#entries.delete(key);
+		this.#entries.set(key, entry);
+
+		return entry.value;
+	}
+
+	/**
+	 * Cache value as parsed from data in format for the File key
+	 * Values larger than the Limit are not cached
+	 * @param {string} key 
+	 * @param {Buffer} data 
+	 * @param {string} format 
+	 * @param {any} value 
+	 * @returns {void}
+	 * @public
+	 */
+	set(key, data, format, value) {
+		this.delete(key);
+
+		const size = ParsedCache.estimateSize(value);
+
+		if (size > this.#limit)
+			return;
+
+		this.#entries.set(key, { data, format, value, size });
+		this.#size += size;
+
+		for (const [oldestKey] of this.#entries) {
+			if (this.#size <= this.#limit)
+				break;
+
+			this.delete(oldestKey);
+		}
+	}
+
+	/**
+	 * Remove the Value of the File key
+	 * @param {string} key 
+	 * @returns {void}
+	 * @public
+	 */
+	delete(key) {
+		const entry = this.#entries.get(key);
+
+		if (entry === undefined)
+			return;
+
+		this.#entries.delete(key);
+		this.#size -= entry.size;
+	}
+
+	/**
+	 * Move the Value of the File oldKey to newKey
+	 * @param {string} oldKey 
+	 * @param {string} newKey 
+	 * @returns {void}
+	 * @public
+	 */
+	rename(oldKey, newKey) {
+		const entry = this.#entries.get(oldKey);
+
+		this.delete(newKey);
+
+		if (entry === undefined)
+			return;
+
+		this.#entries.delete(oldKey);
+		this.#entries.set(newKey, entry);
+	}
+
+	/**
+	 * Estimate the Memory used by a parsed Value in Bytes
+	 * Strings count 2 Bytes per Character, Numbers and Booleans 8 Bytes, and every Object, Array and Property adds a fixed Overhead
+	 * @param {any} value 
+	 * @returns {number}
+	 * @public
+	 */
+	static estimateSize(value) {
+		let size = 0;
+		const stack = [value];
+
+		while (stack.length > 0) {
+			const current = stack.pop();
+
+			if (typeof current === 'string')
+				size += 16 + current.length * 2;
+			else if (Array.isArray(current)) {
+				size += 16 + current.length * 8;
+
+				for (const child of current)
+					stack.push(child);
+			}
+			else if (current !== null && typeof current === 'object') {
+				for (const [key, child] of Object.entries(current)) {
+					size += 16 + key.length * 2;
+					stack.push(child);
+				}
+
+				size += 32;
+			}
+			else
+				size += 8;
+		}
+
+		return size;
+	}
+}
+
+module.exports = ParsedCache;
\ No newline at end of file
@@ -0,0 +1,32 @@
+class PathError extends RangeError {
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * Create a new PathError Instance
+	 * Thrown if a Path does not resolve to a Location inside the Data Directory
+	 * It extends RangeError, so existing Checks for RangeErrors keep working
+	 * @param {string} message 
+	 * @param {string} pathname the offending Path
+	 * @public
+	 */
+	constructor(message, pathname) {
+		super(`${message} (got ${JSON.stringify(pathname)})`);
+
+		this.name = 'PathError';
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Get the offending Path
+	 * @returns {string}
+	 * @public
+	 */
+	get pathname() {
+		return this.#pathname;
+	}
+}
+
+module.exports = PathError;
\ No newline at end of file
@@ -0,0 +1,33 @@
+class QuotaError extends Error {
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * Create a new QuotaError Instance
+	 * Thrown if a Mutation would make the Usage of a Directory exceed its Quota, before anything is changed
+	 * The code Property is 'EDQUOT', so it can be handled like File System Errors
+	 * @param {string} message 
+	 * @param {string} pathname the Path of the rejected Mutation
+	 * @public
+	 */
+	constructor(message, pathname) {
+		super(`${message} (got ${JSON.stringify(pathname)})`);
+
+		this.name = 'QuotaError';
+		this.code = 'EDQUOT';
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Get the Path of the rejected Mutation
+	 * @returns {string}
+	 * @public
+	 */
+	get pathname() {
+		return this.#pathname;
+	}
+}
+
+module.exports = QuotaError;
\ No newline at end of file
@@ -0,0 +1,1012 @@
+const path = require('path');
+
+const Backend = require('./Backend');
+const QuotaError = require('./QuotaError');
+
+/**
+ * @typedef {import('./IO').Change} Change
+ * @typedef {import('./IO').Usage} Usage
+ * @typedef {import('./IO').Quota} Quota
+ * @typedef {import('./IO').UsageInfo} UsageInfo
+ */
+
+/**
+ * @typedef {Object} QuotasOptions
+ * @property {string} versionDir absolute Path of the Directory holding the Revisions of Files
+ * @property {string} trashDir absolute Path of the Directory holding the Trash Entries
+ * @property {(resolvedPathname: string) => boolean} isInternal decides which Entries are internal and not counted
+ * @property {Required<Quota> | null} [quota] the Quota of rootDir, which replaces the persisted one
+ */
+
+class Quotas {
+	/**
+	 * @type {Backend}
+	 */
+	#backend;
+
+	/**
+	 * @type {string}
+	 */
+	#filename;
+
+	/**
+	 * @type {string}
+	 */
+	#rootDir;
+
+	/**
+	 * @type {string}
+	 */
+	#versionDir;
+
+	/**
+	 * @type {string}
+	 */
+	#trashDir;
+
+	/**
+	 * @type {(resolvedPathname: string) => boolean}
+	 */
+	#isInternal;
+
+	/**
+	 * The Quota of rootDir given to the Constructor, which is persisted once the Quota File is read, or null
+	 * @type {Required<Quota> | null}
+	 */
+	#preset;
+
+	/**
+	 * Usage and Quota of every Directory whose Usage is tracked, keyed by absolute Path
+	 * The Usage is null until it is needed for the first Time
+	 * @type {Map<string, {usage: Usage | null, quota: Required<Quota>}>}
+	 */
+	#entries = new Map();
+
+	/**
+	 * Inode, Size and Modification Time of the Quota File when it was read or written last, null if it did not exist, or undefined until it was read
+	 * @type {string | null | undefined}
+	 */
+	#signature = undefined;
+
+	/**
+	 * Create a new Quotas Instance
+	 * Quotas tracks the Usage of Directories below rootDir and checks Mutations against their Quotas before anything is changed.
+	 * The Quotas are persisted in the JSON File filename as {"<pathname>": {"bytes", "files"}}, with pathname relative to rootDir, . for rootDir itself and / as Separator.
+	 * The File is read again whenever it changed, so Quotas set by other Instances apply as well. The Usage is counted by walking a Directory when it is needed for the first Time,
+	 * and then kept up to date by the Mutations of this Instance.
+	 * The Quota File is read and written synchronously, so concurrent Changes of the Quotas never interleave.
+	 * @param {Backend} backend 
+	 * @param {string} filename absolute Path of the Quota File
+	 * @param {string} rootDir absolute Path the Paths in the Quota File are relative to
+	 * @param {QuotasOptions} options 
+	 * @public
+	 */
+	constructor(backend, filename, rootDir, { versionDir, trashDir, isInternal, quota = null }) {
+		this.#backend = backend;
+		this.#filename = filename;
+		this.#rootDir = rootDir;
+		this.#versionDir = versionDir;
+		this.#trashDir = trashDir;
+		this.#isInternal = isInternal;
+		this.#preset = quota;
+	}
+
+	/**
+	 * Validate a Quota
+	 * Returns null if quota is null
+	 * @param {Quota | null} quota 
+	 * @param {string} name 
+	 * @returns {Required<Quota> | null}
+	 * @throws {TypeError} if quota is not a Quota or null
+	 * @public
+	 */
+	static prepare(quota, name) {
+		if (quota === null)
+			return null;
+
+		if (typeof quota !== 'object' || Array.isArray(quota))
+			throw new TypeError(`Expected ${name} to be an Object or null`);
+
+		const { bytes = null, files = null } = quota;
+
+		if (bytes !== null && (!Number.isSafeInteger(bytes) || bytes < 0))
+			throw new TypeError(`Expected ${name}.bytes to be a positive Integer, 0 or null`);
+
+		if (files !== null && (!Number.isSafeInteger(files) || files < 0))
+			throw new TypeError(`Expected ${name}.files to be a positive Integer, 0 or null`);
+
+		return { bytes, files };
+	}
+
+	/**
+	 * Set the Quota of the Directory resolvedDirname and persist it, or remove it with null
+	 * @param {string} resolvedDirname 
+	 * @param {Required<Quota> | null} quota 
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	set(resolvedDirname, quota) {
+		this.#load();
+		this.#entry(resolvedDirname).quota = quota ?? { bytes: null, files: null };
+		this.#write();
+	}
+
+	/**
+	 * Get the Usage and the Quota of the Directory resolvedDirname, which is tracked from now on
+	 * @param {string} resolvedDirname 
+	 * @returns {Promise<UsageInfo>}
+	 * @public
+	 * @async
+	 */
+	async get(resolvedDirname) {
+		this.#load();
+
+		const entry = this.#entry(resolvedDirname);
+
+		entry.usage ??= await this.#measureTracked(resolvedDirname);
+
+		return Quotas.#toInfo(entry);
+	}
+
+	/**
+	 * Synchronous Version of get
+	 * @param {string} resolvedDirname 
+	 * @returns {UsageInfo}
+	 * @public
+	 */
+	getSync(resolvedDirname) {
+		this.#load();
+
+		const entry = this.#entry(resolvedDirname);
+
+		entry.usage ??= this.#measureTrackedSync(resolvedDirname);
+
+		return Quotas.#toInfo(entry);
+	}
+
+	/**
+	 * Count the Usage of the Directory resolvedDirname again, together with every tracked Directory inside of it or containing it
+	 * Resolves to the new Usage and the Quota of the Directory
+	 * @param {string} resolvedDirname 
+	 * @returns {Promise<UsageInfo>}
+	 * @public
+	 * @async
+	 */
+	async rescan(resolvedDirname) {
+		this.#load();
+		this.#entry(resolvedDirname);
+
+		await this.update([resolvedDirname]);
+
+		return Quotas.#toInfo(this.#entries.get(resolvedDirname));
+	}
+
+	/**
+	 * Synchronous Version of rescan
+	 * @param {string} resolvedDirname 
+	 * @returns {UsageInfo}
+	 * @public
+	 */
+	rescanSync(resolvedDirname) {
+		this.#load();
+		this.#entry(resolvedDirname);
+
+		this.updateSync([resolvedDirname]);
+
+		return Quotas.#toInfo(this.#entries.get(resolvedDirname));
+	}
+
+	/**
+	 * Check whether a tracked Directory contains one of the absolute Paths resolvedPathnames, or is inside of one of them
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {boolean}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	tracks(resolvedPathnames) {
+		this.#load();
+
+		return this.#relevant(resolvedPathnames).length > 0;
+	}
+
+	/**
+	 * Account the Usage of the tracked Directories for the Mutation change of the Entries resolvedPathnames (the Destination first, then the Source), which is performed by operation
+	 * The Entries are measured, the Change of their Usage is estimated from change and data, checked against the Quotas and reserved.
+	 * Once operation settled, the Entries are measured again and the Reservation is replaced by the actual Change
+	 * Resolves to the Result of operation
+	 * Rejects with a QuotaError if the Mutation would exceed a Quota
+	 * Rejects with any Error thrown by operation
+	 * @template T
+	 * @param {string[]} resolvedPathnames 
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @param {() => Promise<T>} operation 
+	 * @param {(resolvedPathname: string) => string} describe turns an absolute Path into the Path of a QuotaError
+	 * @returns {Promise<T>}
+	 * @public
+	 * @async
+	 */
+	async account(resolvedPathnames, change, data, operation, describe) {
+		if (!this.tracks(resolvedPathnames))
+			return await operation();
+
+		await this.#measurePending(resolvedPathnames);
+
+		const before = [];
+
+		for (const resolvedPathname of resolvedPathnames)
+			before.push(await this.#measure(resolvedPathname));
+
+		const estimated = Quotas.#estimateUsage(change, data, before);
+
+		this.#reserve(resolvedPathnames, estimated, describe);
+
+		try {
+			return await operation();
+		}
+		finally {
+			await this.#settle(resolvedPathnames, before, estimated);
+		}
+	}
+
+	/**
+	 * Synchronous Version of account
+	 * @template T
+	 * @param {string[]} resolvedPathnames 
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @param {() => T} operation 
+	 * @param {(resolvedPathname: string) => string} describe 
+	 * @returns {T}
+	 * @throws {QuotaError} if the Mutation would exceed a Quota
+	 * @throws {Error} if operation throws
+	 * @public
+	 */
+	accountSync(resolvedPathnames, change, data, operation, describe) {
+		if (!this.tracks(resolvedPathnames))
+			return operation();
+
+		this.#measurePendingSync(resolvedPathnames);
+
+		const before = resolvedPathnames.map(resolvedPathname => this.#measureSync(resolvedPathname));
+		const estimated = Quotas.#estimateUsage(change, data, before);
+
+		this.#reserve(resolvedPathnames, estimated, describe);
+
+		try {
+			return operation();
+		}
+		finally {
+			this.#settleSync(resolvedPathnames, before, estimated);
+		}
+	}
+
+	/**
+	 * Start accounting the Usage of the tracked Directories for an Operation on the Entries resolvedPathnames whose Size is not known up Front (e.g. a Stream)
+	 * reserve(size) checks the Growth of the first Entry to size Bytes against the Quotas and throws a QuotaError if it would exceed one,
+	 * settle replaces the Reservations with the actual Change once the Operation is done
+	 * @param {string[]} resolvedPathnames 
+	 * @param {(resolvedPathname: string) => string} describe 
+	 * @returns {{reserve: (size: number) => void, settle: () => void}}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	begin(resolvedPathnames, describe) {
+		if (!this.tracks(resolvedPathnames))
+			return { reserve: () => {}, settle: () => {} };
+
+		this.#measurePendingSync(resolvedPathnames);
+
+		const before = resolvedPathnames.map(resolvedPathname => this.#measureSync(resolvedPathname));
+		const estimated = before.map(() => ({ bytes: 0, files: 0 }));
+
+		const reserve = (size) => {
+			const growth = { bytes: size - before[0].bytes - estimated[0].bytes, files: 1 - before[0].files - estimated[0].files };
+
+			this.#reserve([resolvedPathnames[0]], [growth], describe);
+
+			estimated[0] = { bytes: estimated[0].bytes + growth.bytes, files: estimated[0].files + growth.files };
+		};
+
+		return { reserve, settle: () => this.#settleSync(resolvedPathnames, before, estimated) };
+	}
+
+	/**
+	 * Check whether growing the Entry resolvedPathname by growth would exceed a Quota, without reserving anything
+	 * Used by Operations made of many Mutations, e.g. copying a Tree, to reject them before the first one. Every Mutation is still accounted on its own
+	 * Rejects with a QuotaError if growth would exceed a Quota
+	 * @param {string} resolvedPathname 
+	 * @param {Usage} growth 
+	 * @param {(resolvedPathname: string) => string} describe 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async check(resolvedPathname, growth, describe) {
+		if (!this.tracks([resolvedPathname]))
+			return;
+
+		await this.#measurePending([resolvedPathname]);
+
+		this.#check([resolvedPathname], [growth], describe);
+	}
+
+	/**
+	 * Synchronous Version of check
+	 * @param {string} resolvedPathname 
+	 * @param {Usage} growth 
+	 * @param {(resolvedPathname: string) => string} describe 
+	 * @returns {void}
+	 * @throws {QuotaError} if growth would exceed a Quota
+	 * @public
+	 */
+	checkSync(resolvedPathname, growth, describe) {
+		if (!this.tracks([resolvedPathname]))
+			return;
+
+		this.#measurePendingSync([resolvedPathname]);
+
+		this.#check([resolvedPathname], [growth], describe);
+	}
+
+	/**
+	 * Count the Usage of every tracked Directory inside of or containing one of the absolute Paths resolvedPathnames again
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async update(resolvedPathnames) {
+		for (const resolvedDirname of this.#relevant(resolvedPathnames))
+			this.#entries.get(resolvedDirname).usage = await this.#measureTracked(resolvedDirname);
+	}
+
+	/**
+	 * Synchronous Version of update
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {void}
+	 * @public
+	 */
+	updateSync(resolvedPathnames) {
+		for (const resolvedDirname of this.#relevant(resolvedPathnames))
+			this.#entries.get(resolvedDirname).usage = this.#measureTrackedSync(resolvedDirname);
+	}
+
+	/**
+	 * Charge bytes that are kept in the internal Directory on behalf of the Entry resolvedPathname to the tracked Directories containing it
+	 * Negative bytes release them again. bytes are not checked against the Quotas
+	 * @param {string} resolvedPathname 
+	 * @param {number} bytes 
+	 * @returns {void}
+	 * @public
+	 */
+	charge(resolvedPathname, bytes) {
+		this.#addUsage(this.#sumUsage([resolvedPathname], [{ bytes, files: 0 }]));
+	}
+
+	/**
+	 * Read the Quota File again if it changed since it was read or written last, and apply the Quota given to the Constructor
+	 * Tracked Directories keep their Usage, Directories whose Quota was removed keep being tracked without one
+	 * @returns {void}
+	 * @throws {Error} on a File System Error
+	 * @private
+	 */
+	#load() {
+		const signature = this.#readSignature();
+
+		if (signature === this.#signature)
+			return;
+
+		const quotas = new Map();
+
+		if (signature !== null) {
+			let content = {};
+
+			try {
+				content = JSON.parse(this.#backend.readFileSync(this.#filename).data.toString('utf8'));
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT' && !(error instanceof SyntaxError))
+					throw error;
+			}
+
+			for (const [pathname, quota] of Object.entries(content ?? {})) {
+				try {
+					quotas.set(path.join(this.#rootDir, pathname), Quotas.prepare(quota, 'quota') ?? { bytes: null, files: null });
+				}
+				catch {
+					continue;
+				}
+			}
+		}
+
+		this.#signature = signature;
+
+		for (const entry of this.#entries.values())
+			entry.quota = { bytes: null, files: null };
+
+		for (const [resolvedDirname, quota] of quotas)
+			this.#entry(resolvedDirname).quota = quota;
+
+		if (this.#preset !== null) {
+			const preset = this.#preset;
+			const { quota } = this.#entry(this.#rootDir);
+
+			this.#preset = null;
+
+			if (quota.bytes !== preset.bytes || quota.files !== preset.files)
+				this.set(this.#rootDir, preset);
+		}
+	}
+
+	/**
+	 * Atomically rewrite the Quota File with the current Quotas
+	 * @returns {void}
+	 * @private
+	 */
+	#write() {
+		const content = {};
+		const tempFilename = `${this.#filename}.${process.pid}.tmp`;
+
+		for (const [resolvedDirname, { quota }] of this.#entries) {
+			if (quota.bytes !== null || quota.files !== null)
+				content[path.relative(this.#rootDir, resolvedDirname).split(path.sep).join('/') || '.'] = quota;
+		}
+
+		this.#backend.mkdirSync(path.dirname(this.#filename), { recursive: true });
+		this.#backend.writeFileSync(tempFilename, Buffer.from(JSON.stringify(content)), { fsync: true });
+		this.#backend.renameSync(tempFilename, this.#filename);
+		this.#signature = this.#readSignature();
+	}
+
+	/**
+	 * Identify the current Version of the Quota File by its Inode, Size and Modification Time
+	 * Returns null if the Quota File does not exist
+	 * @returns {string | null}
+	 * @private
+	 */
+	#readSignature() {
+		try {
+			const stats = this.#backend.statSync(this.#filename);
+
+			return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the tracked Entry of resolvedDirname, which is added without a Quota and without a counted Usage if it is not tracked yet
+	 * @param {string} resolvedDirname 
+	 * @returns {{usage: Usage | null, quota: Required<Quota>}}
+	 * @private
+	 */
+	#entry(resolvedDirname) {
+		if (!this.#entries.has(resolvedDirname))
+			this.#entries.set(resolvedDirname, { usage: null, quota: { bytes: null, files: null } });
+
+		return this.#entries.get(resolvedDirname);
+	}
+
+	/**
+	 * Get every tracked Directory that contains one of the absolute Paths resolvedPathnames, or is inside of one of them
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {string[]}
+	 * @private
+	 */
+	#relevant(resolvedPathnames) {
+		return [...this.#entries.keys()].filter(resolvedDirname => resolvedPathnames.some(resolvedPathname => Quotas.#isInside(resolvedDirname, resolvedPathname) || Quotas.#isInside(resolvedPathname, resolvedDirname)));
+	}
+
+	/**
+	 * Count the Usage of the tracked Directories relevant for resolvedPathnames that was not counted yet
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #measurePending(resolvedPathnames) {
+		for (const resolvedDirname of this.#relevant(resolvedPathnames)) {
+			const entry = this.#entries.get(resolvedDirname);
+
+			entry.usage ??= await this.#measureTracked(resolvedDirname);
+		}
+	}
+
+	/**
+	 * Synchronous Version of #measurePending
+	 * @param {string[]} resolvedPathnames 
+	 * @returns {void}
+	 * @private
+	 */
+	#measurePendingSync(resolvedPathnames) {
+		for (const resolvedDirname of this.#relevant(resolvedPathnames)) {
+			const entry = this.#entries.get(resolvedDirname);
+
+			entry.usage ??= this.#measureTrackedSync(resolvedDirname);
+		}
+	}
+
+	/**
+	 * Get a Copy of the Usage and the Quota of a tracked Entry
+	 * @param {{usage: Usage | null, quota: Required<Quota>}} entry 
+	 * @returns {UsageInfo}
+	 * @private
+	 */
+	static #toInfo({ usage, quota }) {
+		return { ...usage, quota: { ...quota } };
+	}
+
+	/**
+	 * Estimate how change alters the Usage of its Entries (the Destination first, then the Source), given their Usage before
+	 * The Bytes change retains in the internal Directory are added to the Destination, so they are reserved as well.
+	 * Once the Mutation settled, the Reservation is replaced by the actual Change of the Entries and the Bytes charged with charge
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @param {Usage[]} before 
+	 * @returns {Usage[]}
+	 * @private
+	 */
+	static #estimateUsage(change, data, before) {
+		const [destination, ...rest] = Quotas.#estimateEntries(change, data, before);
+
+		return [{ bytes: destination.bytes + (change.retained ?? 0), files: destination.files }, ...rest];
+	}
+
+	/**
+	 * Estimate how change alters the Usage of its Entries in the Data Directory, given their Usage before
+	 * data is the Data of a write, a Stream (without data) is estimated by change.size or to change nothing
+	 * @param {Change} change 
+	 * @param {Buffer | undefined} data 
+	 * @param {Usage[]} before 
+	 * @returns {Usage[]}
+	 * @private
+	 */
+	static #estimateEntries({ type, partial = null, offset = null, size: streamed = null }, data, [destination, source]) {
+		switch (type) {
+			case 'write': {
+				if (partial === 'truncate')
+					return [{ bytes: offset - destination.bytes, files: 1 - destination.files }];
+
+				if (data === undefined && streamed === null)
+					return [{ bytes: 0, files: 0 }];
+
+				const length = data?.length ?? streamed;
+				const size = partial === 'append'
+					? destination.bytes + length
+					: partial === 'writeAt' ? Math.max(destination.bytes, offset + length) : length;
+
+				return [{ bytes: size - destination.bytes, files: 1 - destination.files }];
+			}
+			case 'symlink':
+				return [{ bytes: -destination.bytes, files: 1 - destination.files }];
+			case 'link':
+			case 'copy':
+				return [{ bytes: source.bytes - destination.bytes, files: source.files - destination.files }];
+			case 'rename':
+				return [
+					{ bytes: source.bytes - destination.bytes, files: source.files - destination.files },
+					{ bytes: -source.bytes, files: -source.files }
+				];
+			case 'delete':
+				return [{ bytes: -destination.bytes, files: -destination.files }];
+			default:
+				return [{ bytes: 0, files: 0 }];
+		}
+	}
+
+	/**
+	 * Sum up how deltas, the Changes of the Usage of the Entries resolvedPathnames, alter the Usage of every tracked Directory containing them
+	 * Internal Entries (e.g. in the Trash) and missing deltas count nothing
+	 * @param {string[]} resolvedPathnames 
+	 * @param {Usage[]} deltas 
+	 * @returns {Map<string, Usage>}
+	 * @private
+	 */
+	#sumUsage(resolvedPathnames, deltas) {
+		const sums = new Map();
+
+		for (const resolvedDirname of this.#entries.keys()) {
+			const sum = { bytes: 0, files: 0 };
+
+			resolvedPathnames.forEach((resolvedPathname, index) => {
+				if (deltas[index] === undefined || this.#isInternal(resolvedPathname) || !Quotas.#isInside(resolvedDirname, resolvedPathname))
+					return;
+
+				sum.bytes += deltas[index].bytes;
+				sum.files += deltas[index].files;
+			});
+
+			sums.set(resolvedDirname, sum);
+		}
+
+		return sums;
+	}
+
+	/**
+	 * Check the estimated Changes of the Usage of the Entries resolvedPathnames against the Quotas and add them to the tracked Directories
+	 * @param {string[]} resolvedPathnames 
+	 * @param {Usage[]} estimated 
+	 * @param {(resolvedPathname: string) => string} describe 
+	 * @returns {void}
+	 * @throws {QuotaError} if the Usage of a Directory would exceed its Quota
+	 * @private
+	 */
+	#reserve(resolvedPathnames, estimated, describe) {
+		this.#addUsage(this.#check(resolvedPathnames, estimated, describe));
+	}
+
+	/**
+	 * Check the estimated Changes of the Usage of the Entries resolvedPathnames against the Quotas without reserving them
+	 * Only growing Usage is checked, so Mutations that free Space always pass. Returns the Changes of every tracked Directory (see #sumUsage)
+	 * @param {string[]} resolvedPathnames 
+	 * @param {Usage[]} estimated 
+	 * @param {(resolvedPathname: string) => string} describe 
+	 * @returns {Map<string, Usage>}
+	 * @throws {QuotaError} if the Usage of a Directory would exceed its Quota
+	 * @private
+	 */
+	#check(resolvedPathnames, estimated, describe) {
+		const sums = this.#sumUsage(resolvedPathnames, estimated);
+
+		for (const [resolvedDirname, sum] of sums) {
+			const { usage, quota } = this.#entries.get(resolvedDirname);
+
+			if (usage === null)
+				continue;
+
+			for (const [kind, unit] of [['bytes', 'Bytes'], ['files', 'Files']]) {
+				if (quota[kind] !== null && sum[kind] > 0 && usage[kind] + sum[kind] > quota[kind])
+					throw new QuotaError(`Expected the Usage of ${JSON.stringify(describe(resolvedDirname) || '.')} not to exceed its Quota of ${quota[kind]} ${unit}`, describe(resolvedPathnames[0]));
+			}
+		}
+
+		return sums;
+	}
+
+	/**
+	 * Replace the estimated Changes of the Usage of the Entries resolvedPathnames with the actual ones, once the Mutation settled
+	 * The Usage of tracked Directories inside the Entries (e.g. of a deleted Directory) is counted again
+	 * @param {string[]} resolvedPathnames 
+	 * @param {Usage[]} before 
+	 * @param {Usage[]} estimated 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #settle(resolvedPathnames, before, estimated) {
+		const corrections = [];
+
+		for (const [index, resolvedPathname] of resolvedPathnames.entries())
+			corrections.push(Quotas.#correctUsage(await this.#measure(resolvedPathname), before[index], estimated[index]));
+
+		this.#addUsage(this.#sumUsage(resolvedPathnames, corrections));
+
+		for (const [resolvedDirname, entry] of this.#entries) {
+			if (resolvedPathnames.some(resolvedPathname => resolvedPathname !== resolvedDirname && Quotas.#isInside(resolvedPathname, resolvedDirname)))
+				entry.usage = await this.#measureTracked(resolvedDirname);
+		}
+	}
+
+	/**
+	 * Synchronous Version of #settle
+	 * @param {string[]} resolvedPathnames 
+	 * @param {Usage[]} before 
+	 * @param {Usage[]} estimated 
+	 * @returns {void}
+	 * @private
+	 */
+	#settleSync(resolvedPathnames, before, estimated) {
+		const corrections = resolvedPathnames.map((resolvedPathname, index) => Quotas.#correctUsage(this.#measureSync(resolvedPathname), before[index], estimated[index]));
+
+		this.#addUsage(this.#sumUsage(resolvedPathnames, corrections));
+
+		for (const [resolvedDirname, entry] of this.#entries) {
+			if (resolvedPathnames.some(resolvedPathname => resolvedPathname !== resolvedDirname && Quotas.#isInside(resolvedPathname, resolvedDirname)))
+				entry.usage = this.#measureTrackedSync(resolvedDirname);
+		}
+	}
+
+	/**
+	 * Get the Difference between the actual Change of the Usage of an Entry, from before to after, and its estimated Change
+	 * @param {Usage} after 
+	 * @param {Usage} before 
+	 * @param {Usage} [estimated] 
+	 * @returns {Usage}
+	 * @private
+	 */
+	static #correctUsage(after, before, estimated = { bytes: 0, files: 0 }) {
+		return { bytes: after.bytes - before.bytes - estimated.bytes, files: after.files - before.files - estimated.files };
+	}
+
+	/**
+	 * Add sums to the counted Usage of the tracked Directories
+	 * Directories whose Usage was not counted yet include the Change once they are counted
+	 * @param {Map<string, Usage>} sums 
+	 * @returns {void}
+	 * @private
+	 */
+	#addUsage(sums) {
+		for (const [resolvedDirname, sum] of sums) {
+			const { usage } = this.#entries.get(resolvedDirname);
+
+			if (usage === null)
+				continue;
+
+			usage.bytes += sum.bytes;
+			usage.files += sum.files;
+		}
+	}
+
+	/**
+	 * Measure the Usage of the Entry resolvedPathname without following Symbolic Links
+	 * Directories count the Usage of every Entry below them except internal ones, missing Entries count nothing
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<Usage>}
+	 * @private
+	 * @async
+	 */
+	async #measure(resolvedPathname) {
+		let stats;
+
+		try {
+			stats = await this.#backend.lstat(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return { bytes: 0, files: 0 };
+
+			throw error;
+		}
+
+		if (!stats.isDirectory())
+			return { bytes: stats.isFile() ? stats.size : 0, files: 1 };
+
+		const usage = { bytes: 0, files: 0 };
+
+		for (const { name } of await this.#backend.readdir(resolvedPathname)) {
+			if (this.#isInternal(path.join(resolvedPathname, name)))
+				continue;
+
+			const entryUsage = await this.#measure(path.join(resolvedPathname, name));
+
+			usage.bytes += entryUsage.bytes;
+			usage.files += entryUsage.files;
+		}
+
+		return usage;
+	}
+
+	/**
+	 * Synchronous Version of #measure
+	 * @param {string} resolvedPathname 
+	 * @returns {Usage}
+	 * @private
+	 */
+	#measureSync(resolvedPathname) {
+		let stats;
+
+		try {
+			stats = this.#backend.lstatSync(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return { bytes: 0, files: 0 };
+
+			throw error;
+		}
+
+		if (!stats.isDirectory())
+			return { bytes: stats.isFile() ? stats.size : 0, files: 1 };
+
+		const usage = { bytes: 0, files: 0 };
+
+		for (const { name } of this.#backend.readdirSync(resolvedPathname)) {
+			if (this.#isInternal(path.join(resolvedPathname, name)))
+				continue;
+
+			const entryUsage = this.#measureSync(path.join(resolvedPathname, name));
+
+			usage.bytes += entryUsage.bytes;
+			usage.files += entryUsage.files;
+		}
+
+		return usage;
+	}
+
+	/**
+	 * Measure the Usage of the tracked Directory resolvedDirname, including the Bytes kept in the internal Directory on behalf of its Entries (see #measureRetained)
+	 * @param {string} resolvedDirname 
+	 * @returns {Promise<Usage>}
+	 * @private
+	 * @async
+	 */
+	async #measureTracked(resolvedDirname) {
+		const usage = await this.#measure(resolvedDirname);
+
+		return { bytes: usage.bytes + await this.#measureRetained(resolvedDirname), files: usage.files };
+	}
+
+	/**
+	 * Synchronous Version of #measureTracked
+	 * @param {string} resolvedDirname 
+	 * @returns {Usage}
+	 * @private
+	 */
+	#measureTrackedSync(resolvedDirname) {
+		const usage = this.#measureSync(resolvedDirname);
+
+		return { bytes: usage.bytes + this.#measureRetainedSync(resolvedDirname), files: usage.files };
+	}
+
+	/**
+	 * Sum up the Bytes of the Revisions and Trash Entries whose original Path is inside resolvedDirname
+	 * The original Path of Revisions is recorded in the versions.json of their Directory, the one of Trash Entries in their trash.json
+	 * @param {string} resolvedDirname 
+	 * @returns {Promise<number>}
+	 * @private
+	 * @async
+	 */
+	async #measureRetained(resolvedDirname) {
+		let bytes = 0;
+
+		for (const name of await this.#readdirIfExists(this.#versionDir)) {
+			const dirname = path.join(this.#versionDir, name);
+
+			if (!this.#retainedFor(resolvedDirname, await this.#readInfo(path.join(dirname, 'versions.json'))))
+				continue;
+
+			for (const id of await this.#readdirIfExists(dirname)) {
+				if (id !== 'versions.json')
+					bytes += (await this.#backend.lstat(path.join(dirname, id))).size;
+			}
+		}
+
+		for (const id of await this.#readdirIfExists(this.#trashDir)) {
+			const info = await this.#readInfo(path.join(this.#trashDir, id, 'trash.json'));
+
+			if (this.#retainedFor(resolvedDirname, info))
+				bytes += info.size;
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Synchronous Version of #measureRetained
+	 * @param {string} resolvedDirname 
+	 * @returns {number}
+	 * @private
+	 */
+	#measureRetainedSync(resolvedDirname) {
+		let bytes = 0;
+
+		for (const name of this.#readdirIfExistsSync(this.#versionDir)) {
+			const dirname = path.join(this.#versionDir, name);
+
+			if (!this.#retainedFor(resolvedDirname, this.#readInfoSync(path.join(dirname, 'versions.json'))))
+				continue;
+
+			for (const id of this.#readdirIfExistsSync(dirname)) {
+				if (id !== 'versions.json')
+					bytes += this.#backend.lstatSync(path.join(dirname, id)).size;
+			}
+		}
+
+		for (const id of this.#readdirIfExistsSync(this.#trashDir)) {
+			const info = this.#readInfoSync(path.join(this.#trashDir, id, 'trash.json'));
+
+			if (this.#retainedFor(resolvedDirname, info))
+				bytes += info.size;
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Check whether info, the versions.json or trash.json of Data kept in the internal Directory, belongs to an Entry inside resolvedDirname
+	 * @param {string} resolvedDirname 
+	 * @param {{pathname: string} | null} info 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#retainedFor(resolvedDirname, info) {
+		return info !== null && Quotas.#isInside(resolvedDirname, path.join(this.#rootDir, info.pathname));
+	}
+
+	/**
+	 * List the Names of the Entries in dirname
+	 * Resolves to an empty Array if dirname does not exist
+	 * @param {string} dirname 
+	 * @returns {Promise<string[]>}
+	 * @private
+	 * @async
+	 */
+	async #readdirIfExists(dirname) {
+		try {
+			return (await this.#backend.readdir(dirname)).map(({ name }) => name);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return [];
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #readdirIfExists
+	 * @param {string} dirname 
+	 * @returns {string[]}
+	 * @private
+	 */
+	#readdirIfExistsSync(dirname) {
+		try {
+			return this.#backend.readdirSync(dirname).map(({ name }) => name);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return [];
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Read the JSON File filename
+	 * Resolves to null if it does not exist or cannot be parsed
+	 * @param {string} filename 
+	 * @returns {Promise<any>}
+	 * @private
+	 * @async
+	 */
+	async #readInfo(filename) {
+		try {
+			return JSON.parse((await this.#backend.readFile(filename)).data.toString('utf8'));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error instanceof SyntaxError)
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #readInfo
+	 * @param {string} filename 
+	 * @returns {any}
+	 * @private
+	 */
+	#readInfoSync(filename) {
+		try {
+			return JSON.parse(this.#backend.readFileSync(filename).data.toString('utf8'));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error instanceof SyntaxError)
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Check whether the absolute Path pathname is dirname or inside of it
+	 * @param {string} dirname 
+	 * @param {string} pathname 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isInside(dirname, pathname) {
+		const relativePathname = path.relative(dirname, pathname);
+
+		return relativePathname === '' || (relativePathname !== '..' && !relativePathname.startsWith('..' + path.sep) && !path.isAbsolute(relativePathname));
+	}
+}
+
+module.exports = Quotas;
\ No newline at end of file
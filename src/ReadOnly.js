@@ -1,8 +1,64 @@
 const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 
 const Cache = require('@serum-enterprises/cache');
 const IO = require('./IO');
+const Glob = require('./Glob');
+const Tar = require('./Tar');
+const PathError = require('./PathError');
+
+/**
+ * @typedef {Object} WalkEntry
+ * @property {string} pathname Path of the Entry relative to the Data Directory, with / as Separator
+ * @property {number} depth 1 for Entries directly inside the walked Directory
+ * @property {fs.Dirent} dirent
+ */
+
+/**
+ * @typedef {Object} WalkOptions
+ * @property {number} [depth] maximum Depth to descend to (defaults to Infinity)
+ * @property {boolean} [followSymlinks] descend into Symbolic Links to Directories inside the Data Directory (defaults to false)
+ * @property {((entry: WalkEntry) => boolean) | null} [filter] Entries it returns false for are neither returned nor descended into
+ */
+
+/**
+ * The Result of verify, every List holds sorted Paths relative to the Data Directory, with / as Separator
+ * @typedef {Object} VerifyReport
+ * @property {string[]} missing Files with a Checksum in the Manifest that do not exist
+ * @property {string[]} extra Files without a Checksum in the Manifest
+ * @property {string[]} corrupted Files whose stored Bytes do not match their Checksum
+ */
+
+/**
+ * The Plan of syncTo, every List holds Paths relative to the Data Directory, with / as Separator, in Walk Order
+ * Deletes are applied first, then Adds and Updates in Walk Order
+ * @typedef {Object} SyncPlan
+ * @property {string[]} adds Files and Directories missing in the Destination
+ * @property {string[]} updates Files that changed, and Entries whose Type differs in the Destination
+ * @property {string[]} deletes Entries that only exist in the Destination, without the Entries below them
+ * @property {string[]} skipped Symbolic Links that point outside of the Data Directory and are not synced
+ */
+
+/**
+ * The Result of stat
+ * @typedef {Object} ContentStats
+ * @property {boolean} isDirectory
+ * @property {number} size the Size of the Content in Bytes, which is the decoded Size for Files with Codecs
+ * @property {number} storedSize the Size of the stored File in Bytes
+ * @property {number} mtimeMs
+ * @property {number} ino
+ */
+
+/**
+ * @typedef {Object} SyncOptions
+ * @property {string} [dirname] the Directory to sync, relative to both Data Directories (defaults to '.')
+ * @property {boolean} [delete] delete Entries that do not exist in the Source (defaults to false)
+ * @property {'mtime' | 'hash'} [compare] how Files that exist on both Sides are compared (defaults to 'mtime')
+ * @property {boolean} [dryRun] only compute the Plan (defaults to false)
+ */
 
 class ReadOnly extends IO {
 	/**
@@ -10,50 +66,130 @@ class ReadOnly extends IO {
 	 * If the Data Directory does not exist, it will be created
 	 * @param {string} dataDir 
 	 * @param {Cache | number | null} cache
+	 * @param {IOOptions} [options] see IO
 	 * @throws {TypeError} if dataDir is not a String
 	 * @throws {TypeError} if cache is not an instance of Cache, a positive Integer indicating the maximum size of the Cache (in Bytes), or null
+	 * @throws {TypeError} if options.coherence is not 'none', 'stat' or 'watch'
+	 * @throws {TypeError} if options.noSymlinkEscape is not a Boolean
+	 * @throws {TypeError} if options.backend is not an instance of Backend
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	constructor(dataDir, cache = null, options = {}) {
+		super(dataDir, cache, options);
+	}
+
+	/**
+	 * Create a ReadOnly Instance whose Data Directory is the Directory specified by dirname
+	 * The Scope shares the Backend, the Cache Budget and the cached Entries with this Instance, but cannot see anything outside of dirname.
+	 * The Directory is created if it does not exist. options.noSymlinkEscape can only be enabled for the Scope, not disabled.
+	 * options.quota sets the Quota of the Directory (see IO.setQuota)
+	 * @param {string} dirname 
+	 * @param {{readOnly?: boolean, noSymlinkEscape?: boolean, quota?: import('./IO').Quota | null}} [options]
+	 * @returns {ReadOnly}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {TypeError} if options.readOnly is not true
+	 * @throws {TypeError} if options.noSymlinkEscape is not a Boolean
+	 * @throws {TypeError} if options.quota is not a Quota or null
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if dirname is inside the internal Directory
 	 * @throws {Error} on a File System Error
 	 * @public
 	 */
-	constructor(dataDir, cache = null) {
-		super(dataDir, cache);
+	scope(dirname, { readOnly = true, ...options } = {}) {
+		if (readOnly !== true)
+			throw new TypeError('Expected options.readOnly to be true, a ReadOnly Instance cannot create writable Scopes');
+
+		return this.createScope(ReadOnly, dirname, options);
 	}
 
 	/**
 	 * Read the File specified by filename
-	 * Resolves to a Buffer with the Content of the File
+	 * Resolves to a Buffer with the Content of the File, decoded if it was written with Codecs (see addCodec)
+	 * With options.verify, the File is read from the Backend and its stored Bytes are checked against their Checksum in the Manifest (see verify) before they are returned or cached
 	 * Rejects with a TypeError if filename is not a String
-	 * Rejects with a RangeError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a TypeError if options.verify is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with an IntegrityError if options.verify is set and the File does not match its Checksum
+	 * Rejects with a CodecError if the File was written with Codecs and cannot be decoded
 	 * Rejects with an Error on a File System Error (e.g. the File does not exist)
 	 * @param {string} filename 
+	 * @param {{verify?: boolean}} [options]
 	 * @returns {Promise<Buffer>}
 	 * @public
 	 * @async
 	 */
-	async readFile(filename) {
-		if (typeof filename !== 'string')
-			throw new TypeError('Expected filename to be a String');
+	async readFile(filename, { verify = false } = {}) {
+		ReadOnly.#checkVerify(verify);
+
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
 
-		const resolvedFilename = path.resolve(this.dataDir, filename);
+		return await this.#readResolved(resolvedFilename, verify);
+	}
+
+	/**
+	 * Read the File specified by filename as Text
+	 * Resolves to the Content of the File decoded with options.encoding (defaults to 'utf8')
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if options.encoding is not a supported Encoding
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error (e.g. the File does not exist)
+	 * @param {string} filename 
+	 * @param {{encoding?: BufferEncoding}} [options]
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 */
+	async readText(filename, { encoding = 'utf8' } = {}) {
+		ReadOnly.checkEncoding(encoding);
 
-		if (!resolvedFilename.startsWith(this.dataDir))
-			throw new RangeError('Expected filename to be inside the Data Directory');
+		return (await this.readFile(filename)).toString(encoding);
+	}
 
-		if (this.cache.has(resolvedFilename))
-			return this.cache.get(resolvedFilename);
+	/**
+	 * Read the File specified by filename as JSON
+	 * Resolves to the parsed Value. If options.parsedCacheSize was set, the Value is cached next to the cached Bytes until the File changes.
+	 * Every Read returns its own Copy of the cached Value, so modifying it does not affect other Reads
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a SyntaxError if the File does not contain valid JSON
+	 * Rejects with an Error on a File System Error (e.g. the File does not exist)
+	 * @param {string} filename 
+	 * @returns {Promise<any>}
+	 * @public
+	 * @async
+	 */
+	async readJSON(filename) {
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+		const data = await this.#readResolved(resolvedFilename);
 
-		const data = await fs.promises.readFile(resolvedFilename);
+		return this.#parse(resolvedFilename, data, 'json', () => JSON.parse(data.toString('utf8')));
+	}
 
-		this.cache.set(resolvedFilename, data);
+	/**
+	 * Read the File specified by filename as NDJSON (one JSON Value per Line)
+	 * Resolves to an Array with the parsed Value of every non-empty Line. Parsed Values are cached like in readJSON
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a SyntaxError if a Line does not contain valid JSON
+	 * Rejects with an Error on a File System Error (e.g. the File does not exist)
+	 * @param {string} filename 
+	 * @returns {Promise<any[]>}
+	 * @public
+	 * @async
+	 */
+	async readLines(filename) {
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+		const data = await this.#readResolved(resolvedFilename);
 
-		return data;
+		return this.#parse(resolvedFilename, data, 'lines', () => ReadOnly.#parseLines(data));
 	}
 
 	/**
 	 * Read the Directory specified by dirname
-	 * Resolves to an Array of fs.Dirent Objects
+	 * Resolves to an Array of fs.Dirent Objects, without the internal Directory (and with it the Trash)
 	 * Rejects with a TypeError if dirname is not a String
-	 * Rejects with a RangeError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if dirname does not resolve to a Path in the Data Directory
 	 * Rejects with an Error on a File System Error (e.g. the Directory does not exist)
 	 * @param {string} dirname 
 	 * @returns {Promise<fs.Dirent[]>}
@@ -61,22 +197,16 @@ class ReadOnly extends IO {
 	 * @async
 	 */
 	async readDir(dirname) {
-		if (typeof dirname !== 'string')
-			throw new TypeError('Expected dirname to be a String');
-
-		const resolvedDirname = path.resolve(this.dataDir, dirname);
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
 
-		if (!resolvedDirname.startsWith(this.dataDir))
-			throw new RangeError('Expected dirname to be inside the Data Directory');
-
-		return await fs.promises.readdir(resolvedDirname, { withFileTypes: true });
+		return (await this.backend.readdir(resolvedDirname)).filter(({ name }) => !this.isInternal(path.join(resolvedDirname, name)));
 	}
 
 	/**
 	 * Get Information about the Entry specified by pathname
 	 * Resolves to an instance of fs.Stats
 	 * Rejects with a TypeError if pathname is not a String
-	 * Rejects with a RangeError if pathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if pathname does not resolve to a Path in the Data Directory
 	 * Rejects with an Error on a File System Error (e.g. the Entry does not exist)
 	 * @param {string} pathname 
 	 * @returns {Promise<fs.Stats>}
@@ -84,23 +214,40 @@ class ReadOnly extends IO {
 	 * @async
 	 */
 	async info(pathname) {
-		if (typeof pathname !== 'string')
-			throw new TypeError('Expected pathname to be a String');
+		const resolvedPathname = await this.resolveEntry(pathname, 'pathname', { followSymlinks: false });
 
-		const resolvedPathname = path.resolve(this.dataDir, pathname);
+		return await this.backend.lstat(resolvedPathname);
+	}
 
-		if (!resolvedPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected pathname to be inside the Data Directory');
+	/**
+	 * Get the Stats of the Content of the Entry specified by pathname, following Symbolic Links
+	 * Cached Files are answered from the Cache without accessing the Backend. Files with Codecs are read and decoded, as their decoded Size is not known otherwise
+	 * Rejects with a TypeError if pathname is not a String
+	 * Rejects with a PathError if pathname does not resolve to a Path in the Data Directory
+	 * Rejects with a CodecError if a Codec fails to decode the File
+	 * Rejects with an Error on a File System Error (e.g. the Entry does not exist)
+	 * @param {string} pathname 
+	 * @returns {Promise<ContentStats>}
+	 * @public
+	 * @async
+	 */
+	async stat(pathname) {
+		const resolvedPathname = await this.resolveEntry(pathname, 'pathname');
+		const cachedInfo = this.getCachedInfo(resolvedPathname);
+		const stats = cachedInfo === undefined ? await this.backend.stat(resolvedPathname) : null;
+		const { size: storedSize, mtimeMs, ino } = stats ?? cachedInfo;
+		// Only Files are cached, so a cached Entry needs no Backend Access to tell it apart from a Directory
+		const isDirectory = stats?.isDirectory() ?? false;
+		const size = isDirectory || this.codecsFor(resolvedPathname).length === 0 ? storedSize : (await this.#readResolved(resolvedPathname)).length;
 
-		return await fs.promises.lstat(resolvedPathname);
+		return { isDirectory, size, storedSize, mtimeMs, ino };
 	}
 
 	/**
 	 * Resolve the Path specified by pathname
 	 * Resolves to a String with the resolved Path
 	 * Rejects with a TypeError if pathname is not a String
-	 * Resolved with a RangeError if pathname is not inside the Data Directory
-	 * Rejects with a RangeError if the resolved pathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if the resolved pathname does not resolve to a Path in the Data Directory
 	 * Rejects with an Error on a File System Error (e.g. the Entry does not exist)
 	 * @param {string} pathname 
 	 * @returns {string}
@@ -108,69 +255,497 @@ class ReadOnly extends IO {
 	 * @async
 	 */
 	async resolvePath(pathname) {
-		if (typeof pathname !== 'string')
-			throw new TypeError('Expected pathname to be a String');
+		const resolvedEntry = await this.resolveEntry(pathname, 'pathname', { followSymlinks: false });
+
+		const resolvedPath = await this.backend.realpath(resolvedEntry);
 
-		const resolvedEntry = path.resolve(this.dataDir, pathname);
+		if (!IO.isInside(this.realDataDir, resolvedPath))
+			throw new PathError('Expected the resolved pathname to be inside the Data Directory', pathname);
 
-		if (!resolvedEntry.startsWith(this.dataDir))
-			throw new RangeError('Expected pathname to be inside the Data Directory');
+		return resolvedPath;
+	}
+
+	/**
+	 * Read length Bytes of the File specified by filename, starting at offset
+	 * Resolves to a Buffer with the requested Range, which is shorter than length if the End of the File is reached
+	 * If the File is cached, the Range is served from the cached Buffer. Files with Codecs (see addCodec) are read and decoded as a whole
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if offset or length is not a positive Integer
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error (e.g. the File does not exist)
+	 * @param {string} filename 
+	 * @param {number} offset 
+	 * @param {number} length 
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 */
+	async readRange(filename, offset, length) {
+		if (!Number.isSafeInteger(offset) || offset < 0)
+			throw new TypeError('Expected offset to be a positive Integer');
 
-		const resolvedPath = await fs.promises.realpath(resolvedEntry);
+		if (!Number.isSafeInteger(length) || length < 0)
+			throw new TypeError('Expected length to be a positive Integer');
 
-		if (!resolvedPath.startsWith(this.dataDir))
-			throw new RangeError('Expected the resolved pathname to be inside the Data Directory');
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
 
-		return resolvedPath;
+		if (this.codecsFor(resolvedFilename).length > 0)
+			return (await this.#readResolved(resolvedFilename)).subarray(offset, offset + length);
+
+		const cached = await this.getCached(resolvedFilename);
+
+		if (cached !== undefined)
+			return cached.subarray(offset, offset + length);
+
+		return await this.backend.readRange(resolvedFilename, offset, length);
+	}
+
+	/**
+	 * Create a Readable Stream for the File specified by filename
+	 * start and end are inclusive Byte Offsets, just like in fs.createReadStream
+	 * If the File is cached, the Stream is served from the cached Buffer
+	 * Files with Codecs (see addCodec) are read and decoded as a whole once the Stream is read, the Stream emits a CodecError if that fails
+	 * @param {string} filename 
+	 * @param {{start?: number, end?: number}} [options]
+	 * @returns {Readable}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if options.start or options.end is not a positive Integer
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @public
+	 */
+	createReadStream(filename, { start = 0, end = Infinity } = {}) {
+		if (!Number.isSafeInteger(start) || start < 0)
+			throw new TypeError('Expected options.start to be a positive Integer');
+
+		if (end !== Infinity && (!Number.isSafeInteger(end) || end < 0))
+			throw new TypeError('Expected options.end to be a positive Integer');
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		if (this.codecsFor(resolvedFilename).length > 0)
+			return Readable.from(this.#readDecodedRange(resolvedFilename, start, end), { objectMode: false });
+
+		const cached = this.getCachedSync(resolvedFilename);
+
+		if (cached !== undefined)
+			return Readable.from([cached.subarray(start, end + 1)], { objectMode: false });
+
+		return this.backend.createReadStream(resolvedFilename, { start, end });
+	}
+
+	/**
+	 * Recursively walk the Directory specified by dirname
+	 * Yields a WalkEntry for every Entry below dirname in Depth-First Order, sorted by Name
+	 * Symbolic Links are only followed with options.followSymlinks and only if they point inside the Data Directory
+	 * The internal Directory is skipped
+	 * Throws a TypeError if dirname is not a String
+	 * Throws a TypeError if options.depth is not a positive Integer or Infinity
+	 * Throws a TypeError if options.filter is not a Function or null
+	 * Throws a PathError if dirname does not resolve to a Path in the Data Directory
+	 * Throws an Error on a File System Error (e.g. the Directory does not exist)
+	 * @param {string} dirname 
+	 * @param {WalkOptions} [options]
+	 * @returns {AsyncGenerator<WalkEntry>}
+	 * @public
+	 * @async
+	 */
+	async *walk(dirname, options = {}) {
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
+		const walkOptions = ReadOnly.#prepareWalk(options);
+		const realDirname = await this.backend.realpath(resolvedDirname);
+
+		if (!IO.isInside(this.realDataDir, realDirname))
+			throw new PathError('Expected the resolved dirname to be inside the Data Directory', dirname);
+
+		yield* this.#walkDir(resolvedDirname, realDirname, 1, walkOptions, new Set([realDirname]));
+	}
+
+	/**
+	 * Find all Entries whose Path relative to the Data Directory matches pattern
+	 * pattern can be a List of Patterns, see Glob for the supported Syntax and Negation
+	 * Resolves to a sorted Array of Paths relative to the Data Directory, with / as Separator
+	 * Rejects with a TypeError if pattern is not a String or an Array of Strings
+	 * Rejects with a TypeError if options.followSymlinks is not a Boolean
+	 * Rejects with an Error on a File System Error
+	 * @param {string | string[]} pattern 
+	 * @param {{followSymlinks?: boolean}} [options]
+	 * @returns {Promise<string[]>}
+	 * @public
+	 * @async
+	 */
+	async glob(pattern, { followSymlinks = false } = {}) {
+		const [globs, base] = ReadOnly.#prepareGlob(pattern, followSymlinks);
+		const matches = [];
+
+		try {
+			for await (const entry of this.walk(base, { followSymlinks })) {
+				if (Glob.test(globs, entry.pathname))
+					matches.push(entry.pathname);
+			}
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')
+				throw error;
+		}
+
+		return matches.sort();
+	}
+
+	/**
+	 * Compute the Checksum of the File specified by filename with algorithm (defaults to options.checksums of IO, or 'sha256')
+	 * The Hash covers the stored Bytes of the File, i.e. after Codecs, like the Checksums in the Manifest
+	 * Resolves to the Hex Digest
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if algorithm is not a supported Hash Algorithm
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error (e.g. the File does not exist)
+	 * @param {string} filename 
+	 * @param {string} [algorithm]
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 */
+	async hash(filename, algorithm = this.checksums ?? 'sha256') {
+		ReadOnly.#checkAlgorithm(algorithm);
+
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+
+		return crypto.createHash(algorithm).update((await this.backend.readFile(resolvedFilename)).data).digest('hex');
+	}
+
+	/**
+	 * Check every File below dirname (defaults to the Data Directory) against the Checksums in the Manifest
+	 * Resolves to a VerifyReport of the missing, extra and corrupted Files. The internal Directory is skipped
+	 * Rejects with a TypeError if dirname is not a String
+	 * Rejects with a PathError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error (e.g. the Directory does not exist)
+	 * @param {string} [dirname]
+	 * @returns {Promise<VerifyReport>}
+	 * @public
+	 * @async
+	 */
+	async verify(dirname = '.') {
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
+		const checksums = this.checksumsOf(resolvedDirname);
+		const report = { missing: [], extra: [], corrupted: [] };
+
+		for await (const { pathname, dirent } of this.walk(dirname)) {
+			if (!dirent.isFile())
+				continue;
+
+			const resolvedFilename = path.join(this.dataDir, pathname);
+			const checksum = checksums.get(resolvedFilename);
+
+			checksums.delete(resolvedFilename);
+
+			if (checksum === undefined)
+				report.extra.push(pathname);
+			else if (!ReadOnly.#matches((await this.backend.readFile(resolvedFilename)).data, checksum))
+				report.corrupted.push(pathname);
+		}
+
+		return this.#finishReport(report, checksums);
+	}
+
+	/**
+	 * Read Files into the Cache before they are requested, e.g. after a Restart
+	 * files is either a Glob Pattern (see glob) or a List of Filenames, which are read in the given Order
+	 * Files are read until the cacheBudget is used up, Files that do not fit are skipped. Files that are already cached, Directories and missing Files are skipped as well, and the Cache Policies (see addCachePolicy) apply
+	 * Resolves to the Number of Files that were read into the Cache and their Size
+	 * Rejects with a TypeError if files is not a String or an Array of Strings
+	 * Rejects with a PathError if a File does not resolve to a Path in the Data Directory
+	 * Rejects with a CodecError if a File was written with Codecs and cannot be decoded
+	 * Rejects with an Error on a File System Error
+	 * @param {string | string[]} files 
+	 * @returns {Promise<import('./IO').WarmResult>}
+	 * @public
+	 * @async
+	 */
+	async warm(files) {
+		ReadOnly.#checkWarm(files);
+
+		const filenames = Array.isArray(files) ? files : await this.glob(files);
+		const resolvedFilenames = [];
+
+		for (const filename of filenames)
+			resolvedFilenames.push(await this.resolveEntry(filename, 'filename'));
+
+		return await this.warmResolved(resolvedFilenames);
+	}
+
+	/**
+	 * Write the Directory specified by dirname and everything below it as a Tar Archive to writable
+	 * Paths in the Archive are relative to dirname. Files hold their decoded Content (see addCodec), and Modes, Modification Times and Symbolic Links are kept.
+	 * Files are streamed from the Backend, only Files with Codecs are read and decoded as a whole
+	 * Symbolic Links with an absolute Target inside the Data Directory are stored with a relative Target. The internal Directory is skipped
+	 * With options.gzip, the Archive is gzip-compressed. writable is ended once the Archive is written, and destroyed if the Export fails
+	 * Rejects with a TypeError if dirname is not a String
+	 * Rejects with a TypeError if options.gzip is not a Boolean
+	 * Rejects with a PathError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error (e.g. the Directory does not exist) or if writable fails
+	 * @param {string} dirname 
+	 * @param {NodeJS.WritableStream} writable 
+	 * @param {{gzip?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async exportTar(dirname, writable, { gzip = false } = {}) {
+		if (typeof gzip !== 'boolean')
+			throw new TypeError('Expected options.gzip to be a Boolean');
+
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
+		const blocks = Readable.from(this.#tarBlocks(dirname, resolvedDirname));
+
+		if (gzip)
+			await pipeline(blocks, zlib.createGzip(), writable);
+		else
+			await pipeline(blocks, writable);
+	}
+
+	/**
+	 * Mirror the Directory options.dirname into the same Directory of destination, copying only what changed
+	 * Files, Directories and Symbolic Links missing in destination are added. Files that exist on both Sides are updated if their Modification Time or Size differs (options.compare 'mtime',
+	 * the Size is only compared if no Codecs apply on either Side) or if their decoded Contents differ (options.compare 'hash').
+	 * Files are read from the Backends for Comparison and Copying, so the Caches of both Sides are not filled by a Sync.
+	 * Copied Files get the Modification Time of the Source (unless destination uses options.dedupe). Symbolic Links are recreated if their Target differs,
+	 * Links pointing outside of the Data Directory are skipped and listed in the Plan. With options.delete, Entries that do not exist in the Source are deleted.
+	 * The Plan is applied through writeFile, createDir, createSymLink and delete (or deleteTree) of destination, so its Path Checks, Hooks, Codecs and Cache stay correct.
+	 * A 'sync' Event ({type, pathname, done, total}) is emitted on this Instance after every applied Step.
+	 * Copied Files are recorded in a Checkpoint in the internal Directory of destination, so a Sync that was interrupted does not compare them again if they did not change since.
+	 * The Checkpoint is removed once a Sync completed
+	 * Resolves to the SyncPlan, which is not applied with options.dryRun
+	 * Rejects with a TypeError if destination is not an instance of ReadWrite
+	 * Rejects with a TypeError if options.dirname is not a String
+	 * Rejects with a TypeError if options.delete or options.dryRun is not a Boolean
+	 * Rejects with a TypeError if options.compare is not 'mtime' or 'hash'
+	 * Rejects with a PathError if options.dirname does not resolve to a Path in both Data Directories
+	 * Rejects with a VetoError if a before Hook of destination returned false
+	 * Rejects with an Error on a File System Error (e.g. the Directory does not exist in the Source)
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {SyncOptions} [options]
+	 * @returns {Promise<SyncPlan>}
+	 * @public
+	 * @async
+	 */
+	async syncTo(destination, { dirname = '.', delete: remove = false, compare = 'mtime', dryRun = false } = {}) {
+		ReadOnly.#checkSync(destination, remove, compare, dryRun);
+
+		await this.resolveEntry(dirname, 'dirname');
+
+		await destination.resolveEntry(dirname, 'dirname');
+		const checkpointFilename = path.join(destination.syncDir, this.#syncName(dirname));
+		const checkpoint = await ReadOnly.#readCheckpoint(destination, checkpointFilename);
+		const plan = { adds: [], updates: [], deletes: [], skipped: [] };
+		const sourceStats = new Map();
+		const targets = new Map();
+		const steps = [];
+
+		for await (const { pathname } of this.walk(dirname)) {
+			const stats = await this.backend.lstat(path.join(this.dataDir, pathname));
+			const destinationStats = await ReadOnly.#lstatOrNull(destination, pathname);
+
+			sourceStats.set(pathname, stats);
+
+			if (stats.isSymbolicLink()) {
+				const target = await ReadOnly.#linkTarget(this, pathname);
+
+				if (target === null)
+					plan.skipped.push(pathname);
+				else if (destinationStats === null)
+					steps.push(['add', pathname]);
+				else if (!destinationStats.isSymbolicLink() || await ReadOnly.#linkTarget(destination, pathname) !== target)
+					steps.push(['update', pathname]);
+
+				targets.set(pathname, target);
+				continue;
+			}
+
+			if (destinationStats === null)
+				steps.push(['add', pathname]);
+			else if (!ReadOnly.#isSameType(destinationStats, stats))
+				steps.push(['update', pathname]);
+			else if (stats.isFile() && !ReadOnly.#isCheckpointed(checkpoint, pathname, stats)) {
+				const changed = compare === 'mtime'
+					? this.#isModified(destination, pathname, stats, destinationStats)
+					: !(await ReadOnly.#readStored(this, pathname)).equals(await ReadOnly.#readStored(destination, pathname));
+
+				if (changed)
+					steps.push(['update', pathname]);
+			}
+		}
+
+		for (const [type, pathname] of steps)
+			(type === 'add' ? plan.adds : plan.updates).push(pathname);
+
+		if (remove && await ReadOnly.#lstatOrNull(destination, dirname) !== null) {
+			for await (const { pathname } of destination.walk(dirname)) {
+				if (!sourceStats.has(pathname) && !plan.deletes.some(deleted => pathname.startsWith(`${deleted}/`)))
+					plan.deletes.push(pathname);
+			}
+		}
+
+		if (dryRun)
+			return plan;
+
+		const total = plan.deletes.length + plan.adds.length + plan.updates.length;
+		let done = 0;
+
+		if (await ReadOnly.#lstatOrNull(destination, dirname) === null)
+			await destination.createDir(dirname);
+
+		for (const pathname of plan.deletes) {
+			await ReadOnly.#deleteEntry(destination, pathname);
+
+			this.emit('sync', { type: 'delete', pathname, done: ++done, total });
+		}
+
+		// Adds and Updates are applied in Walk Order, so a replaced Directory exists before its Contents are added
+		for (const [type, pathname] of steps) {
+			const stats = sourceStats.get(pathname);
+
+			if (type === 'update')
+				await ReadOnly.#deleteEntry(destination, pathname, stats);
+
+			if (stats.isDirectory())
+				await destination.createDir(pathname);
+			else if (stats.isSymbolicLink())
+				await destination.createSymLink(targets.get(pathname), pathname);
+			else {
+				await destination.writeFile(pathname, await ReadOnly.#readStored(this, pathname));
+				await ReadOnly.#copyMtime(destination, pathname, stats);
+				await ReadOnly.#checkpoint(destination, checkpointFilename, pathname, stats);
+			}
+
+			this.emit('sync', { type, pathname, done: ++done, total });
+		}
+
+		await destination.backend.rm(checkpointFilename, { force: true });
+
+		return plan;
 	}
 
 	/**
 	 * Synchronously read the File specified by filename
+	 * See readFile
+	 * @param {string} filename 
+	 * @param {{verify?: boolean}} [options]
+	 * @returns {Buffer}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if options.verify is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {IntegrityError} if options.verify is set and the File does not match its Checksum
+	 * @throws {CodecError} if the File was written with Codecs and cannot be decoded
+	 * @throws {Error} on a File System Error (e.g. the File does not exist)
+	 * @public
+	 */
+	readFileSync(filename, { verify = false } = {}) {
+		ReadOnly.#checkVerify(verify);
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		return this.#readResolvedSync(resolvedFilename, verify);
+	}
+
+	/**
+	 * Synchronously read the File specified by filename as Text
+	 * @param {string} filename 
+	 * @param {{encoding?: BufferEncoding}} [options]
+	 * @returns {string}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if options.encoding is not a supported Encoding
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error (e.g. the File does not exist)
+	 * @public
+	 */
+	readTextSync(filename, { encoding = 'utf8' } = {}) {
+		ReadOnly.checkEncoding(encoding);
+
+		return this.readFileSync(filename).toString(encoding);
+	}
+
+	/**
+	 * Synchronously read the File specified by filename as JSON
+	 * See readJSON
+	 * @param {string} filename 
+	 * @returns {any}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {SyntaxError} if the File does not contain valid JSON
+	 * @throws {Error} on a File System Error (e.g. the File does not exist)
+	 * @public
+	 */
+	readJSONSync(filename) {
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+		const data = this.#readResolvedSync(resolvedFilename);
+
+		return this.#parse(resolvedFilename, data, 'json', () => JSON.parse(data.toString('utf8')));
+	}
+
+	/**
+	 * Synchronously read the File specified by filename as NDJSON (one JSON Value per Line)
+	 * See readLines
+	 * @param {string} filename 
+	 * @returns {any[]}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {SyntaxError} if a Line does not contain valid JSON
+	 * @throws {Error} on a File System Error (e.g. the File does not exist)
+	 * @public
+	 */
+	readLinesSync(filename) {
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+		const data = this.#readResolvedSync(resolvedFilename);
+
+		return this.#parse(resolvedFilename, data, 'lines', () => ReadOnly.#parseLines(data));
+	}
+
+	/**
+	 * Synchronously read length Bytes of the File specified by filename, starting at offset
+	 * If the File is cached, the Range is served from the cached Buffer
 	 * @param {string} filename 
+	 * @param {number} offset 
+	 * @param {number} length 
 	 * @returns {Buffer}
 	 * @throws {TypeError} if filename is not a String
-	 * @throws {RangeError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {TypeError} if offset or length is not a positive Integer
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
 	 * @throws {Error} on a File System Error (e.g. the File does not exist)
 	 * @public
 	 */
-	readFileSync(filename) {
-		if (typeof filename !== 'string')
-			throw new TypeError('Expected filename to be a String');
+	readRangeSync(filename, offset, length) {
+		if (!Number.isSafeInteger(offset) || offset < 0)
+			throw new TypeError('Expected offset to be a positive Integer');
 
-		const resolvedFilename = path.resolve(this.dataDir, filename);
+		if (!Number.isSafeInteger(length) || length < 0)
+			throw new TypeError('Expected length to be a positive Integer');
 
-		if (!resolvedFilename.startsWith(this.dataDir))
-			throw new RangeError('Expected filename to be inside the Data Directory');
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
 
-		if (this.cache.has(resolvedFilename))
-			return this.cache.get(resolvedFilename);
+		if (this.codecsFor(resolvedFilename).length > 0)
+			return this.#readResolvedSync(resolvedFilename).subarray(offset, offset + length);
 
-		const data = fs.readFileSync(resolvedFilename);
+		const cached = this.getCachedSync(resolvedFilename);
 
-		this.cache.set(resolvedFilename, data);
+		if (cached !== undefined)
+			return cached.subarray(offset, offset + length);
 
-		return data;
+		return this.backend.readRangeSync(resolvedFilename, offset, length);
 	}
 
 	/**
-	 * Synchronously read the Directory specified by dirname
+	 * Synchronously read the Directory specified by dirname, without the internal Directory. See readDir
 	 * @param {string} dirname 
 	 * @returns {fs.Dirent[]}
 	 * @throws {TypeError} if dirname is not a String
-	 * @throws {RangeError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
 	 * @throws {Error} on a File System Error (e.g. the Directory does not exist)
 	 * @public
 	 */
 	readDirSync(dirname) {
-		if (typeof dirname !== 'string')
-			throw new TypeError('Expected dirname to be a String');
-
-		const resolvedDirname = path.resolve(this.dataDir, dirname);
+		const resolvedDirname = this.resolveEntrySync(dirname, 'dirname');
 
-		if (!resolvedDirname.startsWith(this.dataDir))
-			throw new RangeError('Expected dirname to be inside the Data Directory');
-
-		return fs.readdirSync(resolvedDirname, { withFileTypes: true });
+		return this.backend.readdirSync(resolvedDirname).filter(({ name }) => !this.isInternal(path.join(resolvedDirname, name)));
 	}
 
 	/**
@@ -178,20 +753,35 @@ class ReadOnly extends IO {
 	 * @param {string} pathname 
 	 * @returns {fs.Stats}
 	 * @throws {TypeError} if pathname is not a String
-	 * @throws {RangeError} if pathname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if pathname does not resolve to a Path in the Data Directory
 	 * @throws {Error} on a File System Error (e.g. the Entry does not exist)
 	 * @public
 	 */
 	infoSync(pathname) {
-		if (typeof pathname !== 'string')
-			throw new TypeError('Expected pathname to be a String');
+		const resolvedPathname = this.resolveEntrySync(pathname, 'pathname', { followSymlinks: false });
 
-		const resolvedPathname = path.resolve(this.dataDir, pathname);
+		return this.backend.lstatSync(resolvedPathname);
+	}
 
-		if (!resolvedPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected pathname to be inside the Data Directory');
+	/**
+	 * Synchronously get the Stats of the Content of the Entry specified by pathname. See stat
+	 * @param {string} pathname 
+	 * @returns {ContentStats}
+	 * @throws {TypeError} if pathname is not a String
+	 * @throws {PathError} if pathname does not resolve to a Path in the Data Directory
+	 * @throws {CodecError} if a Codec fails to decode the File
+	 * @throws {Error} on a File System Error (e.g. the Entry does not exist)
+	 * @public
+	 */
+	statSync(pathname) {
+		const resolvedPathname = this.resolveEntrySync(pathname, 'pathname');
+		const cachedInfo = this.getCachedInfo(resolvedPathname);
+		const stats = cachedInfo === undefined ? this.backend.statSync(resolvedPathname) : null;
+		const { size: storedSize, mtimeMs, ino } = stats ?? cachedInfo;
+		const isDirectory = stats?.isDirectory() ?? false;
+		const size = isDirectory || this.codecsFor(resolvedPathname).length === 0 ? storedSize : this.#readResolvedSync(resolvedPathname).length;
 
-		return fs.lstatSync(resolvedPathname);
+		return { isDirectory, size, storedSize, mtimeMs, ino };
 	}
 
 	/**
@@ -199,27 +789,1072 @@ class ReadOnly extends IO {
 	 * @param {string} pathname 
 	 * @returns {string}
 	 * @throws {TypeError} if pathname is not a String
-	 * @throws {RangeError} if pathname does not resolve to a Path in the Data Directory
-	 * @throws {RangeError} if the resolved pathname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if pathname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if the resolved pathname does not resolve to a Path in the Data Directory
 	 * @throws {Error} on a File System Error (e.g. the Entry does not exist)
 	 * @public
 	 */
 	resolvePathSync(entry) {
-		if (typeof entry !== 'string')
-			throw new TypeError('Expected entry to be a String');
+		const resolvedEntry = this.resolveEntrySync(entry, 'entry', { followSymlinks: false });
+
+		const resolvedPath = this.backend.realpathSync(resolvedEntry);
+
+		if (!IO.isInside(this.realDataDir, resolvedPath))
+			throw new PathError('Expected resolved Path to be inside the Data Directory', entry);
+
+		return resolvedPath;
+	}
+
+	/**
+	 * Synchronously and recursively walk the Directory specified by dirname
+	 * See walk
+	 * @param {string} dirname 
+	 * @param {WalkOptions} [options]
+	 * @returns {Generator<WalkEntry>}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {TypeError} if options.depth is not a positive Integer or Infinity
+	 * @throws {TypeError} if options.filter is not a Function or null
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error (e.g. the Directory does not exist)
+	 * @public
+	 */
+	*walkSync(dirname, options = {}) {
+		const resolvedDirname = this.resolveEntrySync(dirname, 'dirname');
+		const walkOptions = ReadOnly.#prepareWalk(options);
+		const realDirname = this.backend.realpathSync(resolvedDirname);
 
-		const resolvedEntry = path.resolve(this.dataDir, entry);
+		if (!IO.isInside(this.realDataDir, realDirname))
+			throw new PathError('Expected the resolved dirname to be inside the Data Directory', dirname);
 
-		if (!resolvedEntry.startsWith(this.dataDir))
-			throw new RangeError('Expected entry to be inside the Data Directory');
+		yield* this.#walkDirSync(resolvedDirname, realDirname, 1, walkOptions, new Set([realDirname]));
+	}
 
-		const resolvedPath = fs.realpathSync(resolvedEntry);
+	/**
+	 * Synchronously find all Entries whose Path relative to the Data Directory matches pattern
+	 * See glob
+	 * @param {string | string[]} pattern 
+	 * @param {{followSymlinks?: boolean}} [options]
+	 * @returns {string[]}
+	 * @throws {TypeError} if pattern is not a String or an Array of Strings
+	 * @throws {TypeError} if options.followSymlinks is not a Boolean
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	globSync(pattern, { followSymlinks = false } = {}) {
+		const [globs, base] = ReadOnly.#prepareGlob(pattern, followSymlinks);
+		const matches = [];
 
-		if (!resolvedPath.startsWith(this.dataDir))
-			throw new RangeError('Expected resolved Path to be inside the Data Directory');
+		try {
+			for (const entry of this.walkSync(base, { followSymlinks })) {
+				if (Glob.test(globs, entry.pathname))
+					matches.push(entry.pathname);
+			}
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')
+				throw error;
+		}
 
-		return resolvedPath;
+		return matches.sort();
 	}
-}
+
+	/**
+	 * Synchronously compute the Checksum of the File specified by filename
+	 * See hash
+	 * @param {string} filename 
+	 * @param {string} [algorithm]
+	 * @returns {string}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if algorithm is not a supported Hash Algorithm
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error (e.g. the File does not exist)
+	 * @public
+	 */
+	hashSync(filename, algorithm = this.checksums ?? 'sha256') {
+		ReadOnly.#checkAlgorithm(algorithm);
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		return crypto.createHash(algorithm).update(this.backend.readFileSync(resolvedFilename).data).digest('hex');
+	}
+
+	/**
+	 * Synchronously check every File below dirname against the Checksums in the Manifest
+	 * See verify
+	 * @param {string} [dirname]
+	 * @returns {VerifyReport}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error (e.g. the Directory does not exist)
+	 * @public
+	 */
+	verifySync(dirname = '.') {
+		const resolvedDirname = this.resolveEntrySync(dirname, 'dirname');
+		const checksums = this.checksumsOf(resolvedDirname);
+		const report = { missing: [], extra: [], corrupted: [] };
+
+		for (const { pathname, dirent } of this.walkSync(dirname)) {
+			if (!dirent.isFile())
+				continue;
+
+			const resolvedFilename = path.join(this.dataDir, pathname);
+			const checksum = checksums.get(resolvedFilename);
+
+			checksums.delete(resolvedFilename);
+
+			if (checksum === undefined)
+				report.extra.push(pathname);
+			else if (!ReadOnly.#matches(this.backend.readFileSync(resolvedFilename).data, checksum))
+				report.corrupted.push(pathname);
+		}
+
+		return this.#finishReport(report, checksums);
+	}
+
+	/**
+	 * Synchronously read Files into the Cache before they are requested
+	 * See warm
+	 * @param {string | string[]} files 
+	 * @returns {import('./IO').WarmResult}
+	 * @throws {TypeError} if files is not a String or an Array of Strings
+	 * @throws {PathError} if a File does not resolve to a Path in the Data Directory
+	 * @throws {CodecError} if a File was written with Codecs and cannot be decoded
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	warmSync(files) {
+		ReadOnly.#checkWarm(files);
+
+		const filenames = Array.isArray(files) ? files : this.globSync(files);
+
+		return this.warmResolvedSync(filenames.map(filename => this.resolveEntrySync(filename, 'filename')));
+	}
+
+	/**
+	 * Synchronously mirror the Directory options.dirname into the same Directory of destination
+	 * See syncTo
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {SyncOptions} [options]
+	 * @returns {SyncPlan}
+	 * @throws {TypeError} if destination is not an instance of ReadWrite
+	 * @throws {TypeError} if options.dirname is not a String
+	 * @throws {TypeError} if options.delete or options.dryRun is not a Boolean
+	 * @throws {TypeError} if options.compare is not 'mtime' or 'hash'
+	 * @throws {PathError} if options.dirname does not resolve to a Path in both Data Directories
+	 * @throws {VetoError} if a before Hook of destination returned false
+	 * @throws {Error} on a File System Error (e.g. the Directory does not exist in the Source)
+	 * @public
+	 */
+	syncToSync(destination, { dirname = '.', delete: remove = false, compare = 'mtime', dryRun = false } = {}) {
+		ReadOnly.#checkSync(destination, remove, compare, dryRun);
+
+		this.resolveEntrySync(dirname, 'dirname');
+
+		destination.resolveEntrySync(dirname, 'dirname');
+		const checkpointFilename = path.join(destination.syncDir, this.#syncName(dirname));
+		const checkpoint = ReadOnly.#readCheckpointSync(destination, checkpointFilename);
+		const plan = { adds: [], updates: [], deletes: [], skipped: [] };
+		const sourceStats = new Map();
+		const targets = new Map();
+		const steps = [];
+
+		for (const { pathname } of this.walkSync(dirname)) {
+			const stats = this.backend.lstatSync(path.join(this.dataDir, pathname));
+			const destinationStats = ReadOnly.#lstatOrNullSync(destination, pathname);
+
+			sourceStats.set(pathname, stats);
+
+			if (stats.isSymbolicLink()) {
+				const target = ReadOnly.#linkTargetSync(this, pathname);
+
+				if (target === null)
+					plan.skipped.push(pathname);
+				else if (destinationStats === null)
+					steps.push(['add', pathname]);
+				else if (!destinationStats.isSymbolicLink() || ReadOnly.#linkTargetSync(destination, pathname) !== target)
+					steps.push(['update', pathname]);
+
+				targets.set(pathname, target);
+				continue;
+			}
+
+			if (destinationStats === null)
+				steps.push(['add', pathname]);
+			else if (!ReadOnly.#isSameType(destinationStats, stats))
+				steps.push(['update', pathname]);
+			else if (stats.isFile() && !ReadOnly.#isCheckpointed(checkpoint, pathname, stats)) {
+				const changed = compare === 'mtime'
+					? this.#isModified(destination, pathname, stats, destinationStats)
+					: !ReadOnly.#readStoredSync(this, pathname).equals(ReadOnly.#readStoredSync(destination, pathname));
+
+				if (changed)
+					steps.push(['update', pathname]);
+			}
+		}
+
+		for (const [type, pathname] of steps)
+			(type === 'add' ? plan.adds : plan.updates).push(pathname);
+
+		if (remove && ReadOnly.#lstatOrNullSync(destination, dirname) !== null) {
+			for (const { pathname } of destination.walkSync(dirname)) {
+				if (!sourceStats.has(pathname) && !plan.deletes.some(deleted => pathname.startsWith(`${deleted}/`)))
+					plan.deletes.push(pathname);
+			}
+		}
+
+		if (dryRun)
+			return plan;
+
+		const total = plan.deletes.length + plan.adds.length + plan.updates.length;
+		let done = 0;
+
+		if (ReadOnly.#lstatOrNullSync(destination, dirname) === null)
+			destination.createDirSync(dirname);
+
+		for (const pathname of plan.deletes) {
+			ReadOnly.#deleteEntrySync(destination, pathname);
+
+			this.emit('sync', { type: 'delete', pathname, done: ++done, total });
+		}
+
+		for (const [type, pathname] of steps) {
+			const stats = sourceStats.get(pathname);
+
+			if (type === 'update')
+				ReadOnly.#deleteEntrySync(destination, pathname, stats);
+
+			if (stats.isDirectory())
+				destination.createDirSync(pathname);
+			else if (stats.isSymbolicLink())
+				destination.createSymLinkSync(targets.get(pathname), pathname);
+			else {
+				destination.writeFileSync(pathname, ReadOnly.#readStoredSync(this, pathname));
+				ReadOnly.#copyMtimeSync(destination, pathname, stats);
+				ReadOnly.#checkpointSync(destination, checkpointFilename, pathname, stats);
+			}
+
+			this.emit('sync', { type, pathname, done: ++done, total });
+		}
+
+		destination.backend.rmSync(checkpointFilename, { force: true });
+
+		return plan;
+	}
+
+	/**
+	 * Check that encoding is an Encoding supported by Buffer
+	 * @param {string} encoding 
+	 * @returns {void}
+	 * @throws {TypeError} if encoding is not a supported Encoding
+	 * @protected
+	 */
+	static checkEncoding(encoding) {
+		if (typeof encoding !== 'string' || !Buffer.isEncoding(encoding))
+			throw new TypeError('Expected options.encoding to be a supported Encoding');
+	}
+
+	/**
+	 * Read the File at the absolute Path resolvedFilename from the Cache or the Backend
+	 * With verify, the Cache is skipped and the stored Bytes are checked against their Checksum before anything is decoded or cached
+	 * Once a File was read from the Backend, the following Files of its Directory are read ahead (see IO.readAheadOf)
+	 * @param {string} resolvedFilename 
+	 * @param {boolean} [verify]
+	 * @returns {Promise<Buffer>}
+	 * @private
+	 * @async
+	 */
+	async #readResolved(resolvedFilename, verify = false) {
+		const cached = verify ? undefined : await this.getCached(resolvedFilename);
+
+		if (cached !== undefined)
+			return this.cacheEncoded ? await this.decode(resolvedFilename, cached) : cached;
+
+		const read = async () => {
+			const result = await this.backend.readFile(resolvedFilename);
+
+			if (verify)
+				this.verifyChecksum(resolvedFilename, result.data);
+
+			return result;
+		};
+
+		if (this.cacheEncoded) {
+			const encoded = await this.cacheRead(resolvedFilename, read);
+
+			this.readAheadOf(resolvedFilename);
+
+			return await this.decode(resolvedFilename, encoded);
+		}
+
+		const decoded = await this.cacheRead(resolvedFilename, async () => {
+			const { data, stats } = await read();
+
+			return { data: await this.decode(resolvedFilename, data), stats };
+		});
+
+		this.readAheadOf(resolvedFilename);
+
+		return decoded;
+	}
+
+	/**
+	 * Synchronous Version of #readResolved
+	 * @param {string} resolvedFilename 
+	 * @param {boolean} [verify]
+	 * @returns {Buffer}
+	 * @private
+	 */
+	#readResolvedSync(resolvedFilename, verify = false) {
+		const cached = verify ? undefined : this.getCachedSync(resolvedFilename);
+
+		if (cached !== undefined)
+			return this.cacheEncoded ? this.decodeSync(resolvedFilename, cached) : cached;
+
+		const read = () => {
+			const result = this.backend.readFileSync(resolvedFilename);
+
+			if (verify)
+				this.verifyChecksum(resolvedFilename, result.data);
+
+			return result;
+		};
+
+		if (this.cacheEncoded) {
+			const encoded = this.cacheReadSync(resolvedFilename, read);
+
+			this.readAheadOf(resolvedFilename);
+
+			return this.decodeSync(resolvedFilename, encoded);
+		}
+
+		const decoded = this.cacheReadSync(resolvedFilename, () => {
+			const { data, stats } = read();
+
+			return { data: this.decodeSync(resolvedFilename, data), stats };
+		});
+
+		this.readAheadOf(resolvedFilename);
+
+		return decoded;
+	}
+
+	/**
+	 * Read and decode the File at the absolute Path resolvedFilename and yield its Bytes from start to end (inclusive)
+	 * @param {string} resolvedFilename 
+	 * @param {number} start 
+	 * @param {number} end 
+	 * @returns {AsyncGenerator<Buffer>}
+	 * @private
+	 * @async
+	 */
+	async *#readDecodedRange(resolvedFilename, start, end) {
+		yield (await this.#readResolved(resolvedFilename)).subarray(start, end + 1);
+	}
+
+	/**
+	 * Yield the Blocks of a Tar Archive of the Directory resolvedDirname
+	 * @param {string} dirname 
+	 * @param {string} resolvedDirname 
+	 * @returns {AsyncGenerator<Buffer>}
+	 * @private
+	 * @async
+	 */
+	async *#tarBlocks(dirname, resolvedDirname) {
+		for await (const { pathname } of this.walk(dirname)) {
+			const resolvedPathname = path.join(this.dataDir, pathname);
+			const stats = await this.backend.lstat(resolvedPathname);
+			const entry = { pathname: path.relative(resolvedDirname, resolvedPathname).split(path.sep).join('/'), mode: stats.mode, mtime: stats.mtime };
+
+			if (stats.isDirectory())
+				yield Tar.header({ ...entry, pathname: `${entry.pathname}/`, type: 'directory' });
+			else if (stats.isSymbolicLink()) {
+				let target = await this.backend.readlink(resolvedPathname);
+
+				if (path.isAbsolute(target) && IO.isInside(this.dataDir, target))
+					target = path.relative(path.dirname(resolvedPathname), target) || '.';
+
+				yield Tar.header({ ...entry, type: 'symlink', linkname: target.split(path.sep).join('/') });
+			}
+			else if (stats.isFile() && this.codecsFor(resolvedPathname).length > 0) {
+				const data = await this.#readResolved(resolvedPathname);
+
+				yield Tar.header({ ...entry, type: 'file', size: data.length });
+				yield data;
+				yield Tar.padding(data.length);
+			}
+			else if (stats.isFile()) {
+				yield Tar.header({ ...entry, type: 'file', size: stats.size });
+				yield* this.#streamStored(resolvedPathname, stats.size);
+				yield Tar.padding(stats.size);
+			}
+		}
+
+		yield Tar.END;
+	}
+
+	/**
+	 * Stream the first size Bytes of the File at the absolute Path resolvedFilename from the Backend, without caching them
+	 * @param {string} resolvedFilename 
+	 * @param {number} size 
+	 * @returns {AsyncGenerator<Buffer>}
+	 * @throws {Error} if the File shrank below size Bytes
+	 * @private
+	 * @async
+	 */
+	async *#streamStored(resolvedFilename, size) {
+		if (size === 0)
+			return;
+
+		let read = 0;
+
+		for await (const chunk of this.backend.createReadStream(resolvedFilename, { start: 0, end: size - 1 })) {
+			read += chunk.length;
+			yield chunk;
+		}
+
+		if (read < size)
+			throw new Error(`Expected ${path.relative(this.dataDir, resolvedFilename)} not to shrink while it is exported`);
+	}
+
+	/**
+	 * Get the Name of the Checkpoint of a Sync of dirname from this Data Directory
+	 * @param {string} dirname 
+	 * @returns {string}
+	 * @private
+	 */
+	#syncName(dirname) {
+		return `${crypto.createHash('sha256').update(`${this.realDataDir}\0${path.join(this.dataDir, dirname)}`).digest('hex')}.ndjson`;
+	}
+
+	/**
+	 * Check the Arguments of syncTo
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {boolean} remove 
+	 * @param {'mtime' | 'hash'} compare 
+	 * @param {boolean} dryRun 
+	 * @returns {void}
+	 * @throws {TypeError} if an Argument is invalid
+	 * @private
+	 */
+	static #checkSync(destination, remove, compare, dryRun) {
+		// ReadWrite extends ReadOnly, so it can only be required once both are defined
+		if (!(destination instanceof require('./ReadWrite')))
+			throw new TypeError('Expected destination to be an instance of ReadWrite');
+
+		if (typeof remove !== 'boolean')
+			throw new TypeError('Expected options.delete to be a Boolean');
+
+		if (compare !== 'mtime' && compare !== 'hash')
+			throw new TypeError('Expected options.compare to be \'mtime\' or \'hash\'');
+
+		if (typeof dryRun !== 'boolean')
+			throw new TypeError('Expected options.dryRun to be a Boolean');
+	}
+
+	/**
+	 * Get the fs.Stats of the Entry at pathname, relative to the Data Directory of io, without following Symbolic Links
+	 * Resolves to null if the Entry or one of its Parents does not exist
+	 * @param {IO} io 
+	 * @param {string} pathname 
+	 * @returns {Promise<fs.Stats | null>}
+	 * @private
+	 * @async
+	 */
+	static async #lstatOrNull(io, pathname) {
+		try {
+			return await io.backend.lstat(path.join(io.dataDir, pathname));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #lstatOrNull
+	 * @param {IO} io 
+	 * @param {string} pathname 
+	 * @returns {fs.Stats | null}
+	 * @private
+	 */
+	static #lstatOrNullSync(io, pathname) {
+		try {
+			return io.backend.lstatSync(path.join(io.dataDir, pathname));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete the Entry at pathname from destination, moving it into the Trash if that is the Default of destination
+	 * With sourceStats, the Entry is only deleted if its Type differs from the Source Entry, so Files are overwritten and Directories merged instead
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} pathname 
+	 * @param {fs.Stats | null} [sourceStats]
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #deleteEntry(destination, pathname, sourceStats = null) {
+		const stats = await ReadOnly.#lstatOrNull(destination, pathname);
+
+		if (stats === null || (sourceStats !== null && ReadOnly.#isSameType(stats, sourceStats)))
+			return;
+
+		if (destination.trash || !stats.isDirectory())
+			await destination.delete(pathname);
+		else
+			await destination.deleteTree(pathname);
+	}
+
+	/**
+	 * Synchronous Version of #deleteEntry
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} pathname 
+	 * @param {fs.Stats | null} [sourceStats]
+	 * @returns {void}
+	 * @private
+	 */
+	static #deleteEntrySync(destination, pathname, sourceStats = null) {
+		const stats = ReadOnly.#lstatOrNullSync(destination, pathname);
+
+		if (stats === null || (sourceStats !== null && ReadOnly.#isSameType(stats, sourceStats)))
+			return;
+
+		if (destination.trash || !stats.isDirectory())
+			destination.deleteSync(pathname);
+		else
+			destination.deleteTreeSync(pathname);
+	}
+
+	/**
+	 * Check whether the File at pathname was modified in the Source since it was copied to destination, or the other Way round
+	 * Copies keep the Modification Time of the Source (in whole Milliseconds, like utimes sets it), so every Difference counts. Sizes are only compared if no Codecs apply on either Side, as the stored Sizes differ otherwise
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} pathname 
+	 * @param {fs.Stats} stats 
+	 * @param {fs.Stats} destinationStats 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#isModified(destination, pathname, stats, destinationStats) {
+		if (stats.mtime.getTime() !== destinationStats.mtime.getTime())
+			return true;
+
+		if (this.codecsFor(path.join(this.dataDir, pathname)).length > 0 || destination.codecsFor(path.join(destination.dataDir, pathname)).length > 0)
+			return false;
+
+		return stats.size !== destinationStats.size;
+	}
+
+	/**
+	 * Read and decode the File at pathname, relative to the Data Directory of io, directly from the Backend, so the Cache is neither used nor filled
+	 * @param {IO} io 
+	 * @param {string} pathname 
+	 * @returns {Promise<Buffer>}
+	 * @private
+	 * @async
+	 */
+	static async #readStored(io, pathname) {
+		const resolvedFilename = path.join(io.dataDir, pathname);
+
+		return await io.decode(resolvedFilename, (await io.backend.readFile(resolvedFilename)).data);
+	}
+
+	/**
+	 * Synchronous Version of #readStored
+	 * @param {IO} io 
+	 * @param {string} pathname 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #readStoredSync(io, pathname) {
+		const resolvedFilename = path.join(io.dataDir, pathname);
+
+		return io.decodeSync(resolvedFilename, io.backend.readFileSync(resolvedFilename).data);
+	}
+
+	/**
+	 * Get the Target of the Symbolic Link at pathname, relative to the Data Directory of io, as a Path relative to the Data Directory
+	 * Resolves to null if the Target is outside of the Data Directory
+	 * @param {IO} io 
+	 * @param {string} pathname 
+	 * @returns {Promise<string | null>}
+	 * @private
+	 * @async
+	 */
+	static async #linkTarget(io, pathname) {
+		const resolvedPathname = path.join(io.dataDir, pathname);
+
+		return ReadOnly.#relativeTarget(io, resolvedPathname, await io.backend.readlink(resolvedPathname));
+	}
+
+	/**
+	 * Synchronous Version of #linkTarget
+	 * @param {IO} io 
+	 * @param {string} pathname 
+	 * @returns {string | null}
+	 * @private
+	 */
+	static #linkTargetSync(io, pathname) {
+		const resolvedPathname = path.join(io.dataDir, pathname);
+
+		return ReadOnly.#relativeTarget(io, resolvedPathname, io.backend.readlinkSync(resolvedPathname));
+	}
+
+	/**
+	 * @param {IO} io 
+	 * @param {string} resolvedPathname 
+	 * @param {string} target 
+	 * @returns {string | null}
+	 * @private
+	 */
+	static #relativeTarget(io, resolvedPathname, target) {
+		const resolvedTarget = path.resolve(path.dirname(resolvedPathname), target);
+
+		if (resolvedTarget === io.dataDir || !IO.isInside(io.dataDir, resolvedTarget))
+			return null;
+
+		return path.relative(io.dataDir, resolvedTarget).split(path.sep).join('/');
+	}
+
+	/**
+	 * Give the File at pathname in destination the Modification Time of the Source File, so later Syncs see it as unchanged
+	 * Files of a Blob Store share their Metadata, so they are left alone
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} pathname 
+	 * @param {fs.Stats} stats 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #copyMtime(destination, pathname, stats) {
+		if (destination.dedupe)
+			return;
+
+		const resolvedFilename = path.join(destination.dataDir, pathname);
+
+		await destination.backend.utimes(resolvedFilename, stats.atime, stats.mtime);
+		destination.deleteCached(resolvedFilename);
+	}
+
+	/**
+	 * Synchronous Version of #copyMtime
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} pathname 
+	 * @param {fs.Stats} stats 
+	 * @returns {void}
+	 * @private
+	 */
+	static #copyMtimeSync(destination, pathname, stats) {
+		if (destination.dedupe)
+			return;
+
+		const resolvedFilename = path.join(destination.dataDir, pathname);
+
+		destination.backend.utimesSync(resolvedFilename, stats.atime, stats.mtime);
+		destination.deleteCached(resolvedFilename);
+	}
+
+	/**
+	 * Check whether stats and sourceStats both describe a File or both a Directory
+	 * @param {fs.Stats} stats 
+	 * @param {fs.Stats} sourceStats 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isSameType(stats, sourceStats) {
+		return (stats.isFile() && sourceStats.isFile()) || (stats.isDirectory() && sourceStats.isDirectory());
+	}
+
+	/**
+	 * Read the Checkpoint at checkpointFilename in destination
+	 * Resolves to the Modification Time and Size of the copied Files by their Path, which is empty if there is no Checkpoint
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} checkpointFilename 
+	 * @returns {Promise<Map<string, {mtimeMs: number, size: number}>>}
+	 * @private
+	 * @async
+	 */
+	static async #readCheckpoint(destination, checkpointFilename) {
+		try {
+			return ReadOnly.#parseCheckpoint((await destination.backend.readFile(checkpointFilename)).data);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return new Map();
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #readCheckpoint
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} checkpointFilename 
+	 * @returns {Map<string, {mtimeMs: number, size: number}>}
+	 * @private
+	 */
+	static #readCheckpointSync(destination, checkpointFilename) {
+		try {
+			return ReadOnly.#parseCheckpoint(destination.backend.readFileSync(checkpointFilename).data);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return new Map();
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Parse the Lines of a Checkpoint, ignoring a truncated last Line
+	 * @param {Buffer} data 
+	 * @returns {Map<string, {mtimeMs: number, size: number}>}
+	 * @private
+	 */
+	static #parseCheckpoint(data) {
+		const checkpoint = new Map();
+
+		for (const line of data.toString('utf8').split('\n')) {
+			try {
+				const { pathname, mtimeMs, size } = JSON.parse(line);
+
+				checkpoint.set(pathname, { mtimeMs, size });
+			}
+			catch {
+				continue;
+			}
+		}
+
+		return checkpoint;
+	}
+
+	/**
+	 * Check whether the File at pathname was copied by an interrupted Sync and did not change since
+	 * @param {Map<string, {mtimeMs: number, size: number}>} checkpoint 
+	 * @param {string} pathname 
+	 * @param {fs.Stats} stats 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isCheckpointed(checkpoint, pathname, stats) {
+		const entry = checkpoint.get(pathname);
+
+		return entry !== undefined && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size;
+	}
+
+	/**
+	 * Record in the Checkpoint at checkpointFilename that the File at pathname with stats was copied to destination
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} checkpointFilename 
+	 * @param {string} pathname 
+	 * @param {fs.Stats} stats 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #checkpoint(destination, checkpointFilename, pathname, stats) {
+		await destination.backend.mkdir(destination.syncDir, { recursive: true });
+		await destination.backend.appendFile(checkpointFilename, Buffer.from(`${JSON.stringify({ pathname, mtimeMs: stats.mtimeMs, size: stats.size })}\n`), { fsync: false });
+	}
+
+	/**
+	 * Synchronous Version of #checkpoint
+	 * @param {import('./ReadWrite')} destination 
+	 * @param {string} checkpointFilename 
+	 * @param {string} pathname 
+	 * @param {fs.Stats} stats 
+	 * @returns {void}
+	 * @private
+	 */
+	static #checkpointSync(destination, checkpointFilename, pathname, stats) {
+		destination.backend.mkdirSync(destination.syncDir, { recursive: true });
+		destination.backend.appendFileSync(checkpointFilename, Buffer.from(`${JSON.stringify({ pathname, mtimeMs: stats.mtimeMs, size: stats.size })}\n`), { fsync: false });
+	}
+
+	/**
+	 * Sort the Lists of report and add the Files of the remaining checksums as missing
+	 * @param {VerifyReport} report 
+	 * @param {Map<string, import('./Manifest').Checksum>} checksums 
+	 * @returns {VerifyReport}
+	 * @private
+	 */
+	#finishReport(report, checksums) {
+		for (const resolvedFilename of checksums.keys())
+			report.missing.push(path.relative(this.dataDir, resolvedFilename).split(path.sep).join('/'));
+
+		report.missing.sort();
+		report.extra.sort();
+		report.corrupted.sort();
+
+		return report;
+	}
+
+	/**
+	 * Get the Value parsed in format from data, the Content of resolvedFilename, from the parsed Cache or by calling parse
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {string} format 
+	 * @param {() => any} parse 
+	 * @returns {any}
+	 * @private
+	 */
+	#parse(resolvedFilename, data, format, parse) {
+		const cached = this.getParsed(resolvedFilename, data, format);
+
+		if (cached !== undefined)
+			return cached;
+
+		const value = parse();
+
+		this.setParsed(resolvedFilename, data, format, value);
+
+		return value;
+	}
+
+	/**
+	 * Check whether data matches checksum
+	 * @param {Buffer} data 
+	 * @param {import('./Manifest').Checksum} checksum 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #matches(data, checksum) {
+		return data.length === checksum.size && crypto.createHash(checksum.algorithm).update(data).digest('hex') === checksum.hash;
+	}
+
+	/**
+	 * Check that verify is a Boolean
+	 * @param {boolean} verify 
+	 * @returns {void}
+	 * @throws {TypeError} if verify is not a Boolean
+	 * @private
+	 */
+	static #checkVerify(verify) {
+		if (typeof verify !== 'boolean')
+			throw new TypeError('Expected options.verify to be a Boolean');
+	}
+
+	/**
+	 * Check that algorithm is a Hash Algorithm supported by crypto
+	 * @param {string} algorithm 
+	 * @returns {void}
+	 * @throws {TypeError} if algorithm is not a supported Hash Algorithm
+	 * @private
+	 */
+	static #checkAlgorithm(algorithm) {
+		if (typeof algorithm !== 'string' || !crypto.getHashes().includes(algorithm))
+			throw new TypeError('Expected algorithm to be a supported Hash Algorithm');
+	}
+
+	/**
+	 * Parse data as NDJSON, skipping empty Lines
+	 * @param {Buffer} data 
+	 * @returns {any[]}
+	 * @throws {SyntaxError} if a Line does not contain valid JSON, the Message contains the Line Number
+	 * @private
+	 */
+	static #parseLines(data) {
+		const values = [];
+
+		data.toString('utf8').split('\n').forEach((line, index) => {
+			if (line.trim() === '')
+				return;
+
+			try {
+				values.push(JSON.parse(line));
+			}
+			catch (error) {
+				throw new SyntaxError(`${error.message} in line ${index + 1}`);
+			}
+		});
+
+		return values;
+	}
+
+	/**
+	 * Validate the Options of walk and walkSync
+	 * @param {WalkOptions} options 
+	 * @returns {Required<WalkOptions>}
+	 * @private
+	 */
+	static #prepareWalk({ depth = Infinity, followSymlinks = false, filter = null }) {
+		if (depth !== Infinity && (!Number.isSafeInteger(depth) || depth < 1))
+			throw new TypeError('Expected options.depth to be a positive Integer or Infinity');
+
+		if (typeof followSymlinks !== 'boolean')
+			throw new TypeError('Expected options.followSymlinks to be a Boolean');
+
+		if (filter !== null && typeof filter !== 'function')
+			throw new TypeError('Expected options.filter to be a Function or null');
+
+		return { depth, followSymlinks, filter };
+	}
+
+	/**
+	 * Yield the Entries of resolvedDirname and descend into its Subdirectories
+	 * ancestors holds the real Paths of the Directories currently being walked to detect Symbolic Link Cycles
+	 * @param {string} resolvedDirname 
+	 * @param {string} realDirname 
+	 * @param {number} depth 
+	 * @param {Required<WalkOptions>} options 
+	 * @param {Set<string>} ancestors 
+	 * @returns {AsyncGenerator<WalkEntry>}
+	 * @private
+	 * @async
+	 */
+	async *#walkDir(resolvedDirname, realDirname, depth, options, ancestors) {
+		const dirents = await this.backend.readdir(resolvedDirname);
+
+		for (const dirent of dirents.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)) {
+			const resolvedPathname = path.join(resolvedDirname, dirent.name);
+
+			if (this.isInternal(resolvedPathname))
+				continue;
+
+			const entry = { pathname: path.relative(this.dataDir, resolvedPathname).split(path.sep).join('/'), depth, dirent };
+
+			if (options.filter !== null && !options.filter(entry))
+				continue;
+
+			yield entry;
+
+			if (depth >= options.depth)
+				continue;
+
+			if (dirent.isDirectory()) {
+				const realPathname = path.join(realDirname, dirent.name);
+
+				ancestors.add(realPathname);
+				yield* this.#walkDir(resolvedPathname, realPathname, depth + 1, options, ancestors);
+				ancestors.delete(realPathname);
+			}
+			else if (dirent.isSymbolicLink() && options.followSymlinks) {
+				let realPathname;
+
+				try {
+					realPathname = await this.backend.realpath(resolvedPathname);
+
+					if (!IO.isInside(this.realDataDir, realPathname) || ancestors.has(realPathname) || !(await this.backend.stat(realPathname)).isDirectory())
+						continue;
+				}
+				catch (error) {
+					// Dangling Links are returned, but there is nothing to descend into
+					if (error.code === 'ENOENT' || error.code === 'ELOOP')
+						continue;
+
+					throw error;
+				}
+
+				ancestors.add(realPathname);
+				yield* this.#walkDir(resolvedPathname, realPathname, depth + 1, options, ancestors);
+				ancestors.delete(realPathname);
+			}
+		}
+	}
+
+	/**
+	 * Synchronously yield the Entries of resolvedDirname and descend into its Subdirectories
+	 * See #walkDir
+	 * @param {string} resolvedDirname 
+	 * @param {string} realDirname 
+	 * @param {number} depth 
+	 * @param {Required<WalkOptions>} options 
+	 * @param {Set<string>} ancestors 
+	 * @returns {Generator<WalkEntry>}
+	 * @private
+	 */
+	*#walkDirSync(resolvedDirname, realDirname, depth, options, ancestors) {
+		const dirents = this.backend.readdirSync(resolvedDirname);
+
+		for (const dirent of dirents.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)) {
+			const resolvedPathname = path.join(resolvedDirname, dirent.name);
+
+			if (this.isInternal(resolvedPathname))
+				continue;
+
+			const entry = { pathname: path.relative(this.dataDir, resolvedPathname).split(path.sep).join('/'), depth, dirent };
+
+			if (options.filter !== null && !options.filter(entry))
+				continue;
+
+			yield entry;
+
+			if (depth >= options.depth)
+				continue;
+
+			if (dirent.isDirectory()) {
+				const realPathname = path.join(realDirname, dirent.name);
+
+				ancestors.add(realPathname);
+				yield* this.#walkDirSync(resolvedPathname, realPathname, depth + 1, options, ancestors);
+				ancestors.delete(realPathname);
+			}
+			else if (dirent.isSymbolicLink() && options.followSymlinks) {
+				let realPathname;
+
+				try {
+					realPathname = this.backend.realpathSync(resolvedPathname);
+
+					if (!IO.isInside(this.realDataDir, realPathname) || ancestors.has(realPathname) || !this.backend.statSync(realPathname).isDirectory())
+						continue;
+				}
+				catch (error) {
+					if (error.code === 'ENOENT' || error.code === 'ELOOP')
+						continue;
+
+					throw error;
+				}
+
+				ancestors.add(realPathname);
+				yield* this.#walkDirSync(resolvedPathname, realPathname, depth + 1, options, ancestors);
+				ancestors.delete(realPathname);
+			}
+		}
+	}
+
+	/**
+	 * Validate the Argument of warm and warmSync
+	 * @param {string | string[]} files 
+	 * @returns {void}
+	 * @private
+	 */
+	static #checkWarm(files) {
+		if (typeof files !== 'string' && !(Array.isArray(files) && files.every(filename => typeof filename === 'string')))
+			throw new TypeError('Expected files to be a String or an Array of Strings');
+	}
+
+	/**
+	 * Validate the Arguments of glob and globSync
+	 * Returns the compiled Patterns and the Directory to start walking from
+	 * @param {string | string[]} pattern 
+	 * @param {boolean} followSymlinks 
+	 * @returns {[Glob[], string]}
+	 * @private
+	 */
+	static #prepareGlob(pattern, followSymlinks) {
+		const patterns = Array.isArray(pattern) ? pattern : [pattern];
+
+		if (!patterns.every(pattern => typeof pattern === 'string'))
+			throw new TypeError('Expected pattern to be a String or an Array of Strings');
+
+		if (typeof followSymlinks !== 'boolean')
+			throw new TypeError('Expected options.followSymlinks to be a Boolean');
+
+		const globs = patterns.map(pattern => new Glob(pattern));
+		const positive = globs.filter(glob => !glob.negated);
+
+		return [globs, positive.length === 1 ? positive[0].base : ''];
+	}
+}
+
+IO.instrument(ReadOnly);
 
 module.exports = ReadOnly;
\ No newline at end of file
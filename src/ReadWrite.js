@@ -1,58 +1,541 @@
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
 
 const Cache = require('@serum-enterprises/cache');
+const IO = require('./IO');
 const ReadOnly = require('./ReadOnly');
+const LockFile = require('./LockFile');
+const Journal = require('./Journal');
+const Transaction = require('./Transaction');
+const Tar = require('./Tar');
+const LockError = require('./LockError');
+const PathError = require('./PathError');
+const VetoError = require('./VetoError');
+const ValidationError = require('./ValidationError');
+
+/**
+ * @typedef {Object} TreeOptions
+ * @property {((relativePathname: string, stats: fs.Stats) => boolean) | null} [filter]
+ * @property {'error' | 'skip' | 'replace'} [overwrite]
+ * @property {'copy' | 'skip' | 'follow'} [symlinks]
+ */
+
+/**
+ * @typedef {import('./LockFile').LockFileOptions} LockFileOptions
+ */
+
+/**
+ * @typedef {import('./Transaction').Operation} Operation
+ */
+
+/**
+ * @typedef {import('./IO').Quota} Quota
+ * @typedef {import('./IO').Usage} Usage
+ */
+
+/**
+ * An Operation whose Paths are resolved and whose Data is staged in the Journal
+ * @typedef {Operation & {resolvedPathname: string, resolvedSourcePathname: string | null, staged: string | null}} StagedOperation
+ */
+
+/**
+ * @typedef {Object} VersionInfo
+ * @property {string} id
+ * @property {Date} created the Time the Revision was replaced
+ * @property {number} size the stored Size of the Revision in Bytes
+ */
+
+/**
+ * @typedef {Object} SnapshotInfo
+ * @property {string} id
+ * @property {Date} created
+ * @property {boolean} hardLinks whether the Files were hard linked into the Snapshot
+ */
+
+/**
+ * @typedef {Object} TrashInfo
+ * @property {string} id
+ * @property {string} pathname the original Path of the Entry relative to the Data Directory, with / as Separator
+ * @property {Date} deleted
+ * @property {number} size the Size of the Entry in Bytes, including every File below it for Directories
+ */
 
 class ReadWrite extends ReadOnly {
+	/**
+	 * The Time of the last ID created by #createId
+	 * @type {number}
+	 */
+	static #lastIdTime = 0;
+
+	/**
+	 * Default of options.maxEntrySize of importTar in Bytes
+	 * @type {number}
+	 */
+	static MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+	/**
+	 * Milliseconds after which a Temp File of a Process on another Host is considered abandoned (see #removeStaleTempFiles)
+	 * @type {number}
+	 */
+	static #STALE_TEMP_FILE = 60 * 60 * 1000;
+
+	/**
+	 * The Names and Symbolic Link Handling of the Paths of every Operation Type, like the corresponding ReadWrite Methods resolve them
+	 * @type {Object<string, {name: string, followSymlinks: boolean, sourceName?: string, followSourceSymlinks?: boolean}>}
+	 */
+	static #OPERATIONS = {
+		write: { name: 'filename', followSymlinks: true },
+		mkdir: { name: 'dirname', followSymlinks: true },
+		symlink: { name: 'destinationPathname', followSymlinks: false, sourceName: 'sourcePathname', followSourceSymlinks: true },
+		link: { name: 'destinationPathname', followSymlinks: false, sourceName: 'sourcePathname', followSourceSymlinks: true },
+		rename: { name: 'newPathname', followSymlinks: false, sourceName: 'oldPathname', followSourceSymlinks: false },
+		copy: { name: 'destinationPathname', followSymlinks: true, sourceName: 'sourcePathname', followSourceSymlinks: true },
+		delete: { name: 'pathname', followSymlinks: false }
+	};
+
 	/**
 	 * Create a new ReadWrite Instance
 	 * If the Data Directory does not exist, it will be created
 	 * @param {string} dataDir 
 	 * @param {Cache | number | null} cache
+	 * @param {IOOptions} [options] see IO
 	 * @throws {TypeError} if dataDir is not a String
 	 * @throws {TypeError} if cache is not an instance of Cache, a positive Integer indicating the maximum size of the Cache (in Bytes), or null
+	 * @throws {TypeError} if options.coherence is not 'none', 'stat' or 'watch'
+	 * @throws {TypeError} if options.noSymlinkEscape is not a Boolean
+	 * @throws {TypeError} if options.backend is not an instance of Backend
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	constructor(dataDir, cache = null, options = {}) {
+		super(dataDir, cache, options);
+
+		this.backend.mkdirSync(this.tempDir, { recursive: true });
+		this.backend.mkdirSync(this.lockDir, { recursive: true });
+		this.backend.mkdirSync(this.journalDir, { recursive: true });
+
+		this.#removeStaleTempFiles();
+		this.#recoverJournals();
+	}
+
+	/**
+	 * Create a ReadWrite Instance whose Data Directory is the Directory specified by dirname
+	 * With options.readOnly, a ReadOnly Instance is created instead. See ReadOnly.scope
+	 * options.quota sets the Quota of the Directory, e.g. to limit the Space a Tenant can use (see IO.setQuota)
+	 * @param {string} dirname 
+	 * @param {{readOnly?: boolean, noSymlinkEscape?: boolean, quota?: Quota | null}} [options]
+	 * @returns {ReadWrite | ReadOnly}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {TypeError} if options.readOnly or options.noSymlinkEscape is not a Boolean
+	 * @throws {TypeError} if options.quota is not a Quota or null
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if dirname is inside the internal Directory
 	 * @throws {Error} on a File System Error
 	 * @public
 	 */
-	constructor(dataDir, cache = null) {
-		super(dataDir, cache);
+	scope(dirname, { readOnly = false, ...options } = {}) {
+		if (typeof readOnly !== 'boolean')
+			throw new TypeError('Expected options.readOnly to be a Boolean');
+
+		if (readOnly)
+			return super.scope(dirname, options);
+
+		return this.createScope(ReadWrite, dirname, options);
 	}
 
 	/**
 	 * Write data to a File specified by filename
 	 * Overwrites the File if it already exists and creates the File if it does not
+	 * By default the Write is atomic: data is written to a Temp File which is then renamed over the File,
+	 * so Readers either see the old or the new Content. With options.fsync, the Data and the Rename are flushed to the Disk.
+	 * The Mode of the File is kept and Symbolic Links are written through. Files with other Hard Links are replaced as well, which detaches them from their other Links.
+	 * With options.hardLinks, they are written in Place instead, so every Link sees the new Content. Hard Links of Snapshots do not count, and Files linked to a Blob (see options.dedupe) are always replaced
+	 * data is encoded with the Codecs of the File (see addCodec) after the before Hooks ran
+	 * With options.versions (see IO), the previous Content is kept as a Revision (see listVersions)
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if data is not an instance of Buffer
+	 * Rejects with a TypeError if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error thrown by a Codec or on a File System Error
+	 * @param {string} filename 
+	 * @param {Buffer} data 
+	 * @param {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async writeFile(filename, data, options = {}) {
+		if (!(data instanceof Buffer))
+			throw new TypeError('Expected data to be an instance of Buffer');
+
+		const writeOptions = ReadWrite.#prepareWriteOptions(options);
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+
+		await this.#writeResolved(resolvedFilename, data, writeOptions);
+	}
+
+	/**
+	 * Write text to a File specified by filename, encoded with options.encoding (defaults to 'utf8')
+	 * The Write is atomic and flushed like in writeFile
+	 * Rejects with a TypeError if filename or text is not a String
+	 * Rejects with a TypeError if options.encoding is not a supported Encoding
+	 * Rejects with a TypeError if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error on a File System Error
+	 * @param {string} filename 
+	 * @param {string} text 
+	 * @param {{encoding?: BufferEncoding, atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async writeText(filename, text, { encoding = 'utf8', ...options } = {}) {
+		if (typeof text !== 'string')
+			throw new TypeError('Expected text to be a String');
+
+		ReadOnly.checkEncoding(encoding);
+
+		await this.writeFile(filename, Buffer.from(text, encoding), options);
+	}
+
+	/**
+	 * Write value as JSON to a File specified by filename
+	 * value is checked by the Validators matching the File first (see addValidator)
+	 * options.space is passed to JSON.stringify to indent the Output. The Write is atomic and flushed like in writeFile
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if value cannot be serialized as JSON (e.g. undefined or a Function)
+	 * Rejects with a TypeError if options.space is not a Number or a String
+	 * Rejects with a TypeError if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a ValidationError if a Validator returned false
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error thrown by a Validator or on a File System Error
+	 * @param {string} filename 
+	 * @param {any} value 
+	 * @param {{space?: number | string, atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async writeJSON(filename, value, { space = 0, ...options } = {}) {
+		const data = ReadWrite.#serializeJSON(value, space);
+		const writeOptions = ReadWrite.#prepareWriteOptions(options);
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+
+		this.validate(resolvedFilename, value);
+
+		await this.#writeResolved(resolvedFilename, data, writeOptions);
+	}
+
+	/**
+	 * Append values as NDJSON (one JSON Value per Line) to a File specified by filename
+	 * The File is created if it does not exist. Every Value is checked by the Validators matching the File first (see addValidator)
+	 * A Line Break is inserted first if the File does not end with one. Concurrent Appends to the same File are serialized
+	 * The Lines are appended like in appendFile, so only the new Lines are written and flushed (Files with Codecs are rewritten, see appendFile)
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if values is not an Array
+	 * Rejects with a TypeError if a Value cannot be serialized as JSON
+	 * Rejects with a TypeError if options.fsync is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a ValidationError if a Validator returned false
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error thrown by a Validator or on a File System Error
+	 * @param {string} filename 
+	 * @param {any[]} values 
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async appendLines(filename, values, { fsync = true } = {}) {
+		const lines = ReadWrite.#serializeLines(values);
+
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+
+		values.forEach(value => this.validate(resolvedFilename, value));
+
+		await this.runLocked([resolvedFilename], async () => {
+			let last = Buffer.alloc(0);
+
+			try {
+				if (this.codecsFor(resolvedFilename).length > 0)
+					last = (await this.#readDecoded(resolvedFilename)).subarray(-1);
+				else {
+					const stats = await this.backend.stat(resolvedFilename);
+
+					if (stats.size > 0)
+						last = await this.backend.readRange(resolvedFilename, stats.size - 1, 1);
+				}
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+
+			await this.#appendResolved(resolvedFilename, ReadWrite.#appendLines(last, lines), fsync);
+		});
+	}
+
+	/**
+	 * Append data to the File specified by filename, creating the File if it does not exist
+	 * Only data is written, the cached Content of the File is extended instead of being read again
+	 * With options.fsync (defaults to true), the appended Data is flushed to the Disk
+	 * Appends are not atomic: after a Crash, the File can end with a Part of data
+	 * Files with Codecs (see addCodec) cannot be changed in Place, so they are decoded, extended, encoded and rewritten atomically as a whole instead
+	 * before Hooks receive a write Event with partial set to 'append' and can transform data
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if data is not an instance of Buffer
+	 * Rejects with a TypeError if options.fsync is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a CodecError if the File cannot be decoded
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error on a File System Error
+	 * @param {string} filename 
+	 * @param {Buffer} data 
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async appendFile(filename, data, { fsync = true } = {}) {
+		if (!(data instanceof Buffer))
+			throw new TypeError('Expected data to be an instance of Buffer');
+
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+
+		await this.#appendResolved(resolvedFilename, data, fsync);
+	}
+
+	/**
+	 * Write data into the File specified by filename at offset, keeping the Rest of the File
+	 * The File is created if it does not exist and extended if data ends behind its End, a Gap before offset is filled with Zeros
+	 * The cached Content of the File is patched instead of being read again
+	 * With options.fsync (defaults to true), the Data is flushed to the Disk. The Write is not atomic, except for Files with Codecs, which are rewritten as a whole (see appendFile)
+	 * before Hooks receive a write Event with partial set to 'writeAt' and the offset, and can transform data
 	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if offset is not a positive Integer
 	 * Rejects with a TypeError if data is not an instance of Buffer
-	 * Rejects with a RangeError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a TypeError if options.fsync is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a CodecError if the File cannot be decoded
+	 * Rejects with a VetoError if a before Hook returned false
 	 * Rejects with an Error on a File System Error
 	 * @param {string} filename 
+	 * @param {number} offset 
 	 * @param {Buffer} data 
+	 * @param {{fsync?: boolean}} [options]
 	 * @returns {Promise<void>}
 	 * @public
 	 * @async
 	 */
-	async writeFile(filename, data) {
-		if (typeof filename !== 'string')
-			throw new TypeError('Expected filename to be a String');
+	async writeAt(filename, offset, data, { fsync = true } = {}) {
+		if (!Number.isSafeInteger(offset) || offset < 0)
+			throw new TypeError('Expected offset to be a positive Integer');
 
 		if (!(data instanceof Buffer))
 			throw new TypeError('Expected data to be an instance of Buffer');
 
-		const resolvedFilename = path.resolve(this.dataDir, filename);
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+
+		await this.mutate({ type: 'write', resolvedPathname: resolvedFilename, data, partial: 'writeAt', offset }, async (data) => {
+			if (this.codecsFor(resolvedFilename).length > 0)
+				return await this.#rewriteResolved(resolvedFilename, content => ReadWrite.#patch(content, offset, data), fsync);
+
+			const stats = await this.backend.writeAt(resolvedFilename, offset, data, { fsync });
+
+			this.patchCached(resolvedFilename, stats, cached => ReadWrite.#patch(cached, offset, data));
+
+			return data.length;
+		});
+	}
+
+	/**
+	 * Shorten or extend the existing File specified by filename to length Bytes, extending it with Zeros
+	 * The cached Content of the File is cut or extended instead of being read again
+	 * With options.fsync (defaults to true), the Change is flushed to the Disk. Files with Codecs are rewritten as a whole (see appendFile)
+	 * before Hooks receive a write Event without Data, with partial set to 'truncate' and the new Length as offset
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if length is not a positive Integer
+	 * Rejects with a TypeError if options.fsync is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a CodecError if the File cannot be decoded
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error on a File System Error (e.g. the File does not exist)
+	 * @param {string} filename 
+	 * @param {number} length 
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async truncate(filename, length, { fsync = true } = {}) {
+		if (!Number.isSafeInteger(length) || length < 0)
+			throw new TypeError('Expected length to be a positive Integer');
+
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+
+		await this.mutate({ type: 'write', resolvedPathname: resolvedFilename, partial: 'truncate', offset: length }, async () => {
+			if (this.codecsFor(resolvedFilename).length > 0) {
+				await this.#rewriteResolved(resolvedFilename, content => ReadWrite.#resize(content, length), fsync, false);
+				return;
+			}
+
+			const stats = await this.backend.truncate(resolvedFilename, length, { fsync });
+
+			this.patchCached(resolvedFilename, stats, cached => ReadWrite.#resize(cached, length));
+		});
+	}
+
+	/**
+	 * Create a Writable Stream for the File specified by filename
+	 * flags are interpreted like in fs.createWriteStream (defaults to 'w')
+	 * The cached Entry of the File is invalidated when the Stream is created and again when it is closed
+	 * The before Hooks run when the Stream is created and cannot transform the Data, the write Event is emitted once the Stream is closed
+	 * Every Chunk is checked against the Quotas before it is written, the Stream is destroyed with a QuotaError once a Chunk would exceed one
+	 * Files with Codecs (see addCodec) cannot be written in Place: their Stream collects the Data in Memory and writes it once it ends,
+	 * through appendFile for flags starting with 'a', writeAt at Offset 0 for flags starting with 'r' and writeFile otherwise. Their Hooks, Quotas and Errors apply at that Point
+	 * @param {string} filename 
+	 * @param {{flags?: string}} [options]
+	 * @returns {stream.Writable}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if options.flags is not a String
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {QuotaError} if creating the File would exceed a Quota
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	createWriteStream(filename, { flags = 'w' } = {}) {
+		if (typeof flags !== 'string')
+			throw new TypeError('Expected options.flags to be a String');
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		if (this.codecsFor(resolvedFilename).length > 0)
+			return this.#createEncodedWriteStream(filename, flags);
+
+		const { reserve, done } = this.startMutation({ type: 'write', resolvedPathname: resolvedFilename });
+		let existing;
+
+		try {
+			existing = flags.startsWith('a') || flags.startsWith('r') ? this.#fileSizeSync(resolvedFilename) : 0;
+			reserve(existing);
+		}
+		catch (error) {
+			done(null);
+			throw error;
+		}
+
+		// Appending Streams grow the File by every Chunk, r+ overwrites it from the Start and every other Stream truncates it first
+		const sizeAfter = (written) => flags.startsWith('a') ? existing + written : flags.startsWith('r') ? Math.max(existing, written) : written;
+
+		this.deleteCached(resolvedFilename);
+
+		const target = this.backend.createWriteStream(resolvedFilename, { flags });
+		let written = 0;
+
+		const stream = new Writable({
+			write(chunk, encoding, callback) {
+				try {
+					reserve(sizeAfter(written + chunk.length));
+				}
+				catch (error) {
+					callback(error);
+					return;
+				}
+
+				written += chunk.length;
+				target.write(chunk, callback);
+			},
+			final(callback) {
+				target.once('close', () => callback(target.errored));
+				target.end();
+			},
+			destroy(error, callback) {
+				if (target.closed) {
+					callback(error);
+					return;
+				}
+
+				target.once('close', () => callback(error));
+				target.destroy(error);
+			}
+		});
+
+		target.once('close', () => {
+			this.deleteCached(resolvedFilename);
+
+			done(stream.errored || target.errored ? null : written);
+		});
+		target.on('error', error => stream.destroy(error));
+
+		return stream;
+	}
+
+	/**
+	 * Create the Writable Stream of createWriteStream for a File with Codecs, which collects the Data and writes it as a whole once the Stream ends
+	 * @param {string} filename 
+	 * @param {string} flags 
+	 * @returns {stream.Writable}
+	 * @private
+	 */
+	#createEncodedWriteStream(filename, flags) {
+		const chunks = [];
+
+		return new Writable({
+			write(chunk, encoding, callback) {
+				chunks.push(chunk);
+				callback();
+			},
+			final: (callback) => {
+				const data = Buffer.concat(chunks);
+				const written = flags.startsWith('a')
+					? this.appendFile(filename, data, { fsync: false })
+					: flags.startsWith('r') ? this.writeAt(filename, 0, data, { fsync: false }) : this.writeFile(filename, data, { fsync: false });
 
-		if (!resolvedFilename.startsWith(this.dataDir))
-			throw new RangeError('Expected filename to be inside the Data Directory');
+				written.then(() => callback(), callback);
+			}
+		});
+	}
 
-		await fs.promises.writeFile(resolvedFilename, data);
+	/**
+	 * Get the Size of the File resolvedFilename, or 0 if it does not exist
+	 * @param {string} resolvedFilename 
+	 * @returns {number}
+	 * @private
+	 */
+	#fileSizeSync(resolvedFilename) {
+		try {
+			return this.backend.lstatSync(resolvedFilename).size;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return 0;
 
-		this.cache.set(resolvedFilename, data);
+			throw error;
+		}
 	}
 
 	/**
 	 * Recursively create a new Directory specified by dirname
 	 * Rejects with a TypeError if dirname is not a String
-	 * Rejects with a RangeError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if dirname does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
 	 * Rejects with an Error on a File System Error
 	 * @param {string} dirname 
 	 * @returns {Promise<void>}
@@ -60,23 +543,20 @@ class ReadWrite extends ReadOnly {
 	 * @async
 	 */
 	async createDir(dirname) {
-		if (typeof dirname !== 'string')
-			throw new TypeError('Expected dirname to be a String');
-
-		const resolvedDirectory = path.resolve(this.dataDir, dirname);
+		const resolvedDirectory = await this.resolveEntry(dirname, 'dirname');
 
-		if (!resolvedDirectory.startsWith(this.dataDir))
-			throw new RangeError('Expected dirname to be inside the Data Directory');
-
-		await fs.promises.mkdir(resolvedDirectory, { recursive: true });
+		await this.mutate({ type: 'mkdir', resolvedPathname: resolvedDirectory }, async () => {
+			await this.backend.mkdir(resolvedDirectory, { recursive: true });
+		});
 	}
 
 	/**
 	 * Create a Symbolic Link specified by destinationPathname that points to sourcePathname
 	 * Rejects with a TypeError if sourcePathname is not a String
 	 * Rejects with a TypeError if destinationPathname is not a String
-	 * Rejects with a RangeError if sourcePathname does not resolve to a Path in the Data Directory
-	 * Rejects with a RangeError if destinationPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if sourcePathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if destinationPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
 	 * Rejects with an Error on a File System Error
 	 * @param {string} sourcePathname 
 	 * @param {string} destinationPathname
@@ -85,30 +565,21 @@ class ReadWrite extends ReadOnly {
 	 * @async
 	 */
 	async createSymLink(sourcePathname, destinationPathname) {
-		if (typeof sourcePathname !== 'string')
-			throw new TypeError('Expected sourcePathname to be a String');
-
-		if (typeof destinationPathname !== 'string')
-			throw new TypeError('Expected destinationPathname to be a String');
-
-		const resolvedSourcePathname = path.resolve(this.dataDir, sourcePathname);
-		const resolvedDestinationPathname = path.resolve(this.dataDir, destinationPathname);
-
-		if (!resolvedSourcePathname.startsWith(this.dataDir))
-			throw new RangeError('Expected sourcePathname to be inside the Data Directory');
+		const resolvedSourcePathname = await this.resolveEntry(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = await this.resolveEntry(destinationPathname, 'destinationPathname', { followSymlinks: false });
 
-		if (!resolvedDestinationPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected destinationPathname to be inside the Data Directory');
-
-		await fs.promises.symlink(resolvedSourcePathname, resolvedDestinationPathname);
+		await this.mutate({ type: 'symlink', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, async () => {
+			await this.backend.symlink(resolvedSourcePathname, resolvedDestinationPathname);
+		});
 	}
 
 	/**
 	 * Create a Hard Link specified by destinationPathname that points to sourcePathname
 	 * Rejects with a TypeError if sourcePathname is not a String
 	 * Rejects with a TypeError if destinationPathname is not a String
-	 * Rejects with a RangeError if sourcePathname does not resolve to a Path in the Data Directory
-	 * Rejects with a RangeError if destinationPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if sourcePathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if destinationPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
 	 * Rejects with an Error on a File System Error
 	 * @param {string} sourcePathname
 	 * @param {string} destinationPathname
@@ -117,30 +588,21 @@ class ReadWrite extends ReadOnly {
 	 * @async
 	 */
 	async createHardLink(sourcePathname, destinationPathname) {
-		if (typeof sourcePathname !== 'string')
-			throw new TypeError('Expected sourcePathname to be a String');
-
-		if (typeof destinationPathname !== 'string')
-			throw new TypeError('Expected destinationPathname to be a String');
-
-		const resolvedSourcePathname = path.resolve(this.dataDir, sourcePathname);
-		const resolvedDestinationPathname = path.resolve(this.dataDir, destinationPathname);
-
-		if (!resolvedSourcePathname.startsWith(this.dataDir))
-			throw new RangeError('Expected sourcePathname to be inside the Data Directory');
+		const resolvedSourcePathname = await this.resolveEntry(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = await this.resolveEntry(destinationPathname, 'destinationPathname', { followSymlinks: false });
 
-		if (!resolvedDestinationPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected destinationPathname to be inside the Data Directory');
-
-		await fs.promises.link(resolvedSourcePathname, resolvedDestinationPathname);
+		await this.mutate({ type: 'link', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, async () => {
+			await this.backend.link(resolvedSourcePathname, resolvedDestinationPathname);
+		});
 	}
 
 	/**
 	 * Rename an Entry specified by oldPathname to newPathname
 	 * Rejects with a TypeError if oldPathname is not a String
 	 * Rejects with a TypeError if newPathname is not a String
-	 * Rejects with a RangeError if oldPathname does not resolve to a Path in the Data Directory
-	 * Rejects with a RangeError if newPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if oldPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if newPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
 	 * Rejects with an Error on a File System Error
 	 * @param {string} oldPathname 
 	 * @param {string} newPathname 
@@ -149,33 +611,23 @@ class ReadWrite extends ReadOnly {
 	 * @async
 	 */
 	async rename(oldPathname, newPathname) {
-		if (typeof oldPathname !== 'string')
-			throw new TypeError('Expected oldPathname to be a String');
-
-		if (typeof newPathname !== 'string')
-			throw new TypeError('Expected newPathname to be a String');
-
-		const resolvedOldPathname = path.resolve(this.dataDir, oldPathname);
-		const resolvedNewPathname = path.resolve(this.dataDir, newPathname);
-
-		if (!resolvedOldPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected oldPathname to be inside the Data Directory');
+		const resolvedOldPathname = await this.resolveEntry(oldPathname, 'oldPathname', { followSymlinks: false });
+		const resolvedNewPathname = await this.resolveEntry(newPathname, 'newPathname', { followSymlinks: false });
 
-		if (!resolvedNewPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected newPathname to be inside the Data Directory');
+		await this.mutate({ type: 'rename', resolvedPathname: resolvedNewPathname, resolvedSourcePathname: resolvedOldPathname }, async () => {
+			await this.backend.rename(resolvedOldPathname, resolvedNewPathname);
 
-		await fs.promises.rename(resolvedOldPathname, resolvedNewPathname);
-
-		if (this.cache.has(resolvedOldPathname))
-			this.cache.rename(resolvedOldPathname, resolvedNewPathname);
+			this.renameCachedTree(resolvedOldPathname, resolvedNewPathname);
+		});
 	}
 
 	/**
 	 * Copy a File specified by sourcePathname to a Destination specified by destinationPathname
 	 * Rejects with a TypeError if sourcePathname is not a String
 	 * Rejects with a TypeError if destinationPathname is not a String
-	 * Rejects with a RangeError if sourcePathname does not resolve to a Path in the Data Directory
-	 * Rejects with a RangeError if destinationPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if sourcePathname does not resolve to a Path in the Data Directory
+	 * Rejects with a PathError if destinationPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
 	 * Rejects with an Error on a File System Error
 	 * @param {string} sourcePathname 
 	 * @param {string} destinationPathname 
@@ -184,246 +636,3833 @@ class ReadWrite extends ReadOnly {
 	 * @async
 	 */
 	async copyFile(sourcePathname, destinationPathname) {
-		if (typeof sourcePathname !== 'string')
-			throw new TypeError('Expected sourcePathname to be a String');
-
-		if (typeof destinationPathname !== 'string')
-			throw new TypeError('Expected destinationPathname to be a String');
+		const resolvedSourcePathname = await this.resolveEntry(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = await this.resolveEntry(destinationPathname, 'destinationPathname');
 
-		const resolvedSourcePathname = path.resolve(this.dataDir, sourcePathname);
-		const resolvedDestinationPathname = path.resolve(this.dataDir, destinationPathname);
+		await this.mutate({ type: 'copy', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, async () => {
+			await this.backend.copyFile(resolvedSourcePathname, resolvedDestinationPathname, fs.constants.COPYFILE_FICLONE);
 
-		if (!resolvedSourcePathname.startsWith(this.dataDir))
-			throw new RangeError('Expected sourcePathname to be inside the Data Directory');
+			this.deleteCached(resolvedDestinationPathname);
 
-		if (!resolvedDestinationPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected destinationPathname to be inside the Data Directory');
-
-		return await fs.promises.copyFile(sourcePathname, destinationPathname, fs.constants.COPYFILE_FICLONE);
+			return (await this.backend.stat(resolvedDestinationPathname)).size;
+		});
 	}
 
 	/**
 	 * Delete an Entry specified by pathname
+	 * With options.versions (see IO), a deleted File is kept as a Revision (see listVersions)
+	 * With options.trash (defaults to options.trash of IO), the Entry is moved into the Trash instead, which works for whole Directories as well (see listTrash)
 	 * Rejects with a TypeError if pathname is not a String
-	 * Rejects with a RangeError if pathname does not resolve to a Path in the Data Directory
+	 * Rejects with a TypeError if options.trash is not a Boolean
+	 * Rejects with a PathError if pathname does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
 	 * Rejects with an Error on a File System Error
 	 * @param {string} pathname 
+	 * @param {{trash?: boolean}} [options]
 	 * @returns {Promise<void>}
 	 * @public
 	 * @async
 	 */
-	async delete(pathname) {
-		if (typeof pathname !== 'string')
-			throw new TypeError('Expected pathname to be a String');
+	async delete(pathname, { trash = this.trash } = {}) {
+		if (typeof trash !== 'boolean')
+			throw new TypeError('Expected options.trash to be a Boolean');
+
+		const resolvedPath = await this.resolveEntry(pathname, 'pathname', { followSymlinks: false });
 
-		const resolvedPath = pathname.resolve(this.dataDir, pathname);
+		const retained = trash ? await this.#estimateTrash(resolvedPath) : await this.#estimateRevision(resolvedPath);
 
-		if (!resolvedPath.startsWith(this.dataDir))
-			throw new RangeError('Expected pathname to be inside the Data Directory');
+		await this.mutate({ type: 'delete', resolvedPathname: resolvedPath, retained }, async () => {
+			if (trash)
+				return await this.#moveToTrash(resolvedPath);
 
-		await fs.promises.unlink(resolvedPath);
+			await this.#saveVersion(resolvedPath, true);
+			await this.backend.unlink(resolvedPath);
 
-		this.cache.delete(resolvedPath);
+			this.deleteCached(resolvedPath);
+		});
 	}
 
 	/**
-	 * Syncronously write data to a File specified by filename
-	 * Overwrites the File if it already exists and creates the File if it does not
-	 * @param {string} filename 
-	 * @param {Buffer} data 
-	 * @returns {void}
-	 * @throws {TypeError} if filename is not a String
-	 * @throws {TypeError} if data is not an instance of Buffer
-	 * @throws {RangeError} if filename does not resolve to a Path in the Data Directory
-	 * @throws {Error} on a File System Error
+	 * Recursively delete the Entry specified by pathname and everything below it
+	 * Symbolic Links are removed, not followed. The internal Directory is never deleted.
+	 * options.filter is called with the Path (relative to the Data Directory) and the fs.Stats of every Entry,
+	 * Entries it returns false for are kept together with their parent Directories
+	 * Rejects with a TypeError if pathname is not a String
+	 * Rejects with a TypeError if options.filter is not a Function or null
+	 * Rejects with a PathError if pathname does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error on a File System Error
+	 * @param {string} pathname 
+	 * @param {{filter?: ((relativePathname: string, stats: fs.Stats) => boolean) | null}} [options]
+	 * @returns {Promise<void>}
 	 * @public
+	 * @async
 	 */
-	writeFileSync(filename, data) {
-		if (typeof filename !== 'string')
-			throw new TypeError('Expected filename to be a String');
-
-		if (!(data instanceof Buffer))
-			throw new TypeError('Expected data to be an instance of Buffer');
+	async deleteTree(pathname, { filter = null } = {}) {
+		if (filter !== null && typeof filter !== 'function')
+			throw new TypeError('Expected options.filter to be a Function or null');
 
-		const resolvedFilename = path.resolve(this.dataDir, filename);
+		const resolvedPathname = await this.resolveEntry(pathname, 'pathname', { followSymlinks: false });
 
-		if (!resolvedFilename.startsWith(this.dataDir))
-			throw new RangeError('Expected filename to be inside the Data Directory');
-
-		fs.writeFileSync(resolvedFilename, data);
-
-		this.cache.set(resolvedFilename, data);
+		await this.#deleteEntry(resolvedPathname, filter);
 	}
 
 	/**
-	 * Syncronously and recursively create a Directory Structure specified by dirname.
-	 * @param {string} dirname 
-	 * @returns {void}
-	 * @throws {TypeError} if dirname is not a String
-	 * @throws {RangeError} if dirname does not resolve to a Path in the Data Directory
-	 * @throws {Error} on a File System Error
+	 * Recursively copy the Entry specified by sourcePathname to destinationPathname
+	 * Existing Directories are merged. options.overwrite decides what happens to other existing Entries:
+	 * 'error' (default) rejects, 'skip' keeps the existing Entry and 'replace' overwrites it
+	 * options.symlinks decides how Symbolic Links are handled:
+	 * 'copy' (default) copies the Link itself, 'skip' ignores it and 'follow' copies its Target, which has to be inside the Data Directory
+	 * options.filter works like in deleteTree and is called with Paths of the Source Tree
+	 * Rejects with a TypeError if sourcePathname or destinationPathname is not a String
+	 * Rejects with a TypeError if options.filter is not a Function or null
+	 * Rejects with a TypeError if options.overwrite or options.symlinks is not one of the allowed Values
+	 * Rejects with a PathError if sourcePathname or destinationPathname does not resolve to a Path in the Data Directory
+	 * Rejects with a RangeError if destinationPathname is inside sourcePathname
+	 * Rejects with a PathError if a copied or followed Symbolic Link would point outside the Data Directory
+	 * Rejects with a QuotaError if the copied Tree would exceed a Quota, before anything is copied
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error on a File System Error
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @param {TreeOptions} [options]
+	 * @returns {Promise<void>}
 	 * @public
+	 * @async
 	 */
-	createDirSync(dirname) {
-		if (typeof dirname !== 'string')
-			throw new TypeError('Expected dirname to be a String');
-
-		const resolvedDirectory = path.resolve(this.dataDir, dirname);
+	async copyTree(sourcePathname, destinationPathname, options = {}) {
+		const resolvedSourcePathname = await this.resolveEntry(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = await this.resolveEntry(destinationPathname, 'destinationPathname');
+		const treeOptions = ReadWrite.#prepareTreeOperation(resolvedSourcePathname, resolvedDestinationPathname, options);
 
-		if (!resolvedDirectory.startsWith(this.dataDir))
-			throw new RangeError('Expected dirname to be inside the Data Directory');
-
-		fs.mkdirSync(resolvedDirectory, { recursive: true });
+		await this.#checkCopy(resolvedSourcePathname, resolvedDestinationPathname, treeOptions);
+		await this.#copyEntry(resolvedSourcePathname, resolvedDestinationPathname, treeOptions, new Set(), null);
 	}
 
 	/**
-	 * Syncronously create a Symbolic Link specified by destinationPathname that points to sourcePathname
+	 * Recursively move the Entry specified by sourcePathname to destinationPathname
+	 * If destinationPathname does not exist and no filter is given, the Entry is renamed.
+	 * Otherwise, or if the Rename fails because the Paths are on different Devices, the Tree is copied (see copyTree)
+	 * and every copied Entry is deleted from the Source afterwards. Skipped or filtered Entries stay where they are.
+	 * Rejects with the same Errors as copyTree
 	 * @param {string} sourcePathname 
 	 * @param {string} destinationPathname 
-	 * @returns {void}
-	 * @throws {TypeError} if sourcePathname is not a String
-	 * @throws {TypeError} if destinationPathname is not a String
-	 * @throws {RangeError} if sourcePathname does not resolve to a Path in the Data Directory
-	 * @throws {RangeError} if destinationPathname does not resolve to a Path in the Data Directory
-	 * @throws {Error} on a File System Error
+	 * @param {TreeOptions} [options]
+	 * @returns {Promise<void>}
 	 * @public
+	 * @async
 	 */
-	createSymLinkSync(sourcePathname, destinationPathname) {
-		if (typeof sourcePathname !== 'string')
-			throw new TypeError('Expected sourcePathname to be a String');
+	async moveTree(sourcePathname, destinationPathname, options = {}) {
+		const resolvedSourcePathname = await this.resolveEntry(sourcePathname, 'sourcePathname', { followSymlinks: false });
+		const resolvedDestinationPathname = await this.resolveEntry(destinationPathname, 'destinationPathname', { followSymlinks: false });
+		const treeOptions = ReadWrite.#prepareTreeOperation(resolvedSourcePathname, resolvedDestinationPathname, options);
+
+		if (treeOptions.filter === null && !(await this.#exists(resolvedDestinationPathname))) {
+			try {
+				await this.mutate({ type: 'rename', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, async () => {
+					await this.backend.rename(resolvedSourcePathname, resolvedDestinationPathname);
 
-		if (typeof destinationPathname !== 'string')
-			throw new TypeError('Expected destinationPathname to be a String');
+					this.renameCachedTree(resolvedSourcePathname, resolvedDestinationPathname);
+				});
 
-		const resolvedSourcePathname = path.resolve(this.dataDir, sourcePathname);
-		const resolvedDestinationPathname = path.resolve(this.dataDir, destinationPathname);
+				return;
+			}
+			catch (error) {
+				if (error.code !== 'EXDEV')
+					throw error;
+			}
+		}
 
-		if (!resolvedSourcePathname.startsWith(this.dataDir))
-			throw new RangeError('Expected sourcePathname to be inside the Data Directory');
+		const copied = new Set();
 
-		if (!resolvedDestinationPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected destinationPathname to be inside the Data Directory');
+		await this.#checkCopy(resolvedSourcePathname, resolvedDestinationPathname, treeOptions);
+		await this.#copyEntry(resolvedSourcePathname, resolvedDestinationPathname, treeOptions, new Set(), copied);
 
-		fs.symlinkSync(resolvedSourcePathname, resolvedDestinationPathname);
+		// Children have longer Paths than their Parents, so they are removed first
+		for (const copiedPathname of [...copied].sort((a, b) => b.length - a.length))
+			await this.#removeMovedEntry(copiedPathname);
 	}
 
 	/**
-	 * Syncronously create a Hard Link specified by destinationPathname that points to sourcePathname
-	 * @param {string} sourcePathname 
-	 * @param {string} destinationPathname 
-	 * @returns {void}
-	 * @throws {TypeError} if sourcePathname is not a String
-	 * @throws {TypeError} if destinationPathname is not a String
-	 * @throws {RangeError} if sourcePathname does not resolve to a Path in the Data Directory
-	 * @throws {RangeError} if destinationPathname does not resolve to a Path in the Data Directory
-	 * @throws {Error} on a File System Error
+	 * Unpack the Tar Archive read from readable into the Directory specified by dirname, which is created if it does not exist
+	 * gzip-compressed Archives are detected and decompressed. Files are written atomically like with writeFile, so Hooks, Codecs and Events work the same.
+	 * Their Content is streamed from the Archive into a Temp File without being cached, so before Hooks get no event.data (like for createWriteStream).
+	 * Only Files that Codecs apply to and Files of an Instance with options.dedupe are held in Memory and written through writeFile, so they must not be larger than options.maxEntrySize.
+	 * Modes and Modification Times are kept (except with options.dedupe, where identical Files share them), as well as Symbolic Links and Hard Links inside the Archive.
+	 * Every Path in the Archive has to stay inside dirname: absolute Paths, .. Segments, Entries below a Symbolic Link leading outside of the Data Directory
+	 * and Symbolic Links pointing outside of it are rejected, and so is the internal Directory. Entries before the rejected one stay imported.
+	 * Existing Directories are merged, options.overwrite decides what happens to other existing Entries like in copyTree
+	 * Rejects with a TypeError if dirname is not a String
+	 * Rejects with a TypeError if options.overwrite is not 'error', 'skip' or 'replace'
+	 * Rejects with a TypeError if options.maxEntrySize is not a positive Integer
+	 * Rejects with a PathError if dirname or an Entry of the Archive does not resolve to a Path in the Data Directory
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with a QuotaError if a File would exceed a Quota
+	 * Rejects with an Error if the Archive is invalid, a File held in Memory is larger than options.maxEntrySize, on a File System Error or if readable fails
+	 * @param {AsyncIterable<Buffer>} readable 
+	 * @param {string} dirname 
+	 * @param {{overwrite?: 'error' | 'skip' | 'replace', maxEntrySize?: number}} [options] options.maxEntrySize defaults to ReadWrite.MAX_ENTRY_SIZE
+	 * @returns {Promise<void>}
 	 * @public
+	 * @async
 	 */
-	createHardLinkSync(sourcePathname, destinationPathname) {
-		if (typeof sourcePathname !== 'string')
-			throw new TypeError('Expected sourcePathname to be a String');
+	async importTar(readable, dirname, { overwrite = 'error', maxEntrySize = ReadWrite.MAX_ENTRY_SIZE } = {}) {
+		if (!['error', 'skip', 'replace'].includes(overwrite))
+			throw new TypeError('Expected options.overwrite to be \'error\', \'skip\' or \'replace\'');
 
-		if (typeof destinationPathname !== 'string')
-			throw new TypeError('Expected destinationPathname to be a String');
+		if (!Number.isSafeInteger(maxEntrySize) || maxEntrySize < 0)
+			throw new TypeError('Expected options.maxEntrySize to be a positive Integer');
 
-		const resolvedSourcePathname = path.resolve(this.dataDir, sourcePathname);
-		const resolvedDestinationPathname = path.resolve(this.dataDir, destinationPathname);
+		const resolvedDirname = await this.resolveEntry(dirname, 'dirname');
 
-		if (!resolvedSourcePathname.startsWith(this.dataDir))
-			throw new RangeError('Expected sourcePathname to be inside the Data Directory');
+		if (this.isInternal(resolvedDirname))
+			throw new PathError('Expected dirname not to be inside the internal Directory', dirname);
 
-		if (!resolvedDestinationPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected destinationPathname to be inside the Data Directory');
+		if (!(await this.#exists(resolvedDirname))) {
+			await this.#createParents(resolvedDirname, dirname);
 
-		fs.linkSync(resolvedSourcePathname, resolvedDestinationPathname);
-	}
+			await this.mutate({ type: 'mkdir', resolvedPathname: resolvedDirname }, async () => {
+				await this.backend.mkdir(resolvedDirname, { recursive: true });
+			});
+		}
 
-	/**
-	 * Synchronously rename an Entry specified by oldPathname to newPathname
-	 * @param {string} oldPathname 
-	 * @param {string} newPathname 
-	 * @returns {void}
-	 * @throws {TypeError} if oldPathname is not a String
-	 * @throws {TypeError} if newPathname is not a String
-	 * @throws {RangeError} if oldPathname does not resolve to a Path in the Data Directory
-	 * @throws {RangeError} if newPathname does not resolve to a Path in the Data Directory
-	 * @throws {Error} on a File System Error
-	 * @public
-	 */
-	renameSync(oldPathname, newPathname) {
-		if (typeof oldPathname !== 'string')
-			throw new TypeError('Expected oldPathname to be a String');
+		// Directory Times are set last, as creating their Entries changes them
+		const directories = [];
 
-		if (typeof newPathname !== 'string')
-			throw new TypeError('Expected newPathname to be a String');
+		for await (const entry of Tar.entries(readable)) {
+			const resolvedPathname = this.#resolveTarPathname(resolvedDirname, entry.pathname);
 
-		const resolvedOldPathname = path.resolve(this.dataDir, oldPathname);
-		const resolvedNewPathname = path.resolve(this.dataDir, newPathname);
+			if (resolvedPathname === resolvedDirname)
+				continue;
 
-		if (!resolvedOldPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected oldPathname to be inside the Data Directory');
+			await this.#createParents(resolvedPathname, entry.pathname);
 
-		if (!resolvedNewPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected newPathname to be inside the Data Directory');
+			if (!(await this.#prepareDestination(resolvedPathname, overwrite, entry.type === 'directory')))
+				continue;
 
-		fs.renameSync(resolvedOldPathname, resolvedNewPathname);
+			switch (entry.type) {
+				case 'directory':
+					await this.mutate({ type: 'mkdir', resolvedPathname }, async () => {
+						await this.backend.mkdir(resolvedPathname, { recursive: true });
+						await this.backend.chmod(resolvedPathname, entry.mode);
+					});
 
-		this.cache.rename(resolvedOldPathname, resolvedNewPathname);
-	}
+					directories.push([resolvedPathname, entry.mtime]);
+					break;
+				case 'file':
+					if (this.dedupe || this.codecsFor(resolvedPathname).length > 0)
+						await this.#writeResolved(resolvedPathname, await ReadWrite.#readTarEntry(entry, maxEntrySize), { atomic: true, fsync: false, hardLinks: false }, { mode: entry.mode, mtime: entry.mtime });
+					else
+						await this.#streamResolved(resolvedPathname, entry);
+					break;
+				case 'symlink': {
+					const target = path.resolve(path.dirname(resolvedPathname), entry.linkname);
 
-	/**
-	 * Synchronously copy a File specified by sourcePathname to a Destination specified by destinationPathname
-	 * @param {string} sourcePathname 
-	 * @param {string} destinationPathname 
-	 * @returns {void}
-	 * @throws {TypeError} if sourcePathname is not a String
-	 * @throws {TypeError} if destinationPathname is not a String
-	 * @throws {RangeError} if sourcePathname does not resolve to a Path in the Data Directory
-	 * @throws {RangeError} if destinationPathname does not resolve to a Path in the Data Directory
-	 * @throws {Error} on a File System Error
-	 * @public
-	 */
-	copyFile(sourcePathname, destinationPathname) {
-		if (typeof sourcePathname !== 'string')
-			throw new TypeError('Expected sourcePathname to be a String');
+					if (!IO.isInside(this.dataDir, target) || this.isInternal(target))
+						throw new PathError('Expected the imported Symbolic Link to point inside the Data Directory', entry.pathname);
 
-		if (typeof destinationPathname !== 'string')
-			throw new TypeError('Expected destinationPathname to be a String');
+					await this.mutate({ type: 'symlink', resolvedPathname, resolvedSourcePathname: target }, async () => {
+						await this.backend.symlink(entry.linkname, resolvedPathname);
 
-		const resolvedSourcePathname = path.resolve(this.dataDir, sourcePathname);
-		const resolvedDestinationPathname = path.resolve(this.dataDir, destinationPathname);
+						this.deleteCached(resolvedPathname);
+					});
+					break;
+				}
+				case 'link': {
+					const resolvedSourcePathname = this.#resolveTarPathname(resolvedDirname, entry.linkname);
 
-		if (!resolvedSourcePathname.startsWith(this.dataDir))
-			throw new RangeError('Expected sourcePathname to be inside the Data Directory');
+					await this.mutate({ type: 'link', resolvedPathname, resolvedSourcePathname }, async () => {
+						await this.backend.link(resolvedSourcePathname, resolvedPathname);
 
-		if (!resolvedDestinationPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected destinationPathname to be inside the Data Directory');
+						this.deleteCached(resolvedPathname);
+					});
+					break;
+				}
+			}
+		}
 
-		fs.copyFileSync(resolvedSourcePathname, resolvedDestinationPathname, fs.constants.COPYFILE_FICLONE);
+		for (const [resolvedPathname, mtime] of directories.reverse())
+			await this.backend.utimes(resolvedPathname, mtime, mtime);
 	}
 
 	/**
-	 * Synchronously delete an Entry specified by pathname
+	 * Lock the Entry specified by pathname, run fn and release the Lock once fn settled
+	 * The Lock is held in this Process and, through a Lock File in the Lock Directory, against other Processes using the same Data Directory.
+	 * Other Mutations of the Path wait until the Lock is released, while Mutations made by fn itself go through, so fn can safely read, modify and write the Entry.
+	 * Lock Files are advisory: they only exclude other Processes that lock the same Path with withLock or withLockSync.
+	 * Resolves to the Result of fn
+	 * Rejects with a TypeError if pathname is not a String or fn is not a Function
+	 * Rejects with a TypeError if options.timeout or options.stale is not a positive Integer
+	 * Rejects with a PathError if pathname does not resolve to a Path in the Data Directory
+	 * Rejects with a LockError if the Lock File was not released by another Process within options.timeout
+	 * Rejects with the Error thrown by fn
+	 * Rejects with an Error on a File System Error
+	 * @template T
 	 * @param {string} pathname 
-	 * @returns {void}
-	 * @throws {TypeError} if pathname is not a String
-	 * @throws {RangeError} if pathname does not resolve to a Path in the Data Directory
-	 * @throws {Error} on a File System Error
+	 * @param {() => Promise<T> | T} fn 
+	 * @param {LockFileOptions} [options]
+	 * @returns {Promise<T>}
 	 * @public
+	 * @async
 	 */
-	deleteSync(pathname) {
-		if (typeof pathname !== 'string')
-			throw new TypeError('Expected pathname to be a String');
+	async withLock(pathname, fn, options = {}) {
+		const resolvedPathname = await this.resolveEntry(pathname, 'pathname', { followSymlinks: false });
+		const lockFile = this.#prepareLock(resolvedPathname, fn, options);
 
-		const resolvedPathname = pathname.resolve(this.dataDir, pathname);
+		return await this.runLocked([resolvedPathname], async () => {
+			await lockFile.acquire(options);
+
+			try {
+				return await fn();
+			}
+			finally {
+				await lockFile.release();
+			}
+		});
+	}
+
+	/**
+	 * Run fn with a Transaction and apply all Mutations staged on it at once
+	 * The Transaction offers the Mutation Methods of ReadWrite (writeFile, createDir, createSymLink, createHardLink, rename, copyFile and delete).
+	 * Their Arguments are checked immediately, but the Mutations are only staged in a Journal inside the internal Directory.
+	 * Once fn resolved, every affected Entry is snapshotted into the Journal and the Mutations are applied in Order, with the affected Paths locked.
+	 * If a Mutation fails, all Entries are restored to their Snapshots and the Error is rethrown, so either all or none of the Mutations are applied.
+	 * If fn rejects, nothing is applied. The Cache never holds staged or rolled back Data.
+	 * Journals of crashed Processes on this or another Host are rolled back when a ReadWrite Instance is created (see LockFile.isStale for when a Process counts as crashed).
+	 * Resolves to the Result of fn
+	 * Rejects with a TypeError if fn is not a Function
+	 * Rejects with the Error fn rejected with
+	 * Rejects with the Error of the first Mutation that failed
+	 * Rejects with an Error on a File System Error
+	 * @template T
+	 * @param {(transaction: Transaction) => Promise<T> | T} fn 
+	 * @returns {Promise<T>}
+	 * @public
+	 * @async
+	 */
+	async transaction(fn) {
+		if (typeof fn !== 'function')
+			throw new TypeError('Expected fn to be a Function');
 
-		if (!resolvedPathname.startsWith(this.dataDir))
-			throw new RangeError('Expected pathname to be inside the Data Directory');
+		const { journal, lockFile } = this.#createJournal();
 
-		fs.unlinkSync(resolvedPathname);
+		await lockFile.acquire();
 
-		this.cache.delete(resolvedPathname);
+		try {
+			return await this.#runTransaction(journal, fn);
+		}
+		finally {
+			await lockFile.release();
+		}
 	}
+
+	/**
+	 * List the previous Revisions of the File specified by filename, newest first
+	 * Revisions are only kept with options.versions (see IO), every writeFile and delete of the File then saves its previous Content
+	 * created is the Time the Revision was replaced, size is its stored (encoded) Size in Bytes
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with an Error on a File System Error
+	 * @param {string} filename 
+	 * @returns {Promise<VersionInfo[]>}
+	 * @public
+	 * @async
+	 */
+	async listVersions(filename) {
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+		const dirname = this.#versionDirOf(resolvedFilename);
+		const versions = [];
+
+		for (const id of await this.#readIds(dirname))
+			versions.push({ id, created: ReadWrite.#idTime(id), size: (await this.backend.stat(path.join(dirname, id))).size });
+
+		return versions.reverse();
+	}
+
+	/**
+	 * Read the Revision id of the File specified by filename
+	 * Resolves to the decoded Content of the Revision
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if id is not a Version ID
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a CodecError if the Revision cannot be decoded
+	 * Rejects with an Error on a File System Error (e.g. the Revision does not exist)
+	 * @param {string} filename 
+	 * @param {string} id 
+	 * @returns {Promise<Buffer>}
+	 * @public
+	 * @async
+	 */
+	async readVersion(filename, id) {
+		ReadWrite.#checkId(id, 'Version');
+
+		const resolvedFilename = await this.resolveEntry(filename, 'filename');
+		const { data } = await this.backend.readFile(path.join(this.#versionDirOf(resolvedFilename), id));
+
+		return await this.decode(resolvedFilename, data);
+	}
+
+	/**
+	 * Write the Revision id back to the File specified by filename
+	 * The Content is written like in writeFile, so the current Content becomes a Revision itself and the Restore can be undone
+	 * Rejects with a TypeError if filename is not a String
+	 * Rejects with a TypeError if id is not a Version ID
+	 * Rejects with a TypeError if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * Rejects with a PathError if filename does not resolve to a Path in the Data Directory
+	 * Rejects with a CodecError if the Revision cannot be decoded
+	 * Rejects with a VetoError if a before Hook returned false
+	 * Rejects with an Error on a File System Error (e.g. the Revision does not exist)
+	 * @param {string} filename 
+	 * @param {string} id 
+	 * @param {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async restore(filename, id, options = {}) {
+		const writeOptions = ReadWrite.#prepareWriteOptions(options);
+		const data = await this.readVersion(filename, id);
+
+		await this.#writeResolved(await this.resolveEntry(filename, 'filename'), data, writeOptions);
+	}
+
+	/**
+	 * Save a Snapshot of the whole Data Directory, except the internal Directory
+	 * Files are cloned with copyFile and COPYFILE_FICLONE, which creates cheap Copy-on-Write Clones (Reflinks) where the File System supports them and full Copies otherwise.
+	 * With options.hardLinks, Files are hard linked instead, which is cheap everywhere. Atomic Writes (of Files without other Hard Links) and deletes keep the Snapshot intact,
+	 * but Changes made in Place (non-atomic writeFile, appendFile, writeAt, truncate and createWriteStream) then change the Snapshot as well.
+	 * The Snapshot is not atomic: Mutations made while it is saved may or may not be part of it
+	 * Resolves to the ID of the Snapshot
+	 * Rejects with a TypeError if options.hardLinks is not a Boolean
+	 * Rejects with an Error on a File System Error
+	 * @param {{hardLinks?: boolean}} [options]
+	 * @returns {Promise<string>}
+	 * @public
+	 * @async
+	 */
+	async snapshot({ hardLinks = false } = {}) {
+		if (typeof hardLinks !== 'boolean')
+			throw new TypeError('Expected options.hardLinks to be a Boolean');
+
+		const id = ReadWrite.#createId();
+		const dirname = path.join(this.snapshotDir, id);
+
+		await this.backend.mkdir(dirname, { recursive: true });
+		await this.#cloneTree(this.dataDir, path.join(dirname, 'tree'), hardLinks);
+		await this.backend.writeFile(path.join(dirname, 'snapshot.json'), Buffer.from(JSON.stringify(this.#snapshotInfo(hardLinks))), { fsync: true });
+
+		return id;
+	}
+
+	/**
+	 * List the Snapshots of the Data Directory, newest first
+	 * Snapshots of other Data Directories (e.g. of a Scope or its Parent) are not listed
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<SnapshotInfo[]>}
+	 * @public
+	 * @async
+	 */
+	async listSnapshots() {
+		const snapshots = [];
+
+		for (const id of await this.#readIds(this.snapshotDir)) {
+			const info = await this.#readSnapshotInfo(id);
+
+			if (info !== null && info.pathname === this.#snapshotInfo(false).pathname)
+				snapshots.push({ id, created: ReadWrite.#idTime(id), hardLinks: info.hardLinks });
+		}
+
+		return snapshots.reverse();
+	}
+
+	/**
+	 * Restore the Data Directory to the Snapshot id
+	 * Every Entry of the Data Directory except the internal Directory is removed and the Entries of the Snapshot are cloned back like in snapshot,
+	 * the Snapshot itself is kept. The whole Cache of the Data Directory is evicted and its Usage is counted again. No Hooks run and no Events are emitted.
+	 * Mutations made while the Snapshot is restored are not coordinated with it
+	 * Rejects with a TypeError if id is not a Snapshot ID
+	 * Rejects with an Error if the Snapshot does not exist or belongs to another Data Directory
+	 * Rejects with an Error on a File System Error
+	 * @param {string} id 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async restoreSnapshot(id) {
+		ReadWrite.#checkId(id, 'Snapshot');
+
+		const info = await this.#readSnapshotInfo(id);
+
+		if (info === null || info.pathname !== this.#snapshotInfo(false).pathname)
+			throw new Error(`Expected the Snapshot ${JSON.stringify(id)} of the Data Directory to exist`);
+
+		try {
+			await this.withBlobs([this.dataDir], async () => {
+				for (const { name } of await this.backend.readdir(this.dataDir)) {
+					if (!this.isInternal(path.join(this.dataDir, name)))
+						await this.backend.rm(path.join(this.dataDir, name), { recursive: true, force: true });
+				}
+			});
+
+			await this.#cloneTree(path.join(this.snapshotDir, id, 'tree'), this.dataDir, info.hardLinks);
+		}
+		finally {
+			this.deleteCachedTree(this.dataDir);
+			await this.updateUsage([this.dataDir]);
+			await this.rehash(this.dataDir);
+		}
+	}
+
+	/**
+	 * Delete the Snapshot id
+	 * Rejects with a TypeError if id is not a Snapshot ID
+	 * Rejects with an Error on a File System Error
+	 * @param {string} id 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async deleteSnapshot(id) {
+		ReadWrite.#checkId(id, 'Snapshot');
+
+		await this.withBlobs([path.join(this.snapshotDir, id)], async () => await this.backend.rm(path.join(this.snapshotDir, id), { recursive: true, force: true }));
+	}
+
+	/**
+	 * List the Entries of the Data Directory in the Trash, newest first
+	 * Entries are moved into the Trash by delete with options.trash. Entries deleted from other Data Directories (e.g. of a Scope or its Parent) are listed if they were inside this Data Directory
+	 * Rejects with an Error on a File System Error
+	 * @returns {Promise<TrashInfo[]>}
+	 * @public
+	 * @async
+	 */
+	async listTrash() {
+		const entries = [];
+
+		for (const id of await this.#readIds(this.trashDir)) {
+			const info = this.#trashInfo(await this.#readTrashInfo(id));
+
+			if (info !== null)
+				entries.push({ id, pathname: info.pathname, deleted: ReadWrite.#idTime(id), size: info.size });
+		}
+
+		return entries.reverse();
+	}
+
+	/**
+	 * Move the Entry id out of the Trash back to its original Path
+	 * Missing Parent Directories are created. The Cache of the Path is evicted, no Hooks run and no Events are emitted
+	 * Rejects with a TypeError if id is not a Trash ID
+	 * Rejects with a PathError if the original Path does not resolve to a Path in the Data Directory anymore
+	 * Rejects with an Error if the Entry is not in the Trash of the Data Directory
+	 * Rejects with an Error if an Entry exists at the original Path
+	 * Rejects with a QuotaError if the Entry would exceed a Quota
+	 * Rejects with an Error on a File System Error
+	 * @param {string} id 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async restoreFromTrash(id) {
+		ReadWrite.#checkId(id, 'Trash');
+
+		const info = this.#trashInfo(await this.#readTrashInfo(id));
+
+		if (info === null)
+			throw new Error(`Expected the Trash Entry ${JSON.stringify(id)} of the Data Directory to exist`);
+
+		const resolvedPathname = await this.resolveEntry(info.pathname, 'pathname', { followSymlinks: false });
+		const dirname = path.join(this.trashDir, id);
+
+		await this.runLocked([resolvedPathname], async () => {
+			if (await this.#exists(resolvedPathname))
+				throw new Error(`Expected no Entry to exist at ${JSON.stringify(info.pathname)}`);
+
+			await this.accountUsage({ type: 'rename', resolvedPathname, resolvedSourcePathname: path.join(dirname, 'entry'), retained: -info.size }, undefined, async () => {
+				await this.backend.mkdir(path.dirname(resolvedPathname), { recursive: true });
+				await this.backend.rename(path.join(dirname, 'entry'), resolvedPathname);
+				this.chargeUsage(resolvedPathname, -info.size);
+			});
+
+			this.deleteCachedTree(resolvedPathname);
+			await this.rehash(resolvedPathname);
+
+			await this.backend.rm(dirname, { recursive: true, force: true });
+		});
+	}
+
+	/**
+	 * Permanently remove the Entries of the Data Directory from the Trash
+	 * With options.olderThan, only Entries deleted at least olderThan Milliseconds ago are removed (defaults to 0, which removes every Entry)
+	 * Resolves to the Number of removed Entries
+	 * Rejects with a TypeError if options.olderThan is not a positive Integer or 0
+	 * Rejects with an Error on a File System Error
+	 * @param {{olderThan?: number}} [options]
+	 * @returns {Promise<number>}
+	 * @public
+	 * @async
+	 */
+	async emptyTrash({ olderThan = 0 } = {}) {
+		if (!Number.isSafeInteger(olderThan) || olderThan < 0)
+			throw new TypeError('Expected options.olderThan to be a positive Integer or 0');
+
+		const now = Date.now();
+		let removed = 0;
+
+		for (const { id, pathname, deleted, size } of await this.listTrash()) {
+			if (now - deleted.getTime() < olderThan)
+				continue;
+
+			await this.withBlobs([path.join(this.trashDir, id)], async () => await this.backend.rm(path.join(this.trashDir, id), { recursive: true, force: true }));
+			this.chargeUsage(path.join(this.dataDir, pathname), -size);
+			removed++;
+		}
+
+		return removed;
+	}
+
+	/**
+	 * Syncronously write data to a File specified by filename
+	 * Overwrites the File if it already exists and creates the File if it does not
+	 * By default the Write is atomic and flushed to the Disk (see writeFile)
+	 * @param {string} filename 
+	 * @param {Buffer} data 
+	 * @param {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if data is not an instance of Buffer
+	 * @throws {TypeError} if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	writeFileSync(filename, data, options = {}) {
+		if (!(data instanceof Buffer))
+			throw new TypeError('Expected data to be an instance of Buffer');
+
+		const writeOptions = ReadWrite.#prepareWriteOptions(options);
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		this.#writeResolvedSync(resolvedFilename, data, writeOptions);
+	}
+
+	/**
+	 * Synchronously write text to a File specified by filename
+	 * See writeText
+	 * @param {string} filename 
+	 * @param {string} text 
+	 * @param {{encoding?: BufferEncoding, atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename or text is not a String
+	 * @throws {TypeError} if options.encoding is not a supported Encoding
+	 * @throws {TypeError} if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	writeTextSync(filename, text, { encoding = 'utf8', ...options } = {}) {
+		if (typeof text !== 'string')
+			throw new TypeError('Expected text to be a String');
+
+		ReadOnly.checkEncoding(encoding);
+
+		this.writeFileSync(filename, Buffer.from(text, encoding), options);
+	}
+
+	/**
+	 * Synchronously write value as JSON to a File specified by filename
+	 * See writeJSON
+	 * @param {string} filename 
+	 * @param {any} value 
+	 * @param {{space?: number | string, atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if value cannot be serialized as JSON (e.g. undefined or a Function)
+	 * @throws {TypeError} if options.space is not a Number or a String
+	 * @throws {TypeError} if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {ValidationError} if a Validator returned false
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} thrown by a Validator or on a File System Error
+	 * @public
+	 */
+	writeJSONSync(filename, value, { space = 0, ...options } = {}) {
+		const data = ReadWrite.#serializeJSON(value, space);
+		const writeOptions = ReadWrite.#prepareWriteOptions(options);
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		this.validate(resolvedFilename, value);
+
+		this.#writeResolvedSync(resolvedFilename, data, writeOptions);
+	}
+
+	/**
+	 * Synchronously append values as NDJSON (one JSON Value per Line) to a File specified by filename
+	 * See appendLines
+	 * @param {string} filename 
+	 * @param {any[]} values 
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if values is not an Array
+	 * @throws {TypeError} if a Value cannot be serialized as JSON
+	 * @throws {TypeError} if options.fsync is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {ValidationError} if a Validator returned false
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} thrown by a Validator or on a File System Error
+	 * @public
+	 */
+	appendLinesSync(filename, values, { fsync = true } = {}) {
+		const lines = ReadWrite.#serializeLines(values);
+
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		values.forEach(value => this.validate(resolvedFilename, value));
+
+		this.runLockedSync([resolvedFilename], () => {
+			let last = Buffer.alloc(0);
+
+			try {
+				if (this.codecsFor(resolvedFilename).length > 0)
+					last = this.#readDecodedSync(resolvedFilename).subarray(-1);
+				else {
+					const stats = this.backend.statSync(resolvedFilename);
+
+					if (stats.size > 0)
+						last = this.backend.readRangeSync(resolvedFilename, stats.size - 1, 1);
+				}
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+
+			this.#appendResolvedSync(resolvedFilename, ReadWrite.#appendLines(last, lines), fsync);
+		});
+	}
+
+	/**
+	 * Synchronously append data to the File specified by filename
+	 * See appendFile
+	 * @param {string} filename 
+	 * @param {Buffer} data 
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if data is not an instance of Buffer
+	 * @throws {TypeError} if options.fsync is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {CodecError} if the File cannot be decoded
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	appendFileSync(filename, data, { fsync = true } = {}) {
+		if (!(data instanceof Buffer))
+			throw new TypeError('Expected data to be an instance of Buffer');
+
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		this.#appendResolvedSync(resolvedFilename, data, fsync);
+	}
+
+	/**
+	 * Synchronously write data into the File specified by filename at offset
+	 * See writeAt
+	 * @param {string} filename 
+	 * @param {number} offset 
+	 * @param {Buffer} data 
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if offset is not a positive Integer
+	 * @throws {TypeError} if data is not an instance of Buffer
+	 * @throws {TypeError} if options.fsync is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {CodecError} if the File cannot be decoded
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	writeAtSync(filename, offset, data, { fsync = true } = {}) {
+		if (!Number.isSafeInteger(offset) || offset < 0)
+			throw new TypeError('Expected offset to be a positive Integer');
+
+		if (!(data instanceof Buffer))
+			throw new TypeError('Expected data to be an instance of Buffer');
+
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		this.mutateSync({ type: 'write', resolvedPathname: resolvedFilename, data, partial: 'writeAt', offset }, (data) => {
+			if (this.codecsFor(resolvedFilename).length > 0)
+				return this.#rewriteResolvedSync(resolvedFilename, content => ReadWrite.#patch(content, offset, data), fsync);
+
+			const stats = this.backend.writeAtSync(resolvedFilename, offset, data, { fsync });
+
+			this.patchCached(resolvedFilename, stats, cached => ReadWrite.#patch(cached, offset, data));
+
+			return data.length;
+		});
+	}
+
+	/**
+	 * Synchronously shorten or extend the existing File specified by filename to length Bytes
+	 * See truncate
+	 * @param {string} filename 
+	 * @param {number} length 
+	 * @param {{fsync?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if length is not a positive Integer
+	 * @throws {TypeError} if options.fsync is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {CodecError} if the File cannot be decoded
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error (e.g. the File does not exist)
+	 * @public
+	 */
+	truncateSync(filename, length, { fsync = true } = {}) {
+		if (!Number.isSafeInteger(length) || length < 0)
+			throw new TypeError('Expected length to be a positive Integer');
+
+		ReadWrite.#checkFsync(fsync);
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+
+		this.mutateSync({ type: 'write', resolvedPathname: resolvedFilename, partial: 'truncate', offset: length }, () => {
+			if (this.codecsFor(resolvedFilename).length > 0) {
+				this.#rewriteResolvedSync(resolvedFilename, content => ReadWrite.#resize(content, length), fsync, false);
+				return;
+			}
+
+			const stats = this.backend.truncateSync(resolvedFilename, length, { fsync });
+
+			this.patchCached(resolvedFilename, stats, cached => ReadWrite.#resize(cached, length));
+		});
+	}
+
+	/**
+	 * Syncronously and recursively create a Directory Structure specified by dirname.
+	 * @param {string} dirname 
+	 * @returns {void}
+	 * @throws {TypeError} if dirname is not a String
+	 * @throws {PathError} if dirname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	createDirSync(dirname) {
+		const resolvedDirectory = this.resolveEntrySync(dirname, 'dirname');
+
+		this.mutateSync({ type: 'mkdir', resolvedPathname: resolvedDirectory }, () => {
+			this.backend.mkdirSync(resolvedDirectory, { recursive: true });
+		});
+	}
+
+	/**
+	 * Syncronously create a Symbolic Link specified by destinationPathname that points to sourcePathname
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {void}
+	 * @throws {TypeError} if sourcePathname is not a String
+	 * @throws {TypeError} if destinationPathname is not a String
+	 * @throws {PathError} if sourcePathname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if destinationPathname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	createSymLinkSync(sourcePathname, destinationPathname) {
+		const resolvedSourcePathname = this.resolveEntrySync(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = this.resolveEntrySync(destinationPathname, 'destinationPathname', { followSymlinks: false });
+
+		this.mutateSync({ type: 'symlink', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, () => {
+			this.backend.symlinkSync(resolvedSourcePathname, resolvedDestinationPathname);
+		});
+	}
+
+	/**
+	 * Syncronously create a Hard Link specified by destinationPathname that points to sourcePathname
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {void}
+	 * @throws {TypeError} if sourcePathname is not a String
+	 * @throws {TypeError} if destinationPathname is not a String
+	 * @throws {PathError} if sourcePathname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if destinationPathname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	createHardLinkSync(sourcePathname, destinationPathname) {
+		const resolvedSourcePathname = this.resolveEntrySync(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = this.resolveEntrySync(destinationPathname, 'destinationPathname', { followSymlinks: false });
+
+		this.mutateSync({ type: 'link', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, () => {
+			this.backend.linkSync(resolvedSourcePathname, resolvedDestinationPathname);
+		});
+	}
+
+	/**
+	 * Synchronously rename an Entry specified by oldPathname to newPathname
+	 * @param {string} oldPathname 
+	 * @param {string} newPathname 
+	 * @returns {void}
+	 * @throws {TypeError} if oldPathname is not a String
+	 * @throws {TypeError} if newPathname is not a String
+	 * @throws {PathError} if oldPathname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if newPathname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	renameSync(oldPathname, newPathname) {
+		const resolvedOldPathname = this.resolveEntrySync(oldPathname, 'oldPathname', { followSymlinks: false });
+		const resolvedNewPathname = this.resolveEntrySync(newPathname, 'newPathname', { followSymlinks: false });
+
+		this.mutateSync({ type: 'rename', resolvedPathname: resolvedNewPathname, resolvedSourcePathname: resolvedOldPathname }, () => {
+			this.backend.renameSync(resolvedOldPathname, resolvedNewPathname);
+
+			this.renameCachedTree(resolvedOldPathname, resolvedNewPathname);
+		});
+	}
+
+	/**
+	 * Synchronously copy a File specified by sourcePathname to a Destination specified by destinationPathname
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {void}
+	 * @throws {TypeError} if sourcePathname is not a String
+	 * @throws {TypeError} if destinationPathname is not a String
+	 * @throws {PathError} if sourcePathname does not resolve to a Path in the Data Directory
+	 * @throws {PathError} if destinationPathname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	copyFileSync(sourcePathname, destinationPathname) {
+		const resolvedSourcePathname = this.resolveEntrySync(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = this.resolveEntrySync(destinationPathname, 'destinationPathname');
+
+		this.mutateSync({ type: 'copy', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, () => {
+			this.backend.copyFileSync(resolvedSourcePathname, resolvedDestinationPathname, fs.constants.COPYFILE_FICLONE);
+
+			this.deleteCached(resolvedDestinationPathname);
+
+			return this.backend.statSync(resolvedDestinationPathname).size;
+		});
+	}
+
+	/**
+	 * Synchronously delete an Entry specified by pathname. See delete
+	 * @param {string} pathname 
+	 * @param {{trash?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if pathname is not a String
+	 * @throws {TypeError} if options.trash is not a Boolean
+	 * @throws {PathError} if pathname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	deleteSync(pathname, { trash = this.trash } = {}) {
+		if (typeof trash !== 'boolean')
+			throw new TypeError('Expected options.trash to be a Boolean');
+
+		const resolvedPathname = this.resolveEntrySync(pathname, 'pathname', { followSymlinks: false });
+
+		const retained = trash ? this.#estimateTrashSync(resolvedPathname) : this.#estimateRevisionSync(resolvedPathname);
+
+		this.mutateSync({ type: 'delete', resolvedPathname, retained }, () => {
+			if (trash)
+				return this.#moveToTrashSync(resolvedPathname);
+
+			this.#saveVersionSync(resolvedPathname, true);
+			this.backend.unlinkSync(resolvedPathname);
+
+			this.deleteCached(resolvedPathname);
+		});
+	}
+
+	/**
+	 * Synchronously and recursively delete the Entry specified by pathname and everything below it
+	 * See deleteTree
+	 * @param {string} pathname 
+	 * @param {{filter?: ((relativePathname: string, stats: fs.Stats) => boolean) | null}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if pathname is not a String
+	 * @throws {TypeError} if options.filter is not a Function or null
+	 * @throws {PathError} if pathname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	deleteTreeSync(pathname, { filter = null } = {}) {
+		if (filter !== null && typeof filter !== 'function')
+			throw new TypeError('Expected options.filter to be a Function or null');
+
+		const resolvedPathname = this.resolveEntrySync(pathname, 'pathname', { followSymlinks: false });
+
+		this.#deleteEntrySync(resolvedPathname, filter);
+	}
+
+	/**
+	 * Synchronously and recursively copy the Entry specified by sourcePathname to destinationPathname
+	 * See copyTree
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @param {TreeOptions} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if sourcePathname or destinationPathname is not a String
+	 * @throws {TypeError} if options.filter is not a Function or null
+	 * @throws {TypeError} if options.overwrite or options.symlinks is not one of the allowed Values
+	 * @throws {PathError} if sourcePathname or destinationPathname does not resolve to a Path in the Data Directory
+	 * @throws {RangeError} if destinationPathname is inside sourcePathname
+	 * @throws {PathError} if a copied or followed Symbolic Link would point outside the Data Directory
+	 * @throws {QuotaError} if the copied Tree would exceed a Quota, before anything is copied
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	copyTreeSync(sourcePathname, destinationPathname, options = {}) {
+		const resolvedSourcePathname = this.resolveEntrySync(sourcePathname, 'sourcePathname');
+		const resolvedDestinationPathname = this.resolveEntrySync(destinationPathname, 'destinationPathname');
+		const treeOptions = ReadWrite.#prepareTreeOperation(resolvedSourcePathname, resolvedDestinationPathname, options);
+
+		this.#checkCopySync(resolvedSourcePathname, resolvedDestinationPathname, treeOptions);
+		this.#copyEntrySync(resolvedSourcePathname, resolvedDestinationPathname, treeOptions, new Set(), null);
+	}
+
+	/**
+	 * Synchronously and recursively move the Entry specified by sourcePathname to destinationPathname
+	 * See moveTree
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @param {TreeOptions} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if sourcePathname or destinationPathname is not a String
+	 * @throws {TypeError} if options.filter is not a Function or null
+	 * @throws {TypeError} if options.overwrite or options.symlinks is not one of the allowed Values
+	 * @throws {PathError} if sourcePathname or destinationPathname does not resolve to a Path in the Data Directory
+	 * @throws {RangeError} if destinationPathname is inside sourcePathname
+	 * @throws {PathError} if a copied or followed Symbolic Link would point outside the Data Directory
+	 * @throws {QuotaError} if the copied Tree would exceed a Quota, before anything is copied
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	moveTreeSync(sourcePathname, destinationPathname, options = {}) {
+		const resolvedSourcePathname = this.resolveEntrySync(sourcePathname, 'sourcePathname', { followSymlinks: false });
+		const resolvedDestinationPathname = this.resolveEntrySync(destinationPathname, 'destinationPathname', { followSymlinks: false });
+		const treeOptions = ReadWrite.#prepareTreeOperation(resolvedSourcePathname, resolvedDestinationPathname, options);
+
+		if (treeOptions.filter === null && !this.#existsSync(resolvedDestinationPathname)) {
+			try {
+				this.mutateSync({ type: 'rename', resolvedPathname: resolvedDestinationPathname, resolvedSourcePathname }, () => {
+					this.backend.renameSync(resolvedSourcePathname, resolvedDestinationPathname);
+
+					this.renameCachedTree(resolvedSourcePathname, resolvedDestinationPathname);
+				});
+
+				return;
+			}
+			catch (error) {
+				if (error.code !== 'EXDEV')
+					throw error;
+			}
+		}
+
+		const copied = new Set();
+
+		this.#checkCopySync(resolvedSourcePathname, resolvedDestinationPathname, treeOptions);
+		this.#copyEntrySync(resolvedSourcePathname, resolvedDestinationPathname, treeOptions, new Set(), copied);
+
+		for (const copiedPathname of [...copied].sort((a, b) => b.length - a.length))
+			this.#removeMovedEntrySync(copiedPathname);
+	}
+
+	/**
+	 * Synchronously lock the Entry specified by pathname, run fn and release the Lock once fn returned
+	 * See withLock. The Lock File is not refreshed while fn runs, so fn should return within options.stale
+	 * @template T
+	 * @param {string} pathname 
+	 * @param {() => T} fn 
+	 * @param {LockFileOptions} [options]
+	 * @returns {T}
+	 * @throws {TypeError} if pathname is not a String or fn is not a Function
+	 * @throws {TypeError} if options.timeout or options.stale is not a positive Integer
+	 * @throws {PathError} if pathname does not resolve to a Path in the Data Directory
+	 * @throws {LockError} if the Path is locked by a pending asynchronous Operation of this Process
+	 * @throws {LockError} if the Lock File was not released by another Process within options.timeout
+	 * @throws {Error} the Error thrown by fn
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	withLockSync(pathname, fn, options = {}) {
+		const resolvedPathname = this.resolveEntrySync(pathname, 'pathname', { followSymlinks: false });
+		const lockFile = this.#prepareLock(resolvedPathname, fn, options);
+
+		return this.runLockedSync([resolvedPathname], () => {
+			lockFile.acquireSync(options);
+
+			try {
+				return fn();
+			}
+			finally {
+				lockFile.releaseSync();
+			}
+		});
+	}
+
+	/**
+	 * Synchronously run fn with a Transaction and apply all Mutations staged on it at once
+	 * See transaction. fn has to stage its Mutations with the synchronous Methods of the Transaction
+	 * @template T
+	 * @param {(transaction: Transaction) => T} fn 
+	 * @returns {T}
+	 * @throws {TypeError} if fn is not a Function or returned a Promise
+	 * @throws {LockError} if an affected Path is locked by a pending asynchronous Operation
+	 * @throws {Error} the Error thrown by fn
+	 * @throws {Error} the Error of the first Mutation that failed
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	transactionSync(fn) {
+		if (typeof fn !== 'function')
+			throw new TypeError('Expected fn to be a Function');
+
+		const { journal, lockFile } = this.#createJournal();
+
+		lockFile.acquireSync();
+
+		try {
+			return this.#runTransactionSync(journal, fn);
+		}
+		finally {
+			lockFile.releaseSync();
+		}
+	}
+
+	/**
+	 * Synchronously list the previous Revisions of the File specified by filename, newest first
+	 * See listVersions
+	 * @param {string} filename 
+	 * @returns {VersionInfo[]}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	listVersionsSync(filename) {
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+		const dirname = this.#versionDirOf(resolvedFilename);
+
+		return this.#readIdsSync(dirname).map(id => ({
+			id,
+			created: ReadWrite.#idTime(id),
+			size: this.backend.statSync(path.join(dirname, id)).size
+		})).reverse();
+	}
+
+	/**
+	 * Synchronously read the Revision id of the File specified by filename
+	 * See readVersion
+	 * @param {string} filename 
+	 * @param {string} id 
+	 * @returns {Buffer}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if id is not a Version ID
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {CodecError} if the Revision cannot be decoded
+	 * @throws {Error} on a File System Error (e.g. the Revision does not exist)
+	 * @public
+	 */
+	readVersionSync(filename, id) {
+		ReadWrite.#checkId(id, 'Version');
+
+		const resolvedFilename = this.resolveEntrySync(filename, 'filename');
+		const { data } = this.backend.readFileSync(path.join(this.#versionDirOf(resolvedFilename), id));
+
+		return this.decodeSync(resolvedFilename, data);
+	}
+
+	/**
+	 * Synchronously write the Revision id back to the File specified by filename
+	 * See restore
+	 * @param {string} filename 
+	 * @param {string} id 
+	 * @param {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {TypeError} if filename is not a String
+	 * @throws {TypeError} if id is not a Version ID
+	 * @throws {TypeError} if options.atomic, options.fsync or options.hardLinks is not a Boolean
+	 * @throws {PathError} if filename does not resolve to a Path in the Data Directory
+	 * @throws {CodecError} if the Revision cannot be decoded
+	 * @throws {LockError} if a Path is locked by a pending asynchronous Operation
+	 * @throws {VetoError} if a before Hook returned false
+	 * @throws {Error} on a File System Error (e.g. the Revision does not exist)
+	 * @public
+	 */
+	restoreSync(filename, id, options = {}) {
+		const writeOptions = ReadWrite.#prepareWriteOptions(options);
+		const data = this.readVersionSync(filename, id);
+
+		this.#writeResolvedSync(this.resolveEntrySync(filename, 'filename'), data, writeOptions);
+	}
+
+	/**
+	 * Synchronously save a Snapshot of the whole Data Directory
+	 * See snapshot
+	 * @param {{hardLinks?: boolean}} [options]
+	 * @returns {string}
+	 * @throws {TypeError} if options.hardLinks is not a Boolean
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	snapshotSync({ hardLinks = false } = {}) {
+		if (typeof hardLinks !== 'boolean')
+			throw new TypeError('Expected options.hardLinks to be a Boolean');
+
+		const id = ReadWrite.#createId();
+		const dirname = path.join(this.snapshotDir, id);
+
+		this.backend.mkdirSync(dirname, { recursive: true });
+		this.#cloneTreeSync(this.dataDir, path.join(dirname, 'tree'), hardLinks);
+		this.backend.writeFileSync(path.join(dirname, 'snapshot.json'), Buffer.from(JSON.stringify(this.#snapshotInfo(hardLinks))), { fsync: true });
+
+		return id;
+	}
+
+	/**
+	 * Synchronously list the Snapshots of the Data Directory, newest first
+	 * See listSnapshots
+	 * @returns {SnapshotInfo[]}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	listSnapshotsSync() {
+		const snapshots = [];
+
+		for (const id of this.#readIdsSync(this.snapshotDir)) {
+			const info = this.#readSnapshotInfoSync(id);
+
+			if (info !== null && info.pathname === this.#snapshotInfo(false).pathname)
+				snapshots.push({ id, created: ReadWrite.#idTime(id), hardLinks: info.hardLinks });
+		}
+
+		return snapshots.reverse();
+	}
+
+	/**
+	 * Synchronously restore the Data Directory to the Snapshot id
+	 * See restoreSnapshot
+	 * @param {string} id 
+	 * @returns {void}
+	 * @throws {TypeError} if id is not a Snapshot ID
+	 * @throws {Error} if the Snapshot does not exist or belongs to another Data Directory
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	restoreSnapshotSync(id) {
+		ReadWrite.#checkId(id, 'Snapshot');
+
+		const info = this.#readSnapshotInfoSync(id);
+
+		if (info === null || info.pathname !== this.#snapshotInfo(false).pathname)
+			throw new Error(`Expected the Snapshot ${JSON.stringify(id)} of the Data Directory to exist`);
+
+		try {
+			this.withBlobsSync([this.dataDir], () => {
+				for (const { name } of this.backend.readdirSync(this.dataDir)) {
+					if (!this.isInternal(path.join(this.dataDir, name)))
+						this.backend.rmSync(path.join(this.dataDir, name), { recursive: true, force: true });
+				}
+			});
+
+			this.#cloneTreeSync(path.join(this.snapshotDir, id, 'tree'), this.dataDir, info.hardLinks);
+		}
+		finally {
+			this.deleteCachedTree(this.dataDir);
+			this.updateUsageSync([this.dataDir]);
+			this.rehashSync(this.dataDir);
+		}
+	}
+
+	/**
+	 * Synchronously delete the Snapshot id
+	 * @param {string} id 
+	 * @returns {void}
+	 * @throws {TypeError} if id is not a Snapshot ID
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	deleteSnapshotSync(id) {
+		ReadWrite.#checkId(id, 'Snapshot');
+
+		this.withBlobsSync([path.join(this.snapshotDir, id)], () => this.backend.rmSync(path.join(this.snapshotDir, id), { recursive: true, force: true }));
+	}
+
+	/**
+	 * Synchronously list the Entries of the Data Directory in the Trash, newest first. See listTrash
+	 * @returns {TrashInfo[]}
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	listTrashSync() {
+		const entries = [];
+
+		for (const id of this.#readIdsSync(this.trashDir)) {
+			const info = this.#trashInfo(this.#readTrashInfoSync(id));
+
+			if (info !== null)
+				entries.push({ id, pathname: info.pathname, deleted: ReadWrite.#idTime(id), size: info.size });
+		}
+
+		return entries.reverse();
+	}
+
+	/**
+	 * Synchronously move the Entry id out of the Trash back to its original Path. See restoreFromTrash
+	 * @param {string} id 
+	 * @returns {void}
+	 * @throws {TypeError} if id is not a Trash ID
+	 * @throws {PathError} if the original Path does not resolve to a Path in the Data Directory anymore
+	 * @throws {LockError} if the original Path is locked by a pending asynchronous Operation
+	 * @throws {Error} if the Entry is not in the Trash of the Data Directory
+	 * @throws {Error} if an Entry exists at the original Path
+	 * @throws {QuotaError} if the Entry would exceed a Quota
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	restoreFromTrashSync(id) {
+		ReadWrite.#checkId(id, 'Trash');
+
+		const info = this.#trashInfo(this.#readTrashInfoSync(id));
+
+		if (info === null)
+			throw new Error(`Expected the Trash Entry ${JSON.stringify(id)} of the Data Directory to exist`);
+
+		const resolvedPathname = this.resolveEntrySync(info.pathname, 'pathname', { followSymlinks: false });
+		const dirname = path.join(this.trashDir, id);
+
+		this.runLockedSync([resolvedPathname], () => {
+			if (this.#existsSync(resolvedPathname))
+				throw new Error(`Expected no Entry to exist at ${JSON.stringify(info.pathname)}`);
+
+			this.accountUsageSync({ type: 'rename', resolvedPathname, resolvedSourcePathname: path.join(dirname, 'entry'), retained: -info.size }, undefined, () => {
+				this.backend.mkdirSync(path.dirname(resolvedPathname), { recursive: true });
+				this.backend.renameSync(path.join(dirname, 'entry'), resolvedPathname);
+				this.chargeUsage(resolvedPathname, -info.size);
+			});
+
+			this.deleteCachedTree(resolvedPathname);
+			this.rehashSync(resolvedPathname);
+
+			this.backend.rmSync(dirname, { recursive: true, force: true });
+		});
+	}
+
+	/**
+	 * Synchronously and permanently remove the Entries of the Data Directory from the Trash. See emptyTrash
+	 * @param {{olderThan?: number}} [options]
+	 * @returns {number}
+	 * @throws {TypeError} if options.olderThan is not a positive Integer or 0
+	 * @throws {Error} on a File System Error
+	 * @public
+	 */
+	emptyTrashSync({ olderThan = 0 } = {}) {
+		if (!Number.isSafeInteger(olderThan) || olderThan < 0)
+			throw new TypeError('Expected options.olderThan to be a positive Integer or 0');
+
+		const now = Date.now();
+		let removed = 0;
+
+		for (const { id, pathname, deleted, size } of this.listTrashSync()) {
+			if (now - deleted.getTime() < olderThan)
+				continue;
+
+			this.withBlobsSync([path.join(this.trashDir, id)], () => this.backend.rmSync(path.join(this.trashDir, id), { recursive: true, force: true }));
+			this.chargeUsage(path.join(this.dataDir, pathname), -size);
+			removed++;
+		}
+
+		return removed;
+	}
+
+	/**
+	 * Validate the Options of copyTree and moveTree and make sure the Destination is not inside the Source
+	 * @param {string} resolvedSourcePathname 
+	 * @param {string} resolvedDestinationPathname 
+	 * @param {TreeOptions} options 
+	 * @returns {Required<TreeOptions>}
+	 * @private
+	 */
+	static #prepareTreeOperation(resolvedSourcePathname, resolvedDestinationPathname, { filter = null, overwrite = 'error', symlinks = 'copy' }) {
+		if (filter !== null && typeof filter !== 'function')
+			throw new TypeError('Expected options.filter to be a Function or null');
+
+		if (!['error', 'skip', 'replace'].includes(overwrite))
+			throw new TypeError('Expected options.overwrite to be \'error\', \'skip\' or \'replace\'');
+
+		if (!['copy', 'skip', 'follow'].includes(symlinks))
+			throw new TypeError('Expected options.symlinks to be \'copy\', \'skip\' or \'follow\'');
+
+		if (IO.isInside(resolvedSourcePathname, resolvedDestinationPathname))
+			throw new RangeError('Expected destinationPathname not to be inside sourcePathname');
+
+		return { filter, overwrite, symlinks };
+	}
+
+	/**
+	 * Delete the Entry resolvedPathname and everything below it that passes filter
+	 * Resolves to true if the Entry was removed completely
+	 * @param {string} resolvedPathname 
+	 * @param {((relativePathname: string, stats: fs.Stats) => boolean) | null} filter 
+	 * @returns {Promise<boolean>}
+	 * @private
+	 * @async
+	 */
+	async #deleteEntry(resolvedPathname, filter) {
+		if (this.isInternal(resolvedPathname))
+			return false;
+
+		const stats = await this.backend.lstat(resolvedPathname);
+		const isDataDir = resolvedPathname === this.dataDir;
+
+		if (!isDataDir && filter !== null && !filter(path.relative(this.dataDir, resolvedPathname), stats))
+			return false;
+
+		if (!stats.isDirectory()) {
+			await this.mutate({ type: 'delete', resolvedPathname }, async () => {
+				await this.backend.unlink(resolvedPathname);
+				this.deleteCached(resolvedPathname);
+			});
+
+			return true;
+		}
+
+		let removedAll = true;
+
+		for (const { name } of await this.backend.readdir(resolvedPathname))
+			removedAll = await this.#deleteEntry(path.join(resolvedPathname, name), filter) && removedAll;
+
+		if (!removedAll || isDataDir)
+			return false;
+
+		await this.mutate({ type: 'delete', resolvedPathname }, async () => {
+			await this.backend.rmdir(resolvedPathname);
+			this.deleteCachedTree(resolvedPathname);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Synchronously delete the Entry resolvedPathname and everything below it that passes filter
+	 * Returns true if the Entry was removed completely
+	 * @param {string} resolvedPathname 
+	 * @param {((relativePathname: string, stats: fs.Stats) => boolean) | null} filter 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#deleteEntrySync(resolvedPathname, filter) {
+		if (this.isInternal(resolvedPathname))
+			return false;
+
+		const stats = this.backend.lstatSync(resolvedPathname);
+		const isDataDir = resolvedPathname === this.dataDir;
+
+		if (!isDataDir && filter !== null && !filter(path.relative(this.dataDir, resolvedPathname), stats))
+			return false;
+
+		if (!stats.isDirectory()) {
+			this.mutateSync({ type: 'delete', resolvedPathname }, () => {
+				this.backend.unlinkSync(resolvedPathname);
+				this.deleteCached(resolvedPathname);
+			});
+
+			return true;
+		}
+
+		let removedAll = true;
+
+		for (const { name } of this.backend.readdirSync(resolvedPathname))
+			removedAll = this.#deleteEntrySync(path.join(resolvedPathname, name), filter) && removedAll;
+
+		if (!removedAll || isDataDir)
+			return false;
+
+		this.mutateSync({ type: 'delete', resolvedPathname }, () => {
+			this.backend.rmdirSync(resolvedPathname);
+			this.deleteCachedTree(resolvedPathname);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Copy the Entry source to destination
+	 * ancestors holds the real Paths of the Directories currently being copied to detect Symbolic Link Cycles
+	 * If copied is a Set, the Source Path of every copied Entry is added to it
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {Required<TreeOptions>} options 
+	 * @param {Set<string>} ancestors 
+	 * @param {Set<string> | null} copied 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #copyEntry(source, destination, options, ancestors, copied) {
+		if (this.isInternal(source))
+			return;
+
+		let stats = await this.backend.lstat(source);
+
+		if (source !== this.dataDir && options.filter !== null && !options.filter(path.relative(this.dataDir, source), stats))
+			return;
+
+		if (stats.isSymbolicLink()) {
+			if (options.symlinks === 'skip')
+				return;
+
+			if (options.symlinks === 'copy') {
+				const target = await this.backend.readlink(source);
+
+				if (!IO.isInside(this.dataDir, path.resolve(path.dirname(destination), target)))
+					throw new PathError('Expected the copied Symbolic Link to point inside the Data Directory', destination);
+
+				if (!(await this.#prepareDestination(destination, options.overwrite, false)))
+					return;
+
+				await this.mutate({ type: 'symlink', resolvedPathname: destination, resolvedSourcePathname: source }, async () => {
+					await this.backend.symlink(target, destination);
+
+					this.deleteCached(destination);
+				});
+
+				copied?.add(source);
+
+				return;
+			}
+
+			const target = await this.backend.realpath(source);
+
+			if (!IO.isInside(this.realDataDir, target))
+				throw new PathError('Expected the followed Symbolic Link to point inside the Data Directory', source);
+
+			// The Link is what gets moved, not its Target
+			copied?.add(source);
+			copied = null;
+
+			source = target;
+			stats = await this.backend.stat(target);
+		}
+
+		if (stats.isDirectory()) {
+			const realSource = await this.backend.realpath(source);
+
+			if (ancestors.has(realSource))
+				return;
+
+			if (!(await this.#prepareDestination(destination, options.overwrite, true)))
+				return;
+
+			await this.mutate({ type: 'mkdir', resolvedPathname: destination }, async () => {
+				await this.backend.mkdir(destination, { recursive: true });
+			});
+
+			copied?.add(source);
+			ancestors.add(realSource);
+
+			for (const { name } of await this.backend.readdir(source))
+				await this.#copyEntry(path.join(source, name), path.join(destination, name), options, ancestors, copied);
+
+			ancestors.delete(realSource);
+
+			return;
+		}
+
+		if (!(await this.#prepareDestination(destination, options.overwrite, false)))
+			return;
+
+		await this.mutate({ type: 'copy', resolvedPathname: destination, resolvedSourcePathname: source }, async () => {
+			await this.backend.copyFile(source, destination, fs.constants.COPYFILE_FICLONE);
+
+			this.deleteCached(destination);
+
+			return stats.size;
+		});
+
+		copied?.add(source);
+	}
+
+	/**
+	 * Synchronously copy the Entry source to destination
+	 * See #copyEntry
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {Required<TreeOptions>} options 
+	 * @param {Set<string>} ancestors 
+	 * @param {Set<string> | null} copied 
+	 * @returns {void}
+	 * @private
+	 */
+	#copyEntrySync(source, destination, options, ancestors, copied) {
+		if (this.isInternal(source))
+			return;
+
+		let stats = this.backend.lstatSync(source);
+
+		if (source !== this.dataDir && options.filter !== null && !options.filter(path.relative(this.dataDir, source), stats))
+			return;
+
+		if (stats.isSymbolicLink()) {
+			if (options.symlinks === 'skip')
+				return;
+
+			if (options.symlinks === 'copy') {
+				const target = this.backend.readlinkSync(source);
+
+				if (!IO.isInside(this.dataDir, path.resolve(path.dirname(destination), target)))
+					throw new PathError('Expected the copied Symbolic Link to point inside the Data Directory', destination);
+
+				if (!this.#prepareDestinationSync(destination, options.overwrite, false))
+					return;
+
+				this.mutateSync({ type: 'symlink', resolvedPathname: destination, resolvedSourcePathname: source }, () => {
+					this.backend.symlinkSync(target, destination);
+
+					this.deleteCached(destination);
+				});
+
+				copied?.add(source);
+
+				return;
+			}
+
+			const target = this.backend.realpathSync(source);
+
+			if (!IO.isInside(this.realDataDir, target))
+				throw new PathError('Expected the followed Symbolic Link to point inside the Data Directory', source);
+
+			copied?.add(source);
+			copied = null;
+
+			source = target;
+			stats = this.backend.statSync(target);
+		}
+
+		if (stats.isDirectory()) {
+			const realSource = this.backend.realpathSync(source);
+
+			if (ancestors.has(realSource))
+				return;
+
+			if (!this.#prepareDestinationSync(destination, options.overwrite, true))
+				return;
+
+			this.mutateSync({ type: 'mkdir', resolvedPathname: destination }, () => {
+				this.backend.mkdirSync(destination, { recursive: true });
+			});
+
+			copied?.add(source);
+			ancestors.add(realSource);
+
+			for (const { name } of this.backend.readdirSync(source))
+				this.#copyEntrySync(path.join(source, name), path.join(destination, name), options, ancestors, copied);
+
+			ancestors.delete(realSource);
+
+			return;
+		}
+
+		if (!this.#prepareDestinationSync(destination, options.overwrite, false))
+			return;
+
+		this.mutateSync({ type: 'copy', resolvedPathname: destination, resolvedSourcePathname: source }, () => {
+			this.backend.copyFileSync(source, destination, fs.constants.COPYFILE_FICLONE);
+
+			this.deleteCached(destination);
+
+			return stats.size;
+		});
+
+		copied?.add(source);
+	}
+
+	/**
+	 * Remove the Source Entry resolvedPathname of a moved Tree after it was copied
+	 * Directories that still contain skipped or filtered Entries are kept
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #removeMovedEntry(resolvedPathname) {
+		const stats = await this.backend.lstat(resolvedPathname);
+
+		if (stats.isDirectory() && (await this.backend.readdir(resolvedPathname)).length > 0)
+			return;
+
+		await this.mutate({ type: 'delete', resolvedPathname }, async () => {
+			if (stats.isDirectory())
+				await this.backend.rmdir(resolvedPathname);
+			else
+				await this.backend.unlink(resolvedPathname);
+
+			this.deleteCachedTree(resolvedPathname);
+		});
+	}
+
+	/**
+	 * Synchronously remove the Source Entry resolvedPathname of a moved Tree after it was copied
+	 * See #removeMovedEntry
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @private
+	 */
+	#removeMovedEntrySync(resolvedPathname) {
+		const stats = this.backend.lstatSync(resolvedPathname);
+
+		if (stats.isDirectory() && this.backend.readdirSync(resolvedPathname).length > 0)
+			return;
+
+		this.mutateSync({ type: 'delete', resolvedPathname }, () => {
+			if (stats.isDirectory())
+				this.backend.rmdirSync(resolvedPathname);
+			else
+				this.backend.unlinkSync(resolvedPathname);
+
+			this.deleteCachedTree(resolvedPathname);
+		});
+	}
+
+	/**
+	 * Check the estimated Growth of copying the Tree source to destination against the Quotas before anything is copied (see IO.checkUsage)
+	 * Rejects with a QuotaError if the Copy would exceed a Quota
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {Required<TreeOptions>} options 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #checkCopy(source, destination, options) {
+		if (this.tracksUsage([destination]))
+			await this.checkUsage(destination, await this.#estimateCopy(source, destination, options, new Set()));
+	}
+
+	/**
+	 * Synchronous Version of #checkCopy
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {Required<TreeOptions>} options 
+	 * @returns {void}
+	 * @throws {QuotaError} if the Copy would exceed a Quota
+	 * @private
+	 */
+	#checkCopySync(source, destination, options) {
+		if (this.tracksUsage([destination]))
+			this.checkUsageSync(destination, this.#estimateCopySync(source, destination, options, new Set()));
+	}
+
+	/**
+	 * Estimate how copying the Entry source to destination with #copyEntry grows the Usage of destination, following the same Rules for Filters, Symbolic Links and the Overwrite Policy
+	 * Entries the Copy would reject (e.g. because they exist and options.overwrite is 'error') count nothing, the Copy fails on them anyway
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {Required<TreeOptions>} options 
+	 * @param {Set<string>} ancestors 
+	 * @returns {Promise<Usage>}
+	 * @private
+	 * @async
+	 */
+	async #estimateCopy(source, destination, options, ancestors) {
+		if (this.isInternal(source))
+			return { bytes: 0, files: 0 };
+
+		let stats = await this.backend.lstat(source);
+
+		if (source !== this.dataDir && options.filter !== null && !options.filter(path.relative(this.dataDir, source), stats))
+			return { bytes: 0, files: 0 };
+
+		if (stats.isSymbolicLink()) {
+			if (options.symlinks === 'skip')
+				return { bytes: 0, files: 0 };
+
+			if (options.symlinks === 'copy')
+				return ReadWrite.#estimateReplacement(await this.#lstatIfExists(destination), options.overwrite, { bytes: 0, files: 1 }) ?? { bytes: 0, files: 0 };
+
+			source = await this.backend.realpath(source);
+			stats = await this.backend.stat(source);
+		}
+
+		if (!stats.isDirectory())
+			return ReadWrite.#estimateReplacement(await this.#lstatIfExists(destination), options.overwrite, { bytes: stats.size, files: 1 }) ?? { bytes: 0, files: 0 };
+
+		const realSource = await this.backend.realpath(source);
+
+		if (ancestors.has(realSource))
+			return { bytes: 0, files: 0 };
+
+		const destinationStats = await this.#lstatIfExists(destination);
+		// Directories are merged into existing Directories
+		const usage = ReadWrite.#estimateReplacement(destinationStats?.isDirectory() ? null : destinationStats, options.overwrite, { bytes: 0, files: 0 });
+
+		if (usage === null)
+			return { bytes: 0, files: 0 };
+
+		ancestors.add(realSource);
+
+		for (const { name } of await this.backend.readdir(source)) {
+			const entryUsage = await this.#estimateCopy(path.join(source, name), path.join(destination, name), options, ancestors);
+
+			usage.bytes += entryUsage.bytes;
+			usage.files += entryUsage.files;
+		}
+
+		ancestors.delete(realSource);
+
+		return usage;
+	}
+
+	/**
+	 * Synchronous Version of #estimateCopy
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {Required<TreeOptions>} options 
+	 * @param {Set<string>} ancestors 
+	 * @returns {Usage}
+	 * @private
+	 */
+	#estimateCopySync(source, destination, options, ancestors) {
+		if (this.isInternal(source))
+			return { bytes: 0, files: 0 };
+
+		let stats = this.backend.lstatSync(source);
+
+		if (source !== this.dataDir && options.filter !== null && !options.filter(path.relative(this.dataDir, source), stats))
+			return { bytes: 0, files: 0 };
+
+		if (stats.isSymbolicLink()) {
+			if (options.symlinks === 'skip')
+				return { bytes: 0, files: 0 };
+
+			if (options.symlinks === 'copy')
+				return ReadWrite.#estimateReplacement(this.#lstatIfExistsSync(destination), options.overwrite, { bytes: 0, files: 1 }) ?? { bytes: 0, files: 0 };
+
+			source = this.backend.realpathSync(source);
+			stats = this.backend.statSync(source);
+		}
+
+		if (!stats.isDirectory())
+			return ReadWrite.#estimateReplacement(this.#lstatIfExistsSync(destination), options.overwrite, { bytes: stats.size, files: 1 }) ?? { bytes: 0, files: 0 };
+
+		const realSource = this.backend.realpathSync(source);
+
+		if (ancestors.has(realSource))
+			return { bytes: 0, files: 0 };
+
+		const destinationStats = this.#lstatIfExistsSync(destination);
+		// Directories are merged into existing Directories
+		const usage = ReadWrite.#estimateReplacement(destinationStats?.isDirectory() ? null : destinationStats, options.overwrite, { bytes: 0, files: 0 });
+
+		if (usage === null)
+			return { bytes: 0, files: 0 };
+
+		ancestors.add(realSource);
+
+		for (const { name } of this.backend.readdirSync(source)) {
+			const entryUsage = this.#estimateCopySync(path.join(source, name), path.join(destination, name), options, ancestors);
+
+			usage.bytes += entryUsage.bytes;
+			usage.files += entryUsage.files;
+		}
+
+		ancestors.delete(realSource);
+
+		return usage;
+	}
+
+	/**
+	 * Estimate how copying an Entry with the Usage copied onto an existing Entry with the Stats destinationStats (or null if there is none) grows the Usage, following the Overwrite Policy of #prepareDestination
+	 * Returns null if the Entry is skipped or rejected
+	 * @param {fs.Stats | null} destinationStats 
+	 * @param {'error' | 'skip' | 'replace'} overwrite 
+	 * @param {Usage} copied 
+	 * @returns {Usage | null}
+	 * @private
+	 */
+	static #estimateReplacement(destinationStats, overwrite, copied) {
+		if (destinationStats === null)
+			return { ...copied };
+
+		if (overwrite !== 'replace' || destinationStats.isDirectory())
+			return null;
+
+		return { bytes: copied.bytes - (destinationStats.isFile() ? destinationStats.size : 0), files: copied.files - 1 };
+	}
+
+	/**
+	 * Apply the Overwrite Policy to an existing Entry at destination
+	 * Resolves to false if the Entry should be skipped
+	 * Existing Directories are kept when a Directory is copied onto them, so their Contents are merged
+	 * @param {string} destination 
+	 * @param {'error' | 'skip' | 'replace'} overwrite 
+	 * @param {boolean} isDirectory whether a Directory is about to be copied to destination
+	 * @returns {Promise<boolean>}
+	 * @private
+	 * @async
+	 */
+	async #prepareDestination(destination, overwrite, isDirectory) {
+		let stats;
+
+		try {
+			stats = await this.backend.lstat(destination);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return true;
+
+			throw error;
+		}
+
+		if (isDirectory && stats.isDirectory())
+			return true;
+
+		if (overwrite === 'skip')
+			return false;
+
+		if (overwrite === 'error' || stats.isDirectory())
+			throw ReadWrite.#existsError(destination);
+
+		await this.mutate({ type: 'delete', resolvedPathname: destination }, async () => {
+			await this.backend.unlink(destination);
+			this.deleteCached(destination);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Resolve pathname, the Path of an Entry in a Tar Archive, relative to the Directory resolvedDirname
+	 * @param {string} resolvedDirname 
+	 * @param {string} pathname 
+	 * @returns {string}
+	 * @throws {PathError} if pathname is absolute, contains a .. Segment or is inside the internal Directory
+	 * @private
+	 */
+	#resolveTarPathname(resolvedDirname, pathname) {
+		const segments = pathname.split(/[\\/]/);
+
+		if (path.isAbsolute(pathname) || path.win32.isAbsolute(pathname) || segments.includes('..'))
+			throw new PathError('Expected the Tar Entry to be a relative Path without .. Segments', pathname);
+
+		const resolvedPathname = path.join(resolvedDirname, ...segments.filter(segment => segment !== '' && segment !== '.'));
+
+		if (this.isInternal(resolvedPathname))
+			throw new PathError('Expected the Tar Entry not to be inside the internal Directory', pathname);
+
+		return resolvedPathname;
+	}
+
+	/**
+	 * Stream the Content of the file Entry of a Tar Archive into a Temp File, set its Mode and Modification Time and rename it to resolvedFilename
+	 * The Quotas are checked against the Size in the Header of the Entry before anything is written
+	 * @param {string} resolvedFilename 
+	 * @param {import('./Tar').TarEntry} entry 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #streamResolved(resolvedFilename, entry) {
+		await this.mutate({ type: 'write', resolvedPathname: resolvedFilename, size: entry.size, retained: await this.#estimateRevision(resolvedFilename) }, async () => {
+			const { filename } = await this.#prepareReplacement(resolvedFilename, false) ?? { filename: resolvedFilename };
+			const { tempFilename, markerFilename } = this.#createTempFilename(filename);
+
+			await this.#saveVersion(resolvedFilename, true);
+			await this.backend.writeFile(markerFilename, Buffer.from(this.#rootRelative(tempFilename)), { fsync: false });
+
+			try {
+				await pipeline(entry.data, this.backend.createWriteStream(tempFilename));
+				await this.backend.chmod(tempFilename, entry.mode);
+				await this.backend.utimes(tempFilename, entry.mtime, entry.mtime);
+				await this.backend.rename(tempFilename, filename);
+			}
+			catch (error) {
+				await this.backend.rm(tempFilename, { force: true });
+				throw error;
+			}
+			finally {
+				await this.backend.rm(markerFilename, { force: true });
+			}
+
+			this.deleteCached(resolvedFilename);
+
+			return entry.size;
+		});
+	}
+
+	/**
+	 * Read the Content of the file Entry of a Tar Archive into Memory
+	 * @param {import('./Tar').TarEntry} entry 
+	 * @param {number} maxEntrySize 
+	 * @returns {Promise<Buffer>}
+	 * @throws {Error} if the Entry is larger than maxEntrySize
+	 * @private
+	 * @async
+	 */
+	static async #readTarEntry(entry, maxEntrySize) {
+		if (entry.size > maxEntrySize)
+			throw new Error(`Expected the Tar Entry ${entry.pathname} not to exceed ${maxEntrySize} Bytes`);
+
+		const chunks = [];
+
+		for await (const chunk of entry.data)
+			chunks.push(chunk);
+
+		return Buffer.concat(chunks);
+	}
+
+	/**
+	 * Create the missing Parent Directories of resolvedPathname and check that they do not lead outside of the Data Directory through Symbolic Links
+	 * @param {string} resolvedPathname 
+	 * @param {string} pathname the Path used in Error Messages
+	 * @returns {Promise<void>}
+	 * @throws {PathError} if the Real Path of the Parent Directory is outside of the Data Directory or inside the internal Directory
+	 * @private
+	 * @async
+	 */
+	async #createParents(resolvedPathname, pathname) {
+		const resolvedDirname = path.dirname(resolvedPathname);
+		let realDirname;
+
+		try {
+			realDirname = await this.backend.realpath(resolvedDirname);
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+
+			await this.#createParents(resolvedDirname, pathname);
+
+			await this.mutate({ type: 'mkdir', resolvedPathname: resolvedDirname }, async () => {
+				await this.backend.mkdir(resolvedDirname, { recursive: true });
+			});
+
+			realDirname = await this.backend.realpath(resolvedDirname);
+		}
+
+		if (!IO.isInside(this.realDataDir, realDirname) || this.isInternal(path.join(this.dataDir, path.relative(this.realDataDir, realDirname))))
+			throw new PathError('Expected the Tar Entry not to leave the Data Directory through a Symbolic Link', pathname);
+	}
+
+	/**
+	 * Synchronously apply the Overwrite Policy to an existing Entry at destination
+	 * See #prepareDestination
+	 * @param {string} destination 
+	 * @param {'error' | 'skip' | 'replace'} overwrite 
+	 * @param {boolean} isDirectory 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#prepareDestinationSync(destination, overwrite, isDirectory) {
+		let stats;
+
+		try {
+			stats = this.backend.lstatSync(destination);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return true;
+
+			throw error;
+		}
+
+		if (isDirectory && stats.isDirectory())
+			return true;
+
+		if (overwrite === 'skip')
+			return false;
+
+		if (overwrite === 'error' || stats.isDirectory())
+			throw ReadWrite.#existsError(destination);
+
+		this.mutateSync({ type: 'delete', resolvedPathname: destination }, () => {
+			this.backend.unlinkSync(destination);
+			this.deleteCached(destination);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Create an Error like the ones fs throws for existing Entries
+	 * @param {string} pathname 
+	 * @returns {Error}
+	 * @private
+	 */
+	static #existsError(pathname) {
+		const error = new Error(`EEXIST: file already exists, copy '${pathname}'`);
+
+		error.code = 'EEXIST';
+		error.path = pathname;
+
+		return error;
+	}
+
+	/**
+	 * Get the Stats of the Entry at the absolute Path resolvedPathname without following Symbolic Links
+	 * Resolves to null if there is no Entry
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<fs.Stats | null>}
+	 * @private
+	 * @async
+	 */
+	async #lstatIfExists(resolvedPathname) {
+		try {
+			return await this.backend.lstat(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #lstatIfExists
+	 * @param {string} resolvedPathname 
+	 * @returns {fs.Stats | null}
+	 * @private
+	 */
+	#lstatIfExistsSync(resolvedPathname) {
+		try {
+			return this.backend.lstatSync(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Check whether an Entry exists at the absolute Path resolvedPathname without following Symbolic Links
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<boolean>}
+	 * @private
+	 * @async
+	 */
+	async #exists(resolvedPathname) {
+		try {
+			await this.backend.lstat(resolvedPathname);
+			return true;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return false;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronously check whether an Entry exists at the absolute Path resolvedPathname without following Symbolic Links
+	 * @param {string} resolvedPathname 
+	 * @returns {boolean}
+	 * @private
+	 */
+	#existsSync(resolvedPathname) {
+		try {
+			this.backend.lstatSync(resolvedPathname);
+			return true;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return false;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Validate the Options of writeFile and its Variants
+	 * @param {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} options 
+	 * @returns {{atomic: boolean, fsync: boolean, hardLinks: boolean}}
+	 * @private
+	 */
+	static #prepareWriteOptions({ atomic = true, fsync = true, hardLinks = false }) {
+		if (typeof atomic !== 'boolean')
+			throw new TypeError('Expected options.atomic to be a Boolean');
+
+		if (typeof fsync !== 'boolean')
+			throw new TypeError('Expected options.fsync to be a Boolean');
+
+		if (typeof hardLinks !== 'boolean')
+			throw new TypeError('Expected options.hardLinks to be a Boolean');
+
+		return { atomic, fsync, hardLinks };
+	}
+
+	/**
+	 * Encode data with the Codecs of the File at the absolute Path resolvedFilename, write it and cache it
+	 * With metadata, the Mode and the Modification Time of the written File are set as well, unless options.dedupe shares them between identical Files
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {{atomic: boolean, fsync: boolean, hardLinks: boolean}} options 
+	 * @param {{mode: number, mtime: Date} | null} [metadata]
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #writeResolved(resolvedFilename, data, { atomic, fsync, hardLinks }, metadata = null) {
+		await this.mutate({ type: 'write', resolvedPathname: resolvedFilename, data, retained: await this.#estimateRevision(resolvedFilename) }, async (data) => {
+			const encoded = await this.encode(resolvedFilename, data);
+			const replacement = atomic && !this.dedupe ? await this.#prepareReplacement(resolvedFilename, hardLinks) : null;
+
+			await this.#saveVersion(resolvedFilename, replacement !== null || this.dedupe);
+
+			// A File of a Blob Store (see options.dedupe) is written in Place by Instances without options.dedupe, which must not change the shared Blob
+			if (replacement === null && !this.dedupe)
+				await this.detachBlob(resolvedFilename);
+
+			let stats = this.dedupe
+				? await this.writeBlob(resolvedFilename, encoded, fsync)
+				: replacement !== null
+					? await this.#writeFileAtomic(replacement, encoded, fsync)
+					: await this.#writeFileInPlace(resolvedFilename, encoded, fsync);
+
+			if (metadata !== null && !this.dedupe) {
+				await this.backend.chmod(resolvedFilename, metadata.mode);
+				await this.backend.utimes(resolvedFilename, metadata.mtime, metadata.mtime);
+
+				stats = await this.backend.stat(resolvedFilename);
+			}
+
+			this.setCached(resolvedFilename, this.cacheEncoded ? encoded : data, stats);
+			this.setChecksum(resolvedFilename, encoded);
+
+			return encoded.length;
+		});
+	}
+
+	/**
+	 * Synchronous Version of #writeResolved
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {{atomic: boolean, fsync: boolean, hardLinks: boolean}} options 
+	 * @returns {void}
+	 * @private
+	 */
+	#writeResolvedSync(resolvedFilename, data, { atomic, fsync, hardLinks }) {
+		this.mutateSync({ type: 'write', resolvedPathname: resolvedFilename, data, retained: this.#estimateRevisionSync(resolvedFilename) }, (data) => {
+			const encoded = this.encodeSync(resolvedFilename, data);
+			const replacement = atomic && !this.dedupe ? this.#prepareReplacementSync(resolvedFilename, hardLinks) : null;
+
+			this.#saveVersionSync(resolvedFilename, replacement !== null || this.dedupe);
+
+			if (replacement === null && !this.dedupe)
+				this.detachBlobSync(resolvedFilename);
+
+			const stats = this.dedupe
+				? this.writeBlobSync(resolvedFilename, encoded, fsync)
+				: replacement !== null
+					? this.#writeFileAtomicSync(replacement, encoded, fsync)
+					: this.#writeFileInPlaceSync(resolvedFilename, encoded, fsync);
+
+			this.setCached(resolvedFilename, this.cacheEncoded ? encoded : data, stats);
+			this.setChecksum(resolvedFilename, encoded);
+
+			return encoded.length;
+		});
+	}
+
+	/**
+	 * Append data to the File at the absolute Path resolvedFilename and extend its cached Content, or rewrite it if Codecs apply
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #appendResolved(resolvedFilename, data, fsync) {
+		await this.mutate({ type: 'write', resolvedPathname: resolvedFilename, data, partial: 'append' }, async (data) => {
+			if (this.codecsFor(resolvedFilename).length > 0)
+				return await this.#rewriteResolved(resolvedFilename, content => Buffer.concat([content, data]), fsync);
+
+			const stats = await this.backend.appendFile(resolvedFilename, data, { fsync });
+
+			this.patchCached(resolvedFilename, stats, cached => Buffer.concat([cached, data]));
+
+			return data.length;
+		});
+	}
+
+	/**
+	 * Synchronous Version of #appendResolved
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {void}
+	 * @private
+	 */
+	#appendResolvedSync(resolvedFilename, data, fsync) {
+		this.mutateSync({ type: 'write', resolvedPathname: resolvedFilename, data, partial: 'append' }, (data) => {
+			if (this.codecsFor(resolvedFilename).length > 0)
+				return this.#rewriteResolvedSync(resolvedFilename, content => Buffer.concat([content, data]), fsync);
+
+			const stats = this.backend.appendFileSync(resolvedFilename, data, { fsync });
+
+			this.patchCached(resolvedFilename, stats, cached => Buffer.concat([cached, data]));
+
+			return data.length;
+		});
+	}
+
+	/**
+	 * Decode the File at the absolute Path resolvedFilename, change its Content with modify, encode it and write it atomically
+	 * Used by the partial Writes for Files with Codecs, which cannot be changed in Place. A missing File counts as empty if create is true
+	 * Resolves to the Number of encoded Bytes written
+	 * @param {string} resolvedFilename 
+	 * @param {(content: Buffer) => Buffer} modify 
+	 * @param {boolean} fsync 
+	 * @param {boolean} [create]
+	 * @returns {Promise<number>}
+	 * @private
+	 * @async
+	 */
+	async #rewriteResolved(resolvedFilename, modify, fsync, create = true) {
+		let content = Buffer.alloc(0);
+
+		try {
+			content = await this.#readDecoded(resolvedFilename);
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT' || !create)
+				throw error;
+		}
+
+		const data = modify(content);
+		const encoded = await this.encode(resolvedFilename, data);
+		const replacement = this.dedupe ? null : await this.#prepareReplacement(resolvedFilename, false);
+		const stats = this.dedupe
+			? await this.writeBlob(resolvedFilename, encoded, fsync)
+			: replacement !== null
+				? await this.#writeFileAtomic(replacement, encoded, fsync)
+				: await this.#writeFileInPlace(resolvedFilename, encoded, fsync);
+
+		this.setCached(resolvedFilename, this.cacheEncoded ? encoded : data, stats);
+
+		return encoded.length;
+	}
+
+	/**
+	 * Synchronous Version of #rewriteResolved
+	 * @param {string} resolvedFilename 
+	 * @param {(content: Buffer) => Buffer} modify 
+	 * @param {boolean} fsync 
+	 * @param {boolean} [create]
+	 * @returns {number}
+	 * @private
+	 */
+	#rewriteResolvedSync(resolvedFilename, modify, fsync, create = true) {
+		let content = Buffer.alloc(0);
+
+		try {
+			content = this.#readDecodedSync(resolvedFilename);
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT' || !create)
+				throw error;
+		}
+
+		const data = modify(content);
+		const encoded = this.encodeSync(resolvedFilename, data);
+		const replacement = this.dedupe ? null : this.#prepareReplacementSync(resolvedFilename, false);
+		const stats = this.dedupe
+			? this.writeBlobSync(resolvedFilename, encoded, fsync)
+			: replacement !== null
+				? this.#writeFileAtomicSync(replacement, encoded, fsync)
+				: this.#writeFileInPlaceSync(resolvedFilename, encoded, fsync);
+
+		this.setCached(resolvedFilename, this.cacheEncoded ? encoded : data, stats);
+
+		return encoded.length;
+	}
+
+	/**
+	 * Read and decode the File at the absolute Path resolvedFilename directly from the Backend
+	 * @param {string} resolvedFilename 
+	 * @returns {Promise<Buffer>}
+	 * @private
+	 * @async
+	 */
+	async #readDecoded(resolvedFilename) {
+		return await this.decode(resolvedFilename, (await this.backend.readFile(resolvedFilename)).data);
+	}
+
+	/**
+	 * Synchronous Version of #readDecoded
+	 * @param {string} resolvedFilename 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	#readDecodedSync(resolvedFilename) {
+		return this.decodeSync(resolvedFilename, this.backend.readFileSync(resolvedFilename).data);
+	}
+
+	/**
+	 * Check options.fsync of the partial Writes
+	 * @param {boolean} fsync 
+	 * @returns {void}
+	 * @private
+	 */
+	static #checkFsync(fsync) {
+		if (typeof fsync !== 'boolean')
+			throw new TypeError('Expected options.fsync to be a Boolean');
+	}
+
+	/**
+	 * Get a Copy of content with data written at offset, extended with Zeros if needed
+	 * @param {Buffer} content 
+	 * @param {number} offset 
+	 * @param {Buffer} data 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #patch(content, offset, data) {
+		const patched = ReadWrite.#resize(content, Math.max(content.length, offset + data.length));
+
+		data.copy(patched, offset);
+
+		return patched;
+	}
+
+	/**
+	 * Get a Copy of content cut or extended with Zeros to length Bytes
+	 * @param {Buffer} content 
+	 * @param {number} length 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #resize(content, length) {
+		const resized = Buffer.alloc(length);
+
+		content.copy(resized, 0, 0, Math.min(length, content.length));
+
+		return resized;
+	}
+
+	/**
+	 * Serialize value as JSON
+	 * @param {any} value 
+	 * @param {number | string} space 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #serializeJSON(value, space) {
+		if (typeof space !== 'number' && typeof space !== 'string')
+			throw new TypeError('Expected options.space to be a Number or a String');
+
+		const json = JSON.stringify(value, null, space);
+
+		if (json === undefined)
+			throw new TypeError('Expected value to be serializable as JSON');
+
+		return Buffer.from(json, 'utf8');
+	}
+
+	/**
+	 * Serialize values as NDJSON Lines
+	 * @param {any[]} values 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #serializeLines(values) {
+		if (!Array.isArray(values))
+			throw new TypeError('Expected values to be an Array');
+
+		return Buffer.from(values.map(value => {
+			const json = JSON.stringify(value);
+
+			if (json === undefined)
+				throw new TypeError('Expected every Value to be serializable as JSON');
+
+			return `${json}\n`;
+		}).join(''), 'utf8');
+	}
+
+	/**
+	 * Get the Data that appends lines to an NDJSON File ending with the Byte last, terminating its last Line first if necessary
+	 * last is empty if the File is empty or does not exist
+	 * @param {Buffer} last 
+	 * @param {Buffer} lines 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #appendLines(last, lines) {
+		if (last.length > 0 && last[0] !== 0x0a)
+			return Buffer.concat([Buffer.from('\n'), lines]);
+
+		return lines;
+	}
+
+	/**
+	 * Get the Directory that holds the Revisions of the File resolvedFilename
+	 * @param {string} resolvedFilename 
+	 * @returns {string}
+	 * @private
+	 */
+	#versionDirOf(resolvedFilename) {
+		return path.join(this.versionDir, this.internalName(resolvedFilename));
+	}
+
+	/**
+	 * Save the current Content of the File resolvedFilename as a Revision before it is replaced or deleted, and remove the oldest Revisions beyond options.versions
+	 * The Revisions are charged to the Quotas of the Directories containing the File (see IO.chargeUsage), the versions.json next to them records its Path relative to the Root Data Directory.
+	 * With link, the File is hard linked, which is only safe if the File is replaced or unlinked afterwards instead of being changed in Place
+	 * Nothing is saved if Versioning is disabled or the Entry is not a File
+	 * @param {string} resolvedFilename 
+	 * @param {boolean} link 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #saveVersion(resolvedFilename, link) {
+		if (this.versions === 0)
+			return;
+
+		try {
+			if (!(await this.backend.lstat(resolvedFilename)).isFile())
+				return;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return;
+
+			throw error;
+		}
+
+		const dirname = this.#versionDirOf(resolvedFilename);
+
+		const filename = path.join(dirname, ReadWrite.#createId());
+
+		await this.backend.mkdir(dirname, { recursive: true });
+		await this.backend.writeFile(path.join(dirname, 'versions.json'), Buffer.from(JSON.stringify({ pathname: this.#rootRelative(resolvedFilename) })));
+		await this.#cloneFile(resolvedFilename, filename, link);
+		this.chargeUsage(resolvedFilename, (await this.backend.lstat(filename)).size);
+
+		const ids = await this.#readIds(dirname);
+
+		for (const id of ids.slice(0, Math.max(ids.length - this.versions, 0))) {
+			const { size } = await this.backend.lstat(path.join(dirname, id));
+
+			await this.withBlobs([path.join(dirname, id)], async () => await this.backend.unlink(path.join(dirname, id)));
+			this.chargeUsage(resolvedFilename, -size);
+		}
+	}
+
+	/**
+	 * Synchronous Version of #saveVersion
+	 * @param {string} resolvedFilename 
+	 * @param {boolean} link 
+	 * @returns {void}
+	 * @private
+	 */
+	#saveVersionSync(resolvedFilename, link) {
+		if (this.versions === 0)
+			return;
+
+		try {
+			if (!this.backend.lstatSync(resolvedFilename).isFile())
+				return;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return;
+
+			throw error;
+		}
+
+		const dirname = this.#versionDirOf(resolvedFilename);
+
+		const filename = path.join(dirname, ReadWrite.#createId());
+
+		this.backend.mkdirSync(dirname, { recursive: true });
+		this.backend.writeFileSync(path.join(dirname, 'versions.json'), Buffer.from(JSON.stringify({ pathname: this.#rootRelative(resolvedFilename) })));
+		this.#cloneFileSync(resolvedFilename, filename, link);
+		this.chargeUsage(resolvedFilename, this.backend.lstatSync(filename).size);
+
+		const ids = this.#readIdsSync(dirname);
+
+		for (const id of ids.slice(0, Math.max(ids.length - this.versions, 0))) {
+			const { size } = this.backend.lstatSync(path.join(dirname, id));
+
+			this.withBlobsSync([path.join(dirname, id)], () => this.backend.unlinkSync(path.join(dirname, id)));
+			this.chargeUsage(resolvedFilename, -size);
+		}
+	}
+
+	/**
+	 * Estimate how many Bytes #saveVersion keeps for the File resolvedFilename, i.e. its Size minus the Size of the Revisions removed beyond options.versions
+	 * @param {string} resolvedFilename 
+	 * @returns {Promise<number>}
+	 * @private
+	 * @async
+	 */
+	async #estimateRevision(resolvedFilename) {
+		if (this.versions === 0)
+			return 0;
+
+		let stats;
+
+		try {
+			stats = await this.backend.lstat(resolvedFilename);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return 0;
+
+			throw error;
+		}
+
+		if (!stats.isFile())
+			return 0;
+
+		const dirname = this.#versionDirOf(resolvedFilename);
+		const ids = await this.#readIds(dirname);
+		let bytes = stats.size;
+
+		for (const id of ids.slice(0, Math.max(ids.length + 1 - this.versions, 0)))
+			bytes -= (await this.backend.lstat(path.join(dirname, id))).size;
+
+		return bytes;
+	}
+
+	/**
+	 * Synchronous Version of #estimateRevision
+	 * @param {string} resolvedFilename 
+	 * @returns {number}
+	 * @private
+	 */
+	#estimateRevisionSync(resolvedFilename) {
+		if (this.versions === 0)
+			return 0;
+
+		let stats;
+
+		try {
+			stats = this.backend.lstatSync(resolvedFilename);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return 0;
+
+			throw error;
+		}
+
+		if (!stats.isFile())
+			return 0;
+
+		const dirname = this.#versionDirOf(resolvedFilename);
+		const ids = this.#readIdsSync(dirname);
+		let bytes = stats.size;
+
+		for (const id of ids.slice(0, Math.max(ids.length + 1 - this.versions, 0)))
+			bytes -= this.backend.lstatSync(path.join(dirname, id)).size;
+
+		return bytes;
+	}
+
+	/**
+	 * Estimate how many Bytes #moveToTrash keeps for the Entry resolvedPathname
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<number>}
+	 * @private
+	 * @async
+	 */
+	async #estimateTrash(resolvedPathname) {
+		try {
+			return await this.#entrySize(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return 0;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #estimateTrash
+	 * @param {string} resolvedPathname 
+	 * @returns {number}
+	 * @private
+	 */
+	#estimateTrashSync(resolvedPathname) {
+		try {
+			return this.#entrySizeSync(resolvedPathname);
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return 0;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the IDs of the Revisions, Snapshots or Trash Entries in dirname, oldest first
+	 * @param {string} dirname 
+	 * @returns {Promise<string[]>}
+	 * @private
+	 * @async
+	 */
+	async #readIds(dirname) {
+		try {
+			return (await this.backend.readdir(dirname)).map(({ name }) => name).filter(ReadWrite.#isId).sort();
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return [];
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #readIds
+	 * @param {string} dirname 
+	 * @returns {string[]}
+	 * @private
+	 */
+	#readIdsSync(dirname) {
+		try {
+			return this.backend.readdirSync(dirname).map(({ name }) => name).filter(ReadWrite.#isId).sort();
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return [];
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Clone the File source to destination, either as a Hard Link or with copyFile and COPYFILE_FICLONE
+	 * Falls back to copying if the Hard Link cannot be created
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {boolean} link 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #cloneFile(source, destination, link) {
+		if (link) {
+			try {
+				return await this.backend.link(source, destination);
+			}
+			catch (error) {
+				if (error.code === 'ENOENT')
+					throw error;
+			}
+		}
+
+		await this.backend.copyFile(source, destination, fs.constants.COPYFILE_FICLONE);
+	}
+
+	/**
+	 * Synchronous Version of #cloneFile
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {boolean} link 
+	 * @returns {void}
+	 * @private
+	 */
+	#cloneFileSync(source, destination, link) {
+		if (link) {
+			try {
+				return this.backend.linkSync(source, destination);
+			}
+			catch (error) {
+				if (error.code === 'ENOENT')
+					throw error;
+			}
+		}
+
+		this.backend.copyFileSync(source, destination, fs.constants.COPYFILE_FICLONE);
+	}
+
+	/**
+	 * Recursively clone the Directory source into destination, skipping the internal Directory
+	 * Files are cloned with #cloneFile, Symbolic Links are recreated and other Entries are skipped
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {boolean} hardLinks 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #cloneTree(source, destination, hardLinks) {
+		await this.backend.mkdir(destination, { recursive: true });
+
+		for (const { name } of await this.backend.readdir(source)) {
+			const sourcePathname = path.join(source, name);
+			const destinationPathname = path.join(destination, name);
+
+			if (sourcePathname === this.internalDir)
+				continue;
+
+			const stats = await this.backend.lstat(sourcePathname);
+
+			if (stats.isDirectory())
+				await this.#cloneTree(sourcePathname, destinationPathname, hardLinks);
+			else if (stats.isFile())
+				await this.#cloneFile(sourcePathname, destinationPathname, hardLinks);
+			else if (stats.isSymbolicLink())
+				await this.backend.symlink(await this.backend.readlink(sourcePathname), destinationPathname);
+		}
+	}
+
+	/**
+	 * Synchronous Version of #cloneTree
+	 * @param {string} source 
+	 * @param {string} destination 
+	 * @param {boolean} hardLinks 
+	 * @returns {void}
+	 * @private
+	 */
+	#cloneTreeSync(source, destination, hardLinks) {
+		this.backend.mkdirSync(destination, { recursive: true });
+
+		for (const { name } of this.backend.readdirSync(source)) {
+			const sourcePathname = path.join(source, name);
+			const destinationPathname = path.join(destination, name);
+
+			if (sourcePathname === this.internalDir)
+				continue;
+
+			const stats = this.backend.lstatSync(sourcePathname);
+
+			if (stats.isDirectory())
+				this.#cloneTreeSync(sourcePathname, destinationPathname, hardLinks);
+			else if (stats.isFile())
+				this.#cloneFileSync(sourcePathname, destinationPathname, hardLinks);
+			else if (stats.isSymbolicLink())
+				this.backend.symlinkSync(this.backend.readlinkSync(sourcePathname), destinationPathname);
+		}
+	}
+
+	/**
+	 * Describe a Snapshot of the Data Directory for its snapshot.json
+	 * pathname is the Data Directory relative to the Root Data Directory, so Snapshots of Scopes can be told apart
+	 * @param {boolean} hardLinks 
+	 * @returns {{pathname: string, hardLinks: boolean}}
+	 * @private
+	 */
+	#snapshotInfo(hardLinks) {
+		return { pathname: this.#rootRelative(this.dataDir), hardLinks };
+	}
+
+	/**
+	 * Get the Path of resolvedPathname relative to the Root Data Directory, with / as Separator
+	 * @param {string} resolvedPathname 
+	 * @returns {string}
+	 * @private
+	 */
+	#rootRelative(resolvedPathname) {
+		return path.relative(path.dirname(this.internalDir), resolvedPathname).split(path.sep).join('/');
+	}
+
+	/**
+	 * Read the snapshot.json of the Snapshot id
+	 * Resolves to null if the Snapshot does not exist or is incomplete
+	 * @param {string} id 
+	 * @returns {Promise<{pathname: string, hardLinks: boolean} | null>}
+	 * @private
+	 * @async
+	 */
+	async #readSnapshotInfo(id) {
+		try {
+			return JSON.parse((await this.backend.readFile(path.join(this.snapshotDir, id, 'snapshot.json'))).data.toString('utf8'));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #readSnapshotInfo
+	 * @param {string} id 
+	 * @returns {{pathname: string, hardLinks: boolean} | null}
+	 * @private
+	 */
+	#readSnapshotInfoSync(id) {
+		try {
+			return JSON.parse(this.backend.readFileSync(path.join(this.snapshotDir, id, 'snapshot.json')).data.toString('utf8'));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Move the Entry resolvedPathname into a new Directory of the Trash and evict its Cache
+	 * The trash.json next to the Entry holds its original Path relative to the Root Data Directory and its Size, which stays charged to the Quotas of the Directories that contained it (see IO.chargeUsage)
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #moveToTrash(resolvedPathname) {
+		const size = await this.#entrySize(resolvedPathname);
+		const dirname = path.join(this.trashDir, ReadWrite.#createId());
+
+		await this.backend.mkdir(dirname, { recursive: true });
+
+		try {
+			await this.backend.writeFile(path.join(dirname, 'trash.json'), Buffer.from(JSON.stringify({ pathname: this.#rootRelative(resolvedPathname), size })), { fsync: true });
+			await this.backend.rename(resolvedPathname, path.join(dirname, 'entry'));
+		}
+		catch (error) {
+			await this.backend.rm(dirname, { recursive: true, force: true });
+			throw error;
+		}
+
+		this.chargeUsage(resolvedPathname, size);
+		this.deleteCachedTree(resolvedPathname);
+	}
+
+	/**
+	 * Synchronous Version of #moveToTrash
+	 * @param {string} resolvedPathname 
+	 * @returns {void}
+	 * @private
+	 */
+	#moveToTrashSync(resolvedPathname) {
+		const size = this.#entrySizeSync(resolvedPathname);
+		const dirname = path.join(this.trashDir, ReadWrite.#createId());
+
+		this.backend.mkdirSync(dirname, { recursive: true });
+
+		try {
+			this.backend.writeFileSync(path.join(dirname, 'trash.json'), Buffer.from(JSON.stringify({ pathname: this.#rootRelative(resolvedPathname), size })), { fsync: true });
+			this.backend.renameSync(resolvedPathname, path.join(dirname, 'entry'));
+		}
+		catch (error) {
+			this.backend.rmSync(dirname, { recursive: true, force: true });
+			throw error;
+		}
+
+		this.chargeUsage(resolvedPathname, size);
+		this.deleteCachedTree(resolvedPathname);
+	}
+
+	/**
+	 * Get the Size of the Entry resolvedPathname in Bytes without following Symbolic Links, summing up every Entry below Directories
+	 * @param {string} resolvedPathname 
+	 * @returns {Promise<number>}
+	 * @private
+	 * @async
+	 */
+	async #entrySize(resolvedPathname) {
+		const stats = await this.backend.lstat(resolvedPathname);
+
+		if (!stats.isDirectory())
+			return stats.size;
+
+		let size = 0;
+
+		for (const { name } of await this.backend.readdir(resolvedPathname))
+			size += await this.#entrySize(path.join(resolvedPathname, name));
+
+		return size;
+	}
+
+	/**
+	 * Synchronous Version of #entrySize
+	 * @param {string} resolvedPathname 
+	 * @returns {number}
+	 * @private
+	 */
+	#entrySizeSync(resolvedPathname) {
+		const stats = this.backend.lstatSync(resolvedPathname);
+
+		if (!stats.isDirectory())
+			return stats.size;
+
+		let size = 0;
+
+		for (const { name } of this.backend.readdirSync(resolvedPathname))
+			size += this.#entrySizeSync(path.join(resolvedPathname, name));
+
+		return size;
+	}
+
+	/**
+	 * Read the trash.json of the Trash Entry id
+	 * Resolves to null if the Entry does not exist or is incomplete
+	 * @param {string} id 
+	 * @returns {Promise<{pathname: string, size: number} | null>}
+	 * @private
+	 * @async
+	 */
+	async #readTrashInfo(id) {
+		try {
+			return JSON.parse((await this.backend.readFile(path.join(this.trashDir, id, 'trash.json'))).data.toString('utf8'));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Synchronous Version of #readTrashInfo
+	 * @param {string} id 
+	 * @returns {{pathname: string, size: number} | null}
+	 * @private
+	 */
+	#readTrashInfoSync(id) {
+		try {
+			return JSON.parse(this.backend.readFileSync(path.join(this.trashDir, id, 'trash.json')).data.toString('utf8'));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return null;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Make the original Path of the trash.json info relative to the Data Directory
+	 * Returns null if info is null or the Entry was not inside the Data Directory
+	 * @param {{pathname: string, size: number} | null} info 
+	 * @returns {{pathname: string, size: number} | null}
+	 * @private
+	 */
+	#trashInfo(info) {
+		if (info === null)
+			return null;
+
+		const resolvedPathname = path.join(path.dirname(this.internalDir), info.pathname);
+
+		if (resolvedPathname === this.dataDir || !IO.isInside(this.dataDir, resolvedPathname))
+			return null;
+
+		return { pathname: path.relative(this.dataDir, resolvedPathname).split(path.sep).join('/'), size: info.size };
+	}
+
+	/**
+	 * Create a new ID for a Revision, a Snapshot or a Trash Entry
+	 * IDs consist of the Time in Milliseconds and a random Part, both as Hex, so they sort by the Time they were created.
+	 * The Time is increased if necessary, so the IDs created by one Process are strictly increasing
+	 * @returns {string}
+	 * @private
+	 */
+	static #createId() {
+		ReadWrite.#lastIdTime = Math.max(Date.now(), ReadWrite.#lastIdTime + 1);
+
+		return `${ReadWrite.#lastIdTime.toString(16).padStart(12, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+	}
+
+	/**
+	 * Check whether name is an ID created by #createId
+	 * @param {string} name 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isId(name) {
+		return /^[0-9a-f]{12}-[0-9a-f]{8}$/.test(name);
+	}
+
+	/**
+	 * Check the ID of a Revision, a Snapshot or a Trash Entry
+	 * @param {string} id 
+	 * @param {string} kind 'Version', 'Snapshot' or 'Trash'
+	 * @returns {void}
+	 * @private
+	 */
+	static #checkId(id, kind) {
+		if (typeof id !== 'string' || !ReadWrite.#isId(id))
+			throw new TypeError(`Expected id to be a ${kind} ID`);
+	}
+
+	/**
+	 * Get the Time an ID was created
+	 * @param {string} id 
+	 * @returns {Date}
+	 * @private
+	 */
+	static #idTime(id) {
+		return new Date(parseInt(id.slice(0, 12), 16));
+	}
+
+	/**
+	 * Validate the Arguments of withLock and create the LockFile for resolvedPathname
+	 * The Lock File is named after the Hash of the Path relative to the Root Data Directory, so Scopes share the Lock Files of their Root
+	 * @param {string} resolvedPathname 
+	 * @param {Function} fn 
+	 * @param {LockFileOptions} options 
+	 * @returns {LockFile}
+	 * @private
+	 */
+	#prepareLock(resolvedPathname, fn, { timeout = 10000, stale = 30000 }) {
+		if (typeof fn !== 'function')
+			throw new TypeError('Expected fn to be a Function');
+
+		if (!Number.isSafeInteger(timeout) || timeout <= 0)
+			throw new TypeError('Expected options.timeout to be a positive Integer');
+
+		if (!Number.isSafeInteger(stale) || stale <= 0)
+			throw new TypeError('Expected options.stale to be a positive Integer');
+
+		return new LockFile(this.backend, path.join(this.lockDir, `${this.internalName(resolvedPathname)}.lock`), path.relative(this.dataDir, resolvedPathname));
+	}
+
+	/**
+	 * Create the Journal of a new Transaction and the Lock File that marks it as owned by this Process
+	 * @returns {{journal: Journal, lockFile: LockFile}}
+	 * @private
+	 */
+	#createJournal() {
+		return this.#openJournal(crypto.randomBytes(8).toString('hex'));
+	}
+
+	/**
+	 * @param {string} id 
+	 * @returns {{journal: Journal, lockFile: LockFile}}
+	 * @private
+	 */
+	#openJournal(id) {
+		const dirname = path.join(this.journalDir, id);
+
+		return {
+			journal: new Journal(this.backend, dirname, path.dirname(this.internalDir)),
+			lockFile: new LockFile(this.backend, `${dirname}.lock`, path.relative(this.dataDir, dirname))
+		};
+	}
+
+	/**
+	 * Stage the Mutations of fn in journal and apply them, see transaction
+	 * The Lock File of journal has to be held
+	 * @template T
+	 * @param {Journal} journal 
+	 * @param {(transaction: Transaction) => Promise<T> | T} fn 
+	 * @returns {Promise<T>}
+	 * @private
+	 * @async
+	 */
+	async #runTransaction(journal, fn) {
+		const operations = [];
+
+		await journal.create();
+
+		const transaction = new Transaction(async (operation) => {
+			const staged = this.#stageOperation(journal, operation);
+
+			operations.push(staged);
+			await staged;
+		}, (operation) => {
+			operations.push(this.#stageOperationSync(journal, operation));
+		});
+
+		let result;
+		let staged;
+
+		try {
+			result = await fn(transaction);
+			staged = await Promise.all(operations);
+		}
+		catch (error) {
+			await Promise.allSettled(operations);
+			await journal.discard();
+			throw error;
+		}
+		finally {
+			transaction.close();
+		}
+
+		const resolvedPathnames = staged.flatMap(ReadWrite.#operationPathnames);
+
+		await this.runLocked(resolvedPathnames, async () => {
+			const affected = [];
+
+			for (const operation of staged)
+				affected.push(...(await this.#affectedPathnames(operation)));
+
+			try {
+				await journal.prepare(affected);
+			}
+			catch (error) {
+				await journal.discard();
+				throw error;
+			}
+
+			try {
+				for (const operation of staged)
+					await this.#applyOperation(operation);
+			}
+			catch (error) {
+				try {
+					await this.withBlobs(affected, async () => await journal.rollback());
+				}
+				finally {
+					affected.forEach(resolvedPathname => this.deleteCachedTree(resolvedPathname));
+					await this.updateUsage(affected);
+
+					for (const resolvedPathname of affected)
+						await this.rehash(resolvedPathname);
+				}
+
+				throw error;
+			}
+
+			await journal.discard();
+		});
+
+		return result;
+	}
+
+	/**
+	 * Synchronous Version of #runTransaction
+	 * @template T
+	 * @param {Journal} journal 
+	 * @param {(transaction: Transaction) => T} fn 
+	 * @returns {T}
+	 * @private
+	 */
+	#runTransactionSync(journal, fn) {
+		const staged = [];
+
+		journal.createSync();
+
+		const transaction = new Transaction(async () => {
+			throw new TypeError('Expected the synchronous Methods of the Transaction to be used in transactionSync');
+		}, (operation) => {
+			staged.push(this.#stageOperationSync(journal, operation));
+		});
+
+		let result;
+
+		try {
+			result = fn(transaction);
+
+			if (result instanceof Promise)
+				throw new TypeError('Expected fn not to return a Promise, use transaction instead');
+		}
+		catch (error) {
+			journal.discardSync();
+			throw error;
+		}
+		finally {
+			transaction.close();
+		}
+
+		const resolvedPathnames = staged.flatMap(ReadWrite.#operationPathnames);
+
+		this.runLockedSync(resolvedPathnames, () => {
+			const affected = staged.flatMap(operation => this.#affectedPathnamesSync(operation));
+
+			try {
+				journal.prepareSync(affected);
+			}
+			catch (error) {
+				journal.discardSync();
+				throw error;
+			}
+
+			try {
+				for (const operation of staged)
+					this.#applyOperationSync(operation);
+			}
+			catch (error) {
+				try {
+					this.withBlobsSync(affected, () => journal.rollbackSync());
+				}
+				finally {
+					affected.forEach(resolvedPathname => this.deleteCachedTree(resolvedPathname));
+					this.updateUsageSync(affected);
+					affected.forEach(resolvedPathname => this.rehashSync(resolvedPathname));
+				}
+
+				throw error;
+			}
+
+			journal.discardSync();
+		});
+
+		return result;
+	}
+
+	/**
+	 * Roll back the Journals that were left behind by crashed Processes
+	 * Every Journal is guarded by a Lock File while its Transaction runs. Only Journals whose Lock File is missing or stale (see LockFile.isStale) are recovered,
+	 * with the Lock held, so Journals of live Processes on this or another Host are left alone and concurrently starting Processes do not recover the same Journal twice.
+	 * Stale Lock Files whose Journal is already gone are removed as well.
+	 * @returns {void}
+	 * @private
+	 */
+	#recoverJournals() {
+		const ids = new Set(this.backend.readdirSync(this.journalDir)
+			.filter(({ name }) => !name.endsWith(LockFile.TAKEN_SUFFIX))
+			.map(({ name }) => name.replace(/\.lock$/, '')));
+
+		for (const id of ids) {
+			const { journal, lockFile } = this.#openJournal(id);
+
+			try {
+				lockFile.acquireSync({ timeout: 0 });
+			}
+			catch (error) {
+				if (error instanceof LockError)
+					continue;
+
+				throw error;
+			}
+
+			try {
+				const resolvedPathnames = journal.rollbackSync();
+
+				resolvedPathnames.forEach(resolvedPathname => this.deleteCachedTree(resolvedPathname));
+				this.updateUsageSync(resolvedPathnames);
+				resolvedPathnames.forEach(resolvedPathname => this.rehashSync(resolvedPathname));
+			}
+			finally {
+				lockFile.releaseSync();
+			}
+		}
+	}
+
+	/**
+	 * Check the Arguments of operation, resolve its Paths and stage its Data in journal, encoded with the Codecs of the File so the Journal never holds decoded Data
+	 * @param {Journal} journal 
+	 * @param {Operation} operation 
+	 * @returns {Promise<StagedOperation>}
+	 * @private
+	 * @async
+	 */
+	async #stageOperation(journal, operation) {
+		const { name, followSymlinks, sourceName, followSourceSymlinks } = ReadWrite.#prepareOperation(operation);
+		const resolvedPathname = await this.resolveEntry(operation.pathname, name, { followSymlinks });
+
+		return {
+			...operation,
+			resolvedPathname,
+			resolvedSourcePathname: sourceName ? await this.resolveEntry(operation.sourcePathname, sourceName, { followSymlinks: followSourceSymlinks }) : null,
+			staged: operation.type === 'write' ? await journal.stage(await this.encode(resolvedPathname, operation.data)) : null,
+			data: undefined
+		};
+	}
+
+	/**
+	 * Synchronous Version of #stageOperation
+	 * @param {Journal} journal 
+	 * @param {Operation} operation 
+	 * @returns {StagedOperation}
+	 * @private
+	 */
+	#stageOperationSync(journal, operation) {
+		const { name, followSymlinks, sourceName, followSourceSymlinks } = ReadWrite.#prepareOperation(operation);
+		const resolvedPathname = this.resolveEntrySync(operation.pathname, name, { followSymlinks });
+
+		return {
+			...operation,
+			resolvedPathname,
+			resolvedSourcePathname: sourceName ? this.resolveEntrySync(operation.sourcePathname, sourceName, { followSymlinks: followSourceSymlinks }) : null,
+			staged: operation.type === 'write' ? journal.stageSync(this.encodeSync(resolvedPathname, operation.data)) : null,
+			data: undefined
+		};
+	}
+
+	/**
+	 * Check the Data and Options of a write Operation and get how the Paths of operation are resolved
+	 * @param {Operation} operation 
+	 * @returns {{name: string, followSymlinks: boolean, sourceName?: string, followSourceSymlinks?: boolean}}
+	 * @private
+	 */
+	static #prepareOperation({ type, data, options }) {
+		if (type === 'write') {
+			if (!(data instanceof Buffer))
+				throw new TypeError('Expected data to be an instance of Buffer');
+
+			ReadWrite.#prepareWriteOptions(options);
+		}
+
+		return ReadWrite.#OPERATIONS[type];
+	}
+
+	/**
+	 * Get the Paths an Operation locks
+	 * @param {StagedOperation} operation 
+	 * @returns {string[]}
+	 * @private
+	 */
+	static #operationPathnames(operation) {
+		return operation.resolvedSourcePathname === null ? [operation.resolvedPathname] : [operation.resolvedPathname, operation.resolvedSourcePathname];
+	}
+
+	/**
+	 * Get the Paths of the Entries operation changes, which have to be snapshotted before it is applied
+	 * createDir creates missing Parents as well, so the outermost missing Directory is affected
+	 * @param {StagedOperation} operation 
+	 * @returns {Promise<string[]>}
+	 * @private
+	 * @async
+	 */
+	async #affectedPathnames(operation) {
+		if (operation.type === 'rename')
+			return [operation.resolvedSourcePathname, operation.resolvedPathname];
+
+		if (operation.type !== 'mkdir')
+			return [operation.resolvedPathname];
+
+		let outermost = null;
+
+		for (let current = operation.resolvedPathname; current !== this.dataDir && !(await this.#exists(current)); current = path.dirname(current))
+			outermost = current;
+
+		return outermost === null ? [] : [outermost];
+	}
+
+	/**
+	 * Synchronous Version of #affectedPathnames
+	 * @param {StagedOperation} operation 
+	 * @returns {string[]}
+	 * @private
+	 */
+	#affectedPathnamesSync(operation) {
+		if (operation.type === 'rename')
+			return [operation.resolvedSourcePathname, operation.resolvedPathname];
+
+		if (operation.type !== 'mkdir')
+			return [operation.resolvedPathname];
+
+		let outermost = null;
+
+		for (let current = operation.resolvedPathname; current !== this.dataDir && !this.#existsSync(current); current = path.dirname(current))
+			outermost = current;
+
+		return outermost === null ? [] : [outermost];
+	}
+
+	/**
+	 * Apply operation through the corresponding ReadWrite Method, so Hooks run and Events are emitted
+	 * @param {StagedOperation} operation 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #applyOperation({ type, pathname, resolvedPathname, sourcePathname, options, staged }) {
+		switch (type) {
+			case 'write':
+				return await this.writeFile(pathname, await this.decode(resolvedPathname, (await this.backend.readFile(staged)).data), options);
+			case 'mkdir':
+				return await this.createDir(pathname);
+			case 'symlink':
+				return await this.createSymLink(sourcePathname, pathname);
+			case 'link':
+				return await this.createHardLink(sourcePathname, pathname);
+			case 'rename':
+				return await this.rename(sourcePathname, pathname);
+			case 'copy':
+				return await this.copyFile(sourcePathname, pathname);
+			case 'delete':
+				return await this.delete(pathname, { trash: false });
+		}
+	}
+
+	/**
+	 * Synchronous Version of #applyOperation
+	 * @param {StagedOperation} operation 
+	 * @returns {void}
+	 * @private
+	 */
+	#applyOperationSync({ type, pathname, resolvedPathname, sourcePathname, options, staged }) {
+		switch (type) {
+			case 'write':
+				return this.writeFileSync(pathname, this.decodeSync(resolvedPathname, this.backend.readFileSync(staged).data), options);
+			case 'mkdir':
+				return this.createDirSync(pathname);
+			case 'symlink':
+				return this.createSymLinkSync(sourcePathname, pathname);
+			case 'link':
+				return this.createHardLinkSync(sourcePathname, pathname);
+			case 'rename':
+				return this.renameSync(sourcePathname, pathname);
+			case 'copy':
+				return this.copyFileSync(sourcePathname, pathname);
+			case 'delete':
+				return this.deleteSync(pathname, { trash: false });
+		}
+	}
+
+	/**
+	 * Create a unique Path for a Temp File next to resolvedFilename, so it can be renamed over it even if its Directory is on another File System
+	 * The Marker in the Temp Directory records the Temp File until it is renamed. The Process ID and the Hostname are part of its Name, so Temp Files of crashed Processes can be found and told apart
+	 * @param {string} resolvedFilename 
+	 * @returns {{tempFilename: string, markerFilename: string}}
+	 * @private
+	 */
+	#createTempFilename(resolvedFilename) {
+		const id = crypto.randomBytes(8).toString('hex');
+
+		return {
+			tempFilename: path.join(path.dirname(resolvedFilename), `${IO.TEMP_PREFIX}${id}`),
+			markerFilename: path.join(this.tempDir, `${process.pid}-${id}-${os.hostname()}.ref`)
+		};
+	}
+
+	/**
+	 * Remove Temp Files that were left behind by Processes that no longer exist
+	 * The Temp Directory holds the Temp Files of the Blob Store and the Markers of atomic Writes, whose Temp Files are removed along with them.
+	 * Whether the Owner is gone is decided like for Lock Files (see LockFile.isStale), the Modification Time of the Temp File tells when it was last seen
+	 * @returns {void}
+	 * @private
+	 */
+	#removeStaleTempFiles() {
+		for (const { name } of this.backend.readdirSync(this.tempDir)) {
+			const match = /^(\d+)-[0-9a-f]+(?:-(.+))?\.(tmp|ref)$/.exec(name);
+			const filename = path.join(this.tempDir, name);
+
+			if (match === null)
+				continue;
+
+			const [, pid, hostname = os.hostname(), type] = match;
+
+			try {
+				if (!LockFile.isStale({ pid: Number.parseInt(pid, 10), hostname, updatedAt: this.backend.lstatSync(filename).mtimeMs }, ReadWrite.#STALE_TEMP_FILE))
+					continue;
+
+				if (type === 'ref')
+					this.#removeMarkedTempFile(filename);
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT')
+					throw error;
+			}
+
+			this.backend.rmSync(filename, { force: true });
+		}
+	}
+
+	/**
+	 * Remove the Temp File recorded by the Marker markerFilename
+	 * Only Files named like Temp Files are removed, in Case the Marker was tampered with
+	 * @param {string} markerFilename 
+	 * @returns {void}
+	 * @private
+	 */
+	#removeMarkedTempFile(markerFilename) {
+		const tempFilename = path.resolve(path.dirname(this.internalDir), this.backend.readFileSync(markerFilename).data.toString('utf8'));
+
+		if (path.basename(tempFilename).startsWith(IO.TEMP_PREFIX))
+			this.backend.rmSync(tempFilename, { force: true });
+	}
+
+	/**
+	 * Decide how an atomic Write replaces the File resolvedFilename
+	 * The Temp File replaces the Target of a Symbolic Link instead of the Link itself, and gets the Mode of the File it replaces.
+	 * With hardLinks, a File with other Hard Links is written in Place instead, so every Link sees the new Content.
+	 * Hard Links of Snapshots do not count, they are meant to keep the old Content (see snapshot), and Files linked to a Blob (see options.dedupe) are always replaced, as Blobs are never modified
+	 * A dangling Symbolic Link is written in Place as well, which creates its Target
+	 * Resolves to the File to replace and its Mode (null for a new File), or null if the File has to be written in Place
+	 * @param {string} resolvedFilename 
+	 * @param {boolean} hardLinks 
+	 * @returns {Promise<{filename: string, mode: number | null} | null>}
+	 * @private
+	 * @async
+	 */
+	async #prepareReplacement(resolvedFilename, hardLinks) {
+		let filename = resolvedFilename;
+		let stats;
+
+		try {
+			stats = await this.backend.lstat(resolvedFilename);
+
+			if (stats.isSymbolicLink()) {
+				filename = this.#toDataPath(await this.backend.realpath(resolvedFilename));
+				stats = await this.backend.stat(filename);
+			}
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+
+			return stats === undefined ? { filename, mode: null } : null;
+		}
+
+		// The Link Count is checked first, so the Snapshots are only searched for Files that have other Hard Links
+		if (hardLinks && stats.isFile() && stats.nlink > 1 && stats.nlink > 1 + await this.#countSnapshotLinks(filename, stats) && !await this.linksToBlob(filename))
+			return null;
+
+		if (filename !== resolvedFilename)
+			this.deleteCached(filename);
+
+		return { filename, mode: stats.mode & 0o7777 };
+	}
+
+	/**
+	 * Synchronous Version of #prepareReplacement
+	 * @param {string} resolvedFilename 
+	 * @param {boolean} hardLinks 
+	 * @returns {{filename: string, mode: number | null} | null}
+	 * @private
+	 */
+	#prepareReplacementSync(resolvedFilename, hardLinks) {
+		let filename = resolvedFilename;
+		let stats;
+
+		try {
+			stats = this.backend.lstatSync(resolvedFilename);
+
+			if (stats.isSymbolicLink()) {
+				filename = this.#toDataPath(this.backend.realpathSync(resolvedFilename));
+				stats = this.backend.statSync(filename);
+			}
+		}
+		catch (error) {
+			if (error.code !== 'ENOENT')
+				throw error;
+
+			return stats === undefined ? { filename, mode: null } : null;
+		}
+
+		if (hardLinks && stats.isFile() && stats.nlink > 1 && stats.nlink > 1 + this.#countSnapshotLinksSync(filename, stats) && !this.linksToBlobSync(filename))
+			return null;
+
+		if (filename !== resolvedFilename)
+			this.deleteCached(filename);
+
+		return { filename, mode: stats.mode & 0o7777 };
+	}
+
+	/**
+	 * Map the Real Path realPathname to the Path below the Data Directory, if it is inside the Real Data Directory
+	 * @param {string} realPathname 
+	 * @returns {string}
+	 * @private
+	 */
+	#toDataPath(realPathname) {
+		return IO.isInside(this.realDataDir, realPathname) ? path.join(this.dataDir, path.relative(this.realDataDir, realPathname)) : realPathname;
+	}
+
+	/**
+	 * Count the Snapshots taken with Hard Links (see snapshot) that link to the File resolvedFilename with stats
+	 * @param {string} resolvedFilename 
+	 * @param {fs.Stats} stats 
+	 * @returns {Promise<number>}
+	 * @private
+	 * @async
+	 */
+	async #countSnapshotLinks(resolvedFilename, stats) {
+		let links = 0;
+
+		for (const id of await this.#readIds(this.snapshotDir)) {
+			const linked = await this.#snapshotEntryOf(id, await this.#readSnapshotInfo(id), resolvedFilename);
+
+			try {
+				const linkedStats = linked === null ? null : await this.backend.lstat(linked);
+
+				links += linkedStats !== null && linkedStats.ino === stats.ino && linkedStats.dev === stats.dev ? 1 : 0;
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')
+					throw error;
+			}
+		}
+
+		return links;
+	}
+
+	/**
+	 * Synchronous Version of #countSnapshotLinks
+	 * @param {string} resolvedFilename 
+	 * @param {fs.Stats} stats 
+	 * @returns {number}
+	 * @private
+	 */
+	#countSnapshotLinksSync(resolvedFilename, stats) {
+		let links = 0;
+
+		for (const id of this.#readIdsSync(this.snapshotDir)) {
+			const linked = this.#snapshotEntryOf(id, this.#readSnapshotInfoSync(id), resolvedFilename);
+
+			try {
+				const linkedStats = linked === null ? null : this.backend.lstatSync(linked);
+
+				links += linkedStats !== null && linkedStats.ino === stats.ino && linkedStats.dev === stats.dev ? 1 : 0;
+			}
+			catch (error) {
+				if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')
+					throw error;
+			}
+		}
+
+		return links;
+	}
+
+	/**
+	 * Get the Path the File resolvedFilename has in the Snapshot id taken with Hard Links
+	 * Returns null if the Snapshot is incomplete, was taken without Hard Links or does not contain the Path
+	 * @param {string} id 
+	 * @param {{pathname: string, hardLinks: boolean} | null} info 
+	 * @param {string} resolvedFilename 
+	 * @returns {string | null}
+	 * @private
+	 */
+	#snapshotEntryOf(id, info, resolvedFilename) {
+		if (info === null || !info.hardLinks)
+			return null;
+
+		const resolvedDirname = path.resolve(path.dirname(this.internalDir), info.pathname);
+
+		if (!IO.isInside(resolvedDirname, resolvedFilename))
+			return null;
+
+		return path.join(this.snapshotDir, id, 'tree', path.relative(resolvedDirname, resolvedFilename));
+	}
+
+	/**
+	 * Write data to a Temp File next to replacement.filename and rename it over the File
+	 * Resolves to the Stats of the written File
+	 * @param {{filename: string, mode: number | null}} replacement see #prepareReplacement
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {Promise<fs.Stats>}
+	 * @private
+	 * @async
+	 */
+	async #writeFileAtomic({ filename, mode }, data, fsync) {
+		const { tempFilename, markerFilename } = this.#createTempFilename(filename);
+
+		await this.backend.writeFile(markerFilename, Buffer.from(this.#rootRelative(tempFilename)), { fsync: false });
+
+		try {
+			const stats = await this.#writeFileInPlace(tempFilename, data, fsync);
+
+			if (mode !== null)
+				await this.backend.chmod(tempFilename, mode);
+
+			await this.backend.rename(tempFilename, filename);
+
+			if (fsync)
+				await this.backend.fsyncDir(path.dirname(filename));
+
+			return stats;
+		}
+		catch (error) {
+			await this.backend.rm(tempFilename, { force: true });
+			throw error;
+		}
+		finally {
+			await this.backend.rm(markerFilename, { force: true });
+		}
+	}
+
+	/**
+	 * Write data directly to resolvedFilename
+	 * Resolves to the Stats of the written File
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {Promise<fs.Stats>}
+	 * @private
+	 * @async
+	 */
+	async #writeFileInPlace(resolvedFilename, data, fsync) {
+		return await this.backend.writeFile(resolvedFilename, data, { fsync });
+	}
+
+	/**
+	 * Synchronously write data to a Temp File next to replacement.filename and rename it over the File
+	 * @param {{filename: string, mode: number | null}} replacement 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {fs.Stats}
+	 * @private
+	 */
+	#writeFileAtomicSync({ filename, mode }, data, fsync) {
+		const { tempFilename, markerFilename } = this.#createTempFilename(filename);
+
+		this.backend.writeFileSync(markerFilename, Buffer.from(this.#rootRelative(tempFilename)), { fsync: false });
+
+		try {
+			const stats = this.#writeFileInPlaceSync(tempFilename, data, fsync);
+
+			if (mode !== null)
+				this.backend.chmodSync(tempFilename, mode);
+
+			this.backend.renameSync(tempFilename, filename);
+
+			if (fsync)
+				this.backend.fsyncDirSync(path.dirname(filename));
+
+			return stats;
+		}
+		catch (error) {
+			this.backend.rmSync(tempFilename, { force: true });
+			throw error;
+		}
+		finally {
+			this.backend.rmSync(markerFilename, { force: true });
+		}
+	}
+
+	/**
+	 * Synchronously write data directly to resolvedFilename
+	 * @param {string} resolvedFilename 
+	 * @param {Buffer} data 
+	 * @param {boolean} fsync 
+	 * @returns {fs.Stats}
+	 * @private
+	 */
+	#writeFileInPlaceSync(resolvedFilename, data, fsync) {
+		return this.backend.writeFileSync(resolvedFilename, data, { fsync });
+	}
+
 }
 
+IO.instrument(ReadWrite);
+
 module.exports = ReadWrite;
\ No newline at end of file
@@ -0,0 +1,469 @@
+const http = require('http');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const ReadOnly = require('./ReadOnly');
+const ReadWrite = require('./ReadWrite');
+const PathError = require('./PathError');
+const VetoError = require('./VetoError');
+const QuotaError = require('./QuotaError');
+const LockError = require('./LockError');
+const ValidationError = require('./ValidationError');
+
+/**
+ * @typedef {Object} ServerOptions
+ * @property {string} [prefix] the URL Path the Data Directory is served at, has to start with / (defaults to '/')
+ * @property {boolean} [readOnly] reject PUT and DELETE even if io is a ReadWrite Instance (defaults to false)
+ * @property {boolean} [listing] serve Directory Listings (defaults to true)
+ * @property {number} [maxBodySize] maximum Size of a PUT Body in Bytes, which is buffered before it is written (defaults to Server.MAX_BODY_SIZE)
+ * @property {boolean} [recursiveDelete] let DELETE remove non-empty Directories with everything below them (defaults to false)
+ */
+
+/**
+ * @typedef {(request: http.IncomingMessage, response: http.ServerResponse) => Promise<void>} Handler
+ */
+
+class Server {
+	/**
+	 * The default Maximum Size of a PUT Body in Bytes (16 MiB)
+	 * @type {number}
+	 */
+	static MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+	/**
+	 * Content Types by File Extension, other Files are served as application/octet-stream
+	 * @type {Object<string, string>}
+	 */
+	static #CONTENT_TYPES = {
+		'.css': 'text/css; charset=utf-8',
+		'.csv': 'text/csv; charset=utf-8',
+		'.gif': 'image/gif',
+		'.htm': 'text/html; charset=utf-8',
+		'.html': 'text/html; charset=utf-8',
+		'.jpeg': 'image/jpeg',
+		'.jpg': 'image/jpeg',
+		'.js': 'text/javascript; charset=utf-8',
+		'.json': 'application/json',
+		'.md': 'text/markdown; charset=utf-8',
+		'.ndjson': 'application/x-ndjson',
+		'.pdf': 'application/pdf',
+		'.png': 'image/png',
+		'.svg': 'image/svg+xml',
+		'.txt': 'text/plain; charset=utf-8',
+		'.webp': 'image/webp',
+		'.xml': 'application/xml',
+		'.zip': 'application/zip'
+	};
+
+	/**
+	 * Create an HTTP Server that serves the Data Directory of io, see createHandler
+	 * The Server is not listening yet
+	 * @param {ReadOnly | ReadWrite} io 
+	 * @param {ServerOptions} [options]
+	 * @returns {http.Server}
+	 * @throws {TypeError} if io is not an instance of ReadOnly
+	 * @throws {TypeError} if an Option is invalid
+	 * @public
+	 */
+	static createServer(io, options = {}) {
+		return http.createServer(Server.createHandler(io, options));
+	}
+
+	/**
+	 * Create a Request Handler for node:http that serves the Data Directory of io below options.prefix
+	 * GET streams Files through createReadStream, also for a single Byte Range, with ETag, Last-Modified and conditional Requests, and lists Directories through readDir as JSON.
+	 * The Stats come from stat, so HEAD only reads the Content of Files with Codecs, whose decoded Size is not known otherwise. Cached Files are served without accessing the Backend.
+	 * If io is a ReadWrite Instance, PUT writes the Request Body of at most options.maxBodySize Bytes through writeFile into an existing Directory and DELETE deletes Files through delete and Directories through deleteTree.
+	 * Non-empty Directories are only deleted with options.recursiveDelete, and the served Directory itself is never deleted.
+	 * Every Path goes through the Path Checks of io, and the internal Directory is never served.
+	 * The Handler never rejects: Errors are answered with a matching Status Code (e.g. 403 for a PathError or 404 for a missing Entry)
+	 * @param {ReadOnly | ReadWrite} io 
+	 * @param {ServerOptions} [options]
+	 * @returns {Handler}
+	 * @throws {TypeError} if io is not an instance of ReadOnly
+	 * @throws {TypeError} if options.prefix is not a String starting with /
+	 * @throws {TypeError} if options.readOnly, options.listing or options.recursiveDelete is not a Boolean
+	 * @throws {TypeError} if options.maxBodySize is not a positive Integer or Infinity
+	 * @public
+	 */
+	static createHandler(io, { prefix = '/', readOnly = false, listing = true, maxBodySize = Server.MAX_BODY_SIZE, recursiveDelete = false } = {}) {
+		if (!(io instanceof ReadOnly))
+			throw new TypeError('Expected io to be an instance of ReadOnly');
+
+		if (typeof prefix !== 'string' || !prefix.startsWith('/'))
+			throw new TypeError('Expected options.prefix to be a String starting with /');
+
+		if (typeof readOnly !== 'boolean')
+			throw new TypeError('Expected options.readOnly to be a Boolean');
+
+		if (typeof listing !== 'boolean')
+			throw new TypeError('Expected options.listing to be a Boolean');
+
+		if (maxBodySize !== Infinity && (!Number.isSafeInteger(maxBodySize) || maxBodySize <= 0))
+			throw new TypeError('Expected options.maxBodySize to be a positive Integer or Infinity');
+
+		if (typeof recursiveDelete !== 'boolean')
+			throw new TypeError('Expected options.recursiveDelete to be a Boolean');
+
+		const options = {
+			prefix: prefix.endsWith('/') ? prefix : `${prefix}/`,
+			writable: !readOnly && io instanceof ReadWrite,
+			listing,
+			maxBodySize,
+			recursiveDelete
+		};
+
+		return async (request, response) => {
+			try {
+				await Server.#handle(io, options, request, response);
+			}
+			catch (error) {
+				Server.#sendError(response, error);
+			}
+		};
+	}
+
+	/**
+	 * Answer request
+	 * @param {ReadOnly | ReadWrite} io 
+	 * @param {{prefix: string, writable: boolean, listing: boolean, maxBodySize: number, recursiveDelete: boolean}} options 
+	 * @param {http.IncomingMessage} request 
+	 * @param {http.ServerResponse} response 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #handle(io, options, request, response) {
+		const allow = options.writable ? 'GET, HEAD, PUT, DELETE, OPTIONS' : 'GET, HEAD, OPTIONS';
+
+		if (!allow.split(', ').includes(request.method))
+			return Server.#send(response, 405, { 'Allow': allow }, `Expected the Method to be one of ${allow}`);
+
+		const pathname = Server.#toPathname(request.url, options.prefix);
+
+		if (pathname === null)
+			return Server.#send(response, 404, {}, 'Expected the URL to be inside the served Directory');
+
+		// The Methods of io check the Path again, including noSymlinkEscape
+		const resolvedPathname = path.resolve(io.dataDir, pathname);
+
+		if (!ReadOnly.isInside(io.dataDir, resolvedPathname))
+			throw new PathError('Expected pathname to be inside the Data Directory', pathname);
+
+		if (io.isInternal(resolvedPathname))
+			return Server.#send(response, 404, {}, 'Expected the URL not to be inside the internal Directory');
+
+		switch (request.method) {
+			case 'OPTIONS':
+				return Server.#send(response, 204, { 'Allow': allow });
+			case 'PUT':
+				return await Server.#put(io, options, pathname, request, response);
+			case 'DELETE':
+				return await Server.#delete(io, options, pathname, resolvedPathname, response);
+			default:
+				return await Server.#get(io, options, pathname, request, response);
+		}
+	}
+
+	/**
+"	 * Answer a GET or HEAD request for the Entry at pathname
+	 * @param {ReadOnly} io 
+	 * @param {{listing: boolean}} options 
+	 * @param {string} pathname 
+	 * @param {http.IncomingMessage} request 
+	 * @param {http.ServerResponse} response 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #get(io, options, pathname, request, response) {
+		const stats = await io.stat(pathname);
+
+		if (stats.isDirectory) {
+			if (!options.listing)
+				return Server.#send(response, 403, {}, 'Expected the URL not to be a Directory');
+
+			const entries = (await io.readDir(pathname)).map(dirent => ({
+				name: dirent.name,
+				type: dirent.isFile() ? 'file' : dirent.isDirectory() ? 'directory' : dirent.isSymbolicLink() ? 'symlink' : 'other'
+			}));
+
+			return Server.#send(response, 200, { 'Content-Type': 'application/json' }, JSON.stringify(entries), request.method === 'HEAD');
+		}
+
+		const size = stats.size;
+		const etag = `"${stats.ino.toString(16)}-${stats.storedSize.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+		const lastModified = new Date(Math.floor(stats.mtimeMs / 1000) * 1000);
+		const headers = {
+			'Content-Type': Server.#CONTENT_TYPES[path.extname(pathname).toLowerCase()] ?? 'application/octet-stream',
+			'ETag': etag,
+			'Last-Modified': lastModified.toUTCString(),
+			'Accept-Ranges': 'bytes'
+		};
+
+		if (Server.#isNotModified(request, etag, lastModified))
+			return Server.#send(response, 304, headers);
+
+		const range = request.headers['if-range'] === undefined || request.headers['if-range'] === etag
+			? Server.#parseRange(request.headers.range, size)
+			: null;
+
+		if (range === false)
+			return Server.#send(response, 416, { ...headers, 'Content-Range': `bytes */${size}` });
+
+		if (range === null) {
+			if (request.method === 'HEAD')
+				return Server.#send(response, 200, { ...headers, 'Content-Length': size }, '', true);
+
+			return await Server.#stream(response, 200, { ...headers, 'Content-Length': size }, io.createReadStream(pathname));
+		}
+
+		const [start, end] = range;
+		const rangeHeaders = { ...headers, 'Content-Range': `bytes ${start}-${end}/${size}` };
+
+		if (request.method === 'HEAD')
+			return Server.#send(response, 206, { ...rangeHeaders, 'Content-Length': end - start + 1 }, '', true);
+
+		return await Server.#stream(response, 206, { ...rangeHeaders, 'Content-Length': end - start + 1 }, io.createReadStream(pathname, { start, end }));
+	}
+
+	/**
+	 * Answer a PUT request by writing its Body to the File at pathname
+	 * Missing parent Directories are not created, the Request is answered with 409 instead
+	 * @param {ReadWrite} io 
+	 * @param {{maxBodySize: number}} options 
+	 * @param {string} pathname 
+	 * @param {http.IncomingMessage} request 
+	 * @param {http.ServerResponse} response 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #put(io, options, pathname, request, response) {
+		if (Number(request.headers['content-length']) > options.maxBodySize)
+			return Server.#send(response, 413, { 'Connection': 'close' }, `Expected the Body to be at most ${options.maxBodySize} Bytes`);
+
+		const chunks = [];
+		let size = 0;
+
+		for await (const chunk of request) {
+			size += chunk.length;
+
+			if (size > options.maxBodySize)
+				return Server.#send(response, 413, { 'Connection': 'close' }, `Expected the Body to be at most ${options.maxBodySize} Bytes`);
+
+			chunks.push(chunk);
+		}
+
+		const exists = await Server.#exists(io, pathname);
+
+		try {
+			await io.writeFile(pathname, Buffer.concat(chunks));
+		}
+		catch (error) {
+			if (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+				return Server.#send(response, 409, {}, 'Expected the parent Directory to exist');
+
+			throw error;
+		}
+
+		Server.#send(response, exists ? 204 : 201);
+	}
+
+	/**
+	 * Answer a DELETE request by deleting the Entry at pathname
+	 * The served Directory is never deleted (403), non-empty Directories only with options.recursiveDelete (409 otherwise)
+	 * @param {ReadWrite} io 
+	 * @param {{recursiveDelete: boolean}} options 
+	 * @param {string} pathname 
+	 * @param {string} resolvedPathname 
+	 * @param {http.ServerResponse} response 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #delete(io, options, pathname, resolvedPathname, response) {
+		if (resolvedPathname === io.dataDir)
+			return Server.#send(response, 403, {}, 'Expected the URL not to be the served Directory');
+
+		if (!(await io.info(pathname)).isDirectory())
+			await io.delete(pathname);
+		else if (!options.recursiveDelete && (await io.readDir(pathname)).length > 0)
+			return Server.#send(response, 409, {}, 'Expected the Directory to be empty');
+		else
+			await io.deleteTree(pathname);
+
+		Server.#send(response, 204);
+	}
+
+	/**
+	 * Check whether the Entry at pathname exists
+	 * @param {ReadOnly} io 
+	 * @param {string} pathname 
+	 * @returns {Promise<boolean>}
+	 * @private
+	 * @async
+	 */
+	static async #exists(io, pathname) {
+		try {
+			await io.info(pathname);
+			return true;
+		}
+		catch (error) {
+			if (error.code === 'ENOENT')
+				return false;
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the Path relative to the Data Directory that url refers to below prefix
+	 * Returns null if url is not below prefix
+	 * @param {string} url 
+	 * @param {string} prefix always ends with /
+	 * @returns {string | null}
+	 * @throws {URIError} if the Path of url is not correctly percent-encoded
+	 * @private
+	 */
+	static #toPathname(url, prefix) {
+		const { pathname } = new URL(url, 'http://localhost');
+
+		if (pathname !== prefix.slice(0, -1) && !pathname.startsWith(prefix))
+			return null;
+
+		return pathname.slice(prefix.length).split('/').map(segment => decodeURIComponent(segment)).join('/') || '.';
+	}
+
+	/**
+	 * Check whether the conditional Headers of request allow a 304 Response
+	 * If-None-Match takes Precedence over If-Modified-Since
+	 * @param {http.IncomingMessage} request 
+	 * @param {string} etag 
+	 * @param {Date} lastModified 
+	 * @returns {boolean}
+	 * @private
+	 */
+	static #isNotModified(request, etag, lastModified) {
+		const ifNoneMatch = request.headers['if-none-match'];
+
+		if (ifNoneMatch !== undefined)
+			return ifNoneMatch.split(',').some(tag => ['*', etag, `W/${etag}`].includes(tag.trim()));
+
+		const ifModifiedSince = Date.parse(request.headers['if-modified-since'] ?? '');
+
+		return !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+	}
+
+	/**
+	 * Parse a Range Header for Content of size Bytes
+	 * Returns the inclusive Start and End of a single Byte Range, null if the whole Content should be sent
+	 * (no, an unsupported or a multi Range Header) or false if the Range cannot be satisfied
+	 * @param {string | undefined} header 
+	 * @param {number} size 
+	 * @returns {[number, number] | null | false}
+	 * @private
+	 */
+	static #parseRange(header, size) {
+		const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() ?? '');
+
+		if (match === null || (match[1] === '' && match[2] === ''))
+			return null;
+
+		if (match[1] === '') {
+			const length = Number(match[2]);
+
+			return length === 0 || size === 0 ? false : [Math.max(size - length, 0), size - 1];
+		}
+
+		const start = Number(match[1]);
+		const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+
+		if (start >= size || start > end)
+			return false;
+
+		return [start, end];
+	}
+
+	/**
+	 * Send a Response with status, headers and body
+	 * A Content-Length in headers takes Precedence over the Length of body, so HEAD Responses can announce Content they do not send
+	 * @param {http.ServerResponse} response 
+	 * @param {number} status 
+	 * @param {Object<string, string | number>} [headers]
+	 * @param {string | Buffer} [body]
+	 * @param {boolean} [headOnly] only send the Headers of body
+	 * @returns {void}
+	 * @private
+	 */
+	static #send(response, status, headers = {}, body = '', headOnly = false) {
+		const data = Buffer.isBuffer(body) ? body : Buffer.from(body);
+
+		if (data.length > 0 && headers['Content-Type'] === undefined)
+			headers = { ...headers, 'Content-Type': 'text/plain; charset=utf-8' };
+
+		response.writeHead(status, status === 204 || status === 304 ? headers : { 'Content-Length': data.length, ...headers });
+		response.end(headOnly || status === 204 || status === 304 ? undefined : data);
+	}
+
+	/**
+	 * Send a Response with status and headers whose Body is read from readable
+	 * headers have to contain the Content-Length. If readable fails after the Headers were sent, the Response is destroyed
+	 * @param {http.ServerResponse} response 
+	 * @param {number} status 
+	 * @param {Object<string, string | number>} headers 
+	 * @param {import('stream').Readable} readable 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	static async #stream(response, status, headers, readable) {
+		response.writeHead(status, headers);
+
+		await pipeline(readable, response);
+	}
+
+	/**
+	 * Answer with the Status Code that matches error
+	 * Messages of unexpected Errors are not sent, as they can contain absolute Paths
+	 * @param {http.ServerResponse} response 
+	 * @param {Error} error 
+	 * @returns {void}
+	 * @private
+	 */
+	static #sendError(response, error) {
+		if (response.headersSent) {
+			response.destroy(error);
+			return;
+		}
+
+		if (error instanceof PathError || error instanceof VetoError)
+			return Server.#send(response, 403, {}, error.message);
+
+		if (error instanceof URIError)
+			return Server.#send(response, 400, {}, 'Expected the URL to be correctly percent-encoded');
+
+		if (error instanceof QuotaError)
+			return Server.#send(response, 507, {}, error.message);
+
+		if (error instanceof LockError)
+			return Server.#send(response, 423, {}, error.message);
+
+		if (error instanceof ValidationError)
+			return Server.#send(response, 422, {}, error.message);
+
+		switch (error.code) {
+			case 'ENOENT':
+			case 'ENOTDIR':
+				return Server.#send(response, 404, {}, 'Expected the Entry to exist');
+			case 'EISDIR':
+			case 'EEXIST':
+			case 'ENOTEMPTY':
+				return Server.#send(response, 409, {}, http.STATUS_CODES[409]);
+			default:
+				return Server.#send(response, 500, {}, http.STATUS_CODES[500]);
+		}
+	}
+}
+
+module.exports = Server;
\ No newline at end of file
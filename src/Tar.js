@@ -0,0 +1,430 @@
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+/**
+ * @typedef {Object} TarEntry
+ * @property {string} pathname Path of the Entry inside the Archive, with / as Separator
+ * @property {'file' | 'directory' | 'symlink' | 'link'} type
+ * @property {number} mode Permission Bits
+ * @property {Date} mtime
+ * @property {number} size Size of data in Bytes
+ * @property {string} linkname Target of a symlink, or the Path of the linked Entry inside the Archive for a link
+ * @property {AsyncIterable<Buffer>} [data] Content of a file, read from the Archive while it is iterated
+ */
+
+class Tar {
+	/**
+	 * Size of a Header or Data Block in Bytes
+	 * @type {number}
+	 */
+	static BLOCK_SIZE = 512;
+
+	/**
+	 * The two empty Blocks that end an Archive
+	 * @type {Buffer}
+	 */
+	static END = Buffer.alloc(1024);
+
+	/**
+	 * Maximum Size of the PAX and GNU Headers of an Entry in Bytes, which are held in Memory while they are parsed
+	 * @type {number}
+	 */
+	static MAX_HEADER_SIZE = 1024 * 1024;
+
+	/**
+	 * Largest Number an octal Header Field of 12 Bytes can hold
+	 * @type {number}
+	 */
+	static #MAX_OCTAL = 0o77777777777;
+
+	/**
+	 * @type {Object<string, TarEntry['type']>}
+	 */
+	static #TYPES = { '0': 'file', '\0': 'file', '7': 'file', '1': 'link', '2': 'symlink', '5': 'directory' };
+
+	/**
+	 * Encode the Header of entry as a ustar Header Block
+	 * Paths and Link Targets that do not fit into the ustar Fields and Sizes beyond 8 GiB are stored in a preceding PAX Header,
+	 * the ustar Fields then hold a truncated Value for Readers without PAX Support
+	 * @param {TarEntry} entry 
+	 * @returns {Buffer}
+	 * @public
+	 */
+	static header({ pathname, type, mode, mtime, size = 0, linkname = '' }) {
+		const pax = {};
+		const split = Tar.#splitPathname(pathname);
+		const mtimeSeconds = Math.max(Math.floor(mtime.getTime() / 1000), 0);
+
+		if (split === null)
+			pax.path = pathname;
+
+		if (Buffer.byteLength(linkname) > 100)
+			pax.linkpath = linkname;
+
+		if (size > Tar.#MAX_OCTAL)
+			pax.size = String(size);
+
+		const block = Tar.#block({
+			name: split?.name ?? pathname,
+			prefix: split?.prefix ?? '',
+			mode,
+			size: size > Tar.#MAX_OCTAL ? 0 : size,
+			mtime: Math.min(mtimeSeconds, Tar.#MAX_OCTAL),
+			typeflag: Object.keys(Tar.#TYPES).find(flag => Tar.#TYPES[flag] === type),
+			linkname
+		});
+
+		if (Object.keys(pax).length === 0)
+			return block;
+
+		const records = Buffer.concat(Object.entries(pax).map(([key, value]) => Tar.#paxRecord(key, value)));
+		const paxHeader = Tar.#block({ name: 'PaxHeader', prefix: '', mode: 0o644, size: records.length, mtime: Math.min(mtimeSeconds, Tar.#MAX_OCTAL), typeflag: 'x', linkname: '' });
+
+		return Buffer.concat([paxHeader, records, Tar.padding(records.length), block]);
+	}
+
+	/**
+	 * Get the Zero Bytes that fill the last Data Block of an Entry of size Bytes
+	 * @param {number} size 
+	 * @returns {Buffer}
+	 * @public
+	 */
+	static padding(size) {
+		return Buffer.alloc((Tar.BLOCK_SIZE - size % Tar.BLOCK_SIZE) % Tar.BLOCK_SIZE);
+	}
+
+	/**
+	 * Read the Entries of the Archive from readable, which may be gzip-compressed
+	 * PAX and GNU Headers for long Paths are applied to the following Entry, Entries of other Types (e.g. Devices) are skipped
+	 * The Content of a File is not buffered, but read from readable through entry.data, which has to be iterated before the next Entry is requested.
+	 * Bytes of the Content left unread are skipped
+	 * Throws an Error if the Archive is truncated, a Header is invalid or a PAX or GNU Header is larger than MAX_HEADER_SIZE
+	 * @param {AsyncIterable<Buffer>} readable 
+	 * @returns {AsyncGenerator<TarEntry>}
+	 * @public
+	 * @async
+	 */
+	static async *entries(readable) {
+		const iterator = readable[Symbol.asyncIterator]();
+
+		try {
+			const first = await iterator.next();
+
+			if (first.done)
+				return;
+
+			let chunks = (async function* () {
+				yield first.value;
+
+				for (let next = await iterator.next(); !next.done; next = await iterator.next())
+					yield next.value;
+			})();
+
+			if (first.value[0] === 0x1f && first.value[1] === 0x8b)
+				chunks = pipeline(Readable.from(chunks), zlib.createGunzip(), () => {});
+
+			yield* Tar.#parse(chunks[Symbol.asyncIterator]());
+		}
+		finally {
+			await iterator.return?.();
+		}
+	}
+
+	/**
+	 * Parse the Blocks read from chunks into Entries
+	 * @param {AsyncIterator<Buffer>} chunks 
+	 * @returns {AsyncGenerator<TarEntry>}
+	 * @private
+	 * @async
+	 */
+	static async *#parse(chunks) {
+		const buffered = [];
+		let length = 0;
+
+		// Resolves once at least one Byte is buffered, or to false if the Archive ended
+		const fill = async () => {
+			while (length === 0) {
+				const { value, done } = await chunks.next();
+
+				if (done)
+					return false;
+
+				buffered.length = 0;
+				buffered.push(value);
+				length += value.length;
+			}
+
+			return true;
+		};
+
+		// Resolves to exactly size Bytes, or to null if the Archive ended right before them
+		const read = async (size) => {
+			while (length < size) {
+				const { value, done } = await chunks.next();
+
+				if (done) {
+					if (length === 0)
+						return null;
+
+					throw new Error('Expected the Tar Archive not to end within an Entry');
+				}
+
+				buffered.push(value);
+				length += value.length;
+			}
+
+			const data = Buffer.concat(buffered);
+
+			buffered.length = 0;
+			buffered.push(data.subarray(size));
+			length -= size;
+
+			return data.subarray(0, size);
+		};
+
+		let pax = {};
+		let remaining = 0;
+
+		// Resolves to the next buffered Bytes of the current Entry, at most remaining
+		const take = async () => {
+			if (!(await fill()))
+				throw new Error('Expected the Tar Archive not to end within an Entry');
+
+			const chunk = buffered.shift();
+			const part = chunk.subarray(0, remaining);
+
+			if (chunk.length > part.length)
+				buffered.unshift(chunk.subarray(part.length));
+
+			length -= part.length;
+			remaining -= part.length;
+
+			return part;
+		};
+
+		const content = async function* () {
+			while (remaining > 0) {
+				const part = await take();
+
+				if (part.length > 0)
+					yield part;
+			}
+		};
+
+		for (let block = await read(Tar.BLOCK_SIZE); block !== null && block.some(byte => byte !== 0); block = await read(Tar.BLOCK_SIZE)) {
+			const header = Tar.#parseBlock(block);
+			const isHeader = ['x', 'g', 'L', 'K'].includes(header.typeflag);
+			const size = pax.size !== undefined && !isHeader ? Number(pax.size) : header.size;
+
+			if (!Number.isSafeInteger(size) || size < 0)
+				throw new Error('Expected the Size of a Tar Entry to be a positive Integer');
+
+			if (isHeader && size > Tar.MAX_HEADER_SIZE)
+				throw new Error(`Expected the PAX and GNU Headers of the Tar Archive not to exceed ${Tar.MAX_HEADER_SIZE} Bytes`);
+
+			const padding = (Tar.BLOCK_SIZE - size % Tar.BLOCK_SIZE) % Tar.BLOCK_SIZE;
+
+			if (isHeader) {
+				const data = size > 0 ? await read(size + padding) : Buffer.alloc(0);
+
+				if (data === null)
+					throw new Error('Expected the Tar Archive not to end within an Entry');
+
+				if (header.typeflag === 'x')
+					pax = { ...pax, ...Tar.#parsePax(data.subarray(0, size)) };
+				else if (header.typeflag === 'L')
+					pax = { ...pax, path: Tar.#string(data.subarray(0, size)) };
+				else if (header.typeflag === 'K')
+					pax = { ...pax, linkpath: Tar.#string(data.subarray(0, size)) };
+
+				continue;
+			}
+
+			const type = Tar.#TYPES[header.typeflag];
+			const entry = {
+				pathname: pax.path ?? (header.prefix !== '' ? `${header.prefix}/${header.name}` : header.name),
+				type,
+				mode: header.mode & 0o7777,
+				mtime: new Date((pax.mtime !== undefined ? Number(pax.mtime) : header.mtime) * 1000),
+				size,
+				linkname: pax.linkpath ?? header.linkname
+			};
+
+			pax = {};
+			remaining = size;
+
+			if (type === 'file')
+				yield { ...entry, data: content() };
+			else if (type !== undefined)
+				yield entry;
+
+			// Skip what the Consumer left unread, then the Padding of the last Block
+			while (remaining > 0)
+				await take();
+
+			if (padding > 0 && (await read(padding)) === null)
+				throw new Error('Expected the Tar Archive not to end within an Entry');
+		}
+	}
+
+	/**
+	 * Encode the Fields of a Header Block and compute its Checksum
+	 * @param {{name: string, prefix: string, mode: number, size: number, mtime: number, typeflag: string, linkname: string}} fields 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #block({ name, prefix, mode, size, mtime, typeflag, linkname }) {
+		const block = Buffer.alloc(Tar.BLOCK_SIZE);
+
+		block.write(name, 0, 100, 'utf8');
+		block.write(Tar.#octal(mode & 0o7777, 8), 100, 'ascii');
+		block.write(Tar.#octal(0, 8), 108, 'ascii');
+		block.write(Tar.#octal(0, 8), 116, 'ascii');
+		block.write(Tar.#octal(size, 12), 124, 'ascii');
+		block.write(Tar.#octal(mtime, 12), 136, 'ascii');
+		block.write(' '.repeat(8), 148, 'ascii');
+		block.write(typeflag, 156, 'ascii');
+		block.write(linkname, 157, 100, 'utf8');
+		block.write('ustar\u000000', 257, 'ascii');
+		block.write(prefix, 345, 155, 'utf8');
+
+		const checksum = block.reduce((sum, byte) => sum + byte, 0);
+
+		block.write(Tar.#octal(checksum, 7).slice(0, 6) + '\0 ', 148, 'ascii');
+
+		return block;
+	}
+
+	/**
+	 * Decode the Fields of a Header Block
+	 * @param {Buffer} block 
+	 * @returns {{name: string, prefix: string, mode: number, size: number, mtime: number, typeflag: string, linkname: string}}
+	 * @throws {Error} if the Checksum of the Block does not match
+	 * @private
+	 */
+	static #parseBlock(block) {
+		const expected = Tar.#number(block.subarray(148, 156));
+		const checksum = block.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 0x20 : byte), 0);
+
+		if (expected !== checksum)
+			throw new Error('Expected the Tar Header to have a valid Checksum');
+
+		const ustar = block.toString('ascii', 257, 262) === 'ustar';
+
+		return {
+			name: Tar.#string(block.subarray(0, 100)),
+			prefix: ustar ? Tar.#string(block.subarray(345, 500)) : '',
+			mode: Tar.#number(block.subarray(100, 108)),
+			size: Tar.#number(block.subarray(124, 136)),
+			mtime: Tar.#number(block.subarray(136, 148)),
+			typeflag: String.fromCharCode(block[156]),
+			linkname: Tar.#string(block.subarray(157, 257))
+		};
+	}
+
+	/**
+	 * Split pathname into the name and prefix Fields of a ustar Header
+	 * Returns null if pathname does not fit into them
+	 * @param {string} pathname 
+	 * @returns {{name: string, prefix: string} | null}
+	 * @private
+	 */
+	static #splitPathname(pathname) {
+		if (Buffer.byteLength(pathname) <= 100)
+			return { name: pathname, prefix: '' };
+
+		for (let index = pathname.indexOf('/'); index !== -1; index = pathname.indexOf('/', index + 1)) {
+			const prefix = pathname.slice(0, index);
+			const name = pathname.slice(index + 1);
+
+			if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100 && name !== '')
+				return { name, prefix };
+		}
+
+		return null;
+	}
+
+	/**
+	 * Encode a PAX Record, whose Length includes the Digits of the Length itself
+	 * @param {string} key 
+	 * @param {string} value 
+	 * @returns {Buffer}
+	 * @private
+	 */
+	static #paxRecord(key, value) {
+		const body = ` ${key}=${value}\n`;
+		let length = Buffer.byteLength(body);
+
+		while (String(length).length + Buffer.byteLength(body) !== length)
+			length = String(length).length + Buffer.byteLength(body);
+
+		return Buffer.from(`${length}${body}`);
+	}
+
+	/**
+	 * Decode the Records of a PAX Header
+	 * @param {Buffer} data 
+	 * @returns {Object<string, string>}
+	 * @throws {Error} if a Record is malformed
+	 * @private
+	 */
+	static #parsePax(data) {
+		const records = {};
+
+		for (let offset = 0; offset < data.length && data[offset] !== 0; ) {
+			const space = data.indexOf(0x20, offset);
+			const length = Number.parseInt(data.toString('ascii', offset, space), 10);
+
+			if (space === -1 || !Number.isSafeInteger(length) || length <= 0 || offset + length > data.length)
+				throw new Error('Expected the PAX Header of the Tar Archive to be valid');
+
+			const record = data.toString('utf8', space + 1, offset + length - 1);
+			const separator = record.indexOf('=');
+
+			records[record.slice(0, separator)] = record.slice(separator + 1);
+			offset += length;
+		}
+
+		return records;
+	}
+
+	/**
+	 * Format value as a zero-padded octal Number that fills a Field of length Bytes including its NUL Terminator
+	 * @param {number} value 
+	 * @param {number} length 
+	 * @returns {string}
+	 * @private
+	 */
+	static #octal(value, length) {
+		return value.toString(8).padStart(length - 1, '0') + '\0';
+	}
+
+	/**
+	 * Decode a numeric Header Field, either octal or base-256 as written by GNU tar for large Values
+	 * @param {Buffer} field 
+	 * @returns {number}
+	 * @private
+	 */
+	static #number(field) {
+		if (field[0] & 0x80)
+			return field.subarray(1).reduce((value, byte) => value * 256 + byte, field[0] & 0x7f);
+
+		const value = Tar.#string(field).trim();
+
+		return value === '' ? 0 : Number.parseInt(value, 8);
+	}
+
+	/**
+	 * Decode a NUL-terminated String Field
+	 * @param {Buffer} field 
+	 * @returns {string}
+	 * @private
+	 */
+	static #string(field) {
+		const end = field.indexOf(0);
+
+		return field.toString('utf8', 0, end === -1 ? field.length : end);
+	}
+}
+
+module.exports = Tar;
\ No newline at end of file
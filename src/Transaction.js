@@ -0,0 +1,274 @@
+/**
+ * A staged Mutation of a Transaction
+ * The Types are the ones of the Change Events the Mutation emits once it is applied
+ * @typedef {Object} Operation
+ * @property {'write' | 'mkdir' | 'symlink' | 'link' | 'rename' | 'copy' | 'delete'} type
+ * @property {string} pathname the Path of the created, changed or deleted Entry
+ * @property {string} [sourcePathname] the Source of a symlink, link, rename or copy Operation
+ * @property {Buffer} [data] the Data of a write Operation
+ * @property {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options] the Options of a write Operation
+ */
+
+class Transaction {
+	/**
+	 * @type {(operation: Operation) => Promise<void>}
+	 */
+	#stage;
+
+	/**
+	 * @type {(operation: Operation) => void}
+	 */
+	#stageSync;
+
+	/**
+	 * @type {boolean}
+	 */
+	#open = true;
+
+	/**
+	 * Create a new Transaction Instance
+	 * A Transaction collects the Mutations of ReadWrite.transaction and ReadWrite.transactionSync.
+	 * Nothing is changed in the Data Directory until the Transaction is committed.
+	 * @param {(operation: Operation) => Promise<void>} stage 
+	 * @param {(operation: Operation) => void} stageSync 
+	 * @public
+	 */
+	constructor(stage, stageSync) {
+		this.#stage = stage;
+		this.#stageSync = stageSync;
+	}
+
+	/**
+	 * Check whether Mutations can still be staged
+	 * @returns {boolean}
+	 * @public
+	 */
+	get open() {
+		return this.#open;
+	}
+
+	/**
+	 * Stage writing data to the File specified by filename. See ReadWrite.writeFile
+	 * Rejects with an Error if the Transaction is not open anymore
+	 * Rejects with the same Errors as ReadWrite.writeFile for invalid Arguments
+	 * @param {string} filename 
+	 * @param {Buffer} data 
+	 * @param {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async writeFile(filename, data, options = {}) {
+		await this.#stageOperation({ type: 'write', pathname: filename, data, options });
+	}
+
+	/**
+	 * Stage creating the Directory specified by dirname. See ReadWrite.createDir
+	 * Rejects with an Error if the Transaction is not open anymore
+	 * Rejects with the same Errors as ReadWrite.createDir for invalid Arguments
+	 * @param {string} dirname 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async createDir(dirname) {
+		await this.#stageOperation({ type: 'mkdir', pathname: dirname });
+	}
+
+	/**
+	 * Stage creating a Symbolic Link. See ReadWrite.createSymLink
+	 * Rejects with an Error if the Transaction is not open anymore
+	 * Rejects with the same Errors as ReadWrite.createSymLink for invalid Arguments
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async createSymLink(sourcePathname, destinationPathname) {
+		await this.#stageOperation({ type: 'symlink', pathname: destinationPathname, sourcePathname });
+	}
+
+	/**
+	 * Stage creating a Hard Link. See ReadWrite.createHardLink
+	 * Rejects with an Error if the Transaction is not open anymore
+	 * Rejects with the same Errors as ReadWrite.createHardLink for invalid Arguments
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async createHardLink(sourcePathname, destinationPathname) {
+		await this.#stageOperation({ type: 'link', pathname: destinationPathname, sourcePathname });
+	}
+
+	/**
+	 * Stage renaming an Entry. See ReadWrite.rename
+	 * Rejects with an Error if the Transaction is not open anymore
+	 * Rejects with the same Errors as ReadWrite.rename for invalid Arguments
+	 * @param {string} oldPathname 
+	 * @param {string} newPathname 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async rename(oldPathname, newPathname) {
+		await this.#stageOperation({ type: 'rename', pathname: newPathname, sourcePathname: oldPathname });
+	}
+
+	/**
+	 * Stage copying a File. See ReadWrite.copyFile
+	 * Rejects with an Error if the Transaction is not open anymore
+	 * Rejects with the same Errors as ReadWrite.copyFile for invalid Arguments
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async copyFile(sourcePathname, destinationPathname) {
+		await this.#stageOperation({ type: 'copy', pathname: destinationPathname, sourcePathname });
+	}
+
+	/**
+	 * Stage deleting an Entry. See ReadWrite.delete
+	 * Rejects with an Error if the Transaction is not open anymore
+	 * Rejects with the same Errors as ReadWrite.delete for invalid Arguments
+	 * @param {string} pathname 
+	 * @returns {Promise<void>}
+	 * @public
+	 * @async
+	 */
+	async delete(pathname) {
+		await this.#stageOperation({ type: 'delete', pathname });
+	}
+
+	/**
+	 * Synchronously stage writing data to the File specified by filename. See writeFile
+	 * @param {string} filename 
+	 * @param {Buffer} data 
+	 * @param {{atomic?: boolean, fsync?: boolean, hardLinks?: boolean}} [options]
+	 * @returns {void}
+	 * @throws {Error} if the Transaction is not open anymore
+	 * @throws {TypeError | PathError} like ReadWrite.writeFileSync for invalid Arguments
+	 * @public
+	 */
+	writeFileSync(filename, data, options = {}) {
+		this.#stageOperationSync({ type: 'write', pathname: filename, data, options });
+	}
+
+	/**
+	 * Synchronously stage creating the Directory specified by dirname. See createDir
+	 * @param {string} dirname 
+	 * @returns {void}
+	 * @throws {Error} if the Transaction is not open anymore
+	 * @throws {TypeError | PathError} like ReadWrite.createDirSync for invalid Arguments
+	 * @public
+	 */
+	createDirSync(dirname) {
+		this.#stageOperationSync({ type: 'mkdir', pathname: dirname });
+	}
+
+	/**
+	 * Synchronously stage creating a Symbolic Link. See createSymLink
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {void}
+	 * @throws {Error} if the Transaction is not open anymore
+	 * @throws {TypeError | PathError} like ReadWrite.createSymLinkSync for invalid Arguments
+	 * @public
+	 */
+	createSymLinkSync(sourcePathname, destinationPathname) {
+		this.#stageOperationSync({ type: 'symlink', pathname: destinationPathname, sourcePathname });
+	}
+
+	/**
+	 * Synchronously stage creating a Hard Link. See createHardLink
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {void}
+	 * @throws {Error} if the Transaction is not open anymore
+	 * @throws {TypeError | PathError} like ReadWrite.createHardLinkSync for invalid Arguments
+	 * @public
+	 */
+	createHardLinkSync(sourcePathname, destinationPathname) {
+		this.#stageOperationSync({ type: 'link', pathname: destinationPathname, sourcePathname });
+	}
+
+	/**
+	 * Synchronously stage renaming an Entry. See rename
+	 * @param {string} oldPathname 
+	 * @param {string} newPathname 
+	 * @returns {void}
+	 * @throws {Error} if the Transaction is not open anymore
+	 * @throws {TypeError | PathError} like ReadWrite.renameSync for invalid Arguments
+	 * @public
+	 */
+	renameSync(oldPathname, newPathname) {
+		this.#stageOperationSync({ type: 'rename', pathname: newPathname, sourcePathname: oldPathname });
+	}
+
+	/**
+	 * Synchronously stage copying a File. See copyFile
+	 * @param {string} sourcePathname 
+	 * @param {string} destinationPathname 
+	 * @returns {void}
+	 * @throws {Error} if the Transaction is not open anymore
+	 * @throws {TypeError | PathError} like ReadWrite.copyFileSync for invalid Arguments
+	 * @public
+	 */
+	copyFileSync(sourcePathname, destinationPathname) {
+		this.#stageOperationSync({ type: 'copy', pathname: destinationPathname, sourcePathname });
+	}
+
+	/**
+	 * Synchronously stage deleting an Entry. See delete
+	 * @param {string} pathname 
+	 * @returns {void}
+	 * @throws {Error} if the Transaction is not open anymore
+	 * @throws {TypeError | PathError} like ReadWrite.deleteSync for invalid Arguments
+	 * @public
+	 */
+	deleteSync(pathname) {
+		this.#stageOperationSync({ type: 'delete', pathname });
+	}
+
+	/**
+	 * Stop accepting Mutations, once the Transaction is committed or aborted
+	 * @returns {void}
+	 * @public
+	 */
+	close() {
+		this.#open = false;
+	}
+
+	/**
+	 * Stage operation if the Transaction is still open
+	 * @param {Operation} operation 
+	 * @returns {Promise<void>}
+	 * @private
+	 * @async
+	 */
+	async #stageOperation(operation) {
+		if (!this.#open)
+			throw new Error('Expected the Transaction to be open');
+
+		await this.#stage(operation);
+	}
+
+	/**
+	 * Synchronously stage operation if the Transaction is still open
+	 * @param {Operation} operation 
+	 * @returns {void}
+	 * @private
+	 */
+	#stageOperationSync(operation) {
+		if (!this.#open)
+			throw new Error('Expected the Transaction to be open');
+
+		this.#stageSync(operation);
+	}
+}
+
+module.exports = Transaction;
\ No newline at end of file
@@ -0,0 +1,30 @@
+class ValidationError extends Error {
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * Create a new ValidationError Instance
+	 * Thrown if a Validator returned false for a Value that was about to be written
+	 * @param {string} pathname the Path of the File the Value would have been written to
+	 * @public
+	 */
+	constructor(pathname) {
+		super(`Expected the Validators to accept the Value (got ${JSON.stringify(pathname)})`);
+
+		this.name = 'ValidationError';
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Get the Path of the File the Value would have been written to
+	 * @returns {string}
+	 * @public
+	 */
+	get pathname() {
+		return this.#pathname;
+	}
+}
+
+module.exports = ValidationError;
\ No newline at end of file
@@ -0,0 +1,46 @@
+class VetoError extends Error {
+	/**
+	 * @type {string}
+	 */
+	#type;
+
+	/**
+	 * @type {string}
+	 */
+	#pathname;
+
+	/**
+	 * Create a new VetoError Instance
+	 * Thrown if a before Hook returned false to prevent an Operation
+	 * @param {string} type the Type of the prevented Operation (e.g. 'write')
+	 * @param {string} pathname the Path of the Entry the Operation would have changed
+	 * @public
+	 */
+	constructor(type, pathname) {
+		super(`Expected the before Hooks to allow the ${type} Operation (got ${JSON.stringify(pathname)})`);
+
+		this.name = 'VetoError';
+		this.#type = type;
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Get the Type of the prevented Operation
+	 * @returns {string}
+	 * @public
+	 */
+	get type() {
+		return this.#type;
+	}
+
+	/**
+	 * Get the Path of the Entry the Operation would have changed
+	 * @returns {string}
+	 * @public
+	 */
+	get pathname() {
+		return this.#pathname;
+	}
+}
+
+module.exports = VetoError;
\ No newline at end of file
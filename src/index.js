@@ -1,5 +1,20 @@
 module.exports = {
 	Cache: require('@serum-enterprises/cache'),
+	Backend: require('./Backend.js'),
+	Codec: require('./Codec.js'),
+	CodecError: require('./CodecError.js'),
+	CompressionCodec: require('./CompressionCodec.js'),
+	DiskBackend: require('./DiskBackend.js'),
+	EncryptionCodec: require('./EncryptionCodec.js'),
+	MemoryBackend: require('./MemoryBackend.js'),
+	Glob: require('./Glob.js'),
+	IntegrityError: require('./IntegrityError.js'),
+	LockError: require('./LockError.js'),
+	PathError: require('./PathError.js'),
+	QuotaError: require('./QuotaError.js'),
 	ReadOnly: require('./ReadOnly.js'),
-	ReadWrite: require('./ReadWrite.js')
+	ReadWrite: require('./ReadWrite.js'),
+	Server: require('./Server.js'),
+	ValidationError: require('./ValidationError.js'),
+	VetoError: require('./VetoError.js')
 };
\ No newline at end of file
@@ -0,0 +1,539 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const IO = require('../src');
+const { createTempDir, waitFor } = require('./helpers');
+
+describe('coherence: watch', () => {
+	test('notices Files in a Directory that replaced a renamed Directory', async () => {
+		const dataDir = createTempDir();
+
+		fs.mkdirSync(path.join(dataDir, 'sub'));
+		fs.writeFileSync(path.join(dataDir, 'sub', 'a'), 'one');
+
+		const io = new IO.ReadOnly(dataDir, 1024, { coherence: 'watch' });
+
+		try {
+			expect((await io.readFile('sub/a')).toString()).toBe('one');
+
+			fs.renameSync(path.join(dataDir, 'sub'), path.join(dataDir, 'sub2'));
+			fs.mkdirSync(path.join(dataDir, 'sub'));
+			fs.writeFileSync(path.join(dataDir, 'sub', 'a'), 'two');
+
+			await waitFor(async () => (await io.readFile('sub/a')).toString() === 'two');
+
+			fs.writeFileSync(path.join(dataDir, 'sub', 'a'), 'three!');
+
+			await waitFor(async () => (await io.readFile('sub/a')).toString() === 'three!');
+		}
+		finally {
+			io.close();
+		}
+	});
+
+	test('falls back to stat if the Watcher fails', async () => {
+		let watcher = null;
+
+		class FailingBackend extends IO.MemoryBackend {
+			watch(pathname, listener) {
+				watcher = super.watch(pathname, listener);
+
+				return watcher;
+			}
+		}
+
+		const backend = new FailingBackend();
+		const io = new IO.ReadWrite('/data', 1024, { backend, coherence: 'watch' });
+		const scope = io.scope('.');
+
+		await io.writeFile('a', Buffer.from('one'));
+		watcher.emit('error', new Error('Watcher failed'));
+
+		expect(io.coherence).toBe('stat');
+		expect(scope.coherence).toBe('stat');
+
+		await io.readFile('a');
+		backend.writeFileSync('/data/a', Buffer.from('two!'));
+
+		expect((await scope.readFile('a')).toString()).toBe('two!');
+	});
+});
+
+describe('Codecs', () => {
+	const withHeader = Buffer.from('\0FSIO\x01\x00abc', 'latin1');
+	const withBrokenHeader = Buffer.from('\0FSIO\x01\x02zz', 'latin1');
+
+	/**
+	 * @param {Readable} stream 
+	 * @returns {Promise<Buffer>}
+	 */
+	async function readStream(stream) {
+		const chunks = [];
+
+		for await (const chunk of stream)
+			chunks.push(chunk);
+
+		return Buffer.concat(chunks);
+	}
+
+	test('leave Files that start with a Header alone if no Codecs apply', async () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir, 1024);
+
+		await io.writeFile('w.bin', withHeader);
+		fs.writeFileSync(path.join(dataDir, 'raw.bin'), withBrokenHeader);
+
+		expect(await io.readFile('w.bin')).toEqual(withHeader);
+
+		const uncached = new IO.ReadOnly(dataDir);
+
+		expect(await uncached.readFile('w.bin')).toEqual(withHeader);
+		expect(uncached.readFileSync('w.bin')).toEqual(withHeader);
+		expect(await uncached.readFile('raw.bin')).toEqual(withBrokenHeader);
+		expect(uncached.readFileSync('raw.bin')).toEqual(withBrokenHeader);
+	});
+
+	test('only decode the Files they apply to', async () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir);
+
+		io.addCodec('*.gz', new IO.CompressionCodec('gzip'));
+
+		await io.writeFile('w.bin', withHeader);
+		await io.writeFile('a.gz', withHeader);
+		fs.writeFileSync(path.join(dataDir, 'raw.bin'), withBrokenHeader);
+
+		expect(fs.readFileSync(path.join(dataDir, 'w.bin'))).toEqual(withHeader);
+		expect(fs.readFileSync(path.join(dataDir, 'a.gz'))).not.toEqual(withHeader);
+		expect(await io.readFile('w.bin')).toEqual(withHeader);
+		expect(await io.readFile('a.gz')).toEqual(withHeader);
+		expect(await io.readFile('raw.bin')).toEqual(withBrokenHeader);
+	});
+
+	test('decode Streams asynchronously', async () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir, null, { codecs: new IO.CompressionCodec('gzip') });
+
+		await io.writeFile('a', Buffer.from('0123456789'));
+		fs.writeFileSync(path.join(dataDir, 'broken'), withBrokenHeader);
+
+		expect((await readStream(io.createReadStream('a', { start: 2, end: 4 }))).toString()).toBe('234');
+		await expect(readStream(io.createReadStream('broken'))).rejects.toThrow(IO.CodecError);
+	});
+
+	test('encrypt and authenticate Files', async () => {
+		const dataDir = createTempDir();
+		const key = crypto.randomBytes(32);
+		const io = new IO.ReadWrite(dataDir, 1024);
+
+		io.addCodec('secret/**', [new IO.CompressionCodec('brotli'), new IO.EncryptionCodec({ k1: key })]);
+		io.createDirSync('secret');
+
+		await io.writeText('secret/a.txt', 'top secret '.repeat(10));
+		io.writeJSONSync('secret/b.json', { secret: true });
+
+		const stored = fs.readFileSync(path.join(dataDir, 'secret', 'a.txt'));
+
+		expect(stored.includes('secret')).toBe(false);
+		expect(await io.readText('secret/a.txt')).toBe('top secret '.repeat(10));
+		expect(io.readJSONSync('secret/b.json')).toEqual({ secret: true });
+
+		const reader = new IO.ReadOnly(dataDir, null, { codecs: new IO.EncryptionCodec({ k1: key }) });
+		const stranger = new IO.ReadOnly(dataDir, null, { codecs: new IO.EncryptionCodec({ k2: crypto.randomBytes(32) }) });
+
+		expect(await reader.readText('secret/a.txt')).toBe('top secret '.repeat(10));
+		await expect(stranger.readFile('secret/a.txt')).rejects.toThrow(IO.CodecError);
+
+		stored[stored.length - 1] ^= 1;
+		fs.writeFileSync(path.join(dataDir, 'secret', 'a.txt'), stored);
+
+		expect(() => reader.readFileSync('secret/a.txt')).toThrow(IO.CodecError);
+		await expect(reader.readFile('secret/a.txt')).rejects.toMatchObject({ code: 'ECODEC' });
+	});
+
+	test('keep Files readable after rotating the Key', async () => {
+		const dataDir = createTempDir();
+		const oldKey = crypto.randomBytes(32);
+		const newKey = crypto.randomBytes(32);
+		const encryption = new IO.EncryptionCodec({ old: oldKey });
+		const io = new IO.ReadWrite(dataDir, null, { codecs: encryption });
+
+		await io.writeText('a', 'a');
+		await io.writeText('b', 'b');
+		encryption.rotate('new', newKey);
+		await io.writeText('b', 'b2');
+
+		expect(encryption.current).toBe('new');
+		expect(await io.readText('a')).toBe('a');
+		expect(await io.readText('b')).toBe('b2');
+
+		const withNewKey = new IO.ReadOnly(dataDir, null, { codecs: new IO.EncryptionCodec({ new: newKey }) });
+
+		expect(await withNewKey.readText('b')).toBe('b2');
+		await expect(withNewKey.readText('a')).rejects.toThrow(IO.CodecError);
+		expect(() => encryption.rotate('old', newKey)).toThrow(Error);
+		expect(() => encryption.rotate('short', Buffer.alloc(16))).toThrow(TypeError);
+		expect(() => new IO.EncryptionCodec({})).toThrow(TypeError);
+		expect(() => new IO.EncryptionCodec({ a: oldKey }, { current: 'b' })).toThrow(TypeError);
+	});
+
+	test('cache the encoded Bytes with options.cacheEncoded', async () => {
+		const dataDir = createTempDir();
+		const codecs = new IO.EncryptionCodec({ k1: crypto.randomBytes(32) });
+		const io = new IO.ReadWrite(dataDir, 1024, { codecs, cacheEncoded: true });
+		const decoded = new IO.ReadWrite(createTempDir(), 1024, { codecs });
+
+		await io.writeText('a', 'plain');
+		await decoded.writeText('a', 'plain');
+
+		expect(io.cacheEncoded).toBe(true);
+		expect(io.cache.get(path.join(dataDir, 'a'))).toEqual(fs.readFileSync(path.join(dataDir, 'a')));
+		expect(decoded.cache.get(path.join(decoded.dataDir, 'a')).toString()).toBe('plain');
+		expect(await io.readText('a')).toBe('plain');
+		expect(io.readTextSync('a')).toBe('plain');
+	});
+
+	test('rewrite Files for partial Writes', async () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir, null, { codecs: new IO.CompressionCodec('gzip') });
+		const partials = [];
+
+		io.before('write', event => void partials.push(event.partial));
+
+		await io.appendFile('log', Buffer.from('hello'));
+		io.appendFileSync('log', Buffer.from(' world'));
+		await io.writeAt('log', 0, Buffer.from('J'));
+		io.writeAtSync('log', 12, Buffer.from('!'));
+		await io.appendLines('log', [1]);
+		io.appendLinesSync('log', [2]);
+
+		expect((await io.readFile('log')).toString()).toBe('Jello world\0!\n1\n2\n');
+
+		await io.truncate('log', 5);
+		io.truncateSync('log', 4);
+
+		expect(partials).toEqual(['append', 'append', 'writeAt', 'writeAt', 'append', 'append', 'truncate', 'truncate']);
+		expect(fs.readFileSync(path.join(dataDir, 'log')).includes('Jell')).toBe(false);
+		expect((await new IO.ReadOnly(dataDir, null, { codecs: new IO.CompressionCodec('gzip') }).readFile('log')).toString()).toBe('Jell');
+		await expect(io.truncate('missing', 1)).rejects.toMatchObject({ code: 'ENOENT' });
+	});
+
+	test('collect Write Streams and write them once they end', async () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir, null, { codecs: new IO.CompressionCodec('gzip') });
+
+		await pipeline(Readable.from([Buffer.from('str'), Buffer.from('eam')]), io.createWriteStream('s'));
+		await pipeline(Readable.from([Buffer.from('!')]), io.createWriteStream('s', { flags: 'a' }));
+		await pipeline(Readable.from([Buffer.from('S')]), io.createWriteStream('s', { flags: 'r+' }));
+
+		expect(fs.readFileSync(path.join(dataDir, 's')).includes('stream')).toBe(false);
+		expect((await io.readFile('s')).toString()).toBe('Stream!');
+	});
+});
+
+describe('persistCache', () => {
+	test('restores the Cache only when restoreCache is called', async () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir, 1024, { persistCache: true });
+
+		await io.writeFile('a', Buffer.from('1'));
+		await io.readFile('a');
+		io.close();
+
+		const restored = new IO.ReadOnly(dataDir, 1024, { persistCache: true });
+
+		expect(restored.stats().cache.entries).toBe(0);
+		expect(await restored.restoreCache()).toEqual({ files: 1, bytes: 1 });
+		expect(restored.stats().cache.entries).toBe(1);
+	});
+});
+
+describe('parsedCacheSize', () => {
+	test('hands out Copies of cached Values', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024, { parsedCacheSize: 1024 });
+
+		await io.writeJSON('a.json', { a: 1 });
+		await io.writeFile('l.ndjson', Buffer.from('{"b":1}\n'));
+
+		const first = await io.readJSON('a.json');
+
+		first.a = 99;
+		(await io.readJSON('a.json')).a = 98;
+		io.readJSONSync('a.json').a = 97;
+		(await io.readLines('l.ndjson'))[0].b = 99;
+
+		expect(await io.readJSON('a.json')).toEqual({ a: 1 });
+		expect(io.readJSONSync('a.json')).toEqual({ a: 1 });
+		expect(io.readLinesSync('l.ndjson')).toEqual([{ b: 1 }]);
+		expect(await io.readJSON('a.json')).not.toBe(await io.readJSON('a.json'));
+	});
+});
+
+describe('Text, JSON and NDJSON', () => {
+	test('read and write Text in the given Encoding', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeText('a.txt', 'Grüße');
+		io.writeTextSync('b.txt', 'Grüße', { encoding: 'latin1' });
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'b.txt'))).toEqual(Buffer.from('Grüße', 'latin1'));
+		expect(await io.readText('a.txt')).toBe('Grüße');
+		expect(io.readTextSync('b.txt', { encoding: 'latin1' })).toBe('Grüße');
+		await expect(io.writeText('c.txt', 'c', { encoding: 'klingon' })).rejects.toThrow(TypeError);
+		await expect(io.writeText('c.txt', Buffer.from('c'))).rejects.toThrow(TypeError);
+	});
+
+	test('read and write JSON', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeJSON('a.json', { a: [1, 2] }, { space: 2 });
+		io.writeFileSync('broken.json', Buffer.from('{'));
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'a.json'), 'utf8')).toBe('{\n  "a": [\n    1,\n    2\n  ]\n}');
+		expect(await io.readJSON('a.json')).toEqual({ a: [1, 2] });
+		expect(io.readJSONSync('a.json')).toEqual({ a: [1, 2] });
+		await expect(io.readJSON('broken.json')).rejects.toThrow(SyntaxError);
+		await expect(io.writeJSON('b.json', undefined)).rejects.toThrow(TypeError);
+	});
+
+	test('append and read NDJSON Lines', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		io.writeFileSync('log.ndjson', Buffer.from('{"n":0}'));
+		await io.appendLines('log.ndjson', [{ n: 1 }, 'two']);
+		io.appendLinesSync('log.ndjson', [3]);
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'log.ndjson'), 'utf8')).toBe('{"n":0}\n{"n":1}\n"two"\n3\n');
+		expect(await io.readLines('log.ndjson')).toEqual([{ n: 0 }, { n: 1 }, 'two', 3]);
+		expect(io.readLinesSync('log.ndjson')).toEqual([{ n: 0 }, { n: 1 }, 'two', 3]);
+		await expect(io.appendLines('log.ndjson', 'four')).rejects.toThrow(TypeError);
+	});
+
+	test('reject Values a Validator refuses', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const remove = io.addValidator('data/*.json', value => typeof value.id === 'number');
+
+		io.addValidator('**/*.ndjson', value => {
+			if (value === null)
+				throw new RangeError('null');
+		});
+		io.createDirSync('data');
+
+		await io.writeJSON('data/a.json', { id: 1 });
+		await expect(io.writeJSON('data/b.json', { id: '1' })).rejects.toThrow(IO.ValidationError);
+		expect(() => io.writeJSONSync('data/b.json', {})).toThrow(IO.ValidationError);
+		await expect(io.appendLines('data/log.ndjson', [1, null])).rejects.toThrow(RangeError);
+		expect(fs.existsSync(path.join(io.dataDir, 'data', 'b.json'))).toBe(false);
+		expect(fs.existsSync(path.join(io.dataDir, 'data', 'log.ndjson'))).toBe(false);
+
+		remove();
+
+		await io.writeJSON('data/b.json', {});
+		expect(() => io.addValidator('*.json', 'validator')).toThrow(TypeError);
+	});
+});
+
+describe('walk and glob', () => {
+	/**
+	 * @returns {Promise<IO.ReadWrite>}
+	 */
+	async function createTree() {
+		const outside = createTempDir();
+		const io = new IO.ReadWrite(createTempDir());
+
+		fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+		await io.createDir('docs/api');
+		await io.writeFile('docs/a.md', Buffer.from('a'));
+		await io.writeFile('docs/b.txt', Buffer.from('b'));
+		await io.writeFile('docs/api/c.md', Buffer.from('c'));
+		await io.writeFile('x1.md', Buffer.from('x'));
+		await io.createSymLink('docs/api', 'api-link');
+		fs.symlinkSync(outside, path.join(io.dataDir, 'escape'));
+
+		return io;
+	}
+
+	test('walk the Tree in sorted Depth-First Order', async () => {
+		const io = await createTree();
+		const walked = [];
+
+		for await (const { pathname, depth } of io.walk('docs'))
+			walked.push(`${depth}:${pathname}`);
+
+		expect(walked).toEqual(['1:docs/a.md', '1:docs/api', '2:docs/api/c.md', '1:docs/b.txt']);
+		expect([...io.walkSync('docs', { depth: 1, filter: ({ dirent }) => dirent.isFile() })].map(({ pathname }) => pathname)).toEqual(['docs/a.md', 'docs/b.txt']);
+		expect([...io.walkSync('.')].map(({ pathname }) => pathname)).not.toContain('.fs-io');
+	});
+
+	test('only follow Symbolic Links inside the Data Directory', async () => {
+		const io = await createTree();
+		const walked = [];
+
+		for await (const { pathname } of io.walk('.', { followSymlinks: true }))
+			walked.push(pathname);
+
+		expect(walked).toContain('api-link/c.md');
+		expect(walked).toContain('escape');
+		expect(walked).not.toContain('escape/secret.txt');
+		expect(await io.glob('**/secret.txt', { followSymlinks: true })).toEqual([]);
+	});
+
+	test('match Patterns with Wildcards, Character Classes and Negation', async () => {
+		const io = await createTree();
+
+		expect(await io.glob('**/*.md')).toEqual(['docs/a.md', 'docs/api/c.md', 'x1.md']);
+		expect(await io.glob('docs/?.*')).toEqual(['docs/a.md', 'docs/b.txt']);
+		expect(io.globSync('[a-x][0-9].md')).toEqual(['x1.md']);
+		expect(io.globSync(['**/*.md', '!docs/api/**'])).toEqual(['docs/a.md', 'x1.md']);
+		expect(io.globSync('docs/[!a]*')).toEqual(['docs/b.txt']);
+		expect(() => io.globSync(1)).toThrow(TypeError);
+	});
+});
+
+describe('Path Containment', () => {
+	test('reject Paths outside the Data Directory, including Siblings with the same Prefix', async () => {
+		const parent = createTempDir();
+		const io = new IO.ReadWrite(path.join(parent, 'data'));
+
+		fs.mkdirSync(path.join(parent, 'data2'));
+		fs.writeFileSync(path.join(parent, 'data2', 'x'), 'x');
+
+		await expect(io.readFile('../data2/x')).rejects.toThrow(IO.PathError);
+		await expect(io.readFile(path.join(parent, 'data2', 'x'))).rejects.toThrow(IO.PathError);
+		expect(() => io.writeFileSync('../data2/y', Buffer.from('y'))).toThrow(IO.PathError);
+		expect(() => io.readFileSync('../data2/x')).toThrow(expect.objectContaining({ name: 'PathError', pathname: '../data2/x' }));
+		expect(fs.existsSync(path.join(parent, 'data2', 'y'))).toBe(false);
+	});
+
+	test('refuse Symbolic Links leading outside with options.noSymlinkEscape', async () => {
+		const outside = createTempDir();
+		const dataDir = createTempDir();
+
+		fs.writeFileSync(path.join(outside, 'secret'), 'secret');
+		fs.symlinkSync(path.join(outside, 'secret'), path.join(dataDir, 'file-link'));
+		fs.symlinkSync(outside, path.join(dataDir, 'dir-link'));
+
+		const io = new IO.ReadWrite(dataDir, null, { noSymlinkEscape: true });
+
+		await expect(io.readFile('file-link')).rejects.toThrow(IO.PathError);
+		expect(() => io.readFileSync('dir-link/secret')).toThrow(IO.PathError);
+		await expect(io.writeFile('file-link', Buffer.from('changed'))).rejects.toThrow(IO.PathError);
+		expect(() => io.writeFileSync('dir-link/new', Buffer.from('new'))).toThrow(IO.PathError);
+		await expect(io.resolvePath('file-link')).rejects.toThrow(IO.PathError);
+
+		expect(fs.readFileSync(path.join(outside, 'secret'), 'utf8')).toBe('secret');
+		expect(fs.existsSync(path.join(outside, 'new'))).toBe(false);
+		expect((await new IO.ReadOnly(dataDir).readFile('file-link')).toString()).toBe('secret');
+	});
+});
+
+describe('MemoryBackend', () => {
+	test('keep Files, Directories and Links without touching the Disk', async () => {
+		const dataDir = path.join(createTempDir(), 'memory');
+		const io = new IO.ReadWrite(dataDir, 1024, { backend: new IO.MemoryBackend() });
+
+		await io.createDir('dir');
+		await io.writeFile('dir/a', Buffer.from('hello'));
+		await io.createSymLink('dir/a', 'link');
+		io.createHardLinkSync('dir/a', 'hard');
+
+		expect(fs.existsSync(dataDir)).toBe(false);
+		expect(await io.readFile('link')).toEqual(Buffer.from('hello'));
+		expect(io.readFileSync('hard')).toEqual(Buffer.from('hello'));
+		expect((await io.readDir('.')).map(dirent => [dirent.name, dirent.isDirectory(), dirent.isSymbolicLink()]).sort()).toEqual([['dir', true, false], ['hard', false, false], ['link', false, true]]);
+		expect(await io.resolvePath('link')).toBe(path.join(dataDir, 'dir/a'));
+	});
+
+	test('return Stats shaped like fs.Stats', async () => {
+		const backend = new IO.MemoryBackend();
+		const io = new IO.ReadWrite('/memory', null, { backend });
+
+		await io.writeFile('a', Buffer.from('12345'));
+		await io.createHardLink('a', 'b');
+		await io.createSymLink('a', 'link');
+
+		const stats = await io.info('a');
+		const linkStats = backend.lstatSync('/memory/link');
+
+		expect(stats.isFile()).toBe(true);
+		expect(stats.isDirectory()).toBe(false);
+		expect(stats.size).toBe(5);
+		expect(stats.nlink).toBe(2);
+		expect(stats.mtime).toBeInstanceOf(Date);
+		expect(stats.mtimeMs).toBe(stats.mtime.getTime());
+		expect(linkStats.isSymbolicLink()).toBe(true);
+		expect(io.infoSync('b').ino).toBe(stats.ino);
+	});
+
+	test('enforce the Data Directory and Errors like the Disk', async () => {
+		const backend = new IO.MemoryBackend();
+		const io = new IO.ReadWrite('/memory', 1024, { backend });
+
+		await backend.mkdir('/outside', { recursive: true });
+		await backend.writeFile('/outside/secret', Buffer.from('secret'), { fsync: false });
+
+		await expect(io.readFile('../outside/secret')).rejects.toThrow(IO.PathError);
+		await expect(io.readFile('missing')).rejects.toMatchObject({ code: 'ENOENT' });
+		await expect(io.createDir('a')).resolves.toBeUndefined();
+		await expect(io.writeFile('a', Buffer.from('x'))).rejects.toMatchObject({ code: 'EISDIR' });
+
+		await io.writeFile('b', Buffer.from('b'));
+		await io.readFile('b');
+
+		expect(io.cache.get('/memory/b')).toEqual(Buffer.from('b'));
+	});
+});
+
+describe('Scopes', () => {
+	test('are jailed to their Directory', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.createDir('tenants/other');
+		await io.writeFile('tenants/other/secret', Buffer.from('secret'));
+
+		const acme = io.scope('tenants/acme');
+
+		await acme.writeFile('a', Buffer.from('a'));
+
+		expect(acme).toBeInstanceOf(IO.ReadWrite);
+		expect(acme.dataDir).toBe(path.join(io.dataDir, 'tenants/acme'));
+		expect(fs.readFileSync(path.join(io.dataDir, 'tenants/acme/a'), 'utf8')).toBe('a');
+		await expect(acme.readFile('../other/secret')).rejects.toThrow(IO.PathError);
+		expect(() => acme.writeFileSync('../../escaped', Buffer.from('x'))).toThrow(IO.PathError);
+		expect(() => io.scope('../outside')).toThrow(IO.PathError);
+		expect(() => io.scope('.fs-io')).toThrow(IO.PathError);
+	});
+
+	test('share the Cache and the Backend with their Parent', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+		const acme = io.scope('acme');
+
+		await acme.writeFile('a', Buffer.from('from scope'));
+
+		expect(acme.cache).toBe(io.cache);
+		expect(acme.backend).toBe(io.backend);
+		expect(io.cache.get(path.join(io.dataDir, 'acme/a'))).toEqual(Buffer.from('from scope'));
+
+		await io.writeFile('acme/a', Buffer.from('from parent'));
+
+		expect(await acme.readFile('a')).toEqual(Buffer.from('from parent'));
+	});
+
+	test('downgrade to a ReadOnly View', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.createDir('public');
+		await io.writeFile('public/a', Buffer.from('a'));
+
+		const view = io.scope('public', { readOnly: true });
+
+		expect(view).toBeInstanceOf(IO.ReadOnly);
+		expect(view).not.toBeInstanceOf(IO.ReadWrite);
+		expect(view.writeFile).toBeUndefined();
+		expect(await view.readFile('a')).toEqual(Buffer.from('a'));
+		expect(() => view.scope('.', { readOnly: false })).toThrow(TypeError);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,1640 @@
+const fs = require('fs');
+const child_process = require('child_process');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const IO = require('../src');
+const { createTempDir, waitFor } = require('./helpers');
+
+describe('atomic writeFile', () => {
+	test('keeps Hard Links in sync with options.hardLinks', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeFile('a', Buffer.from('1'));
+		await io.createHardLink('a', 'h');
+		await io.writeFile('a', Buffer.from('2'), { hardLinks: true });
+		io.writeFileSync('h', Buffer.from('3'), { hardLinks: true });
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'h'), 'utf8')).toBe('3');
+		expect(fs.readFileSync(path.join(io.dataDir, 'a'), 'utf8')).toBe('3');
+
+		await io.writeFile('a', Buffer.from('4'));
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'h'), 'utf8')).toBe('3');
+		expect(fs.readFileSync(path.join(io.dataDir, 'a'), 'utf8')).toBe('4');
+	});
+
+	test('never changes the Blobs of a deduplicated Data Directory', async () => {
+		const dataDir = createTempDir();
+		const store = new IO.ReadWrite(dataDir, null, { dedupe: true });
+
+		await store.writeFile('x', Buffer.from('same'));
+		await store.writeFile('y', Buffer.from('same'));
+
+		const io = new IO.ReadWrite(dataDir);
+
+		await io.writeFile('x', Buffer.from('changed'), { hardLinks: true });
+		io.writeFileSync('y', Buffer.from('in place'), { atomic: false });
+
+		expect(fs.readFileSync(path.join(dataDir, 'x'), 'utf8')).toBe('changed');
+		expect(fs.readFileSync(path.join(dataDir, 'y'), 'utf8')).toBe('in place');
+
+		await store.writeFile('z', Buffer.from('same'));
+
+		expect((await store.readFile('z')).toString()).toBe('same');
+	});
+
+	test('keeps Snapshots taken with Hard Links intact', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeFile('a', Buffer.from('1'));
+
+		const id = await io.snapshot({ hardLinks: true });
+
+		await io.writeFile('a', Buffer.from('2'), { hardLinks: true });
+
+		expect(fs.readFileSync(path.join(io.snapshotDir, id, 'tree', 'a'), 'utf8')).toBe('1');
+	});
+
+	test('only searches Snapshots for Files with other Hard Links', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeFile('a', Buffer.from('1'));
+
+		for (let i = 0; i < 5; i++)
+			await io.snapshot();
+
+		const readdir = jest.spyOn(io.backend, 'readdir');
+
+		await io.writeFile('a', Buffer.from('2'), { hardLinks: true });
+
+		expect(readdir).not.toHaveBeenCalled();
+	});
+
+	test('writes through Symbolic Links', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeFile('target', Buffer.from('1'));
+		await io.createSymLink('target', 'link');
+		await io.writeFile('link', Buffer.from('2'));
+		io.writeFileSync('link', Buffer.from('3'));
+
+		expect(fs.lstatSync(path.join(io.dataDir, 'link')).isSymbolicLink()).toBe(true);
+		expect(fs.readFileSync(path.join(io.dataDir, 'target'), 'utf8')).toBe('3');
+
+		await io.createSymLink('missing', 'dangling');
+		await io.writeFile('dangling', Buffer.from('created'));
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'missing'), 'utf8')).toBe('created');
+	});
+
+	test('keeps the Mode of the File', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeFile('a', Buffer.from('1'));
+		fs.chmodSync(path.join(io.dataDir, 'a'), 0o600);
+		await io.writeFile('a', Buffer.from('2'));
+		io.writeFileSync('a', Buffer.from('3'));
+
+		expect(fs.statSync(path.join(io.dataDir, 'a')).mode & 0o777).toBe(0o600);
+	});
+
+	test('creates the Temp File next to the File and hides it', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const names = [];
+
+		io.before('write', () => {
+			names.push(...fs.readdirSync(io.tempDir));
+		});
+
+		await io.createDir('sub');
+		await io.writeFile('sub/a', Buffer.from('1'));
+
+		expect(names).toEqual([]);
+		expect(fs.readdirSync(path.join(io.dataDir, 'sub'))).toEqual(['a']);
+		expect(io.isInternal(path.join(io.dataDir, 'sub', `${IO.ReadWrite.TEMP_PREFIX}x`))).toBe(true);
+	});
+});
+
+describe('stale Temp Files', () => {
+	test('are only removed if their Writer is gone', () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir);
+		const hostname = os.hostname();
+		const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+		fs.writeFileSync(path.join(dataDir, `${IO.ReadWrite.TEMP_PREFIX}dead`), 'x');
+		fs.writeFileSync(path.join(io.tempDir, `999999999-aa-${hostname}.ref`), `${IO.ReadWrite.TEMP_PREFIX}dead`);
+		fs.writeFileSync(path.join(io.tempDir, `${process.pid}-bb-${hostname}.tmp`), 'x');
+		fs.writeFileSync(path.join(io.tempDir, `${process.pid}-cc-${hostname}.tmp`), 'x');
+		fs.utimesSync(path.join(io.tempDir, `${process.pid}-cc-${hostname}.tmp`), old, old);
+		fs.writeFileSync(path.join(io.tempDir, '1-dd-other-host.tmp'), 'x');
+		fs.writeFileSync(path.join(io.tempDir, '1-ee-other-host.tmp'), 'x');
+		fs.utimesSync(path.join(io.tempDir, '1-ee-other-host.tmp'), old, old);
+
+		new IO.ReadWrite(dataDir);
+
+		expect(fs.existsSync(path.join(dataDir, `${IO.ReadWrite.TEMP_PREFIX}dead`))).toBe(false);
+		expect(fs.readdirSync(io.tempDir).sort()).toEqual([`${process.pid}-bb-${hostname}.tmp`, '1-dd-other-host.tmp'].sort());
+	});
+});
+
+describe('Transactions', () => {
+	test('apply all staged Mutations once fn resolved', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+		const changes = [];
+
+		io.writeFileSync('old', Buffer.from('old'));
+		io.on('change', ({ type, pathname }) => changes.push(`${type} ${pathname}`));
+
+		const result = await io.transaction(async transaction => {
+			await transaction.createDir('dir');
+			await transaction.writeFile('dir/a', Buffer.from('a'));
+			await transaction.copyFile('dir/a', 'b');
+			await transaction.rename('old', 'renamed');
+
+			expect(fs.existsSync(path.join(io.dataDir, 'dir'))).toBe(false);
+
+			return 'done';
+		});
+
+		expect(result).toBe('done');
+		expect(io.readFileSync('dir/a').toString()).toBe('a');
+		expect(io.readFileSync('b').toString()).toBe('a');
+		expect(io.readFileSync('renamed').toString()).toBe('old');
+		expect(fs.existsSync(path.join(io.dataDir, 'old'))).toBe(false);
+		expect(changes).toEqual(['mkdir dir', 'write dir/a', 'copy b', 'rename renamed']);
+		expect(fs.readdirSync(path.join(io.dataDir, '.fs-io', 'journal'))).toEqual([]);
+	});
+
+	test('roll back every Mutation if one of them fails', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+
+		io.writeFileSync('a', Buffer.from('old'));
+		io.writeFileSync('b', Buffer.from('old'));
+		io.readFileSync('a');
+		io.before('delete', () => false);
+
+		await expect(io.transaction(async transaction => {
+			await transaction.writeFile('a', Buffer.from('new'));
+			await transaction.writeFile('c', Buffer.from('new'));
+			await transaction.delete('b');
+		})).rejects.toThrow(IO.VetoError);
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'a'), 'utf8')).toBe('old');
+		expect(io.readFileSync('a').toString()).toBe('old');
+		expect(io.readFileSync('b').toString()).toBe('old');
+		expect(fs.existsSync(path.join(io.dataDir, 'c'))).toBe(false);
+
+		expect(() => io.transactionSync(transaction => {
+			transaction.writeFileSync('a', Buffer.from('new'));
+			transaction.deleteSync('b');
+		})).toThrow(IO.VetoError);
+
+		expect(io.readFileSync('a').toString()).toBe('old');
+	});
+
+	test('apply nothing if fn throws', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		let staged;
+
+		await expect(io.transaction(async transaction => {
+			staged = transaction;
+			await transaction.writeFile('a', Buffer.from('a'));
+			throw new Error('aborted');
+		})).rejects.toThrow('aborted');
+
+		expect(fs.existsSync(path.join(io.dataDir, 'a'))).toBe(false);
+		expect(staged.open).toBe(false);
+		await expect(staged.writeFile('a', Buffer.from('a'))).rejects.toThrow();
+		expect(() => io.transactionSync(() => { throw new Error('aborted'); })).toThrow('aborted');
+		expect(fs.readdirSync(path.join(io.dataDir, '.fs-io', 'journal'))).toEqual([]);
+	});
+
+	test('check the Arguments of staged Mutations right away', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await expect(io.transaction(async transaction => {
+			await transaction.writeFile('../escape', Buffer.from('a'));
+		})).rejects.toThrow(IO.PathError);
+		await expect(io.transaction('fn')).rejects.toThrow(TypeError);
+	});
+});
+
+describe('Transaction Recovery', () => {
+	/**
+	 * Commit a Transaction writing a, b and c in a Child Process that crashes after a was replaced
+	 * @param {string} dataDir 
+	 * @returns {string} the absolute Path of the Lock File of the left behind Journal
+	 */
+	function crashDuringCommit(dataDir) {
+		const script = `
+			const path = require('path');
+			const IO = require(${JSON.stringify(path.resolve(__dirname, '../src'))});
+
+			let renames = 0;
+
+			class CrashingBackend extends IO.DiskBackend {
+				renameSync(oldPathname, newPathname) {
+					if (path.basename(oldPathname).startsWith(IO.ReadWrite.TEMP_PREFIX) && ++renames === 2)
+						process.exit(1);
+
+					super.renameSync(oldPathname, newPathname);
+				}
+			}
+
+			new IO.ReadWrite(${JSON.stringify(dataDir)}, null, { backend: new CrashingBackend() }).transactionSync(transaction => {
+				transaction.writeFileSync('a', Buffer.from('new'));
+				transaction.writeFileSync('b', Buffer.from('new'));
+				transaction.writeFileSync('c', Buffer.from('new'));
+			});
+		`;
+
+		expect(child_process.spawnSync(process.execPath, ['-e', script]).status).toBe(1);
+
+		const journalDir = path.join(dataDir, '.fs-io', 'journal');
+		const lockFiles = fs.readdirSync(journalDir).filter(name => name.endsWith('.lock'));
+
+		expect(lockFiles).toHaveLength(1);
+
+		return path.join(journalDir, lockFiles[0]);
+	}
+
+	/**
+	 * @param {string} dataDir 
+	 * @returns {ReadWrite}
+	 */
+	function prepare(dataDir) {
+		const io = new IO.ReadWrite(dataDir);
+
+		io.writeFileSync('a', Buffer.from('old'));
+		io.writeFileSync('b', Buffer.from('old'));
+
+		return io;
+	}
+
+	/**
+	 * @param {string} dataDir 
+	 * @returns {Object<string, string | null>}
+	 */
+	function contents(dataDir) {
+		return Object.fromEntries(['a', 'b', 'c'].map(name => {
+			const filename = path.join(dataDir, name);
+
+			return [name, fs.existsSync(filename) ? fs.readFileSync(filename, 'utf8') : null];
+		}));
+	}
+
+	test('rolls back the Journal of a crashed Process', () => {
+		const dataDir = createTempDir();
+
+		prepare(dataDir);
+		crashDuringCommit(dataDir);
+
+		expect(contents(dataDir)).toEqual({ a: 'new', b: 'old', c: null });
+
+		new IO.ReadWrite(dataDir);
+
+		expect(contents(dataDir)).toEqual({ a: 'old', b: 'old', c: null });
+		expect(fs.readdirSync(path.join(dataDir, '.fs-io', 'journal'))).toEqual([]);
+	});
+
+	test('rolls back the Journal of a crashed Process with the same Process ID', () => {
+		const dataDir = createTempDir();
+
+		prepare(dataDir);
+
+		const lockFile = crashDuringCommit(dataDir);
+		const content = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+
+		const updatedAt = new Date(Date.now() - process.uptime() * 1000 - 1000);
+
+		fs.writeFileSync(lockFile, JSON.stringify({ ...content, pid: process.pid }));
+		fs.utimesSync(lockFile, updatedAt, updatedAt);
+
+		new IO.ReadWrite(dataDir);
+
+		expect(contents(dataDir)).toEqual({ a: 'old', b: 'old', c: null });
+	});
+
+	test('leaves the Journal of a live Process on another Host alone', () => {
+		const dataDir = createTempDir();
+
+		prepare(dataDir);
+
+		const lockFile = crashDuringCommit(dataDir);
+		const content = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+
+		fs.writeFileSync(lockFile, JSON.stringify({ ...content, hostname: 'other-host' }));
+
+		new IO.ReadWrite(dataDir);
+
+		expect(contents(dataDir)).toEqual({ a: 'new', b: 'old', c: null });
+
+		const updatedAt = new Date(Date.now() - 60 * 1000);
+
+		fs.utimesSync(lockFile, updatedAt, updatedAt);
+
+		new IO.ReadWrite(dataDir);
+
+		expect(contents(dataDir)).toEqual({ a: 'old', b: 'old', c: null });
+	});
+
+	test('leaves the Journal of a running Transaction alone', async () => {
+		const dataDir = createTempDir();
+		const io = prepare(dataDir);
+		let recovered;
+
+		await io.transaction(async transaction => {
+			await transaction.writeFile('a', Buffer.from('new'));
+
+			new IO.ReadWrite(dataDir);
+			recovered = fs.readdirSync(path.join(dataDir, '.fs-io', 'journal')).length;
+		});
+
+		expect(recovered).toBe(2);
+		expect(contents(dataDir)).toEqual({ a: 'new', b: 'old', c: null });
+	});
+});
+
+describe('Quotas', () => {
+	test('are enforced for Streams', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.createDir('tenant');
+		await io.setQuota('tenant', { bytes: 100 });
+
+		const stream = io.createWriteStream('tenant/a');
+		const error = await new Promise(resolve => {
+			stream.once('error', resolve);
+			stream.write(Buffer.alloc(60));
+			stream.end(Buffer.alloc(60));
+		});
+
+		expect(error).toBeInstanceOf(IO.QuotaError);
+		expect((await io.usage('tenant')).bytes).toBe(60);
+		expect(fs.statSync(path.join(io.dataDir, 'tenant', 'a')).size).toBe(60);
+	});
+
+	test('charge Revisions and the Trash to the original Directory', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { trash: true, versions: 1 });
+
+		await io.createDir('tenant');
+		await io.setQuota('tenant', { bytes: 100 });
+		await io.writeFile('tenant/a', Buffer.alloc(40));
+		await io.writeFile('tenant/a', Buffer.alloc(40));
+		await io.writeFile('tenant/a', Buffer.alloc(40));
+
+		expect((await io.usage('tenant')).bytes).toBe(80);
+
+		await io.delete('tenant/a');
+
+		expect((await io.usage('tenant')).bytes).toBe(80);
+		await expect(io.writeFile('tenant/b', Buffer.alloc(40))).rejects.toThrow(IO.QuotaError);
+		expect(await io.rescanUsage('tenant')).toMatchObject({ bytes: 80, files: 0 });
+
+		await io.emptyTrash();
+
+		expect((await io.usage('tenant')).bytes).toBe(40);
+		await io.writeFile('tenant/b', Buffer.alloc(40));
+		expect(await io.rescanUsage('tenant')).toMatchObject({ bytes: 80, files: 1 });
+	});
+
+	test('reject Tree Copies before anything is copied', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.createDir('tree');
+		await io.writeFile('tree/a', Buffer.alloc(60));
+		await io.writeFile('tree/b', Buffer.alloc(60));
+		await io.createDir('q');
+		await io.setQuota('q', { bytes: 100 });
+
+		await expect(io.copyTree('tree', 'q/tree')).rejects.toThrow(IO.QuotaError);
+		expect(() => io.copyTreeSync('tree', 'q/tree')).toThrow(IO.QuotaError);
+		expect(fs.existsSync(path.join(io.dataDir, 'q', 'tree'))).toBe(false);
+
+		await io.copyTree('tree', 'q/tree', { filter: relativePathname => !relativePathname.endsWith('b') });
+		expect(await io.usage('q')).toMatchObject({ bytes: 60, files: 1 });
+
+		await expect(io.copyTree('tree', 'q/tree', { overwrite: 'replace' })).rejects.toThrow(IO.QuotaError);
+		expect(fs.readdirSync(path.join(io.dataDir, 'q', 'tree'))).toEqual(['a']);
+	});
+
+	test('are persisted and apply to other Instances', async () => {
+		const dataDir = createTempDir();
+		const io = new IO.ReadWrite(dataDir, null, { quota: { bytes: 100 } });
+
+		await io.writeFile('a', Buffer.alloc(52));
+
+		const other = new IO.ReadWrite(dataDir);
+
+		await expect(other.writeFile('b', Buffer.alloc(500))).rejects.toThrow(IO.QuotaError);
+		expect(fs.existsSync(path.join(dataDir, 'b'))).toBe(false);
+		expect(await other.usage('.')).toEqual({ bytes: 52, files: 1, quota: { bytes: 100, files: null } });
+
+		await other.createDir('tenant');
+		await other.setQuota('tenant', { files: 1 });
+
+		expect((await io.usage('tenant')).quota).toEqual({ bytes: null, files: 1 });
+		expect(JSON.parse(fs.readFileSync(io.quotaFile, 'utf8'))).toEqual({ '.': { bytes: 100, files: null }, tenant: { bytes: null, files: 1 } });
+	});
+
+	test('are not counted by the Constructor', async () => {
+		const dataDir = createTempDir();
+		const backend = new IO.DiskBackend();
+
+		fs.writeFileSync(path.join(dataDir, 'a'), Buffer.alloc(10));
+
+		const readdir = jest.spyOn(backend, 'readdir');
+		const readdirSync = jest.spyOn(backend, 'readdirSync');
+		const io = new IO.ReadWrite(dataDir, null, { backend, quota: { bytes: 20 } });
+
+		expect(readdir).not.toHaveBeenCalled();
+		expect(readdirSync).not.toHaveBeenCalledWith(dataDir);
+		await expect(io.writeFile('b', Buffer.alloc(11))).rejects.toThrow(IO.QuotaError);
+		expect((await io.usage('.')).bytes).toBe(10);
+	});
+
+	test('track the Usage of every Mutation and reject Writes before anything is changed', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.createDir('tenant/sub');
+		await io.setQuota('tenant', { bytes: 100, files: 3 });
+		await io.writeFile('tenant/a', Buffer.alloc(30));
+		await io.writeFile('tenant/sub/b', Buffer.alloc(20));
+		await io.writeFile('tenant/a', Buffer.alloc(40));
+		await io.appendFile('tenant/sub/b', Buffer.alloc(10));
+
+		expect(await io.usage('tenant')).toEqual({ bytes: 70, files: 2, quota: { bytes: 100, files: 3 } });
+		expect(io.usageSync('tenant/sub')).toMatchObject({ bytes: 30, files: 1 });
+
+		const error = await io.writeFile('tenant/c', Buffer.alloc(31)).catch(error => error);
+
+		expect(error).toBeInstanceOf(IO.QuotaError);
+		expect(error.code).toBe('EDQUOT');
+		expect(fs.existsSync(path.join(io.dataDir, 'tenant', 'c'))).toBe(false);
+		expect(() => io.truncateSync('tenant/a', 71)).toThrow(IO.QuotaError);
+		expect(fs.statSync(path.join(io.dataDir, 'tenant', 'a')).size).toBe(40);
+
+		await io.writeFile('tenant/c', Buffer.alloc(1));
+		await expect(io.createSymLink('tenant/c', 'tenant/link')).rejects.toThrow(IO.QuotaError);
+
+		await io.rename('tenant/c', 'c');
+		await io.delete('tenant/a');
+
+		expect(await io.usage('tenant')).toMatchObject({ bytes: 30, files: 1 });
+
+		// Shrinking Writes always pass, even beyond the Quota
+		await io.setQuota('tenant', { bytes: 10 });
+		await io.writeFile('tenant/sub/b', Buffer.alloc(20));
+		await io.setQuota('tenant', null);
+		await io.writeFile('tenant/big', Buffer.alloc(1000));
+
+		expect(await io.usage('tenant')).toEqual({ bytes: 1020, files: 2, quota: { bytes: null, files: null } });
+	});
+
+	test('count Changes made outside of the Instance again with rescanUsage', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.createDir('tenant');
+		await io.setQuota('tenant', { bytes: 100 });
+		await io.writeFile('tenant/a', Buffer.alloc(10));
+
+		fs.writeFileSync(path.join(io.dataDir, 'tenant', 'outside'), Buffer.alloc(80));
+
+		expect((await io.usage('tenant')).bytes).toBe(10);
+		expect(await io.rescanUsage('tenant')).toMatchObject({ bytes: 90, files: 2 });
+		expect((await io.usage('.')).bytes).toBe(90);
+		await expect(io.writeFile('tenant/b', Buffer.alloc(20))).rejects.toThrow(IO.QuotaError);
+
+		fs.rmSync(path.join(io.dataDir, 'tenant', 'outside'));
+
+		expect(io.rescanUsageSync('.')).toMatchObject({ bytes: 10, files: 1 });
+		expect((await io.usage('tenant')).bytes).toBe(10);
+		await expect(io.setQuota('tenant', { bytes: -1 })).rejects.toThrow(TypeError);
+	});
+});
+
+describe('syncTo', () => {
+	test('syncs Files with an older Modification Time and keeps it', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const replica = new IO.ReadWrite(createTempDir());
+		const old = new Date('2020-01-01T00:00:00Z');
+
+		await io.writeFile('a', Buffer.from('new'));
+		await io.syncTo(replica);
+		await io.writeFile('a', Buffer.from('old'));
+		fs.utimesSync(path.join(io.dataDir, 'a'), old, old);
+
+		expect(await io.syncTo(replica)).toMatchObject({ updates: ['a'] });
+		expect((await replica.readFile('a')).toString()).toBe('old');
+		expect(fs.statSync(path.join(replica.dataDir, 'a')).mtimeMs).toBe(old.getTime());
+		expect(io.syncToSync(replica, { dryRun: true })).toEqual({ adds: [], updates: [], deletes: [], skipped: [] });
+	});
+
+	test('compares Hashes without filling the Caches', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+		const replica = new IO.ReadWrite(createTempDir(), 1024);
+
+		await io.writeFile('a', Buffer.from('1'));
+		await replica.writeFile('a', Buffer.from('2'));
+		io.deleteCached(path.join(io.dataDir, 'a'));
+		replica.deleteCached(path.join(replica.dataDir, 'a'));
+
+		expect(await io.syncTo(replica, { compare: 'hash' })).toMatchObject({ updates: ['a'] });
+		expect(io.stats().cache.entries).toBe(0);
+		expect((await replica.readFile('a')).toString()).toBe('1');
+	});
+
+	test('copies Symbolic Links and skips Links leaving the Data Directory', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const replica = new IO.ReadWrite(createTempDir());
+
+		await io.writeFile('a', Buffer.from('1'));
+		await io.createSymLink('a', 'link');
+		fs.symlinkSync(os.tmpdir(), path.join(io.dataDir, 'outside'));
+
+		expect(await io.syncTo(replica)).toEqual({ adds: ['a', 'link'], updates: [], deletes: [], skipped: ['outside'] });
+		expect(fs.readlinkSync(path.join(replica.dataDir, 'link'))).toBe(path.join(replica.dataDir, 'a'));
+		expect(fs.existsSync(path.join(replica.dataDir, 'outside'))).toBe(false);
+
+		await io.writeFile('b', Buffer.from('2'));
+		await io.delete('link');
+		await io.createSymLink('b', 'link');
+
+		expect(io.syncToSync(replica)).toMatchObject({ updates: ['link'] });
+		expect((await replica.readFile('link')).toString()).toBe('2');
+	});
+});
+
+describe('Server', () => {
+	/**
+	 * Send a Request to the Handler of io through a listening HTTP Server
+	 */
+	async function request(io, options, method, url, { headers = {}, body } = {}) {
+		const server = IO.Server.createServer(io, options);
+
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+		try {
+			return await new Promise((resolve, reject) => {
+				const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: url, headers }, res => {
+					const chunks = [];
+
+					res.on('data', chunk => chunks.push(chunk));
+					res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+				});
+
+				req.on('error', reject);
+				req.end(body);
+			});
+		}
+		finally {
+			server.closeAllConnections();
+			await new Promise(resolve => server.close(resolve));
+		}
+	}
+
+	test('never deletes the served Directory and non-empty Directories only with recursiveDelete', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.createDir('docs');
+		await io.writeFile('docs/a', Buffer.from('1'));
+
+		expect((await request(io, {}, 'DELETE', '/')).status).toBe(403);
+		expect((await request(io, {}, 'DELETE', '/docs')).status).toBe(409);
+		expect(await io.readDir('docs')).toHaveLength(1);
+		expect((await request(io, { recursiveDelete: true }, 'DELETE', '/docs')).status).toBe(204);
+		expect(fs.existsSync(path.join(io.dataDir, 'docs'))).toBe(false);
+	});
+
+	test('answers PUT into a missing Directory with 409', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		expect((await request(io, {}, 'PUT', '/new/b.txt', { body: 'b' })).status).toBe(409);
+	});
+
+	test('answers HEAD and Range Requests without reading the whole File', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const readFile = jest.spyOn(io, 'readFile');
+
+		await io.writeFile('a.txt', Buffer.from('hello world'));
+
+		const head = await request(io, {}, 'HEAD', '/a.txt');
+
+		expect(head.status).toBe(200);
+		expect(head.headers['content-length']).toBe('11');
+
+		const range = await request(io, {}, 'GET', '/a.txt', { headers: { Range: 'bytes=6-' } });
+
+		expect(range).toMatchObject({ status: 206, body: 'world' });
+		expect(readFile).not.toHaveBeenCalled();
+	});
+
+	test('streams uncached Files instead of reading them', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const encoded = new IO.ReadWrite(createTempDir(), null, { codecs: new IO.CompressionCodec('gzip') });
+		const readFile = jest.spyOn(io.backend, 'readFile');
+
+		fs.writeFileSync(path.join(io.dataDir, 'a.bin'), Buffer.alloc(100000, 'a'));
+		await encoded.writeFile('b.txt', Buffer.from('hello world'));
+
+		const response = await request(io, {}, 'GET', '/a.bin');
+
+		expect(response).toMatchObject({ status: 200, headers: { 'content-length': '100000' } });
+		expect(response.body).toBe('a'.repeat(100000));
+		expect(readFile).not.toHaveBeenCalled();
+		expect(await request(encoded, {}, 'GET', '/b.txt')).toMatchObject({ status: 200, body: 'hello world', headers: { 'content-length': '11' } });
+	});
+
+	test('limits PUT Bodies to 16 MiB by default', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const response = await request(io, {}, 'PUT', '/big', { headers: { 'Content-Length': IO.Server.MAX_BODY_SIZE + 1 } });
+
+		expect(response.status).toBe(413);
+		expect(fs.existsSync(path.join(io.dataDir, 'big'))).toBe(false);
+	});
+});
+
+describe('stats', () => {
+	test('only record the outermost Call', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeText('a', 'a');
+		await io.transaction(async tx => {
+			await tx.writeFile('b', Buffer.from('b'));
+		});
+		await Promise.all([io.readFile('a'), io.readFile('b')]);
+
+		const { operations } = io.stats();
+
+		expect(operations.writeText.count).toBe(1);
+		expect(operations.transaction.count).toBe(1);
+		expect(operations.writeFile).toBeUndefined();
+		expect(operations.readFile.count).toBe(2);
+	});
+
+	test('record Generators until they finished', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeFile('a', Buffer.from('a'));
+		await io.writeFile('b', Buffer.from('b'));
+
+		for await (const entry of io.walk('.'))
+			break;
+
+		expect(Array.from(io.walkSync('.'))).toHaveLength(2);
+		expect(await io.glob('*')).toHaveLength(2);
+
+		const { operations } = io.stats();
+
+		expect(operations.walk).toMatchObject({ count: 1, errors: 0 });
+		expect(operations.walkSync).toMatchObject({ count: 1, errors: 0 });
+		expect(operations.glob.count).toBe(1);
+		await expect(io.walk('missing').next()).rejects.toThrow();
+		expect(io.stats().operations.walk).toMatchObject({ count: 2, errors: 1 });
+	});
+});
+
+describe('CLI', () => {
+	const CLI = require('../src/CLI');
+	const { PassThrough, Readable } = require('stream');
+
+	/**
+	 * Run the CLI with argv and collect its Output
+	 */
+	async function run(argv, stdin = '') {
+		const stdout = new PassThrough();
+		const stderr = new PassThrough();
+		const chunks = { stdout: [], stderr: [] };
+
+		stdout.on('data', chunk => chunks.stdout.push(chunk));
+		stderr.on('data', chunk => chunks.stderr.push(chunk));
+
+		const exitCode = await CLI.run(argv, { stdin: Readable.from([Buffer.from(stdin)]), stdout, stderr });
+
+		return { exitCode, stdout: Buffer.concat(chunks.stdout).toString(), stderr: Buffer.concat(chunks.stderr).toString() };
+	}
+
+	test('never removes the Data Directory', async () => {
+		const dataDir = createTempDir();
+
+		fs.writeFileSync(path.join(dataDir, 'a'), '1');
+
+		expect((await run(['-d', dataDir, 'rm', '-r', '.'])).exitCode).toBe(CLI.EXIT_FAILURE);
+		expect((await run(['-d', dataDir, 'rm', '-r', 'a/..'])).exitCode).toBe(CLI.EXIT_FAILURE);
+		expect(fs.readFileSync(path.join(dataDir, 'a'), 'utf8')).toBe('1');
+	});
+
+	test('applies --dedupe, --compress and --key', async () => {
+		const dataDir = createTempDir();
+		const keyFile = path.join(createTempDir(), 'key');
+		const key = Buffer.alloc(32, 7);
+
+		fs.writeFileSync(keyFile, key.toString('hex'));
+
+		const io = new IO.ReadWrite(dataDir, null, { dedupe: true, codecs: [new IO.CompressionCodec('gzip'), new IO.EncryptionCodec({ k1: key })] });
+		const options = ['-d', dataDir, '--dedupe', '--compress', 'gzip', '--key', `k1=${keyFile}`];
+
+		await io.writeFile('x', Buffer.from('same'));
+		await io.writeFile('y', Buffer.from('same'));
+
+		expect(await run([...options, 'cat', 'x'])).toMatchObject({ exitCode: CLI.EXIT_SUCCESS, stdout: 'same' });
+		expect((await run([...options, 'put', 'x'], 'changed')).exitCode).toBe(CLI.EXIT_SUCCESS);
+		expect((await io.readFile('x')).toString()).toBe('changed');
+		expect((await io.readFile('y')).toString()).toBe('same');
+		expect((await run(['-d', dataDir, '--compress', 'zip', 'cat', 'x'])).exitCode).toBe(CLI.EXIT_USAGE);
+	});
+
+	test('exits with 0 on Success, 1 if the Command failed and 2 for invalid Arguments', async () => {
+		const dataDir = createTempDir();
+		const outside = createTempDir();
+
+		expect(await run(['-d', dataDir, 'put', 'a'], 'hello')).toEqual({ exitCode: CLI.EXIT_SUCCESS, stdout: '', stderr: '' });
+		expect(await run(['-d', dataDir, 'mkdir', 'dir'])).toMatchObject({ exitCode: CLI.EXIT_SUCCESS });
+		expect(await run(['-d', dataDir, 'cat', 'a'])).toMatchObject({ exitCode: CLI.EXIT_SUCCESS, stdout: 'hello' });
+		expect(await run(['-d', dataDir, 'ls'])).toMatchObject({ exitCode: CLI.EXIT_SUCCESS, stdout: 'a\ndir/\n' });
+
+		const missing = await run(['-d', dataDir, 'cat', 'missing']);
+
+		expect(missing.exitCode).toBe(CLI.EXIT_FAILURE);
+		expect(missing.stderr).toMatch(/^fs-io: .*ENOENT/);
+		expect((await run(['-d', dataDir, 'cat', '../escape'])).exitCode).toBe(CLI.EXIT_FAILURE);
+		expect((await run(['-d', dataDir, 'put', path.join(outside, 'a')], 'evil')).exitCode).toBe(CLI.EXIT_FAILURE);
+		expect(fs.readdirSync(outside)).toEqual([]);
+
+		for (const argv of [[], ['-d', dataDir], ['-d', dataDir, 'unknown'], ['cat', 'a'], ['-d', dataDir, 'cat'], ['-d', dataDir, 'cat', 'a', 'b'], ['-d', dataDir, '--unknown', 'cat', 'a']]) {
+			const result = await run(argv);
+
+			expect(result.exitCode).toBe(CLI.EXIT_USAGE);
+			expect(result.stderr).toMatch(/See fs-io --help\n$/);
+		}
+
+		expect(await run(['--help'])).toMatchObject({ exitCode: CLI.EXIT_SUCCESS, stdout: CLI.usage });
+	});
+
+	test('sets the Exit Code of the Process', () => {
+		const dataDir = createTempDir();
+		const bin = path.resolve(__dirname, '../bin/fs-io.js');
+		const spawn = (...argv) => child_process.spawnSync(process.execPath, [bin, ...argv], { input: 'piped' });
+
+		expect(spawn('-d', dataDir, 'put', 'a').status).toBe(0);
+		expect(spawn('-d', dataDir, 'cat', 'a').stdout.toString()).toBe('piped');
+		expect(spawn('-d', dataDir, 'cat', 'missing').status).toBe(1);
+		expect(spawn('-d', dataDir).status).toBe(2);
+	});
+
+	test('prints Results and Errors as JSON with --json', async () => {
+		const dataDir = createTempDir();
+
+		expect(JSON.parse((await run(['-d', dataDir, '--json', 'put', 'a'], 'hello')).stdout)).toEqual({ ok: true, result: { pathname: 'a', size: 5 } });
+		expect(JSON.parse((await run(['-d', dataDir, '--json', 'cat', 'a'])).stdout)).toEqual({ ok: true, result: { encoding: 'base64', data: Buffer.from('hello').toString('base64') } });
+		expect(JSON.parse((await run(['-d', dataDir, '--json', 'ls'])).stdout)).toEqual({ ok: true, result: [{ name: 'a', type: 'file' }] });
+
+		const missing = await run(['-d', dataDir, '--json', 'cat', 'missing']);
+
+		expect(missing).toMatchObject({ exitCode: CLI.EXIT_FAILURE, stderr: '' });
+		expect(JSON.parse(missing.stdout)).toMatchObject({ ok: false, error: { code: 'ENOENT' } });
+
+		const usage = await run(['-d', dataDir, '--json', 'unknown']);
+
+		expect(usage).toMatchObject({ exitCode: CLI.EXIT_USAGE, stderr: '' });
+		expect(JSON.parse(usage.stdout)).toMatchObject({ ok: false, error: { name: 'TypeError', code: null } });
+		expect(JSON.parse((await run(['--json', '--unknown'])).stdout).ok).toBe(false);
+	});
+
+	test('only allows read-only Commands with --read-only', async () => {
+		const dataDir = createTempDir();
+
+		fs.writeFileSync(path.join(dataDir, 'a'), 'a');
+
+		for (const argv of [['put', 'b'], ['mkdir', 'dir'], ['rm', 'a'], ['mv', 'a', 'b'], ['cp', 'a', 'b'], ['ln', '-s', 'a', 'b']])
+			expect((await run(['-d', dataDir, '--read-only', ...argv], 'b')).exitCode).toBe(CLI.EXIT_USAGE);
+
+		expect(fs.readdirSync(dataDir)).toEqual(['a']);
+		expect(await run(['-d', dataDir, '--read-only', 'cat', 'a'])).toMatchObject({ exitCode: CLI.EXIT_SUCCESS, stdout: 'a' });
+		expect(JSON.parse((await run(['-d', dataDir, '--read-only', '--json', 'stat', 'a'])).stdout).result).toMatchObject({ type: 'file', size: 1 });
+		expect(fs.existsSync(path.join(dataDir, '.fs-io'))).toBe(false);
+	});
+});
+
+describe('Lock Files', () => {
+	const LockFile = require('../src/LockFile');
+
+	test('let only one of two Waiters take over a stale Lock', async () => {
+		const filename = path.join(createTempDir(), 'a.lock');
+		const old = new Date(Date.now() - 60 * 1000);
+		let waiting = [];
+
+		// Both Waiters read the stale Lock before either of them takes it over
+		class RacingBackend extends IO.DiskBackend {
+			async readFile(pathname) {
+				const result = await super.readFile(pathname);
+
+				if (pathname === filename && waiting !== null) {
+					await new Promise(resolve => {
+						waiting.push(resolve);
+
+						if (waiting.length === 2) {
+							waiting.forEach(resolve => resolve());
+							waiting = null;
+						}
+					});
+				}
+
+				return result;
+			}
+		}
+
+		fs.writeFileSync(filename, JSON.stringify({ token: 'stale', pid: 1, hostname: 'other-host' }));
+		fs.utimesSync(filename, old, old);
+
+		const backend = new RacingBackend();
+		const results = await Promise.allSettled([
+			new LockFile(backend, filename, 'a').acquire({ timeout: 200 }),
+			new LockFile(backend, filename, 'a').acquire({ timeout: 200 })
+		]);
+
+		expect(results.map(({ status }) => status).sort()).toEqual(['fulfilled', 'rejected']);
+		expect(results.find(({ status }) => status === 'rejected').reason).toBeInstanceOf(IO.LockError);
+		expect(fs.readdirSync(path.dirname(filename))).toEqual(['a.lock']);
+	});
+
+	test('serialize concurrent Writes to the same Path, so the Cache matches the Disk', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024 * 1024);
+
+		await Promise.all(Array.from({ length: 20 }, (_, index) => io.writeFile('a', Buffer.alloc(1000 + index, String(index % 10)))));
+
+		expect(io.cache.get(path.join(io.dataDir, 'a'))).toEqual(fs.readFileSync(path.join(io.dataDir, 'a')));
+	});
+
+	test('let withLock read, modify and write without losing Updates', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeJSON('counter.json', 0);
+		await Promise.all(Array.from({ length: 10 }, () => io.withLock('counter.json', async () => {
+			const value = await io.readJSON('counter.json');
+
+			await new Promise(resolve => setTimeout(resolve, 5));
+			await io.writeJSON('counter.json', value + 1);
+		})));
+
+		expect(io.withLockSync('counter.json', () => io.readJSONSync('counter.json'))).toBe(10);
+		expect(fs.readdirSync(io.lockDir)).toEqual([]);
+	});
+
+	test('exclude other Instances until the Lock is released', async () => {
+		const dataDir = createTempDir();
+		const first = new IO.ReadWrite(dataDir);
+		const second = new IO.ReadWrite(dataDir);
+		let release;
+		const held = first.withLock('a', () => new Promise(resolve => release = resolve));
+
+		await waitFor(async () => release !== undefined);
+		await expect(second.withLock('a', () => 'taken', { timeout: 200 })).rejects.toThrow(IO.LockError);
+		expect(() => second.withLockSync('a', () => 'taken', { timeout: 100 })).toThrow(IO.LockError);
+
+		release();
+		await held;
+
+		await expect(second.withLock('a', () => 'taken', { timeout: 200 })).resolves.toBe('taken');
+	});
+
+	test('take over the Lock of a Process that no longer exists', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const filename = path.join(io.lockDir, `${io.internalName(path.join(io.dataDir, 'a'))}.lock`);
+		const deadPid = child_process.spawnSync(process.execPath, ['-e', '']).pid;
+
+		fs.writeFileSync(filename, JSON.stringify({ token: 'crashed', pid: deadPid, hostname: os.hostname() }));
+
+		await expect(io.withLock('a', () => 'recovered', { timeout: 1000 })).resolves.toBe('recovered');
+		expect(fs.existsSync(filename)).toBe(false);
+	});
+});
+
+describe('Tar', () => {
+	const Tar = require('../src/Tar');
+	const { PassThrough, Readable } = require('stream');
+
+	// Collect the Archive exportTar writes
+	async function exportTar(io, dirname, options) {
+		const writable = new PassThrough();
+		const chunks = [];
+
+		writable.on('data', chunk => chunks.push(chunk));
+		await io.exportTar(dirname, writable, options);
+
+		return Buffer.concat(chunks);
+	}
+
+	function archive(...entries) {
+		return Buffer.concat([...entries.flatMap(({ data = Buffer.alloc(0), ...entry }) => [Tar.header({ mode: 0o644, mtime: new Date(0), size: data.length, ...entry }), data, Tar.padding(data.length)]), Tar.END]);
+	}
+
+	test('streams Files through the Backend instead of reading them as a whole', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const content = Buffer.alloc(3 * 1024 * 1024, 'x');
+
+		await io.createDir('tree');
+		await io.writeFile('tree/big', content);
+
+		const readFile = jest.spyOn(io.backend, 'readFile');
+		const writeFile = jest.spyOn(io.backend, 'writeFile');
+		const tar = await exportTar(io, 'tree');
+
+		expect(readFile).not.toHaveBeenCalledWith(path.join(io.dataDir, 'tree/big'));
+
+		await io.importTar(Readable.from([tar]), 'copy');
+
+		expect(writeFile).not.toHaveBeenCalledWith(expect.stringContaining(path.join(io.dataDir, 'copy')), expect.anything(), expect.anything());
+		expect(fs.readFileSync(path.join(io.dataDir, 'copy/big')).equals(content)).toBe(true);
+	});
+
+	test('rejects Entries held in Memory beyond options.maxEntrySize before reading them', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { dedupe: true });
+		const chunks = (async function* () {
+			yield Tar.header({ pathname: 'huge', type: 'file', mode: 0o644, mtime: new Date(0), size: 1024 * 1024 * 1024 });
+			throw new Error('Expected the Content not to be read');
+		})();
+
+		await expect(io.importTar(chunks, '.', { maxEntrySize: 1024 })).rejects.toThrow('not to exceed 1024 Bytes');
+		await expect(io.importTar(Readable.from([archive({ pathname: 'small', type: 'file', data: Buffer.from('ok') })]), '.', { maxEntrySize: 1024 })).resolves.toBeUndefined();
+		expect(await io.readFile('small')).toEqual(Buffer.from('ok'));
+	});
+
+	test('rejects PAX Headers beyond Tar.MAX_HEADER_SIZE', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const pax = Tar.header({ pathname: 'PaxHeader', type: 'file', mode: 0o644, mtime: new Date(0), size: Tar.MAX_HEADER_SIZE + 1 });
+
+		// Turn the Header into a PAX Header and fix its Checksum
+		pax.write('x', 156, 'ascii');
+		pax.write(' '.repeat(8), 148, 'ascii');
+		pax.write(pax.reduce((sum, byte) => sum + byte, 0).toString(8).padStart(6, '0') + '\0 ', 148, 'ascii');
+
+		await expect(io.importTar(Readable.from([pax]), '.')).rejects.toThrow('PAX and GNU Headers');
+	});
+
+	test('round-trips Files, Directories, Modes, Modification Times and Symbolic Links', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const mtime = new Date('2020-01-02T03:04:05Z');
+		const content = Buffer.alloc(70000, 'y');
+
+		await io.createDir('tree/sub');
+		await io.writeFile('tree/a', Buffer.from('a'));
+		await io.writeFile('tree/sub/big', content);
+		await io.createSymLink('tree/sub', 'tree/link');
+		fs.chmodSync(path.join(io.dataDir, 'tree', 'a'), 0o600);
+		fs.utimesSync(path.join(io.dataDir, 'tree', 'a'), mtime, mtime);
+
+		for (const gzip of [false, true]) {
+			const tar = await exportTar(io, 'tree', { gzip });
+			const target = `copy-${gzip}`;
+
+			expect(tar[0] === 0x1f && tar[1] === 0x8b).toBe(gzip);
+
+			await io.importTar(Readable.from([tar]), target);
+
+			const stats = fs.statSync(path.join(io.dataDir, target, 'a'));
+
+			expect(stats.mode & 0o777).toBe(0o600);
+			expect(stats.mtime).toEqual(mtime);
+			expect((await io.readFile(`${target}/sub/big`)).equals(content)).toBe(true);
+			expect(fs.readlinkSync(path.join(io.dataDir, target, 'link'))).toBe('sub');
+			expect((await io.readDir(`${target}/link`)).map(({ name }) => name)).toEqual(['big']);
+			await expect(io.importTar(Readable.from([tar]), target)).rejects.toMatchObject({ code: 'EEXIST' });
+		}
+
+		const names = [];
+
+		for await (const entry of Tar.entries(Readable.from([await exportTar(io, '.')])))
+			names.push(entry.pathname);
+
+		expect(names.some(name => name.startsWith('.fs-io'))).toBe(false);
+	});
+
+	test('rejects Entries escaping the Directory or entering the internal Directory', async () => {
+		const outside = createTempDir();
+		const io = new IO.ReadWrite(createTempDir());
+		const file = pathname => archive({ pathname, type: 'file', data: Buffer.from('evil') });
+
+		fs.symlinkSync(outside, path.join(io.dataDir, 'escape'));
+
+		for (const tar of [
+			file('../evil'),
+			file('sub/../../evil'),
+			file(path.join(outside, 'evil')),
+			file('escape/evil'),
+			file('.fs-io/evil'),
+			archive({ pathname: 'link', type: 'symlink', linkname: outside }),
+			archive({ pathname: 'link', type: 'symlink', linkname: '../..' }),
+			archive({ pathname: 'link', type: 'link', linkname: '../evil' })
+		])
+			await expect(io.importTar(Readable.from([tar]), '.')).rejects.toThrow(IO.PathError);
+
+		await expect(io.importTar(Readable.from([file('evil')]), 'escape')).rejects.toThrow(IO.PathError);
+		expect(fs.readdirSync(outside)).toEqual([]);
+		expect(fs.readdirSync(path.dirname(io.dataDir)).filter(name => name === 'evil')).toEqual([]);
+		expect(fs.readdirSync(path.join(io.dataDir, '.fs-io')).includes('evil')).toBe(false);
+		expect(fs.readdirSync(io.dataDir).sort()).toEqual(['.fs-io', 'escape']);
+	});
+});
+
+describe('Streams and Ranges', () => {
+	const { Readable } = require('stream');
+	const { pipeline } = require('stream/promises');
+
+	async function readStream(stream) {
+		const chunks = [];
+
+		for await (const chunk of stream)
+			chunks.push(chunk);
+
+		return Buffer.concat(chunks);
+	}
+
+	test('serve cached Files from the Cache', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+
+		await io.writeFile('a', Buffer.from('0123456789'));
+
+		const createReadStream = jest.spyOn(io.backend, 'createReadStream');
+		const readRange = jest.spyOn(io.backend, 'readRange');
+
+		expect(await io.readRange('a', 2, 3)).toEqual(Buffer.from('234'));
+		expect(io.readRangeSync('a', 8, 5)).toEqual(Buffer.from('89'));
+		expect(await readStream(io.createReadStream('a', { start: 1, end: 3 }))).toEqual(Buffer.from('123'));
+		expect(createReadStream).not.toHaveBeenCalled();
+		expect(readRange).not.toHaveBeenCalled();
+	});
+
+	test('read uncached Files from the Backend', async () => {
+		const dataDir = createTempDir();
+
+		fs.writeFileSync(path.join(dataDir, 'a'), '0123456789');
+
+		const io = new IO.ReadOnly(dataDir, 1024);
+
+		expect(await io.readRange('a', 7, 10)).toEqual(Buffer.from('789'));
+		expect(io.readRangeSync('a', 0, 2)).toEqual(Buffer.from('01'));
+		expect(await readStream(io.createReadStream('a', { start: 5 }))).toEqual(Buffer.from('56789'));
+		expect(io.cache.get(path.join(dataDir, 'a'))).toBeUndefined();
+	});
+
+	test('invalidate the Cache once a Write Stream is closed', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+
+		await io.writeFile('a', Buffer.from('old'));
+		await pipeline(Readable.from([Buffer.from('new '), Buffer.from('content')]), io.createWriteStream('a'));
+
+		expect(await io.readFile('a')).toEqual(Buffer.from('new content'));
+
+		await pipeline(Readable.from([Buffer.from('!')]), io.createWriteStream('a', { flags: 'a' }));
+
+		expect(io.readFileSync('a')).toEqual(Buffer.from('new content!'));
+	});
+
+	test('keep Streams and Ranges inside the Data Directory', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		expect(() => io.createReadStream('../a')).toThrow(IO.PathError);
+		expect(() => io.createWriteStream('../a')).toThrow(IO.PathError);
+		expect(() => io.readRangeSync('/etc/passwd', 0, 1)).toThrow(IO.PathError);
+		await expect(io.readRange('../a', 0, 1)).rejects.toThrow(IO.PathError);
+		expect(() => io.createReadStream('a', { start: -1 })).toThrow(TypeError);
+	});
+});
+
+describe('Tree Operations', () => {
+	async function createTree(io) {
+		await io.createDir('src/sub');
+		await io.writeFile('src/a.txt', Buffer.from('a'));
+		await io.writeFile('src/b.log', Buffer.from('b'));
+		await io.writeFile('src/sub/c.txt', Buffer.from('c'));
+		await io.createSymLink('src/a.txt', 'src/link');
+	}
+
+	test('deleteTree removes Directories and evicts their cached Entries', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+
+		await createTree(io);
+		await io.deleteTree('src', { filter: relativePathname => !relativePathname.endsWith('.log') });
+
+		expect(fs.readdirSync(path.join(io.dataDir, 'src'))).toEqual(['b.log']);
+		expect(io.cache.get(path.join(io.dataDir, 'src/a.txt'))).toBeUndefined();
+
+		io.deleteTreeSync('src');
+
+		expect(fs.existsSync(path.join(io.dataDir, 'src'))).toBe(false);
+
+		await io.deleteTree('.');
+
+		expect(fs.readdirSync(io.dataDir)).toEqual(['.fs-io']);
+	});
+
+	test('copyTree merges Directories and applies the Overwrite and Symbolic Link Policies', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await createTree(io);
+		await io.createDir('dst');
+		await io.writeFile('dst/a.txt', Buffer.from('existing'));
+
+		await expect(io.copyTree('src', 'dst')).rejects.toMatchObject({ code: 'EEXIST' });
+
+		await io.copyTree('src', 'dst', { overwrite: 'skip', symlinks: 'skip' });
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'dst/a.txt'), 'utf8')).toBe('existing');
+		expect(fs.readFileSync(path.join(io.dataDir, 'dst/sub/c.txt'), 'utf8')).toBe('c');
+		expect(fs.existsSync(path.join(io.dataDir, 'dst/link'))).toBe(false);
+
+		io.copyTreeSync('src', 'dst', { overwrite: 'replace', filter: relativePathname => !relativePathname.endsWith('.log') });
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'dst/a.txt'), 'utf8')).toBe('a');
+		expect(fs.readlinkSync(path.join(io.dataDir, 'dst/link'))).toBe(path.join(io.dataDir, 'src/a.txt'));
+
+		await io.copyTree('src', 'followed', { symlinks: 'follow' });
+
+		expect(fs.lstatSync(path.join(io.dataDir, 'followed/link')).isFile()).toBe(true);
+		await expect(io.copyTree('src', 'src/sub/copy')).rejects.toThrow(RangeError);
+	});
+
+	test('moveTree renames the Tree together with its cached Entries', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024);
+
+		await createTree(io);
+		await io.moveTree('src', 'moved');
+
+		expect(fs.existsSync(path.join(io.dataDir, 'src'))).toBe(false);
+		expect(io.cache.get(path.join(io.dataDir, 'src/sub/c.txt'))).toBeUndefined();
+		expect(io.cache.get(path.join(io.dataDir, 'moved/sub/c.txt'))).toEqual(Buffer.from('c'));
+		expect(fs.lstatSync(path.join(io.dataDir, 'moved/link')).isSymbolicLink()).toBe(true);
+	});
+
+	test('moveTree copies and deletes across Devices', async () => {
+		class CrossDeviceBackend extends IO.DiskBackend {
+			async rename(oldPathname, newPathname) {
+				if (path.basename(oldPathname) === 'src')
+					throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+
+				return await super.rename(oldPathname, newPathname);
+			}
+		}
+
+		const io = new IO.ReadWrite(createTempDir(), 1024, { backend: new CrossDeviceBackend() });
+
+		await createTree(io);
+		await io.moveTree('src', 'moved');
+
+		expect(fs.existsSync(path.join(io.dataDir, 'src'))).toBe(false);
+		expect(fs.readFileSync(path.join(io.dataDir, 'moved/sub/c.txt'), 'utf8')).toBe('c');
+		expect(fs.lstatSync(path.join(io.dataDir, 'moved/link')).isSymbolicLink()).toBe(true);
+	});
+});
+
+describe('Change Events and Hooks', () => {
+	test('are emitted for every Mutation, synchronous or not', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const events = [];
+
+		io.on('change', ({ type, pathname, sourcePathname, sync }) => events.push([type, pathname, sourcePathname, sync]));
+
+		await io.writeFile('a', Buffer.from('a'));
+		io.createDirSync('dir');
+		await io.createSymLink('a', 'symlink');
+		io.createHardLinkSync('a', 'link');
+		await io.rename('link', 'renamed');
+		io.copyFileSync('a', 'copy');
+		await io.delete('copy');
+
+		expect(events).toEqual([
+			['write', 'a', null, false],
+			['mkdir', 'dir', null, true],
+			['symlink', 'symlink', 'a', false],
+			['link', 'link', 'a', true],
+			['rename', 'renamed', 'link', false],
+			['copy', 'copy', 'a', true],
+			['delete', 'copy', null, false]
+		]);
+	});
+
+	test('carry absolute Paths, Byte Counts and Durations', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const writes = [];
+
+		io.on('write', event => writes.push(event));
+		io.writeFileSync('a', Buffer.from('12345'));
+
+		expect(writes).toEqual([expect.objectContaining({ type: 'write', pathname: 'a', resolvedPathname: path.join(io.dataDir, 'a'), bytes: 5, sync: true })]);
+		expect(writes[0].duration).toBeGreaterThanOrEqual(0);
+	});
+
+	test('can veto Mutations and transform written Data', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+		const events = [];
+
+		io.on('change', event => events.push(event));
+
+		const remove = io.before('write', event => {
+			if (event.pathname === 'forbidden')
+				return false;
+
+			event.data = Buffer.from(event.data.toString().toUpperCase());
+		});
+
+		io.before('delete', async () => false);
+
+		await io.writeFile('a', Buffer.from('shout'));
+		await expect(io.writeFile('forbidden', Buffer.from('x'))).rejects.toThrow(IO.VetoError);
+		expect(() => io.writeFileSync('forbidden', Buffer.from('x'))).toThrow(IO.VetoError);
+		await expect(io.delete('a')).rejects.toThrow(IO.VetoError);
+		expect(() => io.deleteSync('a')).toThrow(TypeError);
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'a'), 'utf8')).toBe('SHOUT');
+		expect(fs.existsSync(path.join(io.dataDir, 'forbidden'))).toBe(false);
+		expect(events.map(({ type }) => type)).toEqual(['write']);
+
+		remove();
+		await io.writeFile('forbidden', Buffer.from('x'));
+
+		expect(fs.readFileSync(path.join(io.dataDir, 'forbidden'), 'utf8')).toBe('x');
+	});
+});
+
+describe('Partial Writes', () => {
+	/**
+	 * Create a ReadWrite Instance whose Backend counts the Files it reads as a whole
+	 * @returns {{io: IO.ReadWrite, reads: string[]}}
+	 */
+	function create() {
+		const reads = [];
+
+		class CountingBackend extends IO.DiskBackend {
+			async readFile(pathname) {
+				reads.push(path.basename(pathname));
+				return super.readFile(pathname);
+			}
+
+			readFileSync(pathname) {
+				reads.push(path.basename(pathname));
+				return super.readFileSync(pathname);
+			}
+		}
+
+		return { io: new IO.ReadWrite(createTempDir(), 1024, { backend: new CountingBackend() }), reads };
+	}
+
+	test('appendFile creates and extends Files and patches the cached Content', async () => {
+		const { io, reads } = create();
+		const filename = path.join(io.dataDir, 'log');
+
+		await io.appendFile('log', Buffer.from('one'));
+		io.readFileSync('log');
+		io.appendFileSync('log', Buffer.from(' two'));
+		await io.appendFile('log', Buffer.from(' three'));
+
+		expect(fs.readFileSync(filename, 'utf8')).toBe('one two three');
+		expect(io.cache.get(filename).toString()).toBe('one two three');
+		expect((await io.readFile('log')).toString()).toBe('one two three');
+		expect(reads).toEqual(['log']);
+	});
+
+	test('writeAt overwrites, extends and fills Gaps with Zeros', async () => {
+		const { io, reads } = create();
+		const filename = path.join(io.dataDir, 'a');
+
+		await io.writeFile('a', Buffer.from('abcdef'));
+		await io.writeAt('a', 1, Buffer.from('XY'));
+		io.writeAtSync('a', 8, Buffer.from('Z'));
+		await io.writeAt('b', 2, Buffer.from('b'));
+
+		expect(fs.readFileSync(filename)).toEqual(Buffer.from('aXYdef\0\0Z'));
+		expect(io.cache.get(filename)).toEqual(Buffer.from('aXYdef\0\0Z'));
+		expect(fs.readFileSync(path.join(io.dataDir, 'b'))).toEqual(Buffer.from('\0\0b'));
+		expect(reads).toEqual([]);
+		await expect(io.writeAt('a', -1, Buffer.from('x'))).rejects.toThrow(TypeError);
+		await expect(io.writeAt('a', 0, 'x')).rejects.toThrow(TypeError);
+	});
+
+	test('truncate shortens and extends existing Files', async () => {
+		const { io, reads } = create();
+		const filename = path.join(io.dataDir, 'a');
+
+		await io.writeFile('a', Buffer.from('abcdef'));
+		await io.truncate('a', 3);
+
+		expect(io.cache.get(filename).toString()).toBe('abc');
+
+		io.truncateSync('a', 5);
+
+		expect(fs.readFileSync(filename)).toEqual(Buffer.from('abc\0\0'));
+		expect(io.readFileSync('a')).toEqual(Buffer.from('abc\0\0'));
+		expect(reads).toEqual([]);
+		await expect(io.truncate('missing', 1)).rejects.toMatchObject({ code: 'ENOENT' });
+		expect(() => io.truncateSync('a', 1.5)).toThrow(TypeError);
+	});
+});
+
+describe('Versions and Snapshots', () => {
+	test('keep previous Revisions up to options.versions', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024, { versions: 2 });
+
+		for (const content of ['one', 'two', 'three', 'four'])
+			await io.writeText('a', content);
+
+		const versions = await io.listVersions('a');
+
+		expect(versions).toHaveLength(2);
+		expect(versions[0].created).toBeInstanceOf(Date);
+		expect((await io.readVersion('a', versions[0].id)).toString()).toBe('three');
+		expect(io.readVersionSync('a', versions[1].id).toString()).toBe('two');
+		expect(io.listVersionsSync('a').map(({ id }) => id)).toEqual(versions.map(({ id }) => id));
+		expect(await io.listVersions('missing')).toEqual([]);
+		await expect(io.readVersion('a', 'unknown')).rejects.toThrow();
+	});
+
+	test('restore a Revision so the Restore can be undone', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024, { versions: 5 });
+
+		await io.writeText('a', 'one');
+		await io.writeText('a', 'two');
+		await io.delete('a');
+
+		const [deleted, first] = await io.listVersions('a');
+
+		await io.restore('a', first.id);
+
+		expect(await io.readText('a')).toBe('one');
+
+		io.restoreSync('a', deleted.id);
+
+		expect(io.readTextSync('a')).toBe('two');
+		expect((await io.readVersion('a', (await io.listVersions('a'))[0].id)).toString()).toBe('one');
+	});
+
+	test('restore the Data Directory to a Snapshot', async () => {
+		for (const hardLinks of [false, true]) {
+			const io = new IO.ReadWrite(createTempDir(), 1024);
+
+			await io.createDir('dir');
+			await io.writeText('dir/a', 'a');
+			await io.writeText('b', 'b');
+
+			const id = await io.snapshot({ hardLinks });
+
+			await io.writeText('dir/a', 'changed');
+			await io.delete('b');
+			await io.writeText('c', 'c');
+
+			expect((await io.listSnapshots()).map(snapshot => [snapshot.id, snapshot.hardLinks])).toEqual([[id, hardLinks]]);
+
+			await io.restoreSnapshot(id);
+
+			expect(await io.readText('dir/a')).toBe('a');
+			expect(await io.readText('b')).toBe('b');
+			expect(fs.existsSync(path.join(io.dataDir, 'c'))).toBe(false);
+			expect(fs.existsSync(path.join(io.dataDir, '.fs-io'))).toBe(true);
+
+			await io.deleteSnapshot(id);
+
+			expect(await io.listSnapshots()).toEqual([]);
+			await expect(io.restoreSnapshot(id)).rejects.toThrow();
+		}
+	});
+});
+
+describe('Trash', () => {
+	test('move deleted Entries into the Trash and restore them', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024, { trash: true });
+
+		await io.createDir('dir/sub');
+		await io.writeText('dir/sub/a', 'a');
+		await io.writeText('b', 'bb');
+		io.readFileSync('b');
+
+		await io.delete('dir');
+		io.deleteSync('b');
+
+		expect(io.cache.get(path.join(io.dataDir, 'b'))).toBeUndefined();
+		expect((await io.readDir('.')).map(({ name }) => name)).toEqual([]);
+
+		const trash = await io.listTrash();
+
+		expect(trash.map(({ pathname, size }) => [pathname, size])).toEqual([['b', 2], ['dir', 1]]);
+		expect(trash[0].deleted).toBeInstanceOf(Date);
+
+		await io.writeText('b', 'new');
+		await expect(io.restoreFromTrash(trash[0].id)).rejects.toThrow();
+
+		await io.restoreFromTrash(trash[1].id);
+
+		expect(await io.readText('dir/sub/a')).toBe('a');
+		expect((await io.listTrash()).map(({ pathname }) => pathname)).toEqual(['b']);
+	});
+
+	test('are hidden from readDir and walk', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { trash: true });
+
+		await io.writeText('a', 'a');
+		await io.writeText('b', 'b');
+		await io.delete('a');
+
+		const walked = [];
+
+		for await (const { pathname } of io.walk('.'))
+			walked.push(pathname);
+
+		expect(walked).toEqual(['b']);
+		expect(io.readDirSync('.').map(({ name }) => name)).toEqual(['b']);
+		expect(fs.readdirSync(path.join(io.dataDir, '.fs-io', 'trash'))).toHaveLength(1);
+	});
+
+	test('remove Entries for good with emptyTrash or options.trash set to false', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { trash: true });
+
+		await io.writeText('a', 'a');
+		await io.writeText('b', 'b');
+		await io.writeText('c', 'c');
+		await io.delete('a');
+		await io.delete('b', { trash: false });
+
+		expect(await io.emptyTrash({ olderThan: 60 * 1000 })).toBe(0);
+		expect(await io.emptyTrash()).toBe(1);
+
+		await io.delete('c');
+
+		expect(io.emptyTrashSync()).toBe(1);
+		expect(await io.listTrash()).toEqual([]);
+		expect(fs.readdirSync(io.dataDir)).toEqual(['.fs-io']);
+	});
+});
+
+describe('Checksums', () => {
+	const crypto = require('crypto');
+
+	/**
+	 * @param {Buffer | string} data 
+	 * @param {string} [algorithm]
+	 * @returns {string}
+	 */
+	function digest(data, algorithm = 'sha256') {
+		return crypto.createHash(algorithm).update(data).digest('hex');
+	}
+
+	test('hash Files with any Algorithm', async () => {
+		const io = new IO.ReadWrite(createTempDir());
+
+		await io.writeText('a', 'abc');
+
+		expect(await io.hash('a')).toBe(digest('abc'));
+		expect(io.hashSync('a', 'md5')).toBe(digest('abc', 'md5'));
+		await expect(io.hash('a', 'unknown')).rejects.toThrow(TypeError);
+	});
+
+	test('keep the Manifest up to date for every Mutation', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { checksums: 'sha256' });
+		const manifest = () => Object.fromEntries(fs.readFileSync(path.join(io.dataDir, '.fs-io', 'manifest.ndjson'), 'utf8').trim().split('\n')
+			.map(line => JSON.parse(line))
+			.map(({ pathname, hash }) => [pathname, hash]));
+
+		await io.createDir('docs');
+		await io.writeText('docs/a', 'a');
+		await io.appendFile('docs/a', Buffer.from('b'));
+		await io.copyFile('docs/a', 'b');
+		await io.writeText('c', 'c');
+		await io.rename('c', 'docs/c');
+		await io.delete('b');
+
+		expect(manifest()).toEqual({ 'docs/a': digest('ab'), b: null, c: null, 'docs/c': digest('c') });
+		expect(JSON.parse(fs.readFileSync(path.join(io.dataDir, '.fs-io', 'manifest.ndjson'), 'utf8').split('\n')[0])).toEqual({ pathname: 'docs/a', algorithm: 'sha256', hash: digest('a'), size: 1 });
+		expect(await io.verify()).toEqual({ missing: [], extra: [], corrupted: [] });
+	});
+
+	test('report missing, extra and corrupted Files', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { checksums: 'sha256' });
+
+		await io.createDir('docs');
+		await io.writeText('docs/a', 'a');
+		await io.writeText('docs/b', 'b');
+		await io.writeText('c', 'c');
+
+		fs.rmSync(path.join(io.dataDir, 'docs', 'a'));
+		fs.writeFileSync(path.join(io.dataDir, 'docs', 'b'), 'B');
+		fs.writeFileSync(path.join(io.dataDir, 'docs', 'x'), 'x');
+		fs.writeFileSync(path.join(io.dataDir, 'c'), 'C');
+
+		expect(await io.verify()).toEqual({ missing: ['docs/a'], extra: ['docs/x'], corrupted: ['c', 'docs/b'] });
+		expect(io.verifySync('docs')).toEqual({ missing: ['docs/a'], extra: ['docs/x'], corrupted: ['docs/b'] });
+	});
+
+	test('reject Reads with options.verify if the File changed', async () => {
+		const io = new IO.ReadWrite(createTempDir(), 1024, { checksums: 'sha256' });
+
+		await io.writeText('a', 'a');
+		fs.writeFileSync(path.join(io.dataDir, 'unknown'), 'u');
+
+		expect((await io.readFile('a', { verify: true })).toString()).toBe('a');
+
+		fs.writeFileSync(path.join(io.dataDir, 'a'), 'tampered');
+
+		const error = await io.readFile('a', { verify: true }).catch(error => error);
+
+		expect(error).toBeInstanceOf(IO.IntegrityError);
+		expect(error.code).toBe('EINTEGRITY');
+		expect(() => io.readFileSync('a', { verify: true })).toThrow(IO.IntegrityError);
+		await expect(io.readFile('unknown', { verify: true })).rejects.toThrow(IO.IntegrityError);
+	});
+});
+
+describe('Deduplication', () => {
+	/**
+	 * @param {IO.ReadWrite} io 
+	 * @returns {string[]} the Names of the stored Blobs
+	 */
+	function blobs(io) {
+		const blobDir = path.join(io.dataDir, '.fs-io', 'blobs');
+
+		return fs.existsSync(blobDir) ? fs.readdirSync(blobDir).flatMap(prefix => fs.readdirSync(path.join(blobDir, prefix))) : [];
+	}
+
+	test('store identical Files once', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { dedupe: true });
+
+		await io.createDir('dir');
+		await io.writeText('a', 'same');
+		await io.writeText('dir/b', 'same');
+		io.writeTextSync('c', 'other');
+
+		const a = fs.statSync(path.join(io.dataDir, 'a'));
+
+		expect(blobs(io)).toHaveLength(2);
+		expect(fs.statSync(path.join(io.dataDir, 'dir', 'b')).ino).toBe(a.ino);
+		expect(a.nlink).toBe(3);
+		expect(await io.readText('dir/b')).toBe('same');
+	});
+
+	test('remove a Blob once no File refers to it anymore', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { dedupe: true });
+
+		await io.writeText('a', 'same');
+		await io.writeText('b', 'same');
+		await io.writeText('c', 'other');
+
+		await io.delete('a');
+
+		expect(blobs(io)).toHaveLength(2);
+
+		io.deleteSync('b');
+
+		expect(blobs(io)).toHaveLength(1);
+
+		await io.writeText('c', 'changed');
+		await io.rename('c', 'd');
+
+		expect(blobs(io)).toHaveLength(1);
+		expect(await io.readText('d')).toBe('changed');
+	});
+
+	test('give Files a private Copy before changing them in Place', async () => {
+		const io = new IO.ReadWrite(createTempDir(), null, { dedupe: true });
+
+		await io.writeText('a', 'same');
+		await io.writeText('b', 'same');
+		await io.appendFile('a', Buffer.from('!'));
+		await io.truncate('b', 2);
+
+		expect(await io.readText('a')).toBe('same!');
+		expect(await io.readText('b')).toBe('sa');
+		expect(blobs(io)).toEqual([]);
+
+		await io.writeText('a', 'sa');
+
+		expect(fs.statSync(path.join(io.dataDir, 'a')).nlink).toBe(2);
+	});
+
+	test('share one Cache Entry between Files with identical Content', async () => {
+		const reads = [];
+
+		class CountingBackend extends IO.DiskBackend {
+			async readFile(pathname) {
+				reads.push(path.basename(pathname));
+				return super.readFile(pathname);
+			}
+		}
+
+		const io = new IO.ReadWrite(createTempDir(), 4, { dedupe: true, backend: new CountingBackend() });
+
+		// The Cache only fits 4 Bytes, so the Files can only stay cached together if they share their Entry
+		await io.writeText('a', 'same');
+		await io.writeText('b', 'same');
+		await io.readFile('a');
+		await io.readFile('b');
+
+		expect(reads).toEqual([]);
+
+		// delete reads a once to find its Blob, b stays cached
+		await io.delete('a');
+		await io.readFile('b');
+
+		expect(reads).toEqual(['a']);
+	});
+});
\ No newline at end of file
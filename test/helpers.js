@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @type {string[]}
+ */
+const tempDirs = [];
+
+afterAll(() => {
+	for (const dirname of tempDirs)
+		fs.rmSync(dirname, { recursive: true, force: true });
+});
+
+/**
+ * Create an empty temporary Directory that is removed after the current Test File
+ * @returns {string}
+ */
+function createTempDir() {
+	const dirname = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-io-'));
+
+	tempDirs.push(dirname);
+
+	return dirname;
+}
+
+/**
+ * Call check until it resolves to true, or reject after timeout Milliseconds
+ * @param {() => Promise<boolean>} check 
+ * @param {number} [timeout]
+ * @returns {Promise<void>}
+ */
+async function waitFor(check, timeout = 5000) {
+	const start = Date.now();
+
+	while (!(await check())) {
+		if (Date.now() - start > timeout)
+			throw new Error(`Condition not met within ${timeout}ms`);
+
+		await new Promise(resolve => setTimeout(resolve, 50));
+	}
+}
+
+module.exports = { createTempDir, waitFor };
\ No newline at end of file